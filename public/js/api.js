@@ -46,6 +46,15 @@ const API = {
     return this.request('POST', '/kill-switch');
   },
 
+  // Strategies
+  async getStrategies() {
+    return this.request('GET', '/strategies');
+  },
+
+  async updateStrategy(id, data) {
+    return this.request('PUT', `/strategies/${id}`, data);
+  },
+
   // Trades
   async getTrades(limit = 100, offset = 0) {
     return this.request('GET', `/trades?limit=${limit}&offset=${offset}`);
@@ -55,6 +64,10 @@ const API = {
     return this.request('GET', '/trades/active');
   },
 
+  async getTradeOrders(tradeId) {
+    return this.request('GET', `/trades/${tradeId}/orders`);
+  },
+
   async cancelTrade(tradeId) {
     return this.request('POST', `/trades/${tradeId}/cancel`);
   },
@@ -77,11 +90,23 @@ const API = {
     return this.request('GET', '/markets');
   },
 
+  async getFairValue(conditionId) {
+    return this.request('GET', `/markets/${conditionId}/fair-value`);
+  },
+
+  async getTimeline() {
+    return this.request('GET', '/timeline');
+  },
+
   async getOrderBook(yesTokenId, noTokenId) {
     return this.request('GET', `/orderbook/${yesTokenId}/${noTokenId}`);
   },
 
   // Stats
+  async getPositions() {
+    return this.request('GET', '/positions');
+  },
+
   async getStats() {
     return this.request('GET', '/stats');
   },
@@ -98,6 +123,31 @@ const API = {
     return this.request('GET', '/risk');
   },
 
+  async getRiskRejections(limit = 100) {
+    return this.request('GET', `/risk/rejections?limit=${limit}`);
+  },
+
+  async getRequestMetrics() {
+    return this.request('GET', '/requests');
+  },
+
+  // Backtests
+  async runBacktest(params) {
+    return this.request('POST', '/backtests', params);
+  },
+
+  async getBacktests(limit = 20) {
+    return this.request('GET', `/backtests?limit=${limit}`);
+  },
+
+  async getBacktest(id) {
+    return this.request('GET', `/backtests/${id}`);
+  },
+
+  async getBacktestJob(id) {
+    return this.request('GET', `/backtests/jobs/${id}`);
+  },
+
   // Alerts
   async getAlerts(limit = 50) {
     return this.request('GET', `/alerts?limit=${limit}`);
@@ -8,6 +8,12 @@ let socket = null;
 let settings = {};
 let markets = [];
 let selectedMarket = null;
+let selectedFairValue = null;
+let selectedBooks = null;
+let strategies = [];
+let timeline = [];
+let renderedTrades = [];
+const tradeOrders = new Map(); // tradeId -> order timeline, for trades showing it
 
 // DOM Elements
 const elements = {
@@ -15,19 +21,26 @@ const elements = {
   modeBadge: document.getElementById('mode-badge'),
   balanceValue: document.getElementById('balance-value'),
   connectionStatus: document.getElementById('connection-status'),
+  healthStatus: document.getElementById('health-status'),
   killSwitchBtn: document.getElementById('kill-switch-btn'),
 
   // Stats
   todayPnl: document.getElementById('today-pnl'),
+  todayUnrealized: document.getElementById('today-unrealized'),
   openPositions: document.getElementById('open-positions'),
   totalTrades: document.getElementById('total-trades'),
   winRate: document.getElementById('win-rate'),
   allTimePnl: document.getElementById('all-time-pnl'),
+  allTimeGross: document.getElementById('all-time-gross'),
 
   // Opportunities
   opportunitiesCount: document.getElementById('opportunities-count'),
   opportunityList: document.getElementById('opportunity-list'),
 
+  // Timeline
+  timelineCount: document.getElementById('timeline-count'),
+  timelineTbody: document.getElementById('timeline-tbody'),
+
   // Order Book
   orderbookSelect: document.getElementById('orderbook-market-select'),
   yesAsks: document.getElementById('yes-asks'),
@@ -37,6 +50,14 @@ const elements = {
   noBids: document.getElementById('no-bids'),
   noSpread: document.getElementById('no-spread'),
 
+  // Strategies
+  strategiesTbody: document.getElementById('strategies-tbody'),
+
+  // Positions
+  positionsCount: document.getElementById('positions-count'),
+  positionsSummary: document.getElementById('positions-summary'),
+  positionsTbody: document.getElementById('positions-tbody'),
+
   // Trades
   tradesTbody: document.getElementById('trades-tbody'),
   refreshTradesBtn: document.getElementById('refresh-trades-btn'),
@@ -47,10 +68,36 @@ const elements = {
   profitThreshold: document.getElementById('profit-threshold'),
   dailyLossLimit: document.getElementById('daily-loss-limit'),
   maxPositions: document.getElementById('max-positions'),
+  maxDrawdown: document.getElementById('max-drawdown'),
+  maxMarketNotional: document.getElementById('max-market-notional'),
+  maxAssetNotional: document.getElementById('max-asset-notional'),
+  maxWindowNotional: document.getElementById('max-window-notional'),
+  maxConsecutiveLosses: document.getElementById('max-consecutive-losses'),
+  lossCooldown: document.getElementById('loss-cooldown'),
   autoMode: document.getElementById('auto-mode'),
+  paperMode: document.getElementById('paper-mode'),
+  executionMode: document.getElementById('execution-mode'),
+  legTimeout: document.getElementById('leg-timeout'),
+  maxPairCost: document.getElementById('max-pair-cost'),
+  windowLead: document.getElementById('window-lead'),
+  entryCutoff: document.getElementById('entry-cutoff'),
+  strategySettings: document.getElementById('strategy-settings'),
   currenciesGroup: document.getElementById('currencies-group'),
+  timeframesGroup: document.getElementById('timeframes-group'),
   scanInterval: document.getElementById('scan-interval'),
 
+  // Backtest
+  backtestForm: document.getElementById('backtest-form'),
+  backtestId: document.getElementById('backtest-id'),
+  backtestSummary: document.getElementById('backtest-summary'),
+  backtestChart: document.getElementById('backtest-chart'),
+  backtestMarkets: document.getElementById('backtest-markets'),
+  btDays: document.getElementById('bt-days'),
+  btThreshold: document.getElementById('bt-threshold'),
+  btSize: document.getElementById('bt-size'),
+  btLatency: document.getElementById('bt-latency'),
+  btSlippage: document.getElementById('bt-slippage'),
+
   // Alerts
   unreadCount: document.getElementById('unread-count'),
   alertsList: document.getElementById('alerts-list'),
@@ -71,11 +118,15 @@ async function init() {
   // Load initial data
   await Promise.all([
     loadSettings(),
+    loadStrategies(),
     loadStats(),
     loadTrades(),
+    loadPositions(),
     loadOpportunities(),
     loadAlerts(),
-    loadMarkets()
+    loadMarkets(),
+    loadTimeline(),
+    loadLatestBacktest()
   ]);
 
   // Setup event listeners
@@ -117,6 +168,16 @@ function connectWebSocket() {
     loadStats();
   });
 
+  socket.on('trade:filled', (trade) => {
+    showToast('Trade filled!', 'success');
+    loadTrades();
+    loadStats();
+  });
+
+  socket.on('trade:partial', (trade) => {
+    loadTrades();
+  });
+
   socket.on('trade:settled', (data) => {
     const pnl = data.profit >= 0 ? `+$${data.profit.toFixed(4)}` : `-$${Math.abs(data.profit).toFixed(4)}`;
     showToast(`Trade settled: ${pnl}`, data.profit >= 0 ? 'success' : 'warning');
@@ -124,6 +185,33 @@ function connectWebSocket() {
     loadStats();
   });
 
+  socket.on('trade:merged', (data) => {
+    const pnl = data.profit >= 0 ? `+$${data.profit.toFixed(4)}` : `-$${Math.abs(data.profit).toFixed(4)}`;
+    showToast(`Trade merged: ${pnl}`, data.profit >= 0 ? 'success' : 'warning');
+    loadTrades();
+    loadStats();
+  });
+
+  socket.on('positions:update', (summary) => {
+    renderPositions(summary);
+  });
+
+  socket.on('orderbook:update', (update) => {
+    if (!selectedMarket || !selectedBooks) return;
+
+    const side = update.token_id === selectedMarket.yesTokenId ? 'yes' :
+      update.token_id === selectedMarket.noTokenId ? 'no' : null;
+    if (!side) return;
+
+    selectedBooks[side] = {
+      bids: update.bids,
+      asks: update.asks,
+      best_bid: update.best_bid,
+      best_ask: update.best_ask
+    };
+    renderOrderBook(selectedBooks);
+  });
+
   socket.on('balance:update', (balance) => {
     updateBalance(balance.balance);
   });
@@ -135,6 +223,20 @@ function connectWebSocket() {
     }
   });
 
+  socket.on('timeline:changed', () => {
+    loadTimeline();
+  });
+
+  socket.on('health:paused', (health) => {
+    showToast(`Trading paused: ${health.reasons.join('; ')}`, 'warning');
+    updateHealthStatus(health);
+  });
+
+  socket.on('health:resumed', (health) => {
+    showToast('Trading resumed', 'success');
+    updateHealthStatus(health);
+  });
+
   socket.on('settings:changed', (newSettings) => {
     settings = newSettings;
     updateSettingsUI(newSettings);
@@ -161,6 +263,23 @@ function updateConnectionStatus(connected) {
   elements.connectionStatus.querySelector('.text').textContent = connected ? 'Connected' : 'Disconnected';
 }
 
+function updateHealthStatus(health) {
+  if (!health) return;
+
+  const m = health.metrics;
+  const r = health.requests;
+  elements.healthStatus.classList.toggle('paused', health.paused);
+  elements.healthStatus.querySelector('.text').textContent = health.paused ? 'Paused' : 'Healthy';
+  elements.healthStatus.title = [
+    ...health.reasons,
+    health.resume_at ? `Resuming at ${formatTime(health.resume_at)}` : '',
+    `${m.calls} calls, ${(m.error_rate * 100).toFixed(0)}% errors, ${m.rate_limited} rate-limited`,
+    m.p90_latency_ms != null ? `p90 latency ${m.p90_latency_ms}ms` : '',
+    `${m.stale_books}/${m.books} stale books`,
+    r ? `${r.queued} queued requests (${r.lanes.order} orders), ${r.retries} retries` : ''
+  ].filter(Boolean).join('\n');
+}
+
 // ==================== DATA LOADING ====================
 
 async function loadSettings() {
@@ -172,6 +291,15 @@ async function loadSettings() {
   }
 }
 
+async function loadStrategies() {
+  try {
+    strategies = await API.getStrategies();
+    renderStrategySettings();
+  } catch (error) {
+    console.error('Failed to load strategies:', error);
+  }
+}
+
 async function loadStats() {
   try {
     const stats = await API.getStats();
@@ -190,6 +318,24 @@ async function loadTrades() {
   }
 }
 
+async function loadPositions() {
+  try {
+    const summary = await API.getPositions();
+    renderPositions(summary);
+  } catch (error) {
+    console.error('Failed to load positions:', error);
+  }
+}
+
+async function loadRiskStatus() {
+  try {
+    const status = await API.getRiskStatus();
+    updateRiskStatus(status);
+  } catch (error) {
+    console.error('Failed to load risk status:', error);
+  }
+}
+
 async function loadOpportunities() {
   try {
     const opportunities = await API.getOpportunities();
@@ -220,6 +366,26 @@ async function loadMarkets() {
   }
 }
 
+async function loadTimeline() {
+  try {
+    timeline = await API.getTimeline();
+    renderTimeline();
+  } catch (error) {
+    console.error('Failed to load timeline:', error);
+  }
+}
+
+async function loadLatestBacktest() {
+  try {
+    const runs = await API.getBacktests(1);
+    if (runs.length > 0) {
+      renderBacktest(await API.getBacktest(runs[0].id));
+    }
+  } catch (error) {
+    console.error('Failed to load backtests:', error);
+  }
+}
+
 async function loadBalance() {
   try {
     const balance = await API.getBalance();
@@ -238,7 +404,19 @@ function updateSettingsUI(s) {
   elements.profitThreshold.value = (s.profit_threshold * 100).toFixed(1);
   elements.dailyLossLimit.value = s.daily_loss_limit;
   elements.maxPositions.value = s.max_open_positions;
+  elements.maxDrawdown.value = s.max_drawdown;
+  elements.maxMarketNotional.value = s.max_market_notional;
+  elements.maxAssetNotional.value = s.max_asset_notional;
+  elements.maxWindowNotional.value = s.max_window_notional;
+  elements.maxConsecutiveLosses.value = s.max_consecutive_losses;
+  elements.lossCooldown.value = s.loss_cooldown_s;
   elements.autoMode.value = s.auto_mode ? '1' : '0';
+  elements.paperMode.value = s.paper_mode ? '1' : '0';
+  elements.executionMode.value = s.execution_mode || 'paired';
+  elements.legTimeout.value = s.leg_timeout_ms;
+  elements.maxPairCost.value = s.max_pair_cost;
+  elements.windowLead.value = s.window_lead_s;
+  elements.entryCutoff.value = s.entry_cutoff_s;
   elements.scanInterval.value = Math.round(s.scan_interval_ms / 1000);
 
   // Update currencies checkboxes
@@ -247,9 +425,14 @@ function updateSettingsUI(s) {
     cb.checked = currencies.includes(cb.value);
   });
 
+  const timeframes = s.active_timeframes || [];
+  elements.timeframesGroup.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+    cb.checked = timeframes.includes(cb.value);
+  });
+
   // Update mode badge
-  elements.modeBadge.textContent = s.auto_mode ? 'Auto' : 'Manual';
-  elements.modeBadge.className = 'badge ' + (s.auto_mode ? 'mode-auto' : 'mode-manual');
+  elements.modeBadge.textContent = (s.paper_mode ? 'Paper · ' : '') + (s.auto_mode ? 'Auto' : 'Manual');
+  elements.modeBadge.className = 'badge ' + (s.auto_mode ? 'mode-auto' : 'mode-manual') + (s.paper_mode ? ' mode-paper' : '');
 
   // Update kill switch button
   updateKillSwitchUI(s.kill_switch);
@@ -264,14 +447,99 @@ function updateStatsUI(stats) {
   const todayPnl = stats.today?.pnl || 0;
   elements.todayPnl.textContent = formatCurrency(todayPnl);
   elements.todayPnl.className = 'stat-value ' + (todayPnl >= 0 ? 'positive' : 'negative');
+  elements.todayUnrealized.textContent = `Unrealized ${formatCurrency(stats.today?.unrealized_pnl || 0)}`;
+
+  // Paper and live trades are summarized separately
+  const allTime = settings.paper_mode ? stats.paper : stats.all_time;
 
   elements.openPositions.textContent = stats.active_positions || 0;
-  elements.totalTrades.textContent = stats.all_time?.total_trades || 0;
-  elements.winRate.textContent = (stats.all_time?.win_rate || 0) + '%';
+  elements.totalTrades.textContent = allTime?.total_trades || 0;
+  elements.winRate.textContent = (allTime?.win_rate || 0) + '%';
 
-  const allTimePnl = stats.all_time?.total_profit || 0;
+  const allTimePnl = allTime?.total_profit || 0;
   elements.allTimePnl.textContent = formatCurrency(allTimePnl);
   elements.allTimePnl.className = 'stat-value ' + (allTimePnl >= 0 ? 'positive' : 'negative');
+  elements.allTimeGross.textContent =
+    `Gross ${formatCurrency(allTime?.gross_profit || 0)} · Fees ${formatCurrency(allTime?.total_costs || 0)}`;
+
+  renderStrategyStats(stats.strategies || []);
+}
+
+function renderStrategyStats(rows) {
+  if (rows.length === 0) {
+    elements.strategiesTbody.innerHTML = '<tr class="empty-row"><td colspan="6">No strategies</td></tr>';
+    return;
+  }
+
+  elements.strategiesTbody.innerHTML = rows.map(row => {
+    const summary = settings.paper_mode ? row.paper : row.all_time;
+    const pnl = summary?.total_profit || 0;
+
+    return `
+      <tr>
+        <td>${escapeHtml(row.name)}</td>
+        <td class="${row.enabled ? 'status-filled' : 'status-cancelled'}">${row.enabled ? 'enabled' : 'disabled'}</td>
+        <td>${summary?.total_trades || 0}</td>
+        <td>${summary?.win_rate || 0}%</td>
+        <td class="${pnl >= 0 ? 'positive' : 'negative'}">${formatCurrency(pnl)}</td>
+        <td>${formatCurrency(row.open_exposure)} / ${formatCurrency(row.risk_budget)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderStrategySettings() {
+  elements.strategySettings.innerHTML = strategies.map(strategy => {
+    const params = Object.entries(strategy.param_specs).map(([key, spec]) => {
+      const value = strategy.params[key];
+      return `
+        <div class="form-group">
+          <label>${escapeHtml(spec.label)}</label>
+          <input type="number" data-param="${key}" step="${spec.step}" min="0"
+                 value="${spec.percent ? +(value * 100).toFixed(4) : value}">
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="strategy-row" data-strategy="${strategy.strategy_id}">
+        <div class="form-row">
+          <div class="form-group">
+            <label title="${escapeHtml(strategy.description)}">
+              <input type="checkbox" data-field="enabled" ${strategy.enabled ? 'checked' : ''}> ${escapeHtml(strategy.name)}
+            </label>
+          </div>
+          <div class="form-group">
+            <label>Risk Budget ($)</label>
+            <input type="number" data-field="risk_budget" step="1" min="0" value="${strategy.risk_budget}">
+          </div>
+        </div>
+        ${params ? `<div class="form-row">${params}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function readStrategySettings() {
+  return Array.from(elements.strategySettings.querySelectorAll('.strategy-row')).map(row => {
+    const strategy = strategies.find(s => s.strategy_id === row.dataset.strategy);
+    const params = {};
+
+    row.querySelectorAll('[data-param]').forEach(input => {
+      const spec = strategy.param_specs[input.dataset.param];
+      const value = parseFloat(input.value);
+      params[input.dataset.param] = spec.percent ? value / 100 : value;
+    });
+
+    return {
+      id: row.dataset.strategy,
+      data: {
+        enabled: row.querySelector('[data-field="enabled"]').checked,
+        risk_budget: parseFloat(row.querySelector('[data-field="risk_budget"]').value),
+        params
+      }
+    };
+  });
 }
 
 function updateBalance(balance) {
@@ -281,6 +549,7 @@ function updateBalance(balance) {
 function updateRiskStatus(status) {
   updateKillSwitchUI(status.kill_switch);
   updateBalance(status.balance);
+  updateHealthStatus(status.health);
 }
 
 function updateMarketSelect() {
@@ -309,11 +578,16 @@ function renderOpportunities(opportunities) {
         <div class="opportunity-question">${escapeHtml(opp.market_question || 'Unknown market')}</div>
         <div class="opportunity-spread">${(opp.spread * 100).toFixed(2)}%</div>
       </div>
-      <div class="opportunity-details">
-        <div>YES: $${opp.yes_price?.toFixed(3) || '-'}</div>
-        <div>NO: $${opp.no_price?.toFixed(3) || '-'}</div>
-        <div>Profit: $${opp.expected_profit?.toFixed(4) || '-'}</div>
-      </div>
+      ${opp.trade_type === 'basket' ? renderBasketDetails(opp) : opp.trade_type === 'directional' ? renderDirectionalDetails(opp) : `
+      <div class="opportunity-details" title="${escapeHtml(formatCostCurve(opp.cost_curve))}">
+        <div>YES: $${(opp.yes_vwap ?? opp.yes_price)?.toFixed(3) || '-'}</div>
+        <div>NO: $${(opp.no_vwap ?? opp.no_price)?.toFixed(3) || '-'}</div>
+        <div>Net: $${opp.expected_profit?.toFixed(4) || '-'}</div>
+        <div>Gross: $${opp.gross_profit?.toFixed(4) || '-'}</div>
+        <div>Shares: ${opp.shares?.toFixed(2) || '-'}</div>
+        <div>Limit: $${opp.yes_price?.toFixed(2) || '-'} / $${opp.no_price?.toFixed(2) || '-'}</div>
+        ${opp.fair_yes != null ? `<div title="Reference price ${opp.reference_price ?? '-'}">Fair: $${opp.fair_yes.toFixed(3)} / $${opp.fair_no.toFixed(3)}</div>` : ''}
+      </div>`}
       <div class="opportunity-actions">
         <button class="btn-approve" onclick="approveOpportunity(${opp.id})">Approve</button>
         <button class="btn-reject" onclick="rejectOpportunity(${opp.id})">Reject</button>
@@ -322,7 +596,45 @@ function renderOpportunities(opportunities) {
   `).join('');
 }
 
+// Multi-outcome basket: one leg per outcome, all bought on the same side
+function renderBasketDetails(opp) {
+  const legs = opp.legs || [];
+  const cost = legs.reduce((total, leg) => total + (leg.vwap ?? leg.price), 0);
+  const payout = opp.basket_side === 'NO' ? legs.length - 1 : 1;
+  const legPrices = legs.map(leg =>
+    `${leg.outcome}: $${(leg.vwap ?? leg.price).toFixed(3)} (limit $${leg.price.toFixed(2)})`
+  ).join('\n');
+
+  return `
+      <div class="opportunity-details" title="${escapeHtml(legPrices)}">
+        <div><span class="tag-basket">BASKET</span> ${legs.length} x ${opp.basket_side}</div>
+        <div>Cost: $${cost.toFixed(3)} / $${payout}</div>
+        <div>Net: $${opp.expected_profit?.toFixed(4) || '-'}</div>
+        <div>Gross: $${opp.gross_profit?.toFixed(4) || '-'}</div>
+        <div>Shares: ${opp.shares?.toFixed(2) || '-'}</div>
+      </div>`;
+}
+
+// Single outcome bought below its model fair value
+function renderDirectionalDetails(opp) {
+  const key = opp.direction.toLowerCase();
+  const price = opp[`${key}_vwap`] ?? opp[`${key}_price`];
+  const fair = opp[`fair_${key}`];
+
+  return `
+      <div class="opportunity-details" title="Reference price ${opp.reference_price ?? '-'}">
+        <div><span class="tag-directional">DIRECTIONAL</span> ${opp.direction}</div>
+        <div>Price: $${price?.toFixed(3) || '-'}</div>
+        <div>Fair: $${fair?.toFixed(3) || '-'}</div>
+        <div>Expected: $${opp.expected_profit?.toFixed(4) || '-'}</div>
+        <div>Shares: ${opp.shares?.toFixed(2) || '-'}</div>
+        <div>Cost: $${(opp.shares * opp.total_cost).toFixed(2)}</div>
+      </div>`;
+}
+
 function renderTrades(trades) {
+  renderedTrades = trades;
+
   if (trades.length === 0) {
     elements.tradesTbody.innerHTML = '<tr class="empty-row"><td colspan="6">No trades yet</td></tr>';
     return;
@@ -331,19 +643,119 @@ function renderTrades(trades) {
   elements.tradesTbody.innerHTML = trades.map(trade => `
     <tr>
       <td>${formatTime(trade.created_at)}</td>
-      <td title="${escapeHtml(trade.market_question || '')}">${escapeHtml((trade.market_question || 'Unknown').substring(0, 30))}...</td>
+      <td title="${escapeHtml(trade.market_question || '')}">${trade.paper ? '<span class="tag-paper">PAPER</span> ' : ''}${trade.trade_type === 'basket' ? '<span class="tag-basket">BASKET</span> ' : ''}${trade.trade_type === 'directional' ? `<span class="tag-directional">${trade.direction}</span> ` : ''}${escapeHtml((trade.market_question || 'Unknown').substring(0, 30))}...</td>
       <td>$${trade.total_cost?.toFixed(4) || '-'}</td>
-      <td class="status-${trade.status}">${trade.status}</td>
-      <td class="${trade.actual_profit >= 0 ? 'positive' : 'negative'}">${trade.actual_profit != null ? formatCurrency(trade.actual_profit) : '-'}</td>
+      <td class="status-${trade.status}" title="${escapeHtml(formatExecutionLog(trade.execution_log))}">${trade.status}</td>
+      <td class="${trade.actual_profit >= 0 ? 'positive' : 'negative'}" title="${trade.gross_profit != null ? `Gross ${formatCurrency(trade.gross_profit)}` : ''}">${trade.actual_profit != null ? formatCurrency(trade.actual_profit) : '-'}</td>
       <td>
-        ${trade.status === 'placed' || trade.status === 'pending' ?
+        <button class="btn-small" onclick="toggleTradeOrders(${trade.id})">Orders</button>
+        ${trade.status === 'placed' || trade.status === 'pending' || trade.status === 'partial' ?
           `<button class="btn-small" onclick="cancelTrade(${trade.id})">Cancel</button>` :
           ''}
       </td>
     </tr>
+    ${tradeOrders.has(trade.id) ? renderOrderTimeline(tradeOrders.get(trade.id)) : ''}
+  `).join('');
+}
+
+// Every order event of a trade (submission, placement, fills, cancels), in order
+function renderOrderTimeline(orders) {
+  const rows = orders.events.map(e => `
+    <div title="${escapeHtml(e.raw ? JSON.stringify(e.raw) : '')}">
+      ${new Date(e.created_at).toLocaleTimeString('en-US', { hour12: false })}
+      ${escapeHtml(e.leg || '')} ${e.side} ${e.order_type}
+      <span class="status-${e.to_state}">${e.event}</span>
+      ${e.from_state && e.from_state !== e.to_state ? `${e.from_state} → ${e.to_state}` : e.to_state}
+      · filled ${(e.filled || 0).toFixed(2)}
+      ${e.order_id ? `· ${escapeHtml(e.order_id.substring(0, 12))}…` : ''}
+    </div>
+  `).join('');
+
+  return `
+    <tr class="order-timeline-row">
+      <td colspan="6"><div class="order-timeline">${rows || 'No orders logged'}</div></td>
+    </tr>`;
+}
+
+function renderPositions(summary) {
+  // Paper and live inventory are shown separately
+  const paper = settings.paper_mode ? 1 : 0;
+  const positions = summary.positions.filter(p => p.paper === paper);
+  const assets = summary.by_asset.filter(a => a.paper === paper);
+
+  elements.positionsCount.textContent = positions.length;
+  elements.positionsSummary.innerHTML = assets.map(a => `
+    <span class="${a.unrealized_pnl >= 0 ? 'positive' : 'negative'}">
+      ${escapeHtml(a.asset || 'Other')}: ${a.yes_shares.toFixed(2)} YES / ${a.no_shares.toFixed(2)} NO · ${formatCurrency(a.unrealized_pnl)}
+    </span>
+  `).join('');
+
+  if (positions.length === 0) {
+    elements.positionsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">No open positions</td></tr>';
+    return;
+  }
+
+  elements.positionsTbody.innerHTML = positions.map(p => `
+    <tr>
+      <td title="${escapeHtml(p.market_question || '')}"><span class="tag-directional">${p.outcome}</span> ${escapeHtml((p.market_question || p.condition_id).substring(0, 30))}...</td>
+      <td>${p.shares.toFixed(2)}</td>
+      <td>${p.avg_cost.toFixed(4)}</td>
+      <td title="${p.marked_at ? `Marked ${formatTime(p.marked_at)}` : 'No bids'}">${p.mark_price != null ? p.mark_price.toFixed(3) : '-'}</td>
+      <td>${p.market_value != null ? formatCurrency(p.market_value) : '-'}</td>
+      <td class="${p.unrealized_pnl >= 0 ? 'positive' : 'negative'}">${p.unrealized_pnl != null ? formatCurrency(p.unrealized_pnl) : '-'}</td>
+    </tr>
   `).join('');
 }
 
+// Marginal cost per depth segment, shown as a tooltip on opportunity details
+function formatCostCurve(curve) {
+  if (!curve || curve.length === 0) return '';
+
+  return curve.map(point =>
+    `${point.shares.toFixed(2)} sh: marginal $${point.marginal_cost.toFixed(3)}, avg $${point.avg_cost.toFixed(4)}`
+  ).join('\n');
+}
+
+// One line per paired-execution step, shown as a tooltip on the trade status
+function formatExecutionLog(log) {
+  if (!log) return '';
+
+  return JSON.parse(log).map(entry => {
+    if (entry.error) return `${entry.step}: ${entry.leg || ''} error - ${entry.error}`;
+    if (entry.skipped) return `${entry.step}: skipped - ${entry.skipped}`;
+    return `${entry.step}: ${entry.leg} ${entry.order_type} ${entry.filled?.toFixed(2)}/${entry.size?.toFixed(2)} @ ${entry.price}`;
+  }).join('\n');
+}
+
+function renderTimeline() {
+  const windows = timeline.filter(w => w.phase !== 'closed').slice(0, 20);
+  elements.timelineCount.textContent = windows.length;
+
+  if (windows.length === 0) {
+    elements.timelineTbody.innerHTML = '<tr class="empty-row"><td colspan="4">No market windows</td></tr>';
+    return;
+  }
+
+  // Count down to the window's next transition
+  const nextEvent = (w) => {
+    if (w.phase === 'upcoming' || w.phase === 'warming') return ['Opens', w.start_date];
+    if (w.phase === 'open') return ['Cutoff', w.end_date && new Date(new Date(w.end_date) - settings.entry_cutoff_s * 1000)];
+    return ['Ends', w.end_date];
+  };
+
+  elements.timelineTbody.innerHTML = windows.map(w => {
+    const [label, at] = nextEvent(w);
+    return `
+      <tr>
+        <td title="${escapeHtml(w.question)}">${escapeHtml(w.asset || '')} ${escapeHtml(w.timeframe || '')} · ${escapeHtml((w.question || '').substring(0, 30))}</td>
+        <td>${formatTime(w.start_date)} – ${formatTime(w.end_date)}</td>
+        <td><span class="tag-phase ${w.phase}">${w.phase}</span></td>
+        <td>${at ? `${label} in ${formatCountdown(at)}` : '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
 function renderAlerts(alerts) {
   if (alerts.length === 0) {
     elements.alertsList.innerHTML = '<div class="empty-state">No alerts</div>';
@@ -380,7 +792,7 @@ function renderOrderBook(books) {
 
   const yesSpread = books.yes.best_ask && books.yes.best_bid ?
     ((books.yes.best_ask - books.yes.best_bid) * 100).toFixed(2) : '-';
-  elements.yesSpread.textContent = `Spread: ${yesSpread}%`;
+  elements.yesSpread.textContent = `Spread: ${yesSpread}%${formatFairValue('fair_yes')}`;
 
   // NO side
   elements.noAsks.innerHTML = (books.no.asks || []).slice(0, 5).reverse().map(o =>
@@ -393,7 +805,92 @@ function renderOrderBook(books) {
 
   const noSpread = books.no.best_ask && books.no.best_bid ?
     ((books.no.best_ask - books.no.best_bid) * 100).toFixed(2) : '-';
-  elements.noSpread.textContent = `Spread: ${noSpread}%`;
+  elements.noSpread.textContent = `Spread: ${noSpread}%${formatFairValue('fair_no')}`;
+}
+
+// Model fair value of the selected market's outcome, next to its spread
+function formatFairValue(key) {
+  return selectedFairValue ? ` | Fair: ${selectedFairValue[key].toFixed(3)}` : '';
+}
+
+async function loadFairValue() {
+  if (!selectedMarket) return;
+
+  try {
+    selectedFairValue = await API.getFairValue(selectedMarket.conditionId);
+  } catch (error) {
+    selectedFairValue = null;
+  }
+
+  if (selectedBooks) renderOrderBook(selectedBooks);
+}
+
+function renderBacktest(run) {
+  const s = run.summary;
+  elements.backtestId.textContent = `#${run.id}`;
+
+  elements.backtestSummary.innerHTML = `
+    <div>Trades: ${s.attempted} (${s.filled} filled, ${s.legged} legged)</div>
+    <div>Fill rate: ${(s.fill_rate * 100).toFixed(1)}%</div>
+    <div class="${s.total_pnl >= 0 ? 'positive' : 'negative'}">P&L: ${formatCurrency(s.total_pnl)} (${s.return_pct.toFixed(2)}%)</div>
+    <div>Max drawdown: ${formatCurrency(s.max_drawdown)} (${s.max_drawdown_pct.toFixed(2)}%)</div>
+  `;
+
+  renderEquityCurve(run.results.equity_curve);
+
+  const rows = run.results.markets.slice(0, 10);
+  elements.backtestMarkets.innerHTML = rows.length === 0 ?
+    '<tr class="empty-row"><td colspan="6">No trades</td></tr>' :
+    rows.map(m => `
+      <tr>
+        <td title="${escapeHtml(m.market_id)}">${escapeHtml(m.market_id.substring(0, 16))}...</td>
+        <td>${m.opportunities}</td>
+        <td>${m.attempted}</td>
+        <td>${m.filled}</td>
+        <td>${m.legged}</td>
+        <td class="${m.pnl >= 0 ? 'positive' : 'negative'}">${formatCurrency(m.pnl)}</td>
+      </tr>
+    `).join('');
+}
+
+async function pollBacktestJob(id) {
+  try {
+    const job = await API.getBacktestJob(id);
+
+    if (job.status === 'running') {
+      elements.backtestId.textContent = `Running ${(job.progress * 100).toFixed(0)}%`;
+      setTimeout(() => pollBacktestJob(id), 1000);
+    } else if (job.status === 'completed') {
+      renderBacktest(await API.getBacktest(job.backtest_id));
+      showToast('Backtest complete', 'success');
+    } else {
+      elements.backtestId.textContent = 'Failed';
+      showToast(`Backtest failed: ${job.error}`, 'error');
+    }
+  } catch (error) {
+    showToast('Backtest failed', 'error');
+  }
+}
+
+function renderEquityCurve(curve) {
+  if (!curve || curve.length < 2) {
+    elements.backtestChart.innerHTML = '';
+    return;
+  }
+
+  const width = 600;
+  const height = 160;
+  const values = curve.map(p => p.equity);
+  const min = Math.min(...values);
+  const range = (Math.max(...values) - min) || 1;
+
+  const points = values.map((v, i) => {
+    const x = (i / (values.length - 1)) * width;
+    const y = height - ((v - min) / range) * (height - 10) - 5;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  elements.backtestChart.innerHTML = `<polyline points="${points}" />`;
 }
 
 // ==================== EVENT HANDLERS ====================
@@ -418,39 +915,82 @@ function setupEventListeners() {
 
     const currencies = Array.from(elements.currenciesGroup.querySelectorAll('input:checked'))
       .map(cb => cb.value);
+    const timeframes = Array.from(elements.timeframesGroup.querySelectorAll('input:checked'))
+      .map(cb => cb.value);
 
     const newSettings = {
       position_size: parseFloat(elements.positionSize.value),
       profit_threshold: parseFloat(elements.profitThreshold.value) / 100,
       daily_loss_limit: parseFloat(elements.dailyLossLimit.value),
       max_open_positions: parseInt(elements.maxPositions.value),
+      max_drawdown: parseFloat(elements.maxDrawdown.value),
+      max_market_notional: parseFloat(elements.maxMarketNotional.value),
+      max_asset_notional: parseFloat(elements.maxAssetNotional.value),
+      max_window_notional: parseFloat(elements.maxWindowNotional.value),
+      max_consecutive_losses: parseInt(elements.maxConsecutiveLosses.value),
+      loss_cooldown_s: parseInt(elements.lossCooldown.value),
       auto_mode: elements.autoMode.value === '1',
+      paper_mode: elements.paperMode.value === '1',
+      execution_mode: elements.executionMode.value,
+      leg_timeout_ms: parseInt(elements.legTimeout.value),
+      max_pair_cost: parseFloat(elements.maxPairCost.value),
+      window_lead_s: parseInt(elements.windowLead.value),
+      entry_cutoff_s: parseInt(elements.entryCutoff.value),
       active_currencies: currencies,
+      active_timeframes: timeframes,
       scan_interval_ms: parseInt(elements.scanInterval.value) * 1000
     };
 
     try {
       await API.updateSettings(newSettings);
+      for (const { id, data } of readStrategySettings()) {
+        await API.updateStrategy(id, data);
+      }
       showToast('Settings saved', 'success');
-      await loadSettings();
+      await Promise.all([loadSettings(), loadStrategies(), loadStats()]);
     } catch (error) {
       showToast('Failed to save settings', 'error');
     }
   });
 
+  // Backtest form
+  elements.backtestForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const days = parseInt(elements.btDays.value) || 7;
+    const params = {
+      from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+      profit_threshold: parseFloat(elements.btThreshold.value) / 100,
+      position_size: parseFloat(elements.btSize.value),
+      latency_ms: parseInt(elements.btLatency.value),
+      slippage_bps: parseFloat(elements.btSlippage.value)
+    };
+
+    try {
+      const job = await API.runBacktest(params);
+      showToast('Running backtest...', 'info');
+      pollBacktestJob(job.id);
+    } catch (error) {
+      showToast(`Backtest failed: ${error.message}`, 'error');
+    }
+  });
+
   // Order book market select
   elements.orderbookSelect.addEventListener('change', async (e) => {
     const index = e.target.value;
     if (index === '') {
       selectedMarket = null;
+      selectedBooks = null;
+      selectedFairValue = null;
       renderOrderBook(null);
       return;
     }
 
     selectedMarket = markets[parseInt(index)];
+    selectedFairValue = selectedMarket.fair_value || null;
     try {
-      const books = await API.getOrderBook(selectedMarket.yesTokenId, selectedMarket.noTokenId);
-      renderOrderBook(books);
+      selectedBooks = await API.getOrderBook(selectedMarket.yesTokenId, selectedMarket.noTokenId);
+      renderOrderBook(selectedBooks);
     } catch (error) {
       showToast('Failed to load order book', 'error');
     }
@@ -469,6 +1009,10 @@ function setupEventListeners() {
   // Periodic refresh
   setInterval(loadStats, 30000);
   setInterval(loadBalance, 60000);
+  setInterval(renderTimeline, 1000);
+  setInterval(loadFairValue, 5000);
+  setInterval(loadPositions, 15000);
+  setInterval(loadRiskStatus, 15000);
 }
 
 // Global action functions
@@ -496,10 +1040,28 @@ async function rejectOpportunity(id) {
   }
 }
 
+async function toggleTradeOrders(id) {
+  if (tradeOrders.has(id)) {
+    tradeOrders.delete(id);
+  } else {
+    try {
+      tradeOrders.set(id, await API.getTradeOrders(id));
+    } catch (error) {
+      showToast('Failed to load orders', 'error');
+      return;
+    }
+  }
+  renderTrades(renderedTrades);
+}
+
 async function cancelTrade(id) {
   try {
-    await API.cancelTrade(id);
-    showToast('Trade cancelled', 'info');
+    const result = await API.cancelTrade(id);
+    if (result.success) {
+      showToast('Trade cancelled', 'info');
+    } else {
+      showToast(`Cancel failed: ${result.error}`, 'error');
+    }
     await loadTrades();
   } catch (error) {
     showToast('Failed to cancel trade', 'error');
@@ -520,6 +1082,13 @@ function formatTime(dateStr) {
   return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 }
 
+function formatCountdown(dateStr) {
+  const seconds = Math.max(0, Math.round((new Date(dateStr) - Date.now()) / 1000));
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text || '';
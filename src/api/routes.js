@@ -9,7 +9,55 @@ const polyClient = require('../core/polymarket-client');
 const marketScanner = require('../core/market-scanner');
 const opportunityDetector = require('../core/opportunity-detector');
 const orderExecutor = require('../core/order-executor');
+const orderLog = require('../core/order-log');
 const riskManager = require('../core/risk-manager');
+const backtester = require('../core/backtester');
+const scheduler = require('../core/scheduler');
+const referencePrices = require('../core/reference-prices');
+const positionTracker = require('../core/position-tracker');
+const requestScheduler = require('../core/request-scheduler');
+const strategies = require('../strategies');
+const marketMaker = require('../strategies/market-maker');
+
+/**
+ * All-time totals for a set of trades
+ */
+function summarizeTrades(trades) {
+  // Unwound and merged trades are closed out with realized P&L before resolution
+  const settledTrades = trades.filter(t => ['settled', 'unwound', 'merged'].includes(t.status));
+  const winningTrades = settledTrades.filter(t => t.actual_profit > 0);
+  const totalProfit = settledTrades.reduce((sum, t) => sum + (t.actual_profit || 0), 0);
+  const grossProfit = settledTrades.reduce((sum, t) => sum + (t.gross_profit ?? t.actual_profit ?? 0), 0);
+
+  return {
+    total_trades: trades.length,
+    settled_trades: settledTrades.length,
+    winning_trades: winningTrades.length,
+    win_rate: settledTrades.length > 0 ? (winningTrades.length / settledTrades.length * 100).toFixed(1) : 0,
+    total_profit: totalProfit,
+    gross_profit: grossProfit,
+    total_costs: grossProfit - totalProfit
+  };
+}
+
+/**
+ * Per-strategy totals, live and paper summarized separately like the overall stats
+ */
+function summarizeStrategies(trades) {
+  return strategies.getStrategies().map(strategy => {
+    const strategyTrades = trades.filter(t => (t.strategy_id || 'arbitrage') === strategy.strategy_id);
+
+    return {
+      strategy_id: strategy.strategy_id,
+      name: strategy.name,
+      enabled: strategy.enabled,
+      risk_budget: strategy.risk_budget,
+      open_exposure: strategy.open_exposure,
+      all_time: summarizeTrades(strategyTrades.filter(t => !t.paper)),
+      paper: summarizeTrades(strategyTrades.filter(t => t.paper))
+    };
+  });
+}
 
 /**
  * Setup all API routes
@@ -51,6 +99,31 @@ function setupRoutes(app, emitter) {
     }
   });
 
+  // ==================== STRATEGIES ====================
+
+  // Get strategies with their settings
+  router.get('/strategies', (req, res) => {
+    try {
+      res.json(strategies.getStrategies());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update a strategy's settings (enable toggle, risk budget, params)
+  router.put('/strategies/:id', async (req, res) => {
+    try {
+      const { enabled, risk_budget, params } = req.body;
+      const updated = await strategies.updateStrategy(req.params.id, { enabled, risk_budget, params });
+      if (!updated) {
+        return res.status(404).json({ error: 'Strategy not found' });
+      }
+      res.json(updated);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // ==================== TRADES ====================
 
   // Get all trades
@@ -82,12 +155,28 @@ function setupRoutes(app, emitter) {
       if (!trade) {
         return res.status(404).json({ error: 'Trade not found' });
       }
+      if (trade.trade_type === 'basket') {
+        trade.legs = db.tradeLegs.getByTrade(trade.id);
+      }
       res.json(trade);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Get a trade's orders and the timeline of their submissions, fills and cancels
+  router.get('/trades/:id/orders', (req, res) => {
+    try {
+      const trade = db.trades.getById(parseInt(req.params.id));
+      if (!trade) {
+        return res.status(404).json({ error: 'Trade not found' });
+      }
+      res.json({ trade_id: trade.id, ...orderLog.getTradeTimeline(trade.id) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Cancel trade
   router.post('/trades/:id/cancel', async (req, res) => {
     try {
@@ -113,7 +202,7 @@ function setupRoutes(app, emitter) {
   // Approve opportunity
   router.post('/opportunities/:id/approve', async (req, res) => {
     try {
-      const opportunity = db.pending.getById(parseInt(req.params.id));
+      let opportunity = db.pending.getById(parseInt(req.params.id));
       if (!opportunity) {
         return res.status(404).json({ error: 'Opportunity not found' });
       }
@@ -122,6 +211,19 @@ function setupRoutes(app, emitter) {
         return res.status(400).json({ error: 'Opportunity is not pending' });
       }
 
+      // The stored fair value is as old as the opportunity: re-price it now
+      if (opportunity.trade_type === 'directional' || opportunity.fair_yes != null) {
+        const market = await marketScanner.getMarketById(opportunity.market_id);
+        const fairValue = market ? referencePrices.getFairValue(market) : null;
+
+        opportunity = {
+          ...opportunity,
+          fair_yes: fairValue?.fair_yes ?? null,
+          fair_no: fairValue?.fair_no ?? null,
+          reference_price: fairValue?.spot ?? null
+        };
+      }
+
       // Check risk
       const riskCheck = await riskManager.canTrade(opportunity);
       if (!riskCheck.allowed) {
@@ -155,13 +257,70 @@ function setupRoutes(app, emitter) {
     }
   });
 
+  // Get the market maker's live quotes and inventory per market
+  router.get('/quotes', (req, res) => {
+    try {
+      res.json(marketMaker.getSessions());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== POSITIONS ====================
+
+  // Get held outcome tokens, marked to market, with totals per market and asset
+  router.get('/positions', (req, res) => {
+    try {
+      res.json(positionTracker.getPositionSummary());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // ==================== MARKETS ====================
 
+  // Get the market window timeline (upcoming, open and recently closed)
+  router.get('/timeline', (req, res) => {
+    try {
+      res.json(scheduler.getTimeline());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Get target markets
   router.get('/markets', async (req, res) => {
     try {
       const markets = await marketScanner.scanMarkets();
-      res.json(markets);
+      res.json(markets.map(market => ({ ...market, fair_value: referencePrices.getFairValue(market) })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Latest detector evaluation of every open market: best asks and model fair value
+  router.get('/evaluations', (req, res) => {
+    try {
+      res.json(opportunityDetector.getEvaluations());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Model fair value of an up/down market from the reference price feed
+  router.get('/markets/:conditionId/fair-value', (req, res) => {
+    try {
+      const row = db.markets.getByConditionId(req.params.conditionId);
+      if (!row) {
+        return res.status(404).json({ error: 'Market not found' });
+      }
+
+      res.json(referencePrices.getFairValue({
+        conditionId: row.condition_id,
+        asset: row.asset,
+        startDate: row.start_date,
+        endDate: row.end_date
+      }));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -213,29 +372,20 @@ function setupRoutes(app, emitter) {
   router.get('/stats', async (req, res) => {
     try {
       const today = new Date().toISOString().split('T')[0];
-      const todayPnL = db.pnl.getToday();
+      const todayPnL = db.pnl.getToday(db.settings.get().paper_mode);
       const activeTrades = db.trades.getActive();
       const allTrades = db.trades.getAll(1000, 0);
 
-      // Calculate totals
-      const totalTrades = allTrades.length;
-      const settledTrades = allTrades.filter(t => t.status === 'settled');
-      const winningTrades = settledTrades.filter(t => t.actual_profit > 0);
-      const totalProfit = settledTrades.reduce((sum, t) => sum + (t.actual_profit || 0), 0);
-
       res.json({
         today: {
           date: today,
           trades: todayPnL?.total_trades || 0,
-          pnl: todayPnL?.realized_pnl || 0
-        },
-        all_time: {
-          total_trades: totalTrades,
-          settled_trades: settledTrades.length,
-          winning_trades: winningTrades.length,
-          win_rate: settledTrades.length > 0 ? (winningTrades.length / settledTrades.length * 100).toFixed(1) : 0,
-          total_profit: totalProfit
+          pnl: todayPnL?.realized_pnl || 0,
+          unrealized_pnl: todayPnL?.unrealized_pnl || 0
         },
+        all_time: summarizeTrades(allTrades.filter(t => !t.paper)),
+        paper: summarizeTrades(allTrades.filter(t => t.paper)),
+        strategies: summarizeStrategies(allTrades),
         active_positions: activeTrades.length,
         pending_opportunities: db.pending.getPending().length
       });
@@ -244,17 +394,19 @@ function setupRoutes(app, emitter) {
     }
   });
 
-  // Get P&L history
+  // Get P&L history (of the current mode unless ?paper=true|false)
   router.get('/stats/pnl', (req, res) => {
     try {
       const days = parseInt(req.query.days) || 30;
+      const paper = req.query.paper != null ? req.query.paper === 'true' : db.settings.get().paper_mode;
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
       const endDate = new Date();
 
       const pnl = db.pnl.getRange(
         startDate.toISOString().split('T')[0],
-        endDate.toISOString().split('T')[0]
+        endDate.toISOString().split('T')[0],
+        paper
       );
       res.json(pnl);
     } catch (error) {
@@ -282,6 +434,73 @@ function setupRoutes(app, emitter) {
     }
   });
 
+  // Get recent risk rejections with the limit that fired
+  router.get('/risk/rejections', (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 100;
+      res.json(db.riskRejections.getRecent(limit));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get request scheduler queue depth per lane, retries and budget levels
+  router.get('/requests', (req, res) => {
+    try {
+      res.json(requestScheduler.getMetrics());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== BACKTESTS ====================
+
+  // Start a backtest over recorded order books (poll /backtests/jobs/:id)
+  router.post('/backtests', (req, res) => {
+    try {
+      const job = backtester.startJob(req.body || {});
+      res.status(202).json(job);
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // Get the status of a backtest job
+  router.get('/backtests/jobs/:id', (req, res) => {
+    try {
+      const job = backtester.getJob(parseInt(req.params.id));
+      if (!job) {
+        return res.status(404).json({ error: 'Backtest job not found' });
+      }
+      res.json(job);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get recent backtest runs (summaries only)
+  router.get('/backtests', (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      res.json(db.backtests.getAll(limit));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get a single backtest run with full results
+  router.get('/backtests/:id', (req, res) => {
+    try {
+      const run = db.backtests.getById(parseInt(req.params.id));
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
+      }
+      res.json(run);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // ==================== ALERTS ====================
 
   // Get alerts
@@ -0,0 +1,88 @@
+/**
+ * Backtest CLI
+ * Replays recorded order books and prints per-market and aggregate results
+ *
+ * Usage:
+ *   npm run backtest -- [--from 2026-10-01] [--to 2026-10-08] [--threshold 0.01]
+ *                       [--size 5] [--latency 500] [--slippage 10] [--balance 100]
+ *                       [--market <conditionId>] [--depth]
+ */
+
+const db = require('../database');
+const backtester = require('../core/backtester');
+
+// CLI flag -> backtest parameter
+const FLAGS = {
+  '--from': 'from',
+  '--to': 'to',
+  '--threshold': 'profit_threshold',
+  '--size': 'position_size',
+  '--latency': 'latency_ms',
+  '--slippage': 'slippage_bps',
+  '--balance': 'starting_balance'
+};
+
+/**
+ * Parse command line arguments into backtest parameters
+ */
+function parseArgs(argv) {
+  const params = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--depth') {
+      params.use_depth = true;
+    } else if (arg === '--market') {
+      params.market_ids = (params.market_ids || []).concat(argv[++i]);
+    } else if (FLAGS[arg]) {
+      params[FLAGS[arg]] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    const params = parseArgs(process.argv.slice(2));
+
+    db.initDatabase();
+    const run = await backtester.runAndSave(params);
+    const { summary, results } = run;
+
+    console.log('='.repeat(50));
+    console.log(`Backtest #${run.id}: ${run.params.from} -> ${run.params.to}`);
+    console.log('='.repeat(50));
+
+    console.table(results.markets.map(m => ({
+      market: m.market_id.substring(0, 20),
+      opportunities: m.opportunities,
+      attempted: m.attempted,
+      filled: m.filled,
+      legged: m.legged,
+      pnl: m.pnl.toFixed(4)
+    })));
+
+    console.log(`Ticks replayed:  ${summary.ticks}`);
+    console.log(`Opportunities:   ${summary.opportunities}`);
+    console.log(`Trades:          ${summary.attempted} (filled ${summary.filled}, legged ${summary.legged}, missed ${summary.missed})`);
+    console.log(`Fill rate:       ${(summary.fill_rate * 100).toFixed(1)}%`);
+    console.log(`Total P&L:       $${summary.total_pnl.toFixed(4)} (${summary.return_pct.toFixed(2)}%)`);
+    console.log(`Max drawdown:    $${summary.max_drawdown.toFixed(4)} (${summary.max_drawdown_pct.toFixed(2)}%)`);
+
+    if (Object.keys(results.rejections).length > 0) {
+      console.log('Risk rejections:', results.rejections);
+    }
+  } catch (error) {
+    console.error('[Backtest] Failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -9,13 +9,29 @@ const config = {
   // Polymarket settings
   polymarket: {
     host: 'https://clob.polymarket.com',
+    wsHost: 'wss://ws-subscriptions-clob.polymarket.com/ws',
     chainId: 137, // Polygon mainnet
     privateKey: process.env.POLY_PRIVATE_KEY || '',
     funderAddress: process.env.POLY_FUNDER_ADDRESS || '',
     apiKey: process.env.POLY_API_KEY || '',
     secret: process.env.POLY_SECRET || '',
     passphrase: process.env.POLY_PASSPHRASE || '',
-    signatureType: 1 // POLY_GNOSIS_SAFE
+    // Wallet that holds the funds: 0 = EOA, 1 = Polymarket proxy, 2 = Gnosis Safe
+    signatureType: parseInt(process.env.POLY_SIGNATURE_TYPE ?? '1', 10)
+  },
+
+  // Conditional Tokens Framework (on-chain merges and redemptions)
+  // Point POLY_RPC_URL at a local Hardhat/Anvil fork of Polygon to test
+  ctf: {
+    rpcUrl: process.env.POLY_RPC_URL || 'https://polygon-rpc.com',
+    address: '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045',
+    negRiskAdapterAddress: '0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296',
+    proxyFactoryAddress: '0xaB45c5A4B0c941a2F231C04C3f49182e1A254052',
+    collateralAddress: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', // USDC.e
+    autoMerge: process.env.MERGE_POSITIONS !== 'false',
+    mergeIntervalMs: 30000,
+    redeemIntervalMs: 60000,
+    confirmations: 1
   },
 
   // Server settings
@@ -38,17 +54,143 @@ const config = {
     dailyLossLimit: 50.0,     // $ max daily loss
     maxOpenPositions: 10,
     activeCurrencies: ['BTC', 'ETH'],
-    scanIntervalMs: 60000     // 60 seconds (scanning takes time)
+    activeTimeframes: ['15m'],
+    scanIntervalMs: 60000,    // 60 seconds (scanning takes time)
+    reconcileIntervalMs: 15000, // Order status polling for active trades
+    settlementIntervalMs: 60000 // Resolution polling for filled trades
+  },
+
+  // Fee model (per-market rates come from the CLOB/Gamma market payloads)
+  fees: {
+    defaultTakerBps: parseFloat(process.env.DEFAULT_TAKER_FEE_BPS) || 0, // When a payload has no rate
+    makerRebateBps: parseFloat(process.env.MAKER_REBATE_BPS) || 0,        // Rebate on resting fills
+    settlementCost: parseFloat(process.env.SETTLEMENT_COST_USD) || 0      // Gas/relayer $ per merge or redeem
+  },
+
+  // Real-time market data
+  marketData: {
+    enabled: process.env.MARKET_STREAM !== 'false',
+    evaluateThrottleMs: 250,   // Min time between detector runs per market
+    snapshotIntervalMs: 5000   // Min time between order book snapshots per market from streamed books
+  },
+
+  // Outbound CLOB and Gamma requests: token buckets per endpoint and per host
+  // Budgets follow Polymarket's published rate limits (requests per 10s); lower them for headroom
+  requestScheduler: {
+    maxRetries: 4,      // On 429 and 5xx (orders only retry on 429)
+    retryBaseMs: 500,   // Backoff ceiling doubles per attempt, with full jitter
+    retryMaxMs: 10000,
+    budgets: {
+      clob: { limit: 5000, intervalMs: 10000 },
+      'clob:book': { limit: 200, intervalMs: 10000 },
+      'clob:books': { limit: 80, intervalMs: 10000 },
+      'clob:markets': { limit: 50, intervalMs: 10000 },
+      'clob:market-info': { limit: 200, intervalMs: 10000 },
+      'clob:post-order': { limit: 2400, intervalMs: 10000 },
+      'clob:cancel': { limit: 2400, intervalMs: 10000 },
+      'clob:cancel-all': { limit: 200, intervalMs: 10000 },
+      'clob:orders': { limit: 500, intervalMs: 10000 },
+      'clob:trades': { limit: 500, intervalMs: 10000 },
+      'clob:balance': { limit: 125, intervalMs: 10000 },
+      gamma: { limit: 4000, intervalMs: 10000 },
+      'gamma:events': { limit: 100, intervalMs: 10000 },
+      'gamma:markets': { limit: 125, intervalMs: 10000 },
+      'data-api': { limit: 1000, intervalMs: 10000 },
+      'data-api:positions': { limit: 100, intervalMs: 10000 }
+    }
+  },
+
+  // Circuit breakers on CLOB health and market data freshness (soft pause, not the kill switch)
+  health: {
+    checkIntervalMs: 5000,
+    windowMs: 60000,        // Calls are judged over this rolling window
+    minCalls: 10,           // Error rate and latency need this many calls in the window
+    maxErrorRate: 0.5,
+    maxRateLimited: 5,      // 429 responses in the window
+    maxLatencyMs: 5000,     // p90 call latency
+    staleBookMs: 120000,    // Max time a token in use goes without a live stream behind its book
+    resumeAfterMs: 60000    // Healthy this long before trading resumes
+  },
+
+  // Inventory and mark-to-market
+  positions: {
+    refreshIntervalMs: 15000, // Re-mark held tokens against current books
+    eventDelayMs: 1000        // Refresh this long after a fill, merge or settlement
+  },
+
+  // Risk rejection log
+  riskRejections: {
+    logIntervalMs: 60000,           // Min time between logged rejections per strategy, market and limit
+    cleanupIntervalMs: 60 * 60 * 1000 // Prune rows older than a week this often
+  },
+
+  // Reference (spot) prices for fair-valuing up/down markets
+  referencePrices: {
+    source: process.env.REFERENCE_PRICE_SOURCE || 'binance', // 'binance', 'file' or 'none'
+    file: process.env.REFERENCE_PRICE_FILE || '',             // For the file source
+    replaySpeed: parseFloat(process.env.REFERENCE_REPLAY_SPEED) || 1,
+    binanceUrl: 'wss://stream.binance.com:9443/stream',
+    symbols: {
+      BTC: 'btcusdt',
+      ETH: 'ethusdt',
+      SOL: 'solusdt',
+      XRP: 'xrpusdt',
+      DOGE: 'dogeusdt',
+      ADA: 'adausdt'
+    },
+    staleMs: 30000,                  // Spot older than this gives no fair value
+    openToleranceMs: 5000,           // Max lag of the first price after a window opens
+    volLookbackMs: 60 * 60 * 1000,   // Realized volatility window
+    minVolSamples: 30,               // Below this, use the default volatility
+    defaultAnnualVol: 0.6
+  },
+
+  // Market window lifecycle (lead time and entry cutoff are in settings)
+  scheduler: {
+    tickMs: 1000,
+    detectionIntervalMs: 5000,         // Detection cadence while a window is open
+    closedRetentionMs: 5 * 60 * 1000,  // Closed windows stay on the timeline this long
+    settlementQueueIntervalMs: 5000,   // How often queued settlement checks are looked at
+    settlementDelayMs: 30000,          // First settlement check after a window closes
+    settlementRetryMs: 30000,          // Back-off step between later checks
+    settlementMaxAttempts: 10
+  },
+
+  // Entry execution (leg timeout and max pair cost are in settings)
+  execution: {
+    unwindMaxLoss: 0.5 // Unwinds sell no lower than the entry price less this fraction of it
+  },
+
+  // Market making strategy (quote parameters are in strategy_settings)
+  marketMaker: {
+    refreshIntervalMs: 5000,  // Fill polling and re-quoting when books are quiet
+    defaultTickSize: 0.01     // When a book does not report its tick size
+  },
+
+  // Backtesting
+  backtest: {
+    recordDepth: process.env.RECORD_BOOK_DEPTH === 'true', // Store full ladders alongside snapshots
+    startingBalance: 100.0,
+    latencyMs: 500,
+    slippageBps: 0
   },
 
-  // Market filter patterns for 15-min crypto markets
-  marketFilters: {
-    timeframePatterns: [
-      /15[\s-]?min/i,
-      /15m/i,
-      /fifteen.?minute/i
-    ],
-    cryptoKeywords: ['BTC', 'ETH', 'SOL', 'DOGE', 'XRP', 'ADA', 'MATIC', 'AVAX', 'LINK', 'DOT']
+  // Market discovery (recurring crypto up/down windows on Gamma)
+  discovery: {
+    tagSlug: 'crypto',
+    syncIntervalMs: 30000,               // Incremental catalog sync
+    reconcileIntervalMs: 15 * 60 * 1000, // Full re-listing of the horizon
+    horizonMs: 26 * 60 * 60 * 1000, // List events ending within this window (covers daily markets)
+    slugLookahead: 1,               // Upcoming windows probed by slug, besides the current one
+    // Asset -> [ticker slug, name slug] as used in event slugs and titles
+    assets: {
+      BTC: ['btc', 'bitcoin'],
+      ETH: ['eth', 'ethereum'],
+      SOL: ['sol', 'solana'],
+      XRP: ['xrp'],
+      DOGE: ['doge', 'dogecoin'],
+      ADA: ['ada', 'cardano']
+    }
   }
 };
 
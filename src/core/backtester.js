@@ -0,0 +1,478 @@
+/**
+ * Backtester
+ * Replays recorded order book snapshots (or full-depth captures) through the
+ * opportunity detector and risk limits with latency and slippage assumptions
+ */
+
+const opportunityDetector = require('./opportunity-detector');
+const riskManager = require('./risk-manager');
+const feeModel = require('./fee-model');
+const db = require('../database');
+const config = require('../config');
+
+// YES and NO books of the same scan are written a few ms apart
+const TICK_GROUPING_MS = 2000;
+
+// Ticks replayed between yields to the event loop
+const YIELD_EVERY_TICKS = 500;
+
+// Finished jobs kept for polling
+const JOB_RETENTION = 20;
+
+// Backtest jobs by ID
+const jobs = new Map();
+let nextJobId = 1;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value (UTC)
+ */
+function parseTimestamp(value) {
+  return new Date(value.replace(' ', 'T') + 'Z').getTime();
+}
+
+/**
+ * Format a date for comparison against SQLite timestamps
+ */
+function toSqliteTimestamp(date) {
+  return new Date(date).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Build an order book from a top-of-book snapshot
+ * Depth is the $ value of the top 5 levels, so it is spread over the best price
+ */
+function snapshotToBook(row) {
+  return {
+    bids: row.best_bid ? [{ price: row.best_bid, size: row.bid_depth / row.best_bid }] : [],
+    asks: row.best_ask ? [{ price: row.best_ask, size: row.ask_depth / row.best_ask }] : []
+  };
+}
+
+/**
+ * Build an order book from a full-depth capture, best levels first
+ */
+function depthToBook(row) {
+  const parse = levels => levels.map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }));
+  return {
+    bids: parse(row.bids).sort((a, b) => b.price - a.price),
+    asks: parse(row.asks).sort((a, b) => a.price - b.price)
+  };
+}
+
+/**
+ * Fill in defaults for a backtest run
+ */
+function normalizeParams(params = {}) {
+  const settings = db.settings.get();
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from ? new Date(params.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    market_ids: params.market_ids?.length ? params.market_ids : null,
+    use_depth: Boolean(params.use_depth),
+    profit_threshold: parseFloat(params.profit_threshold ?? settings.profit_threshold),
+    position_size: parseFloat(params.position_size ?? settings.position_size),
+    latency_ms: parseInt(params.latency_ms ?? config.backtest.latencyMs, 10),
+    slippage_bps: parseFloat(params.slippage_bps ?? config.backtest.slippageBps),
+    starting_balance: parseFloat(params.starting_balance ?? config.backtest.startingBalance),
+    max_open_positions: parseInt(params.max_open_positions ?? settings.max_open_positions, 10),
+    daily_loss_limit: parseFloat(params.daily_loss_limit ?? settings.daily_loss_limit)
+  };
+}
+
+/**
+ * Load recorded books and group them into per-market ticks holding both YES and NO
+ */
+function loadTicks(options) {
+  const from = toSqliteTimestamp(options.from);
+  const to = toSqliteTimestamp(options.to);
+  const rows = options.use_depth
+    ? db.snapshots.getDepthRange(from, to, options.market_ids)
+    : db.snapshots.getRange(from, to, options.market_ids);
+
+  const ticks = [];
+  const lastTick = new Map();
+
+  for (const row of rows) {
+    const time = parseTimestamp(row.snapshot_at || row.captured_at);
+    const side = row.token_type === 'YES' ? 'yes' : 'no';
+    const book = options.use_depth ? depthToBook(row) : snapshotToBook(row);
+
+    let tick = lastTick.get(row.market_id);
+    if (!tick || tick[side] || time - tick.time > TICK_GROUPING_MS) {
+      tick = { marketId: row.market_id, time, yes: null, no: null, yesTokenId: null, noTokenId: null };
+      lastTick.set(row.market_id, tick);
+      ticks.push(tick);
+    }
+
+    tick[side] = book;
+    tick[`${side}TokenId`] = row.token_id;
+  }
+
+  return ticks.filter(t => t.yes && t.no);
+}
+
+/**
+ * Latest tick for a market at or before a point in time
+ */
+function tickAt(marketTicks, time) {
+  let result = null;
+  for (const tick of marketTicks) {
+    if (tick.time > time) break;
+    result = tick;
+  }
+  return result;
+}
+
+/**
+ * Asks left on a recorded book after our earlier fills
+ * Shares taken at a price stay taken while the recorded level keeps the size
+ * it had when we took them; once the level changes the book has moved on
+ * @param {Object} book
+ * @param {string} tokenId
+ * @param {Map} taken - token:price -> { size, shares }
+ */
+function remainingBook(book, tokenId, taken) {
+  const asks = [];
+
+  for (const level of book.asks) {
+    const key = `${tokenId}:${level.price}`;
+    const entry = taken.get(key);
+
+    if (entry && entry.size !== level.size) taken.delete(key);
+    const size = taken.has(key) ? level.size - entry.shares : level.size;
+    if (size > 0) asks.push({ price: level.price, size, recordedSize: level.size });
+  }
+
+  return { bids: book.bids, asks };
+}
+
+/**
+ * Simulate a limit buy at the opportunity price against the book seen after latency
+ * Walks the asks up to the limit and returns the volume-weighted fill price;
+ * the shares taken are recorded so later ticks cannot fill against them again
+ */
+function simulateLeg(limitPrice, shares, book, slippageBps, tokenId, taken) {
+  let filled = 0;
+  let notional = 0;
+
+  for (const level of book.asks) {
+    const price = level.price * (1 + slippageBps / 10000);
+    if (price > limitPrice || filled >= shares) break;
+
+    const size = Math.min(level.size, shares - filled);
+    filled += size;
+    notional += size * price;
+
+    const key = `${tokenId}:${level.price}`;
+    const entry = taken.get(key);
+    taken.set(key, { size: level.recordedSize, shares: (entry ? entry.shares : 0) + size });
+  }
+
+  return { filled, price: filled > 0 ? notional / filled : null };
+}
+
+/**
+ * Yield to the event loop so a long replay does not block the API
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Run a backtest over recorded books
+ * Several trades can be open on a market at once; each takes the liquidity it
+ * filled against out of the recorded books. Equity is sampled on every fill and
+ * every close, with open positions marked at their payout (matched pairs) or
+ * the token's best bid (unmatched shares).
+ * @param {Object} params
+ * @param {Function} [onProgress] - Called with (replayed, total) ticks
+ */
+async function runBacktest(params = {}, onProgress = null) {
+  const options = normalizeParams(params);
+  const ticks = loadTicks(options);
+
+  const settings = {
+    ...db.settings.get(),
+    kill_switch: false,
+    profit_threshold: options.profit_threshold,
+    position_size: options.position_size,
+    max_open_positions: options.max_open_positions,
+    daily_loss_limit: options.daily_loss_limit
+  };
+
+  const ticksByMarket = new Map();
+  for (const tick of ticks) {
+    if (!ticksByMarket.has(tick.marketId)) ticksByMarket.set(tick.marketId, []);
+    ticksByMarket.get(tick.marketId).push(tick);
+  }
+
+  const marketStats = new Map();
+  const rejections = {};
+  const dailyPnL = new Map();
+  const equityCurve = [];
+  const taken = new Map();
+  let openPositions = [];
+
+  let balance = options.starting_balance;
+  let peak = balance;
+  let maxDrawdown = 0;
+  const totals = { opportunities: 0, attempted: 0, filled: 0, legged: 0, missed: 0 };
+
+  const getStats = (marketId) => {
+    if (!marketStats.has(marketId)) {
+      marketStats.set(marketId, { market_id: marketId, opportunities: 0, attempted: 0, filled: 0, legged: 0, pnl: 0 });
+    }
+    return marketStats.get(marketId);
+  };
+
+  // Balance plus open positions at their marks
+  const sampleEquity = (time) => {
+    const equity = balance + openPositions.reduce((sum, p) => sum + p.value, 0);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    equityCurve.push({ time: new Date(time).toISOString(), equity });
+  };
+
+  // Release capital and book P&L for positions whose market has no more data
+  const closePositions = (time) => {
+    const closing = openPositions.filter(p => p.closesAt <= time);
+
+    for (const position of closing) {
+      openPositions = openPositions.filter(p => p !== position);
+      balance += position.cost + position.pnl;
+      getStats(position.marketId).pnl += position.pnl;
+
+      const day = new Date(position.closesAt).toISOString().split('T')[0];
+      dailyPnL.set(day, (dailyPnL.get(day) || 0) + position.pnl);
+
+      sampleEquity(position.closesAt);
+    }
+  };
+
+  // Value of a position: $1 per matched pair after settlement, excess shares at the bid
+  const markValue = (matched, yesExcess, noExcess, book) =>
+    (matched > 0 ? matched - feeModel.settlementCost() : 0) +
+    yesExcess * (book.yes.bids[0]?.price || 0) +
+    noExcess * (book.no.bids[0]?.price || 0);
+
+  equityCurve.push({ time: options.from, equity: balance });
+
+  for (let i = 0; i < ticks.length; i++) {
+    if (i > 0 && i % YIELD_EVERY_TICKS === 0) {
+      if (onProgress) onProgress(i, ticks.length);
+      await yieldToEventLoop();
+    }
+
+    const tick = ticks[i];
+    closePositions(tick.time);
+
+    const market = {
+      conditionId: tick.marketId,
+      question: tick.marketId,
+      yesTokenId: tick.yesTokenId,
+      noTokenId: tick.noTokenId
+    };
+
+    const yesBook = remainingBook(tick.yes, tick.yesTokenId, taken);
+    const noBook = remainingBook(tick.no, tick.noTokenId, taken);
+
+    const opportunity = opportunityDetector.evaluateBooks(market, yesBook, noBook, settings);
+    if (!opportunity) continue;
+
+    const stats = getStats(tick.marketId);
+    stats.opportunities++;
+    totals.opportunities++;
+
+    const day = new Date(tick.time).toISOString().split('T')[0];
+    const risk = riskManager.evaluateRiskLimits(opportunity, settings, {
+      dailyPnL: dailyPnL.get(day) || 0,
+      openPositions: openPositions.length,
+      balance
+    });
+
+    if (!risk.allowed) {
+      rejections[risk.limit] = (rejections[risk.limit] || 0) + 1;
+      continue;
+    }
+
+    stats.attempted++;
+    totals.attempted++;
+
+    // Orders reach the book after the configured latency
+    const marketTicks = ticksByMarket.get(tick.marketId);
+    const execution = tickAt(marketTicks, tick.time + options.latency_ms) || tick;
+    const shares = opportunity.shares;
+
+    const yes = simulateLeg(opportunity.yes_price, shares,
+      remainingBook(execution.yes, tick.yesTokenId, taken), options.slippage_bps, tick.yesTokenId, taken);
+    const no = simulateLeg(opportunity.no_price, shares,
+      remainingBook(execution.no, tick.noTokenId, taken), options.slippage_bps, tick.noTokenId, taken);
+
+    if (yes.filled === 0 && no.filled === 0) {
+      totals.missed++;
+      continue;
+    }
+
+    // Matched shares pay $1 whichever side wins; the excess on one leg is
+    // exited at that token's last recorded best bid
+    const matched = Math.min(yes.filled, no.filled);
+    const last = marketTicks[marketTicks.length - 1];
+    let pnl = matched > 0 ? matched * (1 - yes.price - no.price) - feeModel.settlementCost() : 0;
+    const fees =
+      feeModel.tradeFee(yes.filled, yes.price || 0, opportunity.fee_rate_bps) +
+      feeModel.tradeFee(no.filled, no.price || 0, opportunity.fee_rate_bps);
+    const cost = yes.filled * (yes.price || 0) + no.filled * (no.price || 0) + fees;
+    pnl -= fees;
+
+    if (yes.filled > matched) {
+      const exitBid = last.yes.bids[0]?.price || 0;
+      pnl += (yes.filled - matched) * (exitBid - yes.price);
+    }
+    if (no.filled > matched) {
+      const exitBid = last.no.bids[0]?.price || 0;
+      pnl += (no.filled - matched) * (exitBid - no.price);
+    }
+
+    if (matched > 0 && yes.filled === no.filled) {
+      stats.filled++;
+      totals.filled++;
+    } else {
+      stats.legged++;
+      totals.legged++;
+    }
+
+    balance -= cost;
+    openPositions.push({
+      marketId: tick.marketId,
+      closesAt: last.time,
+      cost,
+      pnl,
+      value: markValue(matched, yes.filled - matched, no.filled - matched, execution)
+    });
+    sampleEquity(execution.time);
+  }
+
+  closePositions(Infinity);
+  if (onProgress) onProgress(ticks.length, ticks.length);
+
+  const totalPnL = balance - options.starting_balance;
+
+  return {
+    params: options,
+    summary: {
+      ticks: ticks.length,
+      markets: ticksByMarket.size,
+      opportunities: totals.opportunities,
+      attempted: totals.attempted,
+      filled: totals.filled,
+      legged: totals.legged,
+      missed: totals.missed,
+      fill_rate: totals.attempted > 0 ? totals.filled / totals.attempted : 0,
+      total_pnl: totalPnL,
+      return_pct: options.starting_balance > 0 ? totalPnL / options.starting_balance * 100 : 0,
+      max_drawdown: maxDrawdown,
+      max_drawdown_pct: peak > 0 ? maxDrawdown / peak * 100 : 0,
+      final_balance: balance
+    },
+    results: {
+      markets: Array.from(marketStats.values()).sort((a, b) => b.pnl - a.pnl),
+      equity_curve: equityCurve,
+      rejections
+    }
+  };
+}
+
+/**
+ * Run a backtest and store the results
+ */
+async function runAndSave(params = {}, onProgress = null) {
+  console.log('[Backtest] Running backtest...');
+  const run = await runBacktest(params, onProgress);
+
+  console.log(`[Backtest] ${run.summary.attempted} trades over ${run.summary.markets} markets, P&L: $${run.summary.total_pnl.toFixed(4)}`);
+
+  return db.backtests.create(run);
+}
+
+/**
+ * Public view of a job
+ */
+function jobView(job) {
+  return { ...job };
+}
+
+/**
+ * Drop the oldest finished jobs beyond the retention limit
+ */
+function pruneJobs() {
+  const finished = Array.from(jobs.values()).filter(j => j.status === 'completed' || j.status === 'failed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - JOB_RETENTION))) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Start a backtest in the background, one at a time
+ * Poll getJob() until it is completed (backtest_id set) or failed (error set)
+ * @returns {Object} The started job
+ */
+function startJob(params = {}) {
+  if (Array.from(jobs.values()).some(j => j.status === 'running')) {
+    throw new Error('A backtest is already running');
+  }
+
+  const job = {
+    id: nextJobId++,
+    status: 'running',
+    progress: 0,
+    ticks: null,
+    backtest_id: null,
+    error: null,
+    started_at: new Date().toISOString(),
+    finished_at: null
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (replayed, total) => {
+    job.ticks = total;
+    job.progress = total > 0 ? replayed / total : 1;
+  };
+
+  // Start on the next turn so the request that queued it is answered first
+  yieldToEventLoop()
+    .then(() => runAndSave(params, onProgress))
+    .then(run => {
+      job.status = 'completed';
+      job.progress = 1;
+      job.backtest_id = run.id;
+    })
+    .catch(error => {
+      console.error('[Backtest] Failed:', error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      job.finished_at = new Date().toISOString();
+      pruneJobs();
+    });
+
+  return jobView(job);
+}
+
+/**
+ * Get a backtest job by ID
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? jobView(job) : null;
+}
+
+module.exports = {
+  runBacktest,
+  runAndSave,
+  startJob,
+  getJob
+};
@@ -0,0 +1,231 @@
+/**
+ * CTF Wallet
+ * On-chain access to the Conditional Tokens positions held by the trading wallet
+ * Calls are sent from the wallet that holds the positions: the signer itself,
+ * a Polymarket proxy wallet, or a Gnosis Safe owned by the signer
+ */
+
+const { Contract, providers, utils, constants } = require('ethers');
+const polyClient = require('./polymarket-client');
+const config = require('../config');
+
+const CTF_ABI = [
+  'function mergePositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] partition, uint256 amount)',
+  'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+  'function balanceOf(address owner, uint256 id) view returns (uint256)',
+  'function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)',
+  'function payoutDenominator(bytes32 conditionId) view returns (uint256)'
+];
+
+const NEG_RISK_ADAPTER_ABI = [
+  'function mergePositions(bytes32 conditionId, uint256 amount)',
+  'function redeemPositions(bytes32 conditionId, uint256[] amounts)'
+];
+
+const PROXY_FACTORY_ABI = [
+  'function proxy(tuple(uint8 typeCode, address to, uint256 value, bytes data)[] calls) payable returns (bytes[] returnValues)'
+];
+
+const SAFE_ABI = [
+  'function nonce() view returns (uint256)',
+  'function getTransactionHash(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, uint256 _nonce) view returns (bytes32)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)'
+];
+
+const ctfInterface = new utils.Interface(CTF_ABI);
+const negRiskInterface = new utils.Interface(NEG_RISK_ADAPTER_ABI);
+
+// CLOB signature types (which kind of wallet holds the funds)
+const SIGNATURE_TYPE = { EOA: 0, POLY_PROXY: 1, POLY_GNOSIS_SAFE: 2 };
+
+// Proxy wallet call type for a plain CALL
+const PROXY_CALL = 1;
+
+// Conditional tokens and USDC.e both use 6 decimals
+const TOKEN_DECIMALS = 6;
+
+// Binary markets split into index sets 0b01 (YES) and 0b10 (NO)
+const BINARY_PARTITION = [1, 2];
+
+let contracts = null;
+
+/**
+ * Connect the contracts to the configured RPC with the client's signer
+ */
+function connectContracts() {
+  const provider = new providers.JsonRpcProvider(config.ctf.rpcUrl);
+  const signer = polyClient.getSigner().connect(provider);
+  const holder = config.polymarket.funderAddress || signer.address;
+
+  return {
+    signer,
+    holder,
+    ctf: new Contract(config.ctf.address, CTF_ABI, signer),
+    proxyFactory: new Contract(config.ctf.proxyFactoryAddress, PROXY_FACTORY_ABI, signer),
+    safe: new Contract(holder, SAFE_ABI, signer)
+  };
+}
+
+/**
+ * Get the contract set, connecting on first use
+ */
+function getContracts() {
+  if (!contracts) {
+    contracts = connectContracts();
+  }
+  return contracts;
+}
+
+/**
+ * Replace the contract set (mocked contracts, or a Hardhat/Anvil fork signer)
+ * @param {Object|null} overrides - { signer, holder, ctf, proxyFactory, safe }; null reconnects on next use
+ */
+function setContracts(overrides) {
+  contracts = overrides;
+}
+
+/**
+ * Convert a share count to on-chain units, rounding down
+ */
+function toUnits(shares) {
+  return utils.parseUnits((Math.floor(shares * 1e6) / 1e6).toFixed(TOKEN_DECIMALS), TOKEN_DECIMALS);
+}
+
+/**
+ * Convert on-chain units to a share count
+ */
+function fromUnits(amount) {
+  return parseFloat(utils.formatUnits(amount, TOKEN_DECIMALS));
+}
+
+/**
+ * Execute a call through a 1-of-1 Gnosis Safe owned by the signer
+ */
+async function execSafeTransaction(c, to, data) {
+  const nonce = await c.safe.nonce();
+  const safeTxHash = await c.safe.getTransactionHash(
+    to, 0, data, 0, 0, 0, 0, constants.AddressZero, constants.AddressZero, nonce
+  );
+
+  // eth_sign signature: the Safe expects v + 4 to tell it from a raw digest signature
+  const signature = utils.splitSignature(await c.signer.signMessage(utils.arrayify(safeTxHash)));
+  const packed = utils.solidityPack(['bytes32', 'bytes32', 'uint8'], [signature.r, signature.s, signature.v + 4]);
+
+  return await c.safe.execTransaction(
+    to, 0, data, 0, 0, 0, 0, constants.AddressZero, constants.AddressZero, packed
+  );
+}
+
+/**
+ * Send a call from the wallet that holds the positions and wait for it to confirm
+ * @returns {Promise<string>} Transaction hash
+ */
+async function sendCall(to, data) {
+  const c = getContracts();
+  const { funderAddress, signatureType } = config.polymarket;
+
+  let tx;
+  if (!funderAddress || signatureType === SIGNATURE_TYPE.EOA) {
+    tx = await c.signer.sendTransaction({ to, data });
+  } else if (signatureType === SIGNATURE_TYPE.POLY_PROXY) {
+    tx = await c.proxyFactory.proxy([{ typeCode: PROXY_CALL, to, value: 0, data }]);
+  } else if (signatureType === SIGNATURE_TYPE.POLY_GNOSIS_SAFE) {
+    tx = await execSafeTransaction(c, to, data);
+  } else {
+    throw new Error(`Unsupported signature type: ${signatureType}`);
+  }
+
+  const receipt = await tx.wait(config.ctf.confirmations);
+  if (receipt.status === 0) {
+    throw new Error(`Transaction reverted: ${tx.hash}`);
+  }
+
+  return receipt.transactionHash || tx.hash;
+}
+
+/**
+ * Address of the wallet that holds the positions
+ */
+function getHolder() {
+  return getContracts().holder;
+}
+
+/**
+ * Token balances of the holding wallet for both outcomes of a market
+ * @returns {Promise<{yes: BigNumber, no: BigNumber}>} Raw on-chain units
+ */
+async function getBalances(yesTokenId, noTokenId) {
+  const c = getContracts();
+  const [yes, no] = await Promise.all([
+    c.ctf.balanceOf(c.holder, yesTokenId),
+    c.ctf.balanceOf(c.holder, noTokenId)
+  ]);
+  return { yes, no };
+}
+
+/**
+ * Reported payouts of a condition, as fractions per outcome
+ * @returns {Promise<number[]|null>} [yes, no], or null until the oracle reports
+ */
+async function getPayouts(conditionId) {
+  const c = getContracts();
+  const denominator = await c.ctf.payoutDenominator(conditionId);
+  if (denominator.isZero()) return null;
+
+  const numerators = await Promise.all(
+    BINARY_PARTITION.map((_, index) => c.ctf.payoutNumerators(conditionId, index))
+  );
+  return numerators.map(n => n.toNumber() / denominator.toNumber());
+}
+
+/**
+ * Merge complete sets of a condition back into USDC
+ * Neg-risk markets merge through the NegRiskAdapter instead of the CTF contract
+ */
+async function mergePositions(conditionId, amount, negRisk) {
+  if (negRisk) {
+    return await sendCall(
+      config.ctf.negRiskAdapterAddress,
+      negRiskInterface.encodeFunctionData('mergePositions', [conditionId, amount])
+    );
+  }
+
+  return await sendCall(
+    config.ctf.address,
+    ctfInterface.encodeFunctionData('mergePositions', [
+      config.ctf.collateralAddress, constants.HashZero, conditionId, BINARY_PARTITION, amount
+    ])
+  );
+}
+
+/**
+ * Redeem a resolved condition's tokens for USDC
+ * The CTF contract redeems the full balance; the NegRiskAdapter takes explicit amounts
+ * @param {BigNumber[]} amounts - [yes, no] balances to redeem
+ */
+async function redeemPositions(conditionId, amounts, negRisk) {
+  if (negRisk) {
+    return await sendCall(
+      config.ctf.negRiskAdapterAddress,
+      negRiskInterface.encodeFunctionData('redeemPositions', [conditionId, amounts])
+    );
+  }
+
+  return await sendCall(
+    config.ctf.address,
+    ctfInterface.encodeFunctionData('redeemPositions', [
+      config.ctf.collateralAddress, constants.HashZero, conditionId, BINARY_PARTITION
+    ])
+  );
+}
+
+module.exports = {
+  setContracts,
+  toUnits,
+  fromUnits,
+  getHolder,
+  getBalances,
+  getPayouts,
+  mergePositions,
+  redeemPositions
+};
@@ -0,0 +1,56 @@
+/**
+ * Data API Client
+ * Uses Polymarket's public Data API for wallet positions (no authentication required)
+ * https://data-api.polymarket.com
+ * Requests are paced and retried by the request scheduler
+ */
+
+const requestScheduler = require('./request-scheduler');
+
+const DATA_API_BASE = 'https://data-api.polymarket.com';
+
+// Page size of the positions listing (the API's maximum)
+const POSITIONS_PAGE = 500;
+
+/**
+ * Fetch through the request scheduler
+ */
+function dataFetch(url, endpoint, lane) {
+  return requestScheduler.schedule(() => fetch(url), { endpoint, lane });
+}
+
+/**
+ * Conditional token positions held by a wallet, with pagination
+ * Each has the token (asset), its conditionId, outcomeIndex (0 = YES),
+ * the other outcome's token (oppositeAsset), size and redeemable
+ * @param {string} user - Wallet address
+ * @param {Object} [params] - Filters (redeemable, sizeThreshold, ...)
+ */
+async function getPositions(user, params = {}) {
+  let positions = [];
+  let offset = 0;
+
+  while (true) {
+    const query = new URLSearchParams({ ...params, user, limit: POSITIONS_PAGE, offset });
+    const response = await dataFetch(`${DATA_API_BASE}/positions?${query}`, 'data-api:positions', 'background');
+
+    if (!response.ok) {
+      throw new Error(`Data API error: ${response.status} ${response.statusText}`);
+    }
+
+    const page = await response.json();
+    if (!Array.isArray(page)) break;
+
+    positions = positions.concat(page);
+    offset += POSITIONS_PAGE;
+
+    // Last page, or safety limit
+    if (page.length < POSITIONS_PAGE || offset >= 10000) break;
+  }
+
+  return positions;
+}
+
+module.exports = {
+  getPositions
+};
@@ -0,0 +1,112 @@
+/**
+ * Fee Model
+ * Trading fees, maker rebates and settlement (merge/redeem) costs
+ * Per-market fee rates come from the CLOB/Gamma market payloads
+ */
+
+const config = require('../config');
+
+// conditionId -> { takerBps, makerBps } from the latest market payload
+const marketFees = new Map();
+
+/**
+ * Parse a fee rate, keeping "not provided" distinct from 0
+ */
+function parseBps(value) {
+  const bps = parseFloat(value);
+  return Number.isFinite(bps) ? bps : null;
+}
+
+/**
+ * Read fee rates from a market payload (scanner market, Gamma or CLOB market)
+ */
+function getPayloadRates(market) {
+  return {
+    takerBps: parseBps(market.takerBaseFee ?? market.taker_base_fee),
+    makerBps: parseBps(market.makerBaseFee ?? market.maker_base_fee)
+  };
+}
+
+/**
+ * Remember a market's fee rates (called by the scanner for every listed market)
+ */
+function setMarketFees(market) {
+  marketFees.set(market.conditionId, getPayloadRates(market));
+}
+
+/**
+ * Fee rates for a market
+ * @param {Object|string} market - Market payload, or the condition ID of a scanned market
+ * @returns {{takerBps: number, makerBps: number}}
+ */
+function getMarketFees(market) {
+  const rates = typeof market === 'string' ? marketFees.get(market) : getPayloadRates(market);
+
+  return {
+    takerBps: rates?.takerBps ?? config.fees.defaultTakerBps,
+    makerBps: rates?.makerBps ?? 0
+  };
+}
+
+/**
+ * Fee in USDC for a match
+ * Polymarket charges baseRate * min(price, 1 - price) per share
+ */
+function tradeFee(size, price, feeRateBps) {
+  const rate = (parseFloat(feeRateBps) || 0) / 10000;
+  return rate * Math.min(price, 1 - price) * size;
+}
+
+/**
+ * Fee in USDC for a match where our order was the maker, net of the rebate
+ * Negative when the rebate exceeds the fee
+ */
+function makerFee(size, price, feeRateBps) {
+  return tradeFee(size, price, feeRateBps) - tradeFee(size, price, config.fees.makerRebateBps);
+}
+
+/**
+ * Gas/relayer cost of merging or redeeming one position
+ */
+function settlementCost() {
+  return config.fees.settlementCost;
+}
+
+/**
+ * Gross and net profit of a basket held to resolution
+ * @param {Object} basket
+ * @param {number} basket.shares - Shares on each leg
+ * @param {number[]} basket.prices - Fill price (VWAP) per leg
+ * @param {number} basket.payout - Guaranteed payout per share of the basket
+ * @param {number} basket.feeRateBps - Taker fee rate
+ */
+function basketProfit({ shares, prices, payout, feeRateBps }) {
+  const cost = prices.reduce((total, price) => total + price, 0);
+  const gross = shares * (payout - cost);
+  const fees = prices.reduce((total, price) => total + tradeFee(shares, price, feeRateBps), 0);
+  const settlement = settlementCost();
+
+  return { gross, fees, settlement, net: gross - fees - settlement };
+}
+
+/**
+ * Gross and net profit of a YES+NO pair held to resolution
+ * @param {Object} pair
+ * @param {number} pair.shares - Shares on each leg
+ * @param {number} pair.yesPrice - YES fill price (VWAP)
+ * @param {number} pair.noPrice - NO fill price (VWAP)
+ * @param {number} pair.feeRateBps - Taker fee rate
+ */
+function pairProfit({ shares, yesPrice, noPrice, feeRateBps }) {
+  return basketProfit({ shares, prices: [yesPrice, noPrice], payout: 1, feeRateBps });
+}
+
+module.exports = {
+  setMarketFees,
+  getMarketFees,
+  tradeFee,
+  makerFee,
+  settlementCost,
+  basketProfit,
+  pairProfit
+};
@@ -2,88 +2,111 @@
  * Gamma API Client
  * Uses Polymarket's public Gamma API for market data (no authentication required)
  * https://gamma-api.polymarket.com
+ * Requests are paced and retried by the request scheduler
  */
 
+const requestScheduler = require('./request-scheduler');
+
 const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
 
-// Cache for markets
-let marketsCache = [];
-let marketsCacheTime = 0;
-const MARKETS_CACHE_TTL = 60000; // 1 minute cache
+/**
+ * Fetch through the request scheduler
+ * @param {string} url
+ * @param {string} endpoint - Scheduler budget ('gamma:events' or 'gamma:markets')
+ * @param {string} lane - 'data' for lookups the bot waits on, 'background' for listings
+ */
+function gammaFetch(url, endpoint, lane) {
+  return requestScheduler.schedule(() => fetch(url), { endpoint, lane });
+}
 
 /**
- * Fetch all markets from Gamma API with pagination
+ * Get a specific market by condition ID
  */
-async function fetchAllMarkets() {
-  // Return cache if fresh
-  const now = Date.now();
-  if (marketsCache.length > 0 && (now - marketsCacheTime) < MARKETS_CACHE_TTL) {
-    console.log(`[Gamma API] Using cached markets (${marketsCache.length} markets)`);
-    return marketsCache;
+async function getMarket(conditionId) {
+  try {
+    const url = `${GAMMA_API_BASE}/markets/${conditionId}`;
+    const response = await gammaFetch(url, 'gamma:markets', 'data');
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Gamma API error: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error(`[Gamma API] Error fetching market ${conditionId}:`, error.message);
+    return null;
   }
+}
+
+/**
+ * Get an event (with its markets) by event ID
+ */
+async function getEvent(eventId) {
+  try {
+    const url = `${GAMMA_API_BASE}/events/${eventId}`;
+    const response = await gammaFetch(url, 'gamma:events', 'data');
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw new Error(`Gamma API error: ${response.status}`);
+    }
 
-  console.log('[Gamma API] Fetching markets from gamma-api.polymarket.com...');
+    return await response.json();
+  } catch (error) {
+    console.error(`[Gamma API] Error fetching event ${eventId}:`, error.message);
+    return null;
+  }
+}
 
-  let allMarkets = [];
+/**
+ * Fetch events (with their markets) matching a filter, with pagination
+ * @param {Object} params - Gamma query parameters (tag_slug, end_date_min, order, ...)
+ * @param {Function} [until] - For ordered listings: stop after the page where until(event) first holds
+ */
+async function fetchEvents(params = {}, until = null) {
+  let allEvents = [];
   let offset = 0;
   const limit = 100;
   let hasMore = true;
 
-  try {
-    while (hasMore) {
-      const url = `${GAMMA_API_BASE}/markets?limit=${limit}&offset=${offset}&active=true`;
+  while (hasMore) {
+    const query = new URLSearchParams({ ...params, limit, offset });
+    const response = await gammaFetch(`${GAMMA_API_BASE}/events?${query}`, 'gamma:events', 'background');
 
-      const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Gamma API error: ${response.status} ${response.statusText}`);
+    }
 
-      if (!response.ok) {
-        throw new Error(`Gamma API error: ${response.status} ${response.statusText}`);
-      }
+    const events = await response.json();
 
-      const markets = await response.json();
+    if (!Array.isArray(events) || events.length === 0) {
+      hasMore = false;
+    } else {
+      allEvents = allEvents.concat(events);
+      offset += limit;
 
-      if (!Array.isArray(markets) || markets.length === 0) {
+      // Last page, caught up, or safety limit
+      if (events.length < limit || (until && events.some(until)) || offset >= 2000) {
         hasMore = false;
-      } else {
-        allMarkets = allMarkets.concat(markets);
-        offset += limit;
-
-        // Safety limit
-        if (offset >= 5000) {
-          console.log('[Gamma API] Reached offset limit');
-          hasMore = false;
-        }
-
-        // Small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
       }
     }
-
-    // Update cache
-    marketsCache = allMarkets;
-    marketsCacheTime = now;
-
-    console.log(`[Gamma API] Fetched ${allMarkets.length} active markets`);
-    return allMarkets;
-
-  } catch (error) {
-    console.error('[Gamma API] Error fetching markets:', error.message);
-
-    // Return cache on error
-    if (marketsCache.length > 0) {
-      console.log('[Gamma API] Returning cached markets on error');
-      return marketsCache;
-    }
-    throw error;
   }
+
+  return allEvents;
 }
 
 /**
- * Get a specific market by condition ID
+ * Get an event (with its markets) by slug
  */
-async function getMarket(conditionId) {
+async function getEventBySlug(slug) {
   try {
-    const url = `${GAMMA_API_BASE}/markets/${conditionId}`;
-    const response = await fetch(url);
+    const url = `${GAMMA_API_BASE}/events/slug/${encodeURIComponent(slug)}`;
+    const response = await gammaFetch(url, 'gamma:events', 'background');
 
     if (!response.ok) {
       if (response.status === 404) {
@@ -94,7 +117,7 @@ async function getMarket(conditionId) {
 
     return await response.json();
   } catch (error) {
-    console.error(`[Gamma API] Error fetching market ${conditionId}:`, error.message);
+    console.error(`[Gamma API] Error fetching event ${slug}:`, error.message);
     return null;
   }
 }
@@ -105,7 +128,7 @@ async function getMarket(conditionId) {
 async function searchMarkets(query) {
   try {
     const url = `${GAMMA_API_BASE}/markets?_q=${encodeURIComponent(query)}&active=true&limit=50`;
-    const response = await fetch(url);
+    const response = await gammaFetch(url, 'gamma:markets', 'background');
 
     if (!response.ok) {
       throw new Error(`Gamma API error: ${response.status}`);
@@ -118,17 +141,10 @@ async function searchMarkets(query) {
   }
 }
 
-/**
- * Clear the cache
- */
-function clearCache() {
-  marketsCache = [];
-  marketsCacheTime = 0;
-}
-
 module.exports = {
-  fetchAllMarkets,
   getMarket,
-  searchMarkets,
-  clearCache
+  getEvent,
+  fetchEvents,
+  getEventBySlug,
+  searchMarkets
 };
@@ -0,0 +1,236 @@
+/**
+ * Health Monitor
+ * Tracks the error rate, 429 responses and latency of CLOB calls and the age
+ * of the books of the tokens in use. When a threshold is breached trading is
+ * paused, a softer state than the kill switch: open orders stay in place and
+ * new trades are refused until the breaches have cleared for a healthy period.
+ */
+
+const db = require('../database');
+const config = require('../config');
+const requestScheduler = require('./request-scheduler');
+
+const calls = []; // { time, method, ms, error, rateLimited } within the window, oldest first
+
+let checkInterval = null;
+let emitter = null;
+let getBookTimestamps = null; // () => [{ tokenId, timestamp }] last time each token's book was current (null = never)
+
+let state = {
+  paused: false,
+  reasons: [],
+  pausedAt: null,
+  healthySince: null
+};
+
+/**
+ * Drop calls older than the window
+ */
+function prune(now = Date.now()) {
+  while (calls.length > 0 && calls[0].time < now - config.health.windowMs) {
+    calls.shift();
+  }
+}
+
+/**
+ * Record the outcome of a CLOB call
+ * @param {string} method - Client method name
+ * @param {number} ms - Latency
+ * @param {{error?: boolean, status?: number}} [outcome]
+ */
+function recordCall(method, ms, outcome = {}) {
+  const now = Date.now();
+  calls.push({
+    time: now,
+    method,
+    ms,
+    error: Boolean(outcome.error),
+    rateLimited: outcome.status === 429
+  });
+  prune(now);
+}
+
+/**
+ * Latency percentile of the calls in the window
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Call and book metrics over the window
+ */
+function getMetrics(now = Date.now()) {
+  prune(now);
+
+  const errors = calls.filter(c => c.error).length;
+  const latencies = calls.map(c => c.ms);
+
+  const books = getBookTimestamps ? getBookTimestamps() : [];
+  const ages = books.map(b => (b.timestamp ? now - b.timestamp : Infinity));
+  const staleBooks = ages.filter(age => age > config.health.staleBookMs).length;
+
+  return {
+    calls: calls.length,
+    errors,
+    error_rate: calls.length > 0 ? errors / calls.length : 0,
+    rate_limited: calls.filter(c => c.rateLimited).length,
+    avg_latency_ms: latencies.length > 0 ? latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length : null,
+    p90_latency_ms: percentile(latencies, 0.9),
+    books: books.length,
+    stale_books: staleBooks,
+    oldest_book_age_ms: ages.length > 0 ? Math.max(...ages) : null
+  };
+}
+
+/**
+ * Thresholds breached by the current metrics
+ * @returns {string[]} One reason per breach
+ */
+function getBreaches(metrics) {
+  const limits = config.health;
+  const breaches = [];
+
+  if (metrics.calls >= limits.minCalls && metrics.error_rate > limits.maxErrorRate) {
+    breaches.push(`CLOB error rate ${(metrics.error_rate * 100).toFixed(0)}% over ${metrics.calls} calls`);
+  }
+  if (metrics.rate_limited >= limits.maxRateLimited) {
+    breaches.push(`${metrics.rate_limited} rate-limited (429) responses`);
+  }
+  if (metrics.calls >= limits.minCalls && metrics.p90_latency_ms > limits.maxLatencyMs) {
+    breaches.push(`CLOB p90 latency ${metrics.p90_latency_ms}ms`);
+  }
+  if (metrics.stale_books > 0) {
+    breaches.push(`${metrics.stale_books} of ${metrics.books} books not current for ${limits.staleBookMs / 1000}s`);
+  }
+
+  return breaches;
+}
+
+/**
+ * Pause trading
+ */
+function pause(reasons) {
+  state = { paused: true, reasons, pausedAt: new Date().toISOString(), healthySince: null };
+
+  console.log('[Health] Trading paused:', reasons.join('; '));
+
+  db.alerts.create({
+    type: 'health',
+    severity: 'warning',
+    message: `Trading paused: ${reasons.join('; ')}`,
+    data: { reasons }
+  });
+
+  if (emitter) {
+    emitter.emit('health:paused', getStatus());
+  }
+}
+
+/**
+ * Resume trading after a healthy period
+ */
+function resume() {
+  const pausedFor = Date.now() - new Date(state.pausedAt).getTime();
+  state = { paused: false, reasons: [], pausedAt: null, healthySince: null };
+
+  console.log(`[Health] Trading resumed after ${Math.round(pausedFor / 1000)}s`);
+
+  db.alerts.create({
+    type: 'health',
+    severity: 'info',
+    message: 'Trading resumed - CLOB and market data healthy again'
+  });
+
+  if (emitter) {
+    emitter.emit('health:resumed', getStatus());
+  }
+}
+
+/**
+ * Compare the metrics with the thresholds and pause or resume
+ */
+function check() {
+  const breaches = getBreaches(getMetrics());
+
+  if (breaches.length > 0) {
+    if (!state.paused) {
+      pause(breaches);
+    } else {
+      state.reasons = breaches;
+      state.healthySince = null;
+    }
+    return;
+  }
+
+  if (!state.paused) return;
+
+  if (!state.healthySince) {
+    state.healthySince = Date.now();
+  } else if (Date.now() - state.healthySince >= config.health.resumeAfterMs) {
+    resume();
+  }
+}
+
+/**
+ * Check whether trading is paused
+ */
+function isPaused() {
+  return state.paused;
+}
+
+/**
+ * Current state and metrics, with the request scheduler's queue depth
+ */
+function getStatus() {
+  return {
+    state: state.paused ? 'paused' : 'healthy',
+    paused: state.paused,
+    reasons: state.reasons,
+    paused_at: state.pausedAt,
+    resume_at: state.healthySince
+      ? new Date(state.healthySince + config.health.resumeAfterMs).toISOString()
+      : null,
+    metrics: getMetrics(),
+    requests: requestScheduler.getMetrics()
+  };
+}
+
+/**
+ * Start checking the thresholds
+ * @param {EventEmitter} eventEmitter
+ * @param {Function} [bookTimestamps] - Returns [{ tokenId, timestamp }] for the
+ *   tokens in use; book age is not checked without it
+ */
+function start(eventEmitter, bookTimestamps = null) {
+  emitter = eventEmitter;
+  getBookTimestamps = bookTimestamps;
+
+  console.log(`[Health] Starting health monitor (interval: ${config.health.checkIntervalMs}ms)`);
+  checkInterval = setInterval(check, config.health.checkIntervalMs);
+}
+
+/**
+ * Stop checking the thresholds
+ */
+function stop() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+    console.log('[Health] Health monitor stopped');
+  }
+  emitter = null;
+  getBookTimestamps = null;
+}
+
+module.exports = {
+  recordCall,
+  check,
+  isPaused,
+  getStatus,
+  getMetrics,
+  start,
+  stop
+};
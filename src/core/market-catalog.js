@@ -0,0 +1,175 @@
+/**
+ * Market Catalog
+ * Keeps the markets table in sync with Gamma so scans are a local query.
+ * Each sync lists the crypto events updated since the last one and probes the
+ * current up/down windows by slug; a periodic full reconcile re-lists every
+ * event ending within the horizon and closes what Gamma no longer returns.
+ */
+
+const gammaApi = require('./gamma-api');
+const marketDiscovery = require('./market-discovery');
+const config = require('../config');
+const db = require('../database');
+
+let syncInterval = null;
+let isSyncing = false; // Lock to prevent overlapping syncs
+let lastReconcileAt = 0;
+let updatedCursor = 0; // Latest event update seen (ms), for incremental listings
+const knownSlugs = new Set(); // Window slugs already found by a probe or listing
+
+/**
+ * Store an event's markets in the catalog
+ * @returns {{seen: string[], written: number}}
+ */
+function storeEvent(event) {
+  const eventInfo = { ...event, markets: undefined };
+  const seen = [];
+  let written = 0;
+
+  for (const market of event.markets || []) {
+    const conditionId = market.conditionId || market.condition_id;
+    if (!conditionId) continue;
+
+    const classification = marketDiscovery.classifyMarket(market, event);
+    seen.push(conditionId);
+
+    const changed = db.markets.upsert({
+      condition_id: conditionId,
+      event_id: event.id != null ? String(event.id) : null,
+      slug: classification.slug,
+      question: market.question,
+      asset: classification.asset,
+      timeframe: classification.timeframe,
+      up_down: classification.upDown,
+      neg_risk: Boolean(market.negRisk ?? event.negRisk),
+      start_date: classification.startDate,
+      end_date: classification.endDate,
+      closed: market.closed === true || market.active === false || event.closed === true,
+      payload: { ...market, events: [eventInfo] },
+      gamma_updated_at: market.updatedAt || event.updatedAt || null
+    });
+    if (changed) written++;
+  }
+
+  const updatedAt = new Date(event.updatedAt).getTime();
+  if (updatedAt > updatedCursor) updatedCursor = updatedAt;
+  if (event.slug) knownSlugs.add(event.slug);
+
+  return { seen, written };
+}
+
+/**
+ * List the open crypto events for a sync
+ * Full: everything ending within the horizon, soonest first (so the page
+ * limit drops the far end). Incremental: most recently updated first, up to
+ * the cursor.
+ */
+async function listEvents(full, now) {
+  const params = {
+    tag_slug: config.discovery.tagSlug,
+    closed: false,
+    end_date_min: new Date(now).toISOString()
+  };
+
+  if (full) {
+    return gammaApi.fetchEvents({
+      ...params,
+      end_date_max: new Date(now + config.discovery.horizonMs).toISOString(),
+      order: 'endDate',
+      ascending: true
+    });
+  }
+
+  const cursor = updatedCursor;
+  return gammaApi.fetchEvents(
+    { ...params, order: 'updatedAt', ascending: false },
+    (event) => new Date(event.updatedAt).getTime() <= cursor
+  );
+}
+
+/**
+ * Sync the catalog with Gamma
+ * Runs a full reconcile when one is due (always on the first sync)
+ */
+async function syncMarkets() {
+  if (isSyncing) return;
+
+  isSyncing = true;
+
+  try {
+    const now = Date.now();
+    const full = now - lastReconcileAt >= config.discovery.reconcileIntervalMs;
+    const seen = new Set();
+    let written = 0;
+
+    const record = (event) => {
+      const result = storeEvent(event);
+      result.seen.forEach(id => seen.add(id));
+      written += result.written;
+    };
+
+    const events = await listEvents(full, now);
+    events.forEach(record);
+
+    // Current and upcoming windows, which listings often miss
+    const settings = db.settings.get();
+    const slugs = marketDiscovery.windowSlugs(
+      settings.active_currencies || config.defaults.activeCurrencies,
+      settings.active_timeframes || config.defaults.activeTimeframes,
+      now
+    );
+    for (const slug of slugs) {
+      if (knownSlugs.has(slug)) continue;
+
+      const event = await gammaApi.getEventBySlug(slug);
+      if (event) record(event);
+    }
+
+    if (full) {
+      // Only the range the listing covered: it may have stopped at the page limit
+      const listedThrough = events.reduce((max, e) => Math.max(max, new Date(e.endDate).getTime() || 0), 0);
+      const closed = listedThrough > now
+        ? db.markets.closeMissing(seen, new Date(now).toISOString(), new Date(listedThrough).toISOString())
+        : 0;
+
+      db.markets.cleanup();
+      lastReconcileAt = now;
+
+      console.log(`[Catalog] Reconciled ${events.length} events: ${written} markets updated, ${closed} closed`);
+    } else if (written > 0) {
+      console.log(`[Catalog] Synced ${written} updated markets`);
+    }
+  } catch (error) {
+    console.error('[Catalog] Error syncing markets:', error.message);
+  } finally {
+    isSyncing = false;
+  }
+}
+
+/**
+ * Start the sync loop
+ */
+function startSync() {
+  const interval = config.discovery.syncIntervalMs;
+
+  console.log(`[Catalog] Starting market sync (interval: ${interval}ms)`);
+
+  syncInterval = setInterval(() => syncMarkets(), interval);
+}
+
+/**
+ * Stop the sync loop
+ */
+function stopSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+    console.log('[Catalog] Market sync stopped');
+  }
+}
+
+module.exports = {
+  syncMarkets,
+  startSync,
+  stopSync
+};
@@ -0,0 +1,385 @@
+/**
+ * Market Data
+ * Streams order books for scanned markets over the CLOB market WebSocket
+ * Keeps an in-memory L2 book per token from snapshot + delta messages
+ */
+
+const { createConnection } = require('./ws-connection');
+const polyClient = require('./polymarket-client');
+const config = require('../config');
+
+// tokenId -> { bids: Map<price, size>, asks: Map<price, size>, timestamp, tickSize, syncedAt }
+const books = new Map();
+// tokenId -> market (from the scanner)
+const tokenMarkets = new Map();
+const subscribed = new Set();
+const resyncing = new Set();
+const listeners = [];
+
+let connection = null;
+let emitter = null;
+let startedAt = null;
+
+// ==================== BOOK MAINTENANCE ====================
+
+/**
+ * Replace a token's book with a full snapshot
+ */
+function applySnapshot(tokenId, bids, asks, timestamp) {
+  const book = {
+    bids: new Map(),
+    asks: new Map(),
+    timestamp: parseInt(timestamp, 10) || Date.now(),
+    tickSize: books.get(tokenId)?.tickSize || null,
+    syncedAt: Date.now()
+  };
+
+  for (const level of bids || []) {
+    book.bids.set(parseFloat(level.price), parseFloat(level.size));
+  }
+  for (const level of asks || []) {
+    book.asks.set(parseFloat(level.price), parseFloat(level.size));
+  }
+
+  books.set(tokenId, book);
+  notify(tokenId);
+}
+
+/**
+ * Apply incremental level changes to a token's book
+ * A delta without a prior snapshot, out of order, or leaving the book
+ * inconsistent with the exchange's best prices means we missed a message
+ */
+function applyDelta(tokenId, changes, timestamp, expected = {}) {
+  const book = books.get(tokenId);
+  if (!book) {
+    resync(tokenId, 'delta before snapshot');
+    return;
+  }
+
+  const ts = parseInt(timestamp, 10) || Date.now();
+  if (ts < book.timestamp) {
+    resync(tokenId, 'out-of-order delta');
+    return;
+  }
+
+  for (const change of changes) {
+    const side = change.side === 'BUY' ? book.bids : book.asks;
+    const price = parseFloat(change.price);
+    const size = parseFloat(change.size);
+
+    if (size > 0) {
+      side.set(price, size);
+    } else {
+      side.delete(price);
+    }
+  }
+  book.timestamp = ts;
+
+  const bestBid = getBest(book.bids, 'bids');
+  const bestAsk = getBest(book.asks, 'asks');
+
+  if (bestBid != null && bestAsk != null && bestBid >= bestAsk) {
+    resync(tokenId, 'crossed book');
+    return;
+  }
+
+  if (!pricesMatch(bestBid, expected.bestBid) || !pricesMatch(bestAsk, expected.bestAsk)) {
+    resync(tokenId, 'best price mismatch');
+    return;
+  }
+
+  notify(tokenId);
+}
+
+/**
+ * Compare a local best price to the one reported by the exchange (if any)
+ */
+function pricesMatch(local, reported) {
+  if (reported === undefined) return true;
+
+  const remote = parseFloat(reported) || null;
+  if (local == null || remote == null) return local == remote;
+  return Math.abs(local - remote) < 1e-9;
+}
+
+/**
+ * Best price on one side of a book
+ */
+function getBest(levels, side) {
+  if (levels.size === 0) return null;
+  const prices = Array.from(levels.keys());
+  return side === 'bids' ? Math.max(...prices) : Math.min(...prices);
+}
+
+/**
+ * Rebuild a token's book from a REST snapshot after a detected gap
+ */
+async function resync(tokenId, reason) {
+  if (resyncing.has(tokenId)) return;
+
+  resyncing.add(tokenId);
+  books.delete(tokenId);
+  console.log(`[MarketData] Resyncing ${tokenId.substring(0, 10)}... (${reason})`);
+
+  try {
+    const book = await polyClient.getOrderBook(tokenId);
+    if (subscribed.has(tokenId)) {
+      applySnapshot(tokenId, book.bids, book.asks, book.timestamp);
+    }
+  } catch (error) {
+    console.error('[MarketData] Resync failed:', error.message);
+  } finally {
+    resyncing.delete(tokenId);
+  }
+}
+
+// ==================== MESSAGE HANDLING ====================
+
+/**
+ * Handle a market channel message (a single event or an array of events)
+ */
+function handleMessage(message) {
+  if (Array.isArray(message)) {
+    message.forEach(handleMessage);
+    return;
+  }
+
+  switch (message.event_type) {
+    case 'book':
+      applySnapshot(
+        message.asset_id,
+        message.bids || message.buys,
+        message.asks || message.sells,
+        message.timestamp
+      );
+      break;
+
+    case 'price_change':
+      handlePriceChange(message);
+      break;
+
+    case 'tick_size_change': {
+      const book = books.get(message.asset_id);
+      if (book) book.tickSize = message.new_tick_size;
+      polyClient.setTickSize(message.asset_id, message.new_tick_size);
+      break;
+    }
+
+    default:
+      // last_trade_price and other events are not needed for the book
+      break;
+  }
+}
+
+/**
+ * Apply a price_change event
+ * Handles both the batched format (price_changes across assets) and the
+ * older single-asset format (changes)
+ */
+function handlePriceChange(message) {
+  if (Array.isArray(message.price_changes)) {
+    const byAsset = new Map();
+    for (const change of message.price_changes) {
+      if (!byAsset.has(change.asset_id)) byAsset.set(change.asset_id, []);
+      byAsset.get(change.asset_id).push(change);
+    }
+
+    for (const [tokenId, changes] of byAsset) {
+      const last = changes[changes.length - 1];
+      applyDelta(tokenId, changes, message.timestamp, {
+        bestBid: last.best_bid,
+        bestAsk: last.best_ask
+      });
+    }
+    return;
+  }
+
+  applyDelta(message.asset_id, message.changes || [], message.timestamp);
+}
+
+/**
+ * Notify listeners and the dashboard of a book change
+ */
+function notify(tokenId) {
+  const market = tokenMarkets.get(tokenId);
+  const book = getBook(tokenId);
+
+  if (emitter) {
+    emitter.emit('orderbook:update', {
+      token_id: tokenId,
+      market_id: market?.conditionId || null,
+      best_bid: book.bids[0]?.price ?? null,
+      best_ask: book.asks[0]?.price ?? null,
+      bids: book.bids.slice(0, 10),
+      asks: book.asks.slice(0, 10),
+      timestamp: book.timestamp
+    });
+  }
+
+  for (const listener of listeners) {
+    try {
+      listener(tokenId, market);
+    } catch (error) {
+      console.error('[MarketData] Listener error:', error.message);
+    }
+  }
+}
+
+// ==================== SUBSCRIPTIONS ====================
+
+/**
+ * Subscribe to the books of the given tokens
+ */
+function subscribe(tokenIds) {
+  const added = tokenIds.filter(id => !subscribed.has(id));
+  if (added.length === 0) return;
+
+  added.forEach(id => subscribed.add(id));
+
+  if (connection?.isOpen()) {
+    connection.send({ assets_ids: added, operation: 'subscribe' });
+  }
+}
+
+/**
+ * Unsubscribe from the books of the given tokens
+ */
+function unsubscribe(tokenIds) {
+  const removed = tokenIds.filter(id => subscribed.has(id));
+  if (removed.length === 0) return;
+
+  removed.forEach(id => {
+    subscribed.delete(id);
+    books.delete(id);
+  });
+
+  if (connection?.isOpen()) {
+    connection.send({ assets_ids: removed, operation: 'unsubscribe' });
+  }
+}
+
+/**
+ * Track the scanner's current market list
+ * Subscribes to new YES/NO tokens and drops tokens of markets no longer listed
+ */
+function setMarkets(markets) {
+  const tokenIds = new Set();
+
+  for (const market of markets) {
+    for (const tokenId of [market.yesTokenId, market.noTokenId]) {
+      if (!tokenId) continue;
+      tokenIds.add(tokenId);
+      tokenMarkets.set(tokenId, market);
+    }
+  }
+
+  const stale = Array.from(subscribed).filter(id => !tokenIds.has(id));
+  stale.forEach(id => tokenMarkets.delete(id));
+
+  unsubscribe(stale);
+  subscribe(Array.from(tokenIds));
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Get the current book for a token, best levels first
+ * Same shape as a REST order book so the detector can use either
+ */
+function getBook(tokenId) {
+  const book = books.get(tokenId);
+  if (!book) return null;
+
+  const toLevels = levels => Array.from(levels, ([price, size]) => ({ price, size }));
+
+  return {
+    bids: toLevels(book.bids).sort((a, b) => b.price - a.price),
+    asks: toLevels(book.asks).sort((a, b) => a.price - b.price),
+    timestamp: book.timestamp,
+    tick_size: book.tickSize
+  };
+}
+
+/**
+ * Check whether the stream is live
+ */
+function isStreaming() {
+  return Boolean(connection?.isOpen());
+}
+
+/**
+ * Last time a token's book was known to be current
+ * The timestamp of a book only moves when the book changes, so a quiet book
+ * is judged by the stream instead: it is current while messages or PONGs keep
+ * arriving. Once the stream drops (and the books are cleared) every token ages
+ * from the last message received, or from start if none ever arrived.
+ * @returns {number|undefined} undefined for a token with no book yet on a live stream
+ */
+function getBookFreshness(tokenId) {
+  const book = books.get(tokenId);
+  const lastMessageAt = connection?.getLastMessageAt() ?? startedAt;
+
+  if (isStreaming()) {
+    return book ? Math.max(book.syncedAt, lastMessageAt) : undefined;
+  }
+  return book ? book.syncedAt : lastMessageAt;
+}
+
+/**
+ * Register a listener called with (tokenId, market) on every book change
+ */
+function onBookChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Connect to the market channel
+ */
+function start(eventEmitter) {
+  emitter = eventEmitter;
+  startedAt = Date.now();
+
+  connection = createConnection({
+    name: 'MarketData',
+    url: `${config.polymarket.wsHost}/market`,
+    onOpen: () => {
+      // The server answers with a full book snapshot per token
+      if (subscribed.size > 0) {
+        connection.send({ assets_ids: Array.from(subscribed), type: 'market' });
+      }
+    },
+    onMessage: handleMessage,
+    onClose: () => {
+      // Books are rebuilt from fresh snapshots on reconnect
+      books.clear();
+    }
+  });
+
+  connection.connect();
+}
+
+/**
+ * Disconnect from the market channel
+ */
+function stop() {
+  if (connection) {
+    connection.close();
+    connection = null;
+    books.clear();
+    console.log('[MarketData] Stream stopped');
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  setMarkets,
+  subscribe,
+  unsubscribe,
+  getBook,
+  getBookFreshness,
+  isStreaming,
+  onBookChange,
+  handleMessage
+};
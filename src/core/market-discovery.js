@@ -0,0 +1,201 @@
+/**
+ * Market Discovery
+ * Classifies Gamma markets by underlying asset, timeframe and window start/end,
+ * and builds the slugs of the current recurring up/down windows
+ */
+
+const config = require('../config');
+
+// Window length per timeframe, in seconds
+const TIMEFRAMES = {
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '4h': 14400,
+  daily: 86400
+};
+
+// Gamma series recurrence -> timeframe
+const RECURRENCES = {
+  '5m': '5m',
+  '15m': '15m',
+  hourly: '1h',
+  '4h': '4h',
+  daily: 'daily'
+};
+
+// Slugs of recurring windows:
+//   btc-updown-15m-1760875200 (window start in unix seconds)
+//   bitcoin-up-or-down-october-19-3pm-et
+//   bitcoin-up-or-down-on-october-19
+const TIMESTAMP_SLUG = /^([a-z]+)-updown-(5m|15m|4h)-(\d{9,})$/;
+const HOURLY_SLUG = /^([a-z]+)-up-or-down-[a-z]+-\d{1,2}-\d{1,2}(am|pm)-et$/;
+const DAILY_SLUG = /^([a-z]+)-up-or-down-on-[a-z]+-\d{1,2}(-\d{4})?$/;
+
+// Hourly and daily slugs are dated in US Eastern time
+const easternFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  hour12: true
+});
+
+/**
+ * Parse a Gamma array field (sent as a JSON-encoded string)
+ */
+function parseArrayField(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Parse a timestamp to epoch ms, or null
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Find the asset a slug token or title word refers to
+ */
+function findAsset(token) {
+  const name = (token || '').toLowerCase();
+  return Object.keys(config.discovery.assets)
+    .find(asset => config.discovery.assets[asset].includes(name)) || null;
+}
+
+/**
+ * Find the asset named in a title, matching whole words only
+ */
+function findAssetInText(text) {
+  const words = (text || '').toLowerCase().split(/[^a-z0-9]+/);
+  for (const word of words) {
+    const asset = findAsset(word);
+    if (asset) return asset;
+  }
+  return null;
+}
+
+/**
+ * Timeframe whose window length matches a duration (within 10%)
+ */
+function timeframeForDuration(seconds) {
+  return Object.keys(TIMEFRAMES)
+    .find(tf => Math.abs(seconds - TIMEFRAMES[tf]) <= TIMEFRAMES[tf] * 0.1) || null;
+}
+
+/**
+ * Classify a recurring-window slug
+ * @returns {{asset: string|null, timeframe: string, windowStart: number|null}|null}
+ */
+function classifySlug(slug) {
+  let match = TIMESTAMP_SLUG.exec(slug);
+  if (match) {
+    return { asset: findAsset(match[1]), timeframe: match[2], windowStart: parseInt(match[3], 10) * 1000 };
+  }
+
+  match = HOURLY_SLUG.exec(slug);
+  if (match) {
+    return { asset: findAsset(match[1]), timeframe: '1h', windowStart: null };
+  }
+
+  match = DAILY_SLUG.exec(slug);
+  if (match) {
+    return { asset: findAsset(match[1]), timeframe: 'daily', windowStart: null };
+  }
+
+  return null;
+}
+
+/**
+ * Classify a Gamma market by asset, timeframe and window
+ * Works from the event slug, then the series recurrence, then the window's
+ * actual length; the asset falls back to whole words of the title
+ * @param {Object} market - Gamma market payload
+ * @param {Object} [event] - Its event (defaults to the market's embedded one)
+ * @returns {{asset: string|null, timeframe: string|null, upDown: boolean, startDate: string|null, endDate: string|null, slug: string|null}}
+ */
+function classifyMarket(market, event = market.events?.[0]) {
+  const fromSlug = classifySlug((event?.slug || '').toLowerCase()) || classifySlug((market.slug || '').toLowerCase());
+  const series = event?.series?.[0];
+
+  const endTime = parseTime(market.endDate || market.end_date_iso || event?.endDate);
+  const explicitStart = parseTime(market.eventStartTime || event?.startTime) ?? fromSlug?.windowStart ?? null;
+
+  let timeframe = fromSlug?.timeframe || RECURRENCES[series?.recurrence] || null;
+  if (!timeframe && explicitStart && endTime) {
+    timeframe = timeframeForDuration((endTime - explicitStart) / 1000);
+  }
+
+  const startTime = explicitStart ?? (endTime && timeframe ? endTime - TIMEFRAMES[timeframe] * 1000 : null);
+
+  const asset = fromSlug?.asset ||
+    findAsset((series?.slug || '').split('-')[0]) ||
+    findAssetInText(event?.title || market.question);
+
+  const outcomes = parseArrayField(market.outcomes).map(o => String(o).toLowerCase());
+  const upDown = Boolean(fromSlug) || (outcomes.includes('up') && outcomes.includes('down'));
+
+  return {
+    asset,
+    timeframe,
+    upDown,
+    startDate: startTime ? new Date(startTime).toISOString() : null,
+    endDate: endTime ? new Date(endTime).toISOString() : null,
+    slug: market.slug || event?.slug || null
+  };
+}
+
+/**
+ * Slugs of the current and upcoming windows for each asset and timeframe
+ * These are probed directly, as short windows are often missing from the tag listing
+ */
+function windowSlugs(activeCurrencies, activeTimeframes, now = Date.now()) {
+  const slugs = [];
+  const lookahead = config.discovery.slugLookahead;
+
+  for (const asset of activeCurrencies) {
+    const aliases = config.discovery.assets[asset];
+    if (!aliases) continue;
+
+    const ticker = aliases[0];
+    const name = aliases[aliases.length - 1];
+
+    for (const timeframe of activeTimeframes) {
+      const periodMs = TIMEFRAMES[timeframe] * 1000;
+      if (!periodMs) continue;
+
+      const currentStart = Math.floor(now / periodMs) * periodMs;
+
+      for (let k = 0; k <= lookahead; k++) {
+        // Daily windows roll over at noon Eastern, so date them from now rather than UTC midnight
+        const start = new Date((timeframe === 'daily' ? now : currentStart) + k * periodMs);
+
+        if (timeframe === '1h' || timeframe === 'daily') {
+          const parts = Object.fromEntries(easternFormat.formatToParts(start).map(p => [p.type, p.value.toLowerCase()]));
+          slugs.push(timeframe === '1h'
+            ? `${name}-up-or-down-${parts.month}-${parts.day}-${parts.hour}${parts.dayPeriod}-et`
+            : `${name}-up-or-down-on-${parts.month}-${parts.day}`);
+        } else {
+          slugs.push(`${ticker}-updown-${timeframe}-${start.getTime() / 1000}`);
+        }
+      }
+    }
+  }
+
+  return [...new Set(slugs)];
+}
+
+module.exports = {
+  TIMEFRAMES,
+  classifyMarket,
+  windowSlugs,
+  parseArrayField
+};
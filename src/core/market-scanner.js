@@ -1,88 +1,134 @@
 /**
  * Market Scanner
- * Scans Polymarket for 15-minute crypto prediction markets
- * Uses Gamma API for market data (no auth required)
+ * Scans Polymarket for recurring crypto up/down markets in the active timeframes,
+ * and for neg-risk multi-outcome events on the active assets (traded as baskets)
+ * Reads the market catalog synced from Gamma (no auth required)
  */
 
 const gammaApi = require('./gamma-api');
+const marketDiscovery = require('./market-discovery');
+const feeModel = require('./fee-model');
 const config = require('../config');
 const db = require('../database');
 
 let cachedMarkets = [];
+let cachedBaskets = [];
 let lastScanTime = 0;
 const CACHE_TTL = 30000; // 30 seconds cache
 
 /**
- * Check if a market matches crypto criteria
- * If requireTimeframe is false, matches ANY crypto market
- * If requireTimeframe is true, only matches 15-minute markets
+ * Extract outcome token IDs from market data
+ * Handles both Gamma API and CLOB API response formats.
+ * yesTokenId/noTokenId are the first two outcomes (Yes/No, Up/Down, ...);
+ * tokens lists every outcome.
  */
-function isTargetMarket(market, activeCurrencies, requireTimeframe = false) {
-  const question = (market.question || '').toLowerCase();
-  const description = (market.description || '').toLowerCase();
-  const combinedText = question + ' ' + description;
-
-  // Check for crypto keywords
-  const hasCrypto = activeCurrencies.some(currency =>
-    combinedText.includes(currency.toLowerCase())
-  );
-
-  if (!hasCrypto) return false;
-
-  // Check for timeframe only if required
-  if (requireTimeframe) {
-    const { timeframePatterns } = config.marketFilters;
-    const has15Min = timeframePatterns.some(pattern =>
-      pattern.test(combinedText)
-    );
-    if (!has15Min) return false;
+function extractTokenIds(market) {
+  // Markets have tokens array with outcomes
+  let tokens = (market.tokens || []).map(token => ({
+    tokenId: token.token_id || token.tokenId,
+    outcome: token.outcome
+  }));
+
+  // Fallback: clobTokenIds array (Gamma API format), or clob_token_ids (snake_case format)
+  if (tokens.length === 0) {
+    const ids = marketDiscovery.parseArrayField(market.clobTokenIds || market.clob_token_ids);
+    const outcomes = marketDiscovery.parseArrayField(market.outcomes);
+    tokens = ids.map((tokenId, i) => ({ tokenId, outcome: outcomes[i] }));
   }
 
-  // Check if market is still open (not resolved/closed)
-  // Gamma API uses 'active' field, CLOB uses 'closed'
-  if (market.closed === true || market.resolved === true) {
-    return false;
-  }
-  if (market.active === false) {
-    return false;
-  }
+  const find = (name) => tokens.find(t => (t.outcome || '').toLowerCase() === name)?.tokenId;
 
-  return true;
+  return {
+    yesTokenId: find('yes') || tokens[0]?.tokenId || null,
+    noTokenId: find('no') || tokens[1]?.tokenId || null,
+    tokens
+  };
 }
 
 /**
- * Extract YES and NO token IDs from market data
- * Handles both Gamma API and CLOB API response formats
+ * Build a scanner market from a Gamma or CLOB market payload
  */
-function extractTokenIds(market) {
-  // Markets have tokens array with outcomes
-  const tokens = market.tokens || [];
+function toScannerMarket(market) {
+  const { yesTokenId, noTokenId, tokens } = extractTokenIds(market);
+  const event = market.events?.[0];
+  const { asset, timeframe, startDate, endDate, slug } = marketDiscovery.classifyMarket(market, event);
 
-  let yesTokenId = null;
-  let noTokenId = null;
+  return {
+    conditionId: market.condition_id || market.conditionId || market.id,
+    question: market.question,
+    description: market.description,
+    yesTokenId,
+    noTokenId,
+    outcomeCount: tokens.length,
+    slug,
+    asset,
+    timeframe,
+    startDate,
+    endDate,
+    closed: market.closed || market.active === false,
+    resolved: market.resolved,
+    volume: market.volume || market.volumeNum || 0,
+    liquidity: market.liquidity || market.liquidityNum || 0,
+    takerBaseFee: market.taker_base_fee ?? market.takerBaseFee,
+    makerBaseFee: market.maker_base_fee ?? market.makerBaseFee,
+    negRisk: Boolean(market.neg_risk ?? market.negRisk),
+    negRiskMarketId: market.neg_risk_market_id || market.negRiskMarketID || null,
+    outcomeLabel: market.groupItemTitle || null,
+    eventId: event?.id || null,
+    eventTitle: event?.title || null
+  };
+}
 
-  for (const token of tokens) {
-    const outcome = (token.outcome || '').toLowerCase();
-    if (outcome === 'yes') {
-      yesTokenId = token.token_id || token.tokenId;
-    } else if (outcome === 'no') {
-      noTokenId = token.token_id || token.tokenId;
-    }
-  }
+/**
+ * Group neg-risk markets into multi-outcome baskets
+ * Exactly one market of a neg-risk event resolves YES, so a basket is only
+ * tradable when it covers every open market of the event. Augmented events
+ * (with placeholder outcomes that can be added later) are skipped.
+ */
+async function buildBaskets(markets) {
+  const groups = new Map();
+
+  for (const market of markets) {
+    if (!market.negRisk || !market.negRiskMarketId || !market.eventId) continue;
 
-  // Fallback: clobTokenIds array (Gamma API format)
-  if (!yesTokenId && market.clobTokenIds) {
-    yesTokenId = market.clobTokenIds[0];
-    noTokenId = market.clobTokenIds[1];
+    if (!groups.has(market.negRiskMarketId)) groups.set(market.negRiskMarketId, []);
+    groups.get(market.negRiskMarketId).push(market);
   }
 
-  // Fallback: clob_token_ids (snake_case format)
-  if (!yesTokenId && market.clob_token_ids) {
-    yesTokenId = market.clob_token_ids[0];
-    noTokenId = market.clob_token_ids[1];
+  const baskets = [];
+
+  for (const [basketId, members] of groups) {
+    if (members.length < 2) continue;
+
+    const event = await gammaApi.getEvent(members[0].eventId);
+    if (!event || event.negRiskAugmented || event.closed) continue;
+
+    const openIds = (event.markets || [])
+      .filter(m => !m.closed && m.active !== false)
+      .map(m => m.conditionId || m.condition_id);
+
+    const memberIds = new Set(members.map(m => m.conditionId));
+    if (openIds.length !== members.length || !openIds.every(id => memberIds.has(id))) {
+      continue; // Some outcomes were filtered out or are missing from the listing
+    }
+
+    baskets.push({
+      basketId,
+      eventId: event.id,
+      title: event.title || members[0].eventTitle,
+      endDate: event.endDate || members[0].endDate,
+      takerBaseFee: members[0].takerBaseFee,
+      makerBaseFee: members[0].makerBaseFee,
+      outcomes: members.map(m => ({
+        conditionId: m.conditionId,
+        label: m.outcomeLabel || m.question,
+        yesTokenId: m.yesTokenId,
+        noTokenId: m.noTokenId
+      }))
+    });
   }
 
-  return { yesTokenId, noTokenId };
+  return baskets;
 }
 
 /**
@@ -91,6 +137,7 @@ function extractTokenIds(market) {
 async function scanMarkets() {
   const settings = db.settings.get();
   const activeCurrencies = settings.active_currencies || config.defaults.activeCurrencies;
+  const activeTimeframes = settings.active_timeframes || config.defaults.activeTimeframes;
 
   // Check cache
   const now = Date.now();
@@ -98,40 +145,31 @@ async function scanMarkets() {
     return cachedMarkets;
   }
 
-  console.log('[Scanner] Scanning markets via Gamma API...');
+  console.log('[Scanner] Scanning market catalog...');
 
   try {
-    const allMarkets = await gammaApi.fetchAllMarkets();
-    console.log(`[Scanner] Found ${allMarkets.length} total markets`);
-
-    const targetMarkets = [];
-
-    // For now, don't require 15-min timeframe - show all crypto markets
-    const requireTimeframe = false;
-
-    for (const market of allMarkets) {
-      if (isTargetMarket(market, activeCurrencies, requireTimeframe)) {
-        const { yesTokenId, noTokenId } = extractTokenIds(market);
-
-        if (yesTokenId && noTokenId) {
-          targetMarkets.push({
-            conditionId: market.condition_id || market.conditionId || market.id,
-            question: market.question,
-            description: market.description,
-            yesTokenId,
-            noTokenId,
-            endDate: market.end_date_iso || market.endDateIso || market.endDate,
-            closed: market.closed || market.active === false,
-            resolved: market.resolved,
-            volume: market.volume || market.volumeNum || 0,
-            liquidity: market.liquidity || market.liquidityNum || 0
-          });
-        }
-      }
-    }
+    // Local query against the catalog kept in sync by the market catalog
+    const targetMarkets = db.markets.getTargets(activeCurrencies, activeTimeframes)
+      .map(row => toScannerMarket(row.payload))
+      .filter(market => market.yesTokenId && market.noTokenId);
 
     console.log(`[Scanner] Found ${targetMarkets.length} crypto markets`);
 
+    // Keep per-market fee rates for the fee model
+    targetMarkets.forEach(market => feeModel.setMarketFees(market));
+
+    // Multi-outcome neg-risk events, traded as baskets
+    // Their markets are never up/down windows, so they are queried separately
+    const basketMarkets = db.markets.getNegRisk(activeCurrencies)
+      .map(row => toScannerMarket(row.payload))
+      .filter(market => market.yesTokenId && market.noTokenId);
+    basketMarkets.forEach(market => feeModel.setMarketFees(market));
+
+    cachedBaskets = await buildBaskets(basketMarkets);
+    if (cachedBaskets.length > 0) {
+      console.log(`[Scanner] Found ${cachedBaskets.length} multi-outcome baskets`);
+    }
+
     cachedMarkets = targetMarkets;
     lastScanTime = now;
 
@@ -151,22 +189,28 @@ async function getMarketById(conditionId) {
   const cached = cachedMarkets.find(m => m.conditionId === conditionId);
   if (cached) return cached;
 
+  const cataloged = db.markets.getByConditionId(conditionId);
+  if (cataloged) return toScannerMarket(cataloged.payload);
+
   // Fetch from Gamma API
   const market = await gammaApi.getMarket(conditionId);
   if (!market) return null;
 
-  const { yesTokenId, noTokenId } = extractTokenIds(market);
+  return toScannerMarket(market);
+}
 
-  return {
-    conditionId: market.condition_id || market.conditionId || market.id,
-    question: market.question,
-    description: market.description,
-    yesTokenId,
-    noTokenId,
-    endDate: market.end_date_iso || market.endDateIso || market.endDate,
-    closed: market.closed || market.active === false,
-    resolved: market.resolved
-  };
+/**
+ * Get the multi-outcome baskets found by the last scan
+ */
+function getBaskets() {
+  return cachedBaskets;
+}
+
+/**
+ * Get the basket a market belongs to, if any
+ */
+function getBasketForMarket(conditionId) {
+  return cachedBaskets.find(b => b.outcomes.some(o => o.conditionId === conditionId)) || null;
 }
 
 /**
@@ -174,14 +218,15 @@ async function getMarketById(conditionId) {
  */
 function clearCache() {
   cachedMarkets = [];
+  cachedBaskets = [];
   lastScanTime = 0;
-  gammaApi.clearCache();
 }
 
 module.exports = {
   scanMarkets,
   getMarketById,
+  getBaskets,
+  getBasketForMarket,
   clearCache,
-  isTargetMarket,
   extractTokenIds
 };
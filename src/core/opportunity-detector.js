@@ -1,12 +1,23 @@
 /**
  * Opportunity Detector
  * Detects arbitrage opportunities in 15-minute crypto markets
+ * and multi-outcome (neg-risk) baskets
  */
 
 const polyClient = require('./polymarket-client');
+const marketData = require('./market-data');
+const referencePrices = require('./reference-prices');
+const sizing = require('./sizing');
+const feeModel = require('./fee-model');
 const db = require('../database');
 const config = require('../config');
 
+// marketId -> time of the last snapshot saved from streamed books
+const lastStreamedSnapshot = new Map();
+
+// marketId -> latest evaluation of the market's books, opportunity or not
+const evaluations = new Map();
+
 /**
  * Calculate liquidity from order book side
  */
@@ -33,73 +44,302 @@ function getBestPrice(orders, side) {
 }
 
 /**
- * Analyze a market for arbitrage opportunity
+ * Evaluate a pair of YES/NO order books for an arbitrage opportunity
+ * Sizes the trade by walking both ask ladders; prices are the deepest levels
+ * the orders need to reach, with the expected VWAP per leg alongside
+ * Pure function of its inputs so recorded books can be replayed through it
  */
-async function analyzeMarket(market) {
-  const settings = db.settings.get();
-  const threshold = settings.profit_threshold;
-  const positionSize = settings.position_size;
+function evaluateBooks(market, yesBook, noBook, settings) {
+  // Get best ask prices (we're buying both YES and NO)
+  const yesBestAsk = getBestPrice(yesBook.asks, 'BUY');
+  const noBestAsk = getBestPrice(noBook.asks, 'BUY');
 
-  try {
-    // Fetch order books for both YES and NO tokens
-    const [yesBook, noBook] = await Promise.all([
-      polyClient.getOrderBook(market.yesTokenId),
-      polyClient.getOrderBook(market.noTokenId)
-    ]);
-
-    // Get best ask prices (we're buying both YES and NO)
-    const yesBestAsk = getBestPrice(yesBook.asks, 'BUY');
-    const noBestAsk = getBestPrice(noBook.asks, 'BUY');
-
-    if (!yesBestAsk || !noBestAsk) {
-      return null; // No liquidity on one side
+  if (!yesBestAsk || !noBestAsk) {
+    return null; // No liquidity on one side
+  }
+
+  // Largest size that still clears the threshold after fees, within the position budget
+  const fees = feeModel.getMarketFees(market);
+  const size = sizing.sizePair(yesBook.asks, noBook.asks, {
+    profitThreshold: settings.profit_threshold,
+    maxCost: settings.position_size,
+    feeRateBps: fees.takerBps
+  });
+
+  if (!size) {
+    return null; // Not enough profit
+  }
+
+  // Gross is the raw pair discount; net also pays trading fees and the merge/redeem cost
+  const grossProfit = size.shares * (1 - size.yes_vwap - size.no_vwap);
+  const settlementCost = feeModel.settlementCost();
+  const expectedProfit = size.expected_profit - settlementCost;
+  const spread = expectedProfit / size.shares;
+
+  if (spread < settings.profit_threshold) {
+    return null; // Settlement cost eats the edge
+  }
+
+  // All-in cost per pair (VWAP of both legs plus fees)
+  const totalCost = size.avg_cost;
+
+  // Calculate liquidity
+  const yesLiquidity = calculateLiquidity(yesBook.asks);
+  const noLiquidity = calculateLiquidity(noBook.asks);
+
+  return {
+    market_id: market.conditionId,
+    market_question: market.question,
+    yes_token_id: market.yesTokenId,
+    no_token_id: market.noTokenId,
+    yes_price: size.yes_limit,
+    no_price: size.no_limit,
+    yes_vwap: size.yes_vwap,
+    no_vwap: size.no_vwap,
+    shares: size.shares,
+    total_cost: totalCost,
+    spread: spread,
+    gross_spread: 1 - size.yes_vwap - size.no_vwap,
+    gross_profit: grossProfit,
+    fees: size.fees,
+    settlement_cost: settlementCost,
+    fee_rate_bps: fees.takerBps,
+    expected_profit: expectedProfit,
+    cost_curve: size.curve,
+    yes_liquidity: yesLiquidity,
+    no_liquidity: noLiquidity,
+    expires_at: market.endDate,
+    yes_book: {
+      best_bid: getBestPrice(yesBook.bids, 'SELL'),
+      best_ask: yesBestAsk,
+      depth: yesLiquidity
+    },
+    no_book: {
+      best_bid: getBestPrice(noBook.bids, 'SELL'),
+      best_ask: noBestAsk,
+      depth: noLiquidity
+    }
+  };
+}
+
+/**
+ * Evaluate a multi-outcome basket for an arbitrage opportunity
+ * Exactly one outcome of a neg-risk event resolves YES, so buying every
+ * outcome's YES for less than $1 locks in a profit (the asks sum below 1),
+ * and so does buying every outcome's NO for less than N - 1 (the executable
+ * side of the bids summing above 1). Both sides are sized by walking the ask
+ * ladders together and the more profitable one is returned.
+ * Pure function of its inputs, like evaluateBooks
+ * @param {Object} basket - Scanner basket
+ * @param {Array<{yes, no}>} books - YES and NO order books per outcome, in basket order
+ */
+function evaluateBasket(basket, books, settings) {
+  const fees = feeModel.getMarketFees(basket);
+  const settlementCost = feeModel.settlementCost();
+  let best = null;
+
+  for (const side of ['YES', 'NO']) {
+    const key = side.toLowerCase();
+    const ladders = books.map(b => b[key]?.asks || []);
+    if (ladders.some(asks => asks.length === 0)) continue;
+
+    const payout = sizing.basketPayout(side, basket.outcomes.length);
+    const size = sizing.sizeBasket(ladders, {
+      profitThreshold: settings.profit_threshold,
+      maxCost: settings.position_size,
+      feeRateBps: fees.takerBps,
+      payout
+    });
+    if (!size) continue;
+
+    const expectedProfit = size.expected_profit - settlementCost;
+    const spread = expectedProfit / size.shares;
+    if (spread < settings.profit_threshold) continue;
+    if (best && best.expected_profit >= expectedProfit) continue;
+
+    const grossSpread = payout - size.vwaps.reduce((total, p) => total + p, 0);
+
+    best = {
+      trade_type: 'basket',
+      basket_side: side,
+      market_id: basket.basketId,
+      market_question: basket.title,
+      legs: basket.outcomes.map((outcome, k) => ({
+        condition_id: outcome.conditionId,
+        outcome: outcome.label,
+        side,
+        token_id: side === 'YES' ? outcome.yesTokenId : outcome.noTokenId,
+        yes_token_id: outcome.yesTokenId,
+        no_token_id: outcome.noTokenId,
+        price: size.limits[k],
+        vwap: size.vwaps[k],
+        liquidity: calculateLiquidity(ladders[k])
+      })),
+      payout,
+      shares: size.shares,
+      total_cost: size.avg_cost,
+      spread,
+      gross_spread: grossSpread,
+      gross_profit: size.shares * grossSpread,
+      fees: size.fees,
+      settlement_cost: settlementCost,
+      fee_rate_bps: fees.takerBps,
+      expected_profit: expectedProfit,
+      cost_curve: size.curve,
+      expires_at: basket.endDate
+    };
+  }
+
+  return best;
+}
+
+/**
+ * Attach the model fair value of an up/down market to its opportunity
+ * Kept out of evaluateBooks, which replays recorded books without a price feed
+ */
+function withFairValue(opportunity, fairValue) {
+  if (!opportunity || !fairValue) return opportunity;
+
+  return {
+    ...opportunity,
+    fair_yes: fairValue.fair_yes,
+    fair_no: fairValue.fair_no,
+    reference_price: fairValue.spot,
+    open_price: fairValue.open_price
+  };
+}
+
+/**
+ * Evaluate a market's books and record the result with its fair value
+ * Every evaluated market keeps its latest prices and fair value (see
+ * getEvaluations), not only the ones that turn out to be opportunities
+ * @returns {Object|null} The opportunity, with its fair value
+ */
+function evaluateMarket(market, yesBook, noBook, settings) {
+  const fairValue = referencePrices.getFairValue(market);
+  const opportunity = withFairValue(evaluateBooks(market, yesBook, noBook, settings), fairValue);
+  const now = Date.now();
+
+  // Markets past their end are no longer evaluated
+  for (const [marketId, evaluation] of evaluations) {
+    if (evaluation.expires_at && new Date(evaluation.expires_at).getTime() < now) evaluations.delete(marketId);
+  }
+
+  evaluations.set(market.conditionId, {
+    market_id: market.conditionId,
+    market_question: market.question,
+    yes_price: getBestPrice(yesBook.asks, 'BUY'),
+    no_price: getBestPrice(noBook.asks, 'BUY'),
+    fair_yes: fairValue?.fair_yes ?? null,
+    fair_no: fairValue?.fair_no ?? null,
+    reference_price: fairValue?.spot ?? null,
+    open_price: fairValue?.open_price ?? null,
+    opportunity: Boolean(opportunity),
+    expires_at: market.endDate,
+    evaluated_at: new Date(now).toISOString()
+  });
+
+  return opportunity;
+}
+
+/**
+ * Latest evaluation of every market still open, most recent first
+ */
+function getEvaluations() {
+  return [...evaluations.values()].sort((a, b) => b.evaluated_at.localeCompare(a.evaluated_at));
+}
+
+/**
+ * Get YES and NO order books, preferring the live stream over REST
+ */
+async function getBooks(market) {
+  const yesBook = marketData.getBook(market.yesTokenId);
+  const noBook = marketData.getBook(market.noTokenId);
+
+  if (yesBook && noBook) {
+    return [yesBook, noBook];
+  }
+
+  return await Promise.all([
+    polyClient.getOrderBook(market.yesTokenId),
+    polyClient.getOrderBook(market.noTokenId)
+  ]);
+}
+
+/**
+ * Analyze a market from its streamed books (called on every book change)
+ * Snapshots are saved at most once per snapshotIntervalMs per market, since
+ * the REST scan that normally records them is skipped while streaming.
+ * Returns null until both books have been received
+ */
+function analyzeStreamedMarket(market) {
+  const yesBook = marketData.getBook(market.yesTokenId);
+  const noBook = marketData.getBook(market.noTokenId);
+
+  if (!yesBook || !noBook) return null;
+
+  const now = Date.now();
+  if (now - (lastStreamedSnapshot.get(market.conditionId) || 0) >= config.marketData.snapshotIntervalMs) {
+    // Entries past the interval no longer throttle anything (keeps ended markets from piling up)
+    for (const [marketId, at] of lastStreamedSnapshot) {
+      if (now - at >= config.marketData.snapshotIntervalMs) lastStreamedSnapshot.delete(marketId);
     }
+    lastStreamedSnapshot.set(market.conditionId, now);
+    saveSnapshot(market.conditionId, market.yesTokenId, 'YES', yesBook);
+    saveSnapshot(market.conditionId, market.noTokenId, 'NO', noBook);
+  }
+
+  return evaluateMarket(market, yesBook, noBook, db.settings.get());
+}
+
+/**
+ * Analyze a basket from its streamed books
+ * Returns null until every outcome's books have been received
+ */
+function analyzeStreamedBasket(basket) {
+  const books = basket.outcomes.map(outcome => ({
+    yes: marketData.getBook(outcome.yesTokenId),
+    no: marketData.getBook(outcome.noTokenId)
+  }));
+
+  if (books.some(b => !b.yes || !b.no)) return null;
 
-    // Calculate total cost and spread
-    const totalCost = yesBestAsk + noBestAsk;
-    const spread = 1 - totalCost;
+  return evaluateBasket(basket, books, db.settings.get());
+}
 
-    // Check if profitable enough
-    if (spread < threshold) {
-      return null; // Not enough profit
+/**
+ * Analyze a basket for arbitrage opportunity
+ */
+async function analyzeBasket(basket) {
+  try {
+    const books = [];
+    for (const outcome of basket.outcomes) {
+      const [yes, no] = await getBooks(outcome);
+      books.push({ yes, no });
     }
 
-    // Calculate liquidity
-    const yesLiquidity = calculateLiquidity(yesBook.asks);
-    const noLiquidity = calculateLiquidity(noBook.asks);
+    return evaluateBasket(basket, books, db.settings.get());
+  } catch (error) {
+    console.error(`[Detector] Error analyzing basket ${basket.basketId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Analyze a market for arbitrage opportunity
+ */
+async function analyzeMarket(market) {
+  const settings = db.settings.get();
 
-    // Calculate expected profit
-    const shares = positionSize / totalCost;
-    const expectedProfit = shares * spread;
+  try {
+    // Get order books for both YES and NO tokens
+    const [yesBook, noBook] = await getBooks(market);
 
-    // Save order book snapshot
+    // Save order book snapshots (replayed by the backtester)
     saveSnapshot(market.conditionId, market.yesTokenId, 'YES', yesBook);
     saveSnapshot(market.conditionId, market.noTokenId, 'NO', noBook);
 
-    return {
-      market_id: market.conditionId,
-      market_question: market.question,
-      yes_token_id: market.yesTokenId,
-      no_token_id: market.noTokenId,
-      yes_price: yesBestAsk,
-      no_price: noBestAsk,
-      total_cost: totalCost,
-      spread: spread,
-      expected_profit: expectedProfit,
-      yes_liquidity: yesLiquidity,
-      no_liquidity: noLiquidity,
-      expires_at: market.endDate,
-      yes_book: {
-        best_bid: getBestPrice(yesBook.bids, 'SELL'),
-        best_ask: yesBestAsk,
-        depth: yesLiquidity
-      },
-      no_book: {
-        best_bid: getBestPrice(noBook.bids, 'SELL'),
-        best_ask: noBestAsk,
-        depth: noLiquidity
-      }
-    };
+    return evaluateMarket(market, yesBook, noBook, settings);
 
   } catch (error) {
     // Silently ignore 404 errors (no order book) - these are common
@@ -131,6 +371,17 @@ function saveSnapshot(marketId, tokenId, tokenType, orderBook) {
       ask_depth: askDepth,
       spread: spread
     });
+
+    // Optional full-depth capture for higher fidelity backtests
+    if (config.backtest.recordDepth) {
+      db.snapshots.createDepth({
+        market_id: marketId,
+        token_id: tokenId,
+        token_type: tokenType,
+        bids: orderBook.bids || [],
+        asks: orderBook.asks || []
+      });
+    }
   } catch (error) {
     // Don't fail on snapshot errors
     console.error('[Detector] Snapshot error:', error.message);
@@ -140,7 +391,7 @@ function saveSnapshot(marketId, tokenId, tokenType, orderBook) {
 /**
  * Scan all markets and detect opportunities
  */
-async function detectOpportunities(markets) {
+async function detectOpportunities(markets, baskets = []) {
   const opportunities = [];
 
   // Just take the first 20 markets to analyze (to avoid rate limits)
@@ -161,9 +412,14 @@ async function detectOpportunities(markets) {
       opportunities.push(opportunity);
       console.log(`[Detector] Opportunity found: ${market.question?.substring(0, 50)}... spread: ${(opportunity.spread * 100).toFixed(2)}%`);
     }
+  }
 
-    // Small delay between order book requests to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 100));
+  for (const basket of baskets) {
+    const opportunity = await analyzeBasket(basket);
+    if (opportunity) {
+      opportunities.push(opportunity);
+      console.log(`[Detector] Basket opportunity found: ${basket.title?.substring(0, 50)}... ${opportunity.legs.length} x ${opportunity.basket_side}, spread: ${(opportunity.spread * 100).toFixed(2)}%`);
+    }
   }
 
   // Sort by spread (best opportunities first)
@@ -177,10 +433,7 @@ async function detectOpportunities(markets) {
  */
 async function getMarketOrderBooks(yesTokenId, noTokenId) {
   try {
-    const [yesBook, noBook] = await Promise.all([
-      polyClient.getOrderBook(yesTokenId),
-      polyClient.getOrderBook(noTokenId)
-    ]);
+    const [yesBook, noBook] = await getBooks({ yesTokenId, noTokenId });
 
     return {
       yes: {
@@ -203,8 +456,14 @@ async function getMarketOrderBooks(yesTokenId, noTokenId) {
 }
 
 module.exports = {
+  evaluateBooks,
+  evaluateBasket,
   analyzeMarket,
+  analyzeStreamedMarket,
+  analyzeBasket,
+  analyzeStreamedBasket,
   detectOpportunities,
+  getEvaluations,
   getMarketOrderBooks,
   calculateLiquidity,
   getBestPrice
@@ -4,24 +4,53 @@
  */
 
 const polyClient = require('./polymarket-client');
+const paperSimulator = require('./paper-simulator');
+const feeModel = require('./fee-model');
+const orderLog = require('./order-log');
 const db = require('../database');
+const config = require('../config');
+
+// Entries being executed right now; the reconciler leaves these alone
+const executing = new Set();
 
 /**
  * Execute an arbitrage trade
- * Places limit buy orders on both YES and NO outcomes
+ * 'paired' mode takes both legs immediately and hedges or unwinds a lone leg;
+ * 'resting' mode places limit buy orders on both YES and NO outcomes;
+ * multi-outcome baskets always take every leg immediately, and directional
+ * trades take their one outcome immediately
  */
 async function executeTrade(opportunity, emitter) {
   const settings = db.settings.get();
-  const positionSize = settings.position_size;
 
-  // Calculate number of shares to buy
-  const totalCost = opportunity.yes_price + opportunity.no_price;
-  const shares = positionSize / totalCost;
+  // Round to what the markets accept before anything is recorded
+  try {
+    opportunity = await applyOrderConstraints(opportunity, settings);
+  } catch (error) {
+    console.error('[Executor] Trade rejected:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  if (opportunity.trade_type === 'basket') {
+    return await executeBasket(opportunity, emitter);
+  }
+  if (opportunity.trade_type === 'directional') {
+    return await executeDirectional(opportunity, emitter);
+  }
+
+  const paired = settings.execution_mode !== 'resting';
+
+  // Use the depth-walked size; older opportunities only carry top-of-book prices
+  const totalCost = opportunity.total_cost ?? opportunity.yes_price + opportunity.no_price;
+  const shares = opportunity.shares ?? settings.position_size / totalCost;
+  const positionSize = shares * totalCost;
 
   console.log(`[Executor] Executing trade for: ${opportunity.market_question?.substring(0, 50)}...`);
   console.log(`[Executor] YES: ${opportunity.yes_price}, NO: ${opportunity.no_price}, Shares: ${shares.toFixed(4)}`);
 
   // Create trade record first
+  // Paired trades stay 'executing' until the last step; the reconciler only
+  // picks them up once no execution is running for them (after a crash)
   const trade = db.trades.create({
     market_id: opportunity.market_id,
     market_question: opportunity.market_question,
@@ -31,10 +60,24 @@ async function executeTrade(opportunity, emitter) {
     no_price: opportunity.no_price,
     total_cost: totalCost,
     position_size: positionSize,
+    shares: shares,
     expected_profit: opportunity.expected_profit,
-    status: 'pending'
+    status: paired ? 'executing' : 'pending',
+    paper: settings.paper_mode,
+    strategy_id: opportunity.strategy_id
   });
 
+  if (paired) {
+    executing.add(trade.id);
+    try {
+      return await executePaired(trade, opportunity, settings, emitter);
+    } catch (error) {
+      return error.fillUnknown ? leaveForReconciliation(trade, error) : failTrade(trade, error);
+    } finally {
+      executing.delete(trade.id);
+    }
+  }
+
   let yesOrder = null;
   let noOrder = null;
 
@@ -45,7 +88,9 @@ async function executeTrade(opportunity, emitter) {
       tokenId: opportunity.yes_token_id,
       price: opportunity.yes_price,
       size: shares,
-      side: 'BUY'
+      side: 'BUY',
+      tradeId: trade.id,
+      leg: 'YES'
     });
 
     // Update trade with YES order ID
@@ -59,7 +104,9 @@ async function executeTrade(opportunity, emitter) {
       tokenId: opportunity.no_token_id,
       price: opportunity.no_price,
       size: shares,
-      side: 'BUY'
+      side: 'BUY',
+      tradeId: trade.id,
+      leg: 'NO'
     });
 
     // Update trade with NO order ID and status
@@ -86,24 +133,100 @@ async function executeTrade(opportunity, emitter) {
     return { success: true, trade: updatedTrade, yesOrder, noOrder };
 
   } catch (error) {
-    console.error('[Executor] Trade failed:', error.message);
-
     // Rollback: cancel any placed orders
     await rollbackTrade(trade, yesOrder, noOrder);
 
-    // Update trade status
-    db.trades.update(trade.id, { status: 'failed' });
+    return failTrade(trade, error);
+  }
+}
 
-    // Create error alert
-    db.alerts.create({
-      type: 'error',
-      severity: 'error',
-      message: `Trade failed: ${error.message}`,
-      data: { trade_id: trade.id, error: error.message }
-    });
+/**
+ * Shares an opportunity orders on every leg
+ * Older opportunities only carry top-of-book prices and are sized from the position size
+ */
+function getOrderShares(opportunity, settings) {
+  if (opportunity.shares != null) return opportunity.shares;
+
+  const totalCost = opportunity.total_cost ?? opportunity.yes_price + opportunity.no_price;
+  return settings.position_size / totalCost;
+}
+
+/**
+ * Round an opportunity's limit prices to each token's tick size (buys round
+ * down) and its shares to the accepted order precision
+ * Every leg is ordered with the same share count, so it must reach the
+ * largest minimum order size among them
+ * @returns {Promise<Object>} Copy of the opportunity with shares set and each leg's tick size attached
+ * @throws When the rounded size is below a leg's minimum order size
+ */
+async function applyOrderConstraints(opportunity, settings) {
+  const rounded = { ...opportunity };
+  let minSize = 0;
 
-    return { success: false, error: error.message, trade };
+  const constrain = async (tokenId, price) => {
+    const constraints = await polyClient.getOrderConstraints(tokenId);
+    minSize = Math.max(minSize, constraints.minSize);
+    return { price: polyClient.roundPrice(price, constraints.tickSize, 'BUY'), tickSize: constraints.tickSize };
+  };
+
+  if (opportunity.trade_type === 'basket') {
+    rounded.legs = [];
+    for (const leg of opportunity.legs) {
+      const { price, tickSize } = await constrain(leg.token_id, leg.price);
+      rounded.legs.push({ ...leg, price, tick_size: tickSize });
+    }
+  } else {
+    const keys = opportunity.trade_type === 'directional' ? [opportunity.direction.toLowerCase()] : ['yes', 'no'];
+    for (const key of keys) {
+      const { price, tickSize } = await constrain(opportunity[`${key}_token_id`], opportunity[`${key}_price`]);
+      rounded[`${key}_price`] = price;
+      rounded[`${key}_tick_size`] = tickSize;
+    }
   }
+
+  rounded.shares = polyClient.roundSize(getOrderShares(opportunity, settings));
+  if (rounded.shares <= 0 || rounded.shares < minSize) {
+    throw new Error(`Order size ${rounded.shares} is below the market minimum of ${minSize} shares`);
+  }
+
+  return rounded;
+}
+
+/**
+ * Mark a trade as failed and raise an error alert
+ */
+function failTrade(trade, error) {
+  console.error('[Executor] Trade failed:', error.message);
+
+  // Update trade status
+  db.trades.update(trade.id, { status: 'failed' });
+
+  // Create error alert
+  db.alerts.create({
+    type: 'error',
+    severity: 'error',
+    message: `Trade failed: ${error.message}`,
+    data: { trade_id: trade.id, error: error.message }
+  });
+
+  return { success: false, error: error.message, trade };
+}
+
+/**
+ * Leave an entry whose fill could not be read in 'executing' for the reconciler
+ * Shares may be held, so the trade is neither failed nor unwound blindly
+ */
+function leaveForReconciliation(trade, error) {
+  console.error(`[Executor] Trade ${trade.id} left for reconciliation:`, error.message);
+
+  db.alerts.create({
+    type: 'error',
+    severity: 'warning',
+    message: `Trade #${trade.id}: ${error.message} - left for reconciliation`,
+    data: { trade_id: trade.id, order_id: error.orderId }
+  });
+
+  return { success: false, error: error.message, trade: db.trades.getById(trade.id) };
 }
 
 /**
@@ -131,6 +254,11 @@ async function rollbackTrade(trade, yesOrder, noOrder) {
 
 /**
  * Cancel a trade's orders
+ * cancelledYes/cancelledNo report whether the exchange cancelled each leg's
+ * order. A leg whose cancel was refused still counts as off the book when its
+ * order reads back filled or already cancelled; fills found either way are
+ * recorded. The trade is only marked cancelled once every order is off the
+ * book, otherwise it is left for the reconciler and success is false
  */
 async function cancelTrade(tradeId, emitter) {
   const trade = db.trades.getById(tradeId);
@@ -140,18 +268,41 @@ async function cancelTrade(tradeId, emitter) {
 
   console.log('[Executor] Cancelling trade:', tradeId);
 
-  let cancelledYes = false;
-  let cancelledNo = false;
+  const result = { cancelledYes: false, cancelledNo: false };
+  const fills = {};
+  const stillOpen = [];
+
+  for (const [key, name] of [['yes', 'Yes'], ['no', 'No']]) {
+    const orderId = trade[`${key}_order_id`];
+    if (!orderId) continue;
 
-  if (trade.yes_order_id) {
-    cancelledYes = await polyClient.cancelOrder(trade.yes_order_id);
+    result[`cancelled${name}`] = await polyClient.cancelOrder(orderId);
+
+    const fill = await getLegFill(orderId, trade[`${key}_filled`], trade[`${key}_avg_price`], trade[`${key}_fees`]);
+    if (fill) {
+      Object.assign(fills, {
+        [`${key}_filled`]: fill.filled,
+        [`${key}_avg_price`]: fill.avgPrice,
+        [`${key}_fees`]: fill.fees
+      });
+    }
+
+    if (!result[`cancelled${name}`] && !fill?.complete && !fill?.cancelled) {
+      stillOpen.push(key.toUpperCase());
+    }
   }
 
-  if (trade.no_order_id) {
-    cancelledNo = await polyClient.cancelOrder(trade.no_order_id);
+  if (stillOpen.length > 0) {
+    const current = Object.keys(fills).length > 0 ? db.trades.update(tradeId, fills) : trade;
+    return {
+      success: false,
+      error: `Could not cancel the ${stillOpen.join(' and ')} order${stillOpen.length > 1 ? 's' : ''}`,
+      trade: current,
+      ...result
+    };
   }
 
-  const updatedTrade = db.trades.update(tradeId, { status: 'cancelled' });
+  const updatedTrade = db.trades.update(tradeId, { ...fills, status: 'cancelled' });
 
   db.alerts.create({
     type: 'trade',
@@ -164,78 +315,1208 @@ async function cancelTrade(tradeId, emitter) {
     emitter.emit('trade:cancelled', updatedTrade);
   }
 
-  return { success: true, trade: updatedTrade, cancelledYes, cancelledNo };
+  return { success: true, trade: updatedTrade, ...result };
 }
 
+// Remaining size below this is treated as fully filled (rounding dust)
+const FILL_DUST = 0.0001;
+
 /**
- * Check order status and update trade
+ * Volume-weighted fill price and fees for an order from its matched trades
+ * The order can appear as the taker or as one of the maker orders
  */
-async function checkOrderStatus(trade) {
-  let yesStatus = null;
-  let noStatus = null;
+async function getOrderFills(order) {
+  const trades = await polyClient.getTrades({ asset_id: order.asset_id, market: order.market }, order.id);
+
+  let size = 0;
+  let notional = 0;
+  let fees = 0;
 
-  if (trade.yes_order_id) {
-    const order = await polyClient.getOrder(trade.yes_order_id);
-    if (order) {
-      yesStatus = order.status;
+  for (const t of trades || []) {
+    if (t.taker_order_id === order.id) {
+      const matched = parseFloat(t.size);
+      const price = parseFloat(t.price);
+      size += matched;
+      notional += matched * price;
+      fees += feeModel.tradeFee(matched, price, t.fee_rate_bps);
+      continue;
     }
-  }
 
-  if (trade.no_order_id) {
-    const order = await polyClient.getOrder(trade.no_order_id);
-    if (order) {
-      noStatus = order.status;
+    for (const maker of t.maker_orders || []) {
+      if (maker.order_id === order.id) {
+        const matched = parseFloat(maker.matched_amount);
+        const price = parseFloat(maker.price);
+        size += matched;
+        notional += matched * price;
+        fees += feeModel.makerFee(matched, price, maker.fee_rate_bps);
+      }
     }
   }
 
+  return {
+    avgPrice: size > 0 ? notional / size : parseFloat(order.price),
+    fees
+  };
+}
+
+/**
+ * Get fill state for one leg of a trade
+ * Only looks up trades for price and fees when the filled size has changed
+ */
+async function getLegFill(orderId, knownFilled, knownAvgPrice, knownFees) {
+  const order = await polyClient.getOrder(orderId);
+  // The client answers HTTP errors with { error, status }: the fill is unknown, not zero
+  if (!order || order.error) return null;
+
+  const originalSize = parseFloat(order.original_size) || 0;
+  const filled = parseFloat(order.size_matched) || 0;
+
+  let avgPrice = knownAvgPrice;
+  let fees = knownFees || 0;
+  if (filled > 0 && (filled !== knownFilled || avgPrice == null)) {
+    ({ avgPrice, fees } = await getOrderFills(order));
+  }
+
+  const status = (order.status || '').toUpperCase();
+
+  const fill = {
+    status,
+    originalSize,
+    filled,
+    avgPrice: filled > 0 ? avgPrice : null,
+    fees,
+    complete: status === 'MATCHED' || (originalSize > 0 && originalSize - filled <= FILL_DUST),
+    cancelled: status.startsWith('CANCEL')
+  };
+
+  orderLog.recordFill(orderId, fill, order);
+  return fill;
+}
+
+/**
+ * Check order status and update trade
+ * Records fill quantities and average prices per leg and moves the trade
+ * through pending -> placed -> partial -> filled
+ */
+async function checkOrderStatus(trade, emitter) {
+  const yes = trade.yes_order_id
+    ? await getLegFill(trade.yes_order_id, trade.yes_filled, trade.yes_avg_price, trade.yes_fees)
+    : null;
+  const no = trade.no_order_id
+    ? await getLegFill(trade.no_order_id, trade.no_filled, trade.no_avg_price, trade.no_fees)
+    : null;
+
+  // Orders not found (yet) - leave the trade as is
+  if ((trade.yes_order_id && !yes) || (trade.no_order_id && !no)) {
+    return { yes, no, newStatus: trade.status };
+  }
+
+  const yesFilled = yes?.filled || 0;
+  const noFilled = no?.filled || 0;
+
   // Determine overall trade status
   let newStatus = trade.status;
 
-  if (yesStatus === 'MATCHED' && noStatus === 'MATCHED') {
+  if (yes?.complete && no?.complete) {
     newStatus = 'filled';
-  } else if (yesStatus === 'MATCHED' || noStatus === 'MATCHED') {
+  } else if (yesFilled > 0 || noFilled > 0) {
     newStatus = 'partial';
-  } else if (yesStatus === 'CANCELLED' || noStatus === 'CANCELLED') {
+  } else if (yes?.cancelled || no?.cancelled) {
     newStatus = 'cancelled';
+  } else if (yes && no) {
+    newStatus = 'placed';
   }
 
-  if (newStatus !== trade.status) {
-    db.trades.update(trade.id, { status: newStatus });
+  const fillsChanged = yesFilled !== (trade.yes_filled || 0) || noFilled !== (trade.no_filled || 0);
+  const statusChanged = newStatus !== trade.status;
+
+  if (!fillsChanged && !statusChanged) {
+    return { yes, no, newStatus };
+  }
+
+  const updatedTrade = db.trades.update(trade.id, {
+    status: newStatus,
+    yes_filled: yesFilled,
+    no_filled: noFilled,
+    yes_avg_price: yes?.avgPrice ?? undefined,
+    no_avg_price: no?.avgPrice ?? undefined,
+    yes_fees: yes?.fees,
+    no_fees: no?.fees,
+    filled_at: newStatus === 'filled' ? new Date().toISOString() : undefined
+  });
+
+  if (statusChanged) {
     console.log(`[Executor] Trade ${trade.id} status updated: ${trade.status} -> ${newStatus}`);
   }
 
-  return { yesStatus, noStatus, newStatus };
+  if (newStatus === 'filled' && statusChanged) {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'info',
+      message: `Trade filled: ${trade.market_question?.substring(0, 50)}...`,
+      data: { trade_id: trade.id, yes_filled: yesFilled, no_filled: noFilled }
+    });
+  }
+
+  if (emitter) {
+    if (newStatus === 'filled') {
+      emitter.emit('trade:filled', updatedTrade);
+    } else if (newStatus === 'partial') {
+      emitter.emit('trade:partial', updatedTrade);
+    } else if (newStatus === 'cancelled' && statusChanged) {
+      emitter.emit('trade:cancelled', updatedTrade);
+    }
+  }
+
+  return { yes, no, newStatus };
+}
+
+// Polling cadence while waiting on a resting second leg
+const LEG_POLL_MS = 500;
+
+// Reads of a placed order before its fill is given up as unknown
+const FILL_READ_ATTEMPTS = 3;
+
+/**
+ * Order the legs of a paired entry
+ * The thinner book goes first: it is the side most likely to move away
+ */
+function getPairLegs(opportunity) {
+  const yes = {
+    name: 'YES',
+    key: 'yes',
+    tokenId: opportunity.yes_token_id,
+    price: opportunity.yes_price,
+    tickSize: opportunity.yes_tick_size,
+    liquidity: opportunity.yes_liquidity ?? Infinity
+  };
+  const no = {
+    name: 'NO',
+    key: 'no',
+    tokenId: opportunity.no_token_id,
+    price: opportunity.no_price,
+    tickSize: opportunity.no_tick_size,
+    liquidity: opportunity.no_liquidity ?? Infinity
+  };
+
+  return no.liquidity < yes.liquidity ? [no, yes] : [yes, no];
+}
+
+/**
+ * Read an order's fill, retrying when the order cannot be read
+ * A placed order that still cannot be read may hold shares, so its fill is
+ * never taken as zero: the error is flagged fillUnknown and the entry is left
+ * to the reconciler
+ * @throws {Error} With fillUnknown and orderId set
+ */
+async function readFill(orderId, known = {}) {
+  for (let attempt = 1; attempt <= FILL_READ_ATTEMPTS; attempt++) {
+    const fill = await getLegFill(orderId, known.filled, known.avgPrice, known.fees);
+    if (fill) return fill;
+
+    if (attempt < FILL_READ_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, LEG_POLL_MS));
+    }
+  }
+
+  const error = new Error(`Fill of order ${orderId} could not be read`);
+  error.fillUnknown = true;
+  error.orderId = orderId;
+  throw error;
+}
+
+/**
+ * Place an order and read back what it filled
+ */
+async function placeAndFill(params) {
+  const order = await polyClient.placeOrder(params);
+  const orderId = order.orderID || order.order_id;
+  const fill = await readFill(orderId);
+
+  return {
+    orderId,
+    filled: fill.filled,
+    avgPrice: fill.avgPrice,
+    fees: fill.fees
+  };
+}
+
+/**
+ * Place a resting order and wait up to timeoutMs for it to fill
+ * Whatever is still open at the deadline is cancelled
+ */
+async function placeAndWait(params, timeoutMs) {
+  const order = await polyClient.placeOrder(params);
+  const orderId = order.orderID || order.order_id;
+  const deadline = Date.now() + timeoutMs;
+
+  let fill = await readFill(orderId);
+  while (!fill.complete && !fill.cancelled && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, LEG_POLL_MS));
+    fill = await readFill(orderId, fill);
+  }
+
+  if (!fill.complete) {
+    await polyClient.cancelOrder(orderId);
+    // Fills can land between the last poll and the cancel
+    fill = await readFill(orderId, fill);
+  }
+
+  return {
+    orderId,
+    filled: fill.filled,
+    avgPrice: fill.avgPrice,
+    fees: fill.fees
+  };
+}
+
+/**
+ * Combine fills from several orders on the same leg
+ */
+function combineFills(fills) {
+  const filled = fills.reduce((total, f) => total + f.filled, 0);
+  const notional = fills.reduce((total, f) => total + f.filled * (f.avgPrice || 0), 0);
+
+  return {
+    filled,
+    avgPrice: filled > 0 ? notional / filled : null,
+    fees: fills.reduce((total, f) => total + f.fees, 0)
+  };
+}
+
+/**
+ * Lowest limit price that sells a size into the current bids
+ * Bids below the floor are never hit; falls back to the deepest bid at or
+ * above it when the book cannot absorb the whole size
+ * @returns {number|null} null when no bid reaches the floor
+ */
+function getUnwindPrice(book, size, floor = 0) {
+  const bids = (book.bids || [])
+    .map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
+    .filter(l => l.price >= floor)
+    .sort((a, b) => b.price - a.price);
+
+  let remaining = size;
+  let price = null;
+
+  for (const level of bids) {
+    price = level.price;
+    remaining -= level.size;
+    if (remaining <= FILL_DUST) break;
+  }
+
+  return price;
+}
+
+/**
+ * Lowest price an unwind may sell at: the entry price less the accepted loss
+ */
+function getUnwindFloor(entryPrice) {
+  return entryPrice * (1 - config.execution.unwindMaxLoss);
+}
+
+/**
+ * Create a step recorder that appends to a trade's execution_log
+ */
+function createRecorder(trade) {
+  const log = [];
+
+  return (step, details) => {
+    log.push({ step, at: new Date().toISOString(), ...details });
+    db.trades.update(trade.id, { execution_log: JSON.stringify(log) });
+  };
+}
+
+/**
+ * Execute both legs of a trade as a pair
+ * 1. First leg: FAK at the quoted price, so nothing rests
+ * 2. Second leg: marketable limit for the matched size, cancelled after leg_timeout_ms
+ * 3. Re-price: FAK for the rest at up to max_pair_cost minus the first leg's price
+ * 4. Unwind: FAK sell of whatever first-leg shares are still unhedged
+ * Each step is appended to the trade's execution_log
+ */
+async function executePaired(trade, opportunity, settings, emitter) {
+  const [first, second] = getPairLegs(opportunity);
+  const record = createRecorder(trade);
+
+  // 1. First leg - placement errors fail the trade (nothing can be held yet)
+  console.log(`[Executor] Placing ${first.name} leg (FAK)...`);
+  const firstFill = await placeAndFill({
+    tokenId: first.tokenId,
+    price: first.price,
+    size: trade.shares,
+    side: 'BUY',
+    orderType: 'FAK',
+    tradeId: trade.id,
+    leg: first.name
+  });
+  record('first_leg', {
+    leg: first.name,
+    order_id: firstFill.orderId,
+    order_type: 'FAK',
+    price: first.price,
+    size: trade.shares,
+    filled: firstFill.filled,
+    avg_price: firstFill.avgPrice
+  });
+
+  if (firstFill.filled <= FILL_DUST) {
+    return finishPaired(trade, { first, second, firstFill, secondFills: [], unwind: null, opportunity }, emitter);
+  }
+
+  // From here on we hold shares, so errors are recorded and the next step runs
+  const target = firstFill.filled;
+  const secondFills = [];
+  const secondRemaining = () => target - combineFills(secondFills).filled;
+
+  // 2. Second leg at the quoted price
+  console.log(`[Executor] Placing ${second.name} leg (${settings.leg_timeout_ms}ms timeout)...`);
+  try {
+    const fill = await placeAndWait({
+      tokenId: second.tokenId,
+      price: second.price,
+      size: target,
+      side: 'BUY',
+      tradeId: trade.id,
+      leg: second.name
+    }, settings.leg_timeout_ms);
+    secondFills.push(fill);
+    record('second_leg', {
+      leg: second.name,
+      order_id: fill.orderId,
+      order_type: 'GTC',
+      price: second.price,
+      size: target,
+      filled: fill.filled,
+      avg_price: fill.avgPrice
+    });
+  } catch (error) {
+    if (error.fillUnknown) throw error;
+    record('second_leg', { leg: second.name, price: second.price, size: target, error: error.message });
+  }
+
+  // 3. Re-price the rest of the second leg up to the max pair cost
+  if (secondRemaining() > FILL_DUST) {
+    const size = secondRemaining();
+    const maxPrice = polyClient.roundPrice(settings.max_pair_cost - firstFill.avgPrice, second.tickSize, 'BUY');
+
+    if (maxPrice <= second.price || maxPrice >= 1) {
+      record('reprice', { leg: second.name, skipped: `max price ${maxPrice.toFixed(2)} leaves no room` });
+    } else {
+      console.log(`[Executor] Re-pricing ${second.name} leg at ${maxPrice.toFixed(2)}...`);
+      try {
+        const fill = await placeAndFill({
+          tokenId: second.tokenId,
+          price: maxPrice,
+          size,
+          side: 'BUY',
+          orderType: 'FAK',
+          tradeId: trade.id,
+          leg: second.name
+        });
+        secondFills.push(fill);
+        record('reprice', {
+          leg: second.name,
+          order_id: fill.orderId,
+          order_type: 'FAK',
+          price: maxPrice,
+          size,
+          filled: fill.filled,
+          avg_price: fill.avgPrice
+        });
+      } catch (error) {
+        if (error.fillUnknown) throw error;
+        record('reprice', { leg: second.name, price: maxPrice, size, error: error.message });
+      }
+    }
+  }
+
+  // 4. Sell the unhedged first-leg shares back into the book
+  let unwind = null;
+  if (secondRemaining() > FILL_DUST) {
+    const size = secondRemaining();
+    console.log(`[Executor] Unwinding ${size.toFixed(4)} ${first.name} shares...`);
+
+    try {
+      const book = await polyClient.getOrderBook(first.tokenId);
+      const floor = getUnwindFloor(firstFill.avgPrice ?? first.price);
+      const price = getUnwindPrice(book, size, floor);
+      if (price == null) {
+        throw new Error(`no bids at or above the unwind floor of ${floor.toFixed(3)}`);
+      }
+
+      unwind = await placeAndFill({
+        tokenId: first.tokenId,
+        price,
+        size,
+        side: 'SELL',
+        orderType: 'FAK',
+        tradeId: trade.id,
+        leg: first.name
+      });
+      record('unwind', {
+        leg: first.name,
+        order_id: unwind.orderId,
+        order_type: 'FAK',
+        price,
+        size,
+        filled: unwind.filled,
+        avg_price: unwind.avgPrice
+      });
+    } catch (error) {
+      if (error.fillUnknown) throw error;
+      record('unwind', { leg: first.name, size, error: error.message });
+    }
+  }
+
+  return finishPaired(trade, { first, second, firstFill, secondFills, unwind, opportunity }, emitter);
+}
+
+/**
+ * Record the outcome of a paired entry
+ * filled   - both legs matched (any unhedged remainder was sold back)
+ * unwound  - the second leg never filled and the first was sold back; P&L is realized now
+ * legged   - first-leg shares are still unhedged after every step
+ * cancelled - the first leg did not fill, nothing is held
+ */
+function finishPaired(trade, result, emitter) {
+  const { first, second, firstFill, secondFills, unwind, opportunity } = result;
+  const secondFill = combineFills(secondFills);
+  const unwound = unwind?.filled || 0;
+  const unhedged = firstFill.filled - secondFill.filled - unwound;
+
+  let status = 'filled';
+  if (firstFill.filled <= FILL_DUST) {
+    status = 'cancelled';
+  } else if (unhedged > FILL_DUST) {
+    status = 'legged';
+  } else if (secondFill.filled <= FILL_DUST) {
+    status = 'unwound';
+  }
+
+  let updatedTrade = db.trades.update(trade.id, {
+    status,
+    [`${first.key}_order_id`]: firstFill.orderId,
+    [`${first.key}_filled`]: firstFill.filled,
+    [`${first.key}_avg_price`]: firstFill.avgPrice ?? undefined,
+    [`${first.key}_fees`]: firstFill.fees + (unwind?.fees || 0),
+    [`${second.key}_order_id`]: secondFills.length > 0 ? secondFills[secondFills.length - 1].orderId : undefined,
+    [`${second.key}_filled`]: secondFill.filled,
+    [`${second.key}_avg_price`]: secondFill.avgPrice ?? undefined,
+    [`${second.key}_fees`]: secondFill.fees,
+    unwound_leg: unwound > 0 ? first.name : undefined,
+    unwound_shares: unwound,
+    unwind_proceeds: unwound * (unwind?.avgPrice || 0),
+    filled_at: status === 'filled' ? new Date().toISOString() : undefined
+  });
+
+  console.log(`[Executor] Paired trade ${trade.id} finished: ${status}`);
+
+  const question = opportunity.market_question?.substring(0, 50);
+
+  if (status === 'cancelled') {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'warning',
+      message: `Trade not filled: no ${first.name} liquidity at ${first.price}`,
+      data: { trade_id: trade.id }
+    });
+  } else if (status === 'legged') {
+    db.alerts.create({
+      type: 'error',
+      severity: 'error',
+      message: `Unhedged position: ${unhedged.toFixed(4)} ${first.name} shares in ${question}...`,
+      data: { trade_id: trade.id, leg: first.name, shares: unhedged }
+    });
+  } else if (status === 'unwound') {
+    // Flat again - book the round trip now rather than waiting for resolution
+    const { invested, returned, gross, profit } = calculateSettlementPnL(updatedTrade, null);
+    updatedTrade = db.trades.update(trade.id, {
+      actual_profit: profit,
+      gross_profit: gross,
+      settled_at: new Date().toISOString()
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    db.pnl.recordSettlement(today, { invested, returned, profit }, trade.paper);
+
+    db.alerts.create({
+      type: 'trade',
+      severity: 'warning',
+      message: `Trade unwound: ${second.name} leg did not fill, P&L: $${profit.toFixed(4)}`,
+      data: { trade_id: trade.id, profit }
+    });
+  } else {
+    db.alerts.create({
+      type: 'trade',
+      severity: unwound > 0 ? 'warning' : 'info',
+      message: unwound > 0
+        ? `Trade filled with ${unwound.toFixed(4)} ${first.name} shares unwound: ${question}...`
+        : `Trade filled: ${question}...`,
+      data: { trade_id: trade.id, spread: opportunity.spread, unwound_shares: unwound }
+    });
+  }
+
+  if (emitter) {
+    emitter.emit('trade:created', updatedTrade);
+    if (status === 'filled') {
+      emitter.emit('trade:filled', updatedTrade);
+    }
+  }
+
+  return { success: status !== 'cancelled', trade: updatedTrade };
+}
+
+/**
+ * Execute a multi-outcome basket: one FAK buy per outcome token
+ * Basket legs are stored in trade_legs; the trade's pair columns stay empty
+ */
+async function executeBasket(opportunity, emitter) {
+  const settings = db.settings.get();
+  const { shares, legs } = opportunity;
+
+  console.log(`[Executor] Executing basket for: ${opportunity.market_question?.substring(0, 50)}...`);
+  console.log(`[Executor] ${legs.length} x ${opportunity.basket_side}, Shares: ${shares.toFixed(4)}`);
+
+  const trade = db.trades.create({
+    market_id: opportunity.market_id,
+    market_question: opportunity.market_question,
+    yes_token_id: '',
+    no_token_id: '',
+    yes_price: 0,
+    no_price: 0,
+    total_cost: opportunity.total_cost,
+    position_size: shares * opportunity.total_cost,
+    shares,
+    expected_profit: opportunity.expected_profit,
+    status: 'executing',
+    paper: settings.paper_mode,
+    trade_type: 'basket',
+    basket_side: opportunity.basket_side,
+    strategy_id: opportunity.strategy_id
+  });
+
+  const legRows = legs.map((leg, index) => db.tradeLegs.create({
+    trade_id: trade.id,
+    leg_index: index,
+    condition_id: leg.condition_id,
+    outcome: leg.outcome,
+    side: leg.side,
+    token_id: leg.token_id,
+    yes_token_id: leg.yes_token_id,
+    no_token_id: leg.no_token_id,
+    price: leg.price
+  }));
+
+  executing.add(trade.id);
+  try {
+    return await fillBasket(trade, opportunity, legRows, emitter);
+  } catch (error) {
+    return error.fillUnknown ? leaveForReconciliation(trade, error) : failTrade(trade, error);
+  } finally {
+    executing.delete(trade.id);
+  }
+}
+
+/**
+ * Buy every leg of a basket
+ * Legs go thinnest book first, each sized to the smallest fill so far so the
+ * basket stays balanced; whatever a leg bought beyond the final basket size
+ * is sold back. Each step is appended to the trade's execution_log.
+ */
+async function fillBasket(trade, opportunity, legRows, emitter) {
+  const record = createRecorder(trade);
+  const liquidity = (leg) => opportunity.legs[leg.leg_index].liquidity ?? Infinity;
+  const order = [...legRows].sort((a, b) => liquidity(a) - liquidity(b));
+
+  const fills = new Map();
+  let target = trade.shares;
+
+  for (const leg of order) {
+    console.log(`[Executor] Placing ${leg.outcome} ${leg.side} leg (FAK)...`);
+    let fill = { orderId: null, filled: 0, avgPrice: null, fees: 0 };
+
+    try {
+      fill = await placeAndFill({
+        tokenId: leg.token_id,
+        price: leg.price,
+        size: target,
+        side: 'BUY',
+        orderType: 'FAK',
+        tradeId: trade.id,
+        leg: leg.outcome
+      });
+      record('leg', {
+        leg: leg.outcome,
+        order_id: fill.orderId,
+        order_type: 'FAK',
+        price: leg.price,
+        size: target,
+        filled: fill.filled,
+        avg_price: fill.avgPrice
+      });
+    } catch (error) {
+      if (error.fillUnknown) throw error;
+      record('leg', { leg: leg.outcome, price: leg.price, size: target, error: error.message });
+    }
+
+    fills.set(leg.id, fill);
+    target = Math.min(target, fill.filled);
+    if (target <= FILL_DUST) break;
+  }
+
+  const basketShares = target > FILL_DUST ? target : 0;
+
+  // Sell back what each leg bought beyond the basket
+  const unwinds = new Map();
+  for (const leg of order) {
+    const excess = (fills.get(leg.id)?.filled || 0) - basketShares;
+    if (excess <= FILL_DUST) continue;
+
+    console.log(`[Executor] Unwinding ${excess.toFixed(4)} ${leg.outcome} ${leg.side} shares...`);
+
+    try {
+      const book = await polyClient.getOrderBook(leg.token_id);
+      const floor = getUnwindFloor(fills.get(leg.id).avgPrice ?? leg.price);
+      const price = getUnwindPrice(book, excess, floor);
+      if (price == null) {
+        throw new Error(`no bids at or above the unwind floor of ${floor.toFixed(3)}`);
+      }
+
+      const unwind = await placeAndFill({
+        tokenId: leg.token_id,
+        price,
+        size: excess,
+        side: 'SELL',
+        orderType: 'FAK',
+        tradeId: trade.id,
+        leg: leg.outcome
+      });
+      unwinds.set(leg.id, unwind);
+      record('unwind', {
+        leg: leg.outcome,
+        order_id: unwind.orderId,
+        order_type: 'FAK',
+        price,
+        size: excess,
+        filled: unwind.filled,
+        avg_price: unwind.avgPrice
+      });
+    } catch (error) {
+      if (error.fillUnknown) throw error;
+      record('unwind', { leg: leg.outcome, size: excess, error: error.message });
+    }
+  }
+
+  return finishBasket(trade, { legRows, fills, unwinds, basketShares, opportunity }, emitter);
+}
+
+/**
+ * Record the outcome of a basket entry
+ * filled   - every leg holds the basket size (excess was sold back)
+ * unwound  - some leg never filled and everything bought was sold back; P&L is realized now
+ * legged   - some leg still holds shares beyond the basket size
+ * cancelled - nothing filled, nothing is held
+ */
+function finishBasket(trade, result, emitter) {
+  const { legRows, fills, unwinds, basketShares, opportunity } = result;
+
+  let anyFilled = false;
+  let unhedged = 0;
+
+  const legs = legRows.map(leg => {
+    const fill = fills.get(leg.id);
+    const unwind = unwinds.get(leg.id);
+    const filled = fill?.filled || 0;
+    const unwound = unwind?.filled || 0;
+
+    if (filled > FILL_DUST) anyFilled = true;
+    unhedged = Math.max(unhedged, filled - unwound - basketShares);
+
+    return db.tradeLegs.update(leg.id, {
+      order_id: fill?.orderId || undefined,
+      filled,
+      avg_price: fill?.avgPrice ?? undefined,
+      fees: (fill?.fees || 0) + (unwind?.fees || 0),
+      unwound_shares: unwound,
+      unwind_proceeds: unwound * (unwind?.avgPrice || 0)
+    });
+  });
+
+  let status = 'filled';
+  if (!anyFilled) {
+    status = 'cancelled';
+  } else if (unhedged > FILL_DUST) {
+    status = 'legged';
+  } else if (basketShares <= FILL_DUST) {
+    status = 'unwound';
+  }
+
+  let updatedTrade = db.trades.update(trade.id, {
+    status,
+    filled_at: status === 'filled' ? new Date().toISOString() : undefined
+  });
+
+  console.log(`[Executor] Basket trade ${trade.id} finished: ${status}`);
+
+  const question = opportunity.market_question?.substring(0, 50);
+
+  if (status === 'cancelled') {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'warning',
+      message: `Basket not filled: ${question}...`,
+      data: { trade_id: trade.id }
+    });
+  } else if (status === 'legged') {
+    db.alerts.create({
+      type: 'error',
+      severity: 'error',
+      message: `Unbalanced basket: up to ${unhedged.toFixed(4)} unhedged shares in ${question}...`,
+      data: { trade_id: trade.id, shares: unhedged }
+    });
+  } else if (status === 'unwound') {
+    // Flat again - book the round trip now rather than waiting for resolution
+    const { invested, returned, gross, profit } = calculateBasketPnL(legs, null);
+    updatedTrade = db.trades.update(trade.id, {
+      actual_profit: profit,
+      gross_profit: gross,
+      settled_at: new Date().toISOString()
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    db.pnl.recordSettlement(today, { invested, returned, profit }, trade.paper);
+
+    db.alerts.create({
+      type: 'trade',
+      severity: 'warning',
+      message: `Basket unwound: not every leg filled, P&L: $${profit.toFixed(4)}`,
+      data: { trade_id: trade.id, profit }
+    });
+  } else {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'info',
+      message: `Basket filled: ${basketShares.toFixed(4)} x ${legs.length} ${trade.basket_side} legs in ${question}...`,
+      data: { trade_id: trade.id, spread: opportunity.spread, shares: basketShares }
+    });
+  }
+
+  if (emitter) {
+    emitter.emit('trade:created', updatedTrade);
+    if (status === 'filled') {
+      emitter.emit('trade:filled', updatedTrade);
+    }
+  }
+
+  return { success: status !== 'cancelled', trade: updatedTrade };
+}
+
+/**
+ * Execute a directional trade: one FAK buy of the outcome priced below fair value
+ * The position uses the pair columns of its side; the other side stays empty
+ * and the trade settles like a pair that holds a single leg
+ */
+async function executeDirectional(opportunity, emitter) {
+  const settings = db.settings.get();
+  const side = opportunity.direction;
+  const key = side.toLowerCase();
+  const price = opportunity[`${key}_price`];
+  const tokenId = opportunity[`${key}_token_id`];
+  const shares = opportunity.shares ?? settings.position_size / opportunity.total_cost;
+
+  console.log(`[Executor] Executing directional trade for: ${opportunity.market_question?.substring(0, 50)}...`);
+  console.log(`[Executor] ${side} @ ${price}, Shares: ${shares.toFixed(4)}, Fair: ${opportunity[`fair_${key}`]?.toFixed(3)}`);
+
+  const trade = db.trades.create({
+    market_id: opportunity.market_id,
+    market_question: opportunity.market_question,
+    yes_token_id: opportunity.yes_token_id,
+    no_token_id: opportunity.no_token_id,
+    yes_price: side === 'YES' ? price : 0,
+    no_price: side === 'NO' ? price : 0,
+    total_cost: opportunity.total_cost,
+    position_size: shares * opportunity.total_cost,
+    shares,
+    expected_profit: opportunity.expected_profit,
+    status: 'executing',
+    paper: settings.paper_mode,
+    trade_type: 'directional',
+    direction: side,
+    strategy_id: opportunity.strategy_id
+  });
+
+  const record = createRecorder(trade);
+  let fill;
+
+  executing.add(trade.id);
+  try {
+    console.log(`[Executor] Placing ${side} order (FAK)...`);
+    fill = await placeAndFill({ tokenId, price, size: shares, side: 'BUY', orderType: 'FAK', tradeId: trade.id, leg: side });
+    record('entry', {
+      leg: side,
+      order_id: fill.orderId,
+      order_type: 'FAK',
+      price,
+      size: shares,
+      filled: fill.filled,
+      avg_price: fill.avgPrice,
+      fair: opportunity[`fair_${key}`] ?? null
+    });
+  } catch (error) {
+    return error.fillUnknown ? leaveForReconciliation(trade, error) : failTrade(trade, error);
+  } finally {
+    executing.delete(trade.id);
+  }
+
+  return finishDirectional(trade, fill, opportunity, emitter);
+}
+
+/**
+ * Record the outcome of a directional entry
+ * filled    - the outcome was bought
+ * cancelled - nothing filled, nothing is held
+ */
+function finishDirectional(trade, fill, opportunity, emitter) {
+  const side = trade.direction;
+  const key = side.toLowerCase();
+  const status = fill.filled > FILL_DUST ? 'filled' : 'cancelled';
+
+  const updatedTrade = db.trades.update(trade.id, {
+    status,
+    [`${key}_order_id`]: fill.orderId ?? undefined,
+    [`${key}_filled`]: fill.filled,
+    [`${key}_avg_price`]: fill.avgPrice ?? undefined,
+    [`${key}_fees`]: fill.fees,
+    filled_at: status === 'filled' ? new Date().toISOString() : undefined
+  });
+
+  console.log(`[Executor] Directional trade ${trade.id} finished: ${status}`);
+
+  db.alerts.create({
+    type: 'trade',
+    severity: status === 'filled' ? 'info' : 'warning',
+    message: status === 'filled'
+      ? `Directional trade filled: ${fill.filled.toFixed(4)} ${side} @ $${fill.avgPrice?.toFixed(3)} in ${opportunity.market_question?.substring(0, 50)}...`
+      : `Directional trade not filled: no ${side} liquidity at ${opportunity[`${key}_price`]}`,
+    data: { trade_id: trade.id, direction: side, fair: opportunity[`fair_${key}`] ?? null, shares: fill.filled }
+  });
+
+  if (emitter) {
+    emitter.emit('trade:created', updatedTrade);
+    if (status === 'filled') {
+      emitter.emit('trade:filled', updatedTrade);
+    }
+  }
+
+  return { success: status === 'filled', trade: updatedTrade };
+}
+
+/**
+ * Finish an entry left 'executing' by a crash or by a fill that could not be read
+ * Its orders come from the order log: any still open is cancelled, every fill
+ * is read back and the outcome is booked as the entry would have booked it.
+ * While an order cannot be read the trade stays 'executing' for the next pass.
+ */
+async function reconcileExecution(trade, emitter) {
+  if (executing.has(trade.id)) return { newStatus: trade.status };
+
+  const orders = db.orders.getByTrade(trade.id);
+  const fills = [];
+
+  for (const order of orders.filter(o => o.order_id)) {
+    let fill = await getLegFill(order.order_id, order.filled, order.avg_price, order.fees);
+    if (fill && !fill.complete && !fill.cancelled) {
+      await polyClient.cancelOrder(order.order_id);
+      fill = await getLegFill(order.order_id, fill.filled, fill.avgPrice, fill.fees);
+    }
+
+    if (!fill) {
+      console.log(`[Executor] Trade ${trade.id}: order ${order.order_id} still cannot be read, retrying next pass`);
+      return { newStatus: trade.status };
+    }
+
+    fills.push({ orderId: order.order_id, leg: order.leg, side: order.side, ...fill });
+  }
+
+  // Submissions that never got an answer have no order ID to look up
+  const unanswered = orders.filter(o => o.state === 'submitted').length;
+  if (unanswered > 0) {
+    db.alerts.create({
+      type: 'error',
+      severity: 'warning',
+      message: `Trade #${trade.id}: ${unanswered} order submission(s) never answered - check the exchange for untracked orders`,
+      data: { trade_id: trade.id }
+    });
+  }
+
+  console.log(`[Executor] Reconciling interrupted trade ${trade.id} from ${fills.length} orders`);
+
+  const legFills = (leg, side) => fills.filter(f => f.leg === leg && f.side === side);
+  const combined = (list) => ({
+    ...combineFills(list),
+    orderId: list.length > 0 ? list[list.length - 1].orderId : null
+  });
+  const opportunity = { ...trade, spread: null };
+
+  if (trade.trade_type === 'directional') {
+    return finishDirectional(trade, combined(legFills(trade.direction, 'BUY')), opportunity, emitter);
+  }
+
+  if (trade.trade_type === 'basket') {
+    const legRows = db.tradeLegs.getByTrade(trade.id);
+    const bought = new Map();
+    const unwinds = new Map();
+
+    for (const leg of legRows) {
+      bought.set(leg.id, combined(legFills(leg.outcome, 'BUY')));
+      const sold = legFills(leg.outcome, 'SELL');
+      if (sold.length > 0) unwinds.set(leg.id, combined(sold));
+    }
+
+    const held = legRows.map(leg => bought.get(leg.id).filled - (unwinds.get(leg.id)?.filled || 0));
+    const basketShares = Math.max(0, Math.min(...held));
+
+    return finishBasket(trade, {
+      legRows,
+      fills: bought,
+      unwinds,
+      basketShares: basketShares > FILL_DUST ? basketShares : 0,
+      opportunity
+    }, emitter);
+  }
+
+  // The first leg is the one that was unwound, else the one ordered first
+  const legs = getPairLegs(trade);
+  const firstName = fills.find(f => f.side === 'SELL')?.leg || fills[0]?.leg || legs[0].name;
+  const first = legs.find(leg => leg.name === firstName);
+  const second = legs.find(leg => leg.name !== firstName);
+  const sold = legFills(first.name, 'SELL');
+
+  return finishPaired(trade, {
+    first,
+    second,
+    firstFill: combined(legFills(first.name, 'BUY')),
+    secondFills: legFills(second.name, 'BUY'),
+    unwind: sold.length > 0 ? combined(sold) : null,
+    opportunity
+  }, emitter);
+}
+
+/**
+ * Realized P&L for a basket from its legs' actual fills
+ * Each winning leg pays $1 per share still held; unwound shares return their sale proceeds.
+ * @param {Array} legs - trade_legs rows
+ * @param {Set|null} winningTokenIds - Winning token of each leg's condition, or null before resolution
+ * @returns {{invested, returned, payout, gross, settlementCost, profit}}
+ */
+function calculateBasketPnL(legs, winningTokenIds) {
+  let notional = 0;
+  let fees = 0;
+  let payout = 0;
+  let proceeds = 0;
+  let payingLegs = 0;
+
+  for (const leg of legs) {
+    const held = (leg.filled || 0) - (leg.unwound_shares || 0);
+    notional += (leg.filled || 0) * (leg.avg_price || 0);
+    fees += leg.fees || 0;
+    proceeds += leg.unwind_proceeds || 0;
+
+    if (winningTokenIds?.has(leg.token_id) && held > FILL_DUST) {
+      payout += held;
+      payingLegs++;
+    }
+  }
+
+  const invested = notional + fees;
+  const returned = payout + proceeds;
+  const settlementCost = payingLegs * feeModel.settlementCost();
+
+  return {
+    invested,
+    returned,
+    payout,
+    gross: returned - notional,
+    settlementCost,
+    profit: returned - invested - settlementCost
+  };
+}
+
+/**
+ * Process settlement for a basket trade once every leg's condition has resolved
+ * @param {Set} winningTokenIds - Winning token of each leg's condition
+ */
+async function processBasketSettlement(trade, winningTokenIds, emitter) {
+  const legs = db.tradeLegs.getByTrade(trade.id);
+  const { invested, returned, payout, gross, settlementCost, profit } = calculateBasketPnL(legs, winningTokenIds);
+
+  legs.forEach(leg => {
+    db.tradeLegs.update(leg.id, { settlement_result: winningTokenIds.has(leg.token_id) ? 'won' : 'lost' });
+  });
+
+  // The outcome that resolved YES names the result
+  const winner = legs.find(leg => winningTokenIds.has(leg.yes_token_id))?.outcome || 'none';
+
+  const updatedTrade = db.trades.update(trade.id, {
+    status: 'settled',
+    settlement_result: winner,
+    actual_profit: profit,
+    gross_profit: gross,
+    settlement_cost: settlementCost,
+    settled_at: new Date().toISOString()
+  });
+
+  if (trade.paper) {
+    paperSimulator.credit(payout);
+    paperSimulator.clearTokens(legs.flatMap(leg => [leg.yes_token_id, leg.no_token_id]));
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  db.pnl.recordSettlement(today, {
+    invested: invested + settlementCost,
+    returned: trade.paper ? returned : returned - payout,
+    profit
+  }, trade.paper);
+
+  db.alerts.create({
+    type: 'settlement',
+    severity: profit >= 0 ? 'info' : 'warning',
+    message: `Basket settled: ${winner} won, Profit: $${profit.toFixed(4)} (gross $${gross.toFixed(4)})`,
+    data: { trade_id: trade.id, result: winner, profit, gross, invested, returned }
+  });
+
+  if (emitter) {
+    emitter.emit('trade:settled', { trade: updatedTrade, profit });
+  }
+
+  return updatedTrade;
+}
+
+/**
+ * Cost per share of a leg's fills, fees included
+ */
+function getCostPerShare(filled, avgPrice, fees) {
+  return filled > 0 ? (avgPrice || 0) + (fees || 0) / filled : null;
+}
+
+/**
+ * Outcome tokens a trade still holds, per condition, with their cost per share
+ * @returns {Array<{conditionId, yesTokenId, noTokenId, yes: number, no: number, yesCost: number|null, noCost: number|null}>}
+ */
+function getPositions(trade) {
+  if (trade.trade_type === 'basket') {
+    return db.tradeLegs.getByTrade(trade.id).map(leg => {
+      const held = Math.max(0, (leg.filled || 0) - (leg.unwound_shares || 0));
+      const cost = getCostPerShare(leg.filled, leg.avg_price, leg.fees);
+      return {
+        conditionId: leg.condition_id,
+        yesTokenId: leg.yes_token_id,
+        noTokenId: leg.no_token_id,
+        yes: leg.side === 'YES' ? held : 0,
+        no: leg.side === 'NO' ? held : 0,
+        yesCost: leg.side === 'YES' ? cost : null,
+        noCost: leg.side === 'NO' ? cost : null
+      };
+    });
+  }
+
+  const unwound = trade.unwound_shares || 0;
+  const merged = trade.merged_amount || 0;
+
+  return [{
+    conditionId: trade.market_id,
+    yesTokenId: trade.yes_token_id,
+    noTokenId: trade.no_token_id,
+    yes: Math.max(0, (trade.yes_filled || 0) - (trade.unwound_leg === 'YES' ? unwound : 0) - merged),
+    no: Math.max(0, (trade.no_filled || 0) - (trade.unwound_leg === 'NO' ? unwound : 0) - merged),
+    yesCost: getCostPerShare(trade.yes_filled, trade.yes_avg_price, trade.yes_fees),
+    noCost: getCostPerShare(trade.no_filled, trade.no_avg_price, trade.no_fees)
+  }];
+}
+
+/**
+ * Realized P&L for a trade from its actual fills
+ * Only the winning leg pays out $1 per share; the other leg expires worthless.
+ * Shares sold back during an unwind return their sale proceeds instead,
+ * and complete sets merged before resolution return $1 each.
+ * Net profit also pays trading fees and the cost of each merge/redeem transaction.
+ * @param {string|null} winner - 'YES', 'NO', or null for a position closed before resolution
+ * @returns {{invested, returned, payout, gross, settlementCost, profit}} payout is the resolution part of returned
+ */
+function calculateSettlementPnL(trade, winner) {
+  const yesFilled = trade.yes_filled || 0;
+  const noFilled = trade.no_filled || 0;
+  const unwound = trade.unwound_shares || 0;
+  const merged = trade.merged_amount || 0;
+
+  const yesHeld = yesFilled - (trade.unwound_leg === 'YES' ? unwound : 0) - merged;
+  const noHeld = noFilled - (trade.unwound_leg === 'NO' ? unwound : 0) - merged;
+
+  const notional =
+    yesFilled * (trade.yes_avg_price || 0) +
+    noFilled * (trade.no_avg_price || 0);
+  const invested = notional + (trade.yes_fees || 0) + (trade.no_fees || 0);
+
+  let payout = 0;
+  if (winner === 'YES') payout = yesHeld;
+  if (winner === 'NO') payout = noHeld;
+
+  const returned = payout + merged + (trade.unwind_proceeds || 0);
+  const transactions = (payout > 0 ? 1 : 0) + (merged > 0 ? 1 : 0);
+  const settlementCost = transactions * feeModel.settlementCost();
+
+  return {
+    invested,
+    returned,
+    payout,
+    gross: returned - notional,
+    settlementCost,
+    profit: returned - invested - settlementCost
+  };
 }
 
 /**
  * Process settlement for a trade
+ * @param {Object} trade - Trade row with fills recorded
+ * @param {string} winner - Winning outcome ('YES' or 'NO')
  */
-async function processSettlement(trade, result, emitter) {
-  const profit = trade.position_size - trade.total_cost * (trade.position_size / trade.total_cost);
-  // Actual profit calculation: we spent total_cost per share, we get $1 back
-  const shares = trade.position_size / trade.total_cost;
-  const actualProfit = shares * (1 - trade.total_cost);
+async function processSettlement(trade, winner, emitter) {
+  const { invested, returned, payout, gross, settlementCost, profit } = calculateSettlementPnL(trade, winner);
 
   const updatedTrade = db.trades.update(trade.id, {
     status: 'settled',
-    settlement_result: result,
-    actual_profit: actualProfit,
+    settlement_result: winner,
+    actual_profit: profit,
+    gross_profit: gross,
+    settlement_cost: settlementCost,
     settled_at: new Date().toISOString()
   });
 
-  // Update daily P&L
+  // Paper positions pay out into the virtual balance (unwinds and merges were credited already)
+  if (trade.paper) {
+    paperSimulator.credit(payout);
+    paperSimulator.clearTokens([trade.yes_token_id, trade.no_token_id]);
+  }
+
+  // Update daily P&L; total_returned is cash received, so a live payout
+  // is only counted once the redemption worker redeems it on-chain
   const today = new Date().toISOString().split('T')[0];
-  db.pnl.incrementTrades(today, actualProfit);
+  db.pnl.recordSettlement(today, {
+    invested: invested + settlementCost,
+    returned: trade.paper ? returned : returned - payout,
+    profit
+  }, trade.paper);
 
   db.alerts.create({
     type: 'settlement',
-    severity: 'info',
-    message: `Trade settled: ${result}, Profit: $${actualProfit.toFixed(4)}`,
-    data: { trade_id: trade.id, result, profit: actualProfit }
+    severity: profit >= 0 ? 'info' : 'warning',
+    message: `Trade settled: ${winner} won, Profit: $${profit.toFixed(4)} (gross $${gross.toFixed(4)})`,
+    data: { trade_id: trade.id, result: winner, profit, gross, invested, returned }
   });
 
   if (emitter) {
-    emitter.emit('trade:settled', { trade: updatedTrade, profit: actualProfit });
+    emitter.emit('trade:settled', { trade: updatedTrade, profit });
   }
 
   return updatedTrade;
@@ -245,6 +1526,12 @@ module.exports = {
   executeTrade,
   cancelTrade,
   checkOrderStatus,
+  reconcileExecution,
+  getLegFill,
   processSettlement,
+  processBasketSettlement,
+  calculateSettlementPnL,
+  calculateBasketPnL,
+  getPositions,
   rollbackTrade
 };
@@ -0,0 +1,185 @@
+/**
+ * Order Log
+ * Audit trail of every order sent to the CLOB or the paper simulator. Each
+ * order keeps its current state in `orders`; its submission, the placement
+ * response or rejection, fill updates and cancels are appended to
+ * `order_events` with the raw API responses, so what happened on a trade can
+ * be reconstructed exactly.
+ *
+ * States:
+ *   submitted -> placed | rejected
+ *   placed    -> partial | filled | cancelled
+ *   partial   -> filled | cancelled
+ * Any other move keeps the current state but is still logged, e.g. fills
+ * that land between the last poll and a cancel
+ */
+
+const db = require('../database');
+
+const TRANSITIONS = {
+  submitted: ['placed', 'rejected'],
+  placed: ['partial', 'filled', 'cancelled'],
+  partial: ['filled', 'cancelled'],
+  filled: [],
+  cancelled: [],
+  rejected: []
+};
+
+/**
+ * Move an order to a new state and log the event
+ * @param {Object} order - orders row
+ * @param {string} event - Event name
+ * @param {string|null} toState - Target state (null keeps the current one)
+ * @param {Object} [fields] - Other columns to update
+ * @param {*} [raw] - Raw API response
+ * @returns {Object} Updated orders row
+ */
+function transition(order, event, toState, fields = {}, raw = undefined) {
+  const state = toState && TRANSITIONS[order.state].includes(toState) ? toState : order.state;
+  const updated = db.orders.update(order.id, { ...fields, state });
+
+  db.orders.addEvent({
+    order_ref: order.id,
+    event,
+    from_state: order.state,
+    to_state: state,
+    filled: updated.filled,
+    raw
+  });
+
+  return updated;
+}
+
+/**
+ * Record an order about to be submitted
+ * @param {Object} params - placeOrder params (tradeId and leg link it to its trade)
+ * @param {boolean} paper - Routed to the paper simulator
+ * @returns {Object} orders row in the 'submitted' state
+ */
+function recordSubmission(params, paper) {
+  const order = db.orders.create({
+    trade_id: params.tradeId,
+    leg: params.leg,
+    token_id: params.tokenId,
+    side: params.side,
+    order_type: params.orderType || 'GTC',
+    price: params.price,
+    size: params.size,
+    paper
+  });
+
+  db.orders.addEvent({
+    order_ref: order.id,
+    event: 'submitted',
+    to_state: order.state,
+    filled: 0,
+    raw: {
+      tokenId: params.tokenId,
+      price: params.price,
+      size: params.size,
+      side: params.side,
+      orderType: order.order_type,
+      tickSize: params.tickSize,
+      negRisk: params.negRisk
+    }
+  });
+
+  return order;
+}
+
+/**
+ * Record the exchange's acceptance of an order
+ */
+function recordPlacement(order, response) {
+  return transition(order, 'placed', 'placed', { order_id: response.orderID || response.order_id }, response);
+}
+
+/**
+ * Record a rejected submission
+ * @param {Object} order
+ * @param {Error} error
+ * @param {Object} [response] - Raw { error, status } response, when the API answered
+ */
+function recordRejection(order, error, response = null) {
+  return transition(order, 'rejected', 'rejected', { error: error.message }, response || { error: error.message });
+}
+
+/**
+ * Record the outcome of a cancel request
+ * Orders not in the log (placed before it existed) are skipped
+ * @param {string} orderId - Exchange order ID
+ * @param {boolean} cancelled - Whether the exchange cancelled it
+ * @param {*} response - Raw API response
+ */
+function recordCancel(orderId, cancelled, response) {
+  const order = db.orders.getByOrderId(orderId);
+  if (!order) return null;
+
+  return cancelled
+    ? transition(order, 'cancelled', 'cancelled', {}, response)
+    : transition(order, 'cancel_failed', null, {}, response);
+}
+
+/**
+ * Record a cancel-all on the open orders of one mode
+ * @param {boolean} paper
+ * @param {string[]|null} cancelledIds - Order IDs the exchange reported cancelled (null = all)
+ * @param {*} response - Raw API response
+ */
+function recordCancelAll(paper, cancelledIds, response) {
+  for (const order of db.orders.getOpen(paper)) {
+    if (cancelledIds && !cancelledIds.includes(order.order_id)) continue;
+    transition(order, 'cancelled', 'cancelled', {}, response);
+  }
+}
+
+/**
+ * Record an order's fill state read back from the exchange
+ * Only logged when the filled size or the state changes
+ * @param {string} orderId - Exchange order ID
+ * @param {Object} fill - orderExecutor.getLegFill result
+ * @param {Object} raw - Raw order from the API
+ */
+function recordFill(orderId, fill, raw) {
+  const order = db.orders.getByOrderId(orderId);
+  if (!order) return null;
+
+  let toState = 'placed';
+  if (fill.complete) {
+    toState = 'filled';
+  } else if (fill.cancelled) {
+    toState = 'cancelled';
+  } else if (fill.filled > 0) {
+    toState = 'partial';
+  }
+
+  const nextState = TRANSITIONS[order.state].includes(toState) ? toState : order.state;
+  if (fill.filled === order.filled && nextState === order.state) return order;
+
+  return transition(order, 'update', toState, {
+    filled: fill.filled,
+    avg_price: fill.avgPrice ?? undefined,
+    fees: fill.fees
+  }, raw);
+}
+
+/**
+ * Orders of a trade and their events in the order they happened
+ */
+function getTradeTimeline(tradeId) {
+  return {
+    orders: db.orders.getByTrade(tradeId),
+    events: db.orders.getTradeEvents(tradeId)
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  recordSubmission,
+  recordPlacement,
+  recordRejection,
+  recordCancel,
+  recordCancelAll,
+  recordFill,
+  getTradeTimeline
+};
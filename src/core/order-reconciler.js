@@ -0,0 +1,70 @@
+/**
+ * Order Reconciler
+ * Background loop that polls order status for active trades
+ * and drives them through their lifecycle
+ */
+
+const orderExecutor = require('./order-executor');
+const db = require('../database');
+const config = require('../config');
+
+let reconcileInterval = null;
+let isReconciling = false; // Lock to prevent overlapping passes
+
+/**
+ * Reconcile all active trades against the CLOB
+ */
+async function reconcileTrades(emitter) {
+  if (isReconciling) return;
+
+  isReconciling = true;
+
+  try {
+    const trades = db.trades.getActive();
+
+    for (const trade of trades) {
+      try {
+        // Entries interrupted by a crash or an unreadable fill are rebuilt from their orders
+        if (trade.status === 'executing') {
+          await orderExecutor.reconcileExecution(trade, emitter);
+        } else {
+          await orderExecutor.checkOrderStatus(trade, emitter);
+        }
+      } catch (error) {
+        console.error(`[Reconciler] Error reconciling trade ${trade.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('[Reconciler] Error in reconciliation loop:', error.message);
+  } finally {
+    isReconciling = false;
+  }
+}
+
+/**
+ * Start the reconciliation loop
+ */
+function startReconciler(emitter) {
+  const interval = config.defaults.reconcileIntervalMs;
+
+  console.log(`[Reconciler] Starting reconciliation loop (interval: ${interval}ms)`);
+
+  reconcileInterval = setInterval(() => reconcileTrades(emitter), interval);
+}
+
+/**
+ * Stop the reconciliation loop
+ */
+function stopReconciler() {
+  if (reconcileInterval) {
+    clearInterval(reconcileInterval);
+    reconcileInterval = null;
+    console.log('[Reconciler] Reconciliation loop stopped');
+  }
+}
+
+module.exports = {
+  reconcileTrades,
+  startReconciler,
+  stopReconciler
+};
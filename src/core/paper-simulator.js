@@ -0,0 +1,303 @@
+/**
+ * Paper Trading Simulator
+ * Local matching engine that fills limit orders against live order book snapshots
+ * Keeps a virtual USDC balance and token holdings; orders and fills are stored in SQLite
+ */
+
+const crypto = require('crypto');
+const db = require('../database');
+
+const PAPER_ORDER_PREFIX = 'paper-';
+
+// Remaining size below this is treated as fully filled (rounding dust)
+const FILL_DUST = 0.0001;
+
+/**
+ * Check whether an order ID belongs to the simulator
+ */
+function isPaperOrder(orderId) {
+  return typeof orderId === 'string' && orderId.startsWith(PAPER_ORDER_PREFIX);
+}
+
+/**
+ * Fetch the live order book for a token
+ * Required lazily: polymarket-client routes calls here, so a top-level require would be circular
+ */
+async function fetchOrderBook(tokenId) {
+  return await require('./polymarket-client').getOrderBook(tokenId);
+}
+
+/**
+ * Book levels an order can trade against at its limit price, best first
+ * BUY orders take asks at or below the limit, SELL orders take bids at or above it
+ */
+function getMatchableLevels(order, book) {
+  const isBuy = order.side === 'BUY';
+  const levels = (isBuy ? book.asks : book.bids) || [];
+
+  return levels
+    .map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
+    .filter(l => (isBuy ? l.price <= order.price : l.price >= order.price))
+    .sort((a, b) => (isBuy ? a.price - b.price : b.price - a.price));
+}
+
+/**
+ * USDC committed to resting BUY orders
+ */
+function getReservedBalance() {
+  return db.paper.getOpenOrders()
+    .filter(o => o.side === 'BUY')
+    .reduce((total, o) => total + (o.original_size - o.size_matched) * o.price, 0);
+}
+
+/**
+ * Token shares committed to resting SELL orders
+ */
+function getReservedShares(tokenId) {
+  return db.paper.getOpenOrders(tokenId)
+    .filter(o => o.side === 'SELL')
+    .reduce((total, o) => total + o.original_size - o.size_matched, 0);
+}
+
+/**
+ * Match a resting order against the current book snapshot
+ * Every call re-reads the book, so resting orders fill as the market moves through them
+ */
+async function matchOrder(order, book = null) {
+  if (order.status !== 'LIVE') return order;
+
+  book = book || await fetchOrderBook(order.token_id);
+
+  let matched = order.size_matched;
+  let remaining = order.original_size - matched;
+
+  for (const level of getMatchableLevels(order, book)) {
+    if (remaining <= FILL_DUST) break;
+
+    const size = Math.min(level.size, remaining);
+
+    db.paper.addFill({
+      order_id: order.id,
+      token_id: order.token_id,
+      side: order.side,
+      price: level.price,
+      size
+    });
+    db.paper.adjustBalance(order.side === 'BUY' ? -size * level.price : size * level.price);
+    db.paper.adjustPosition(order.token_id, order.side === 'BUY' ? size : -size);
+
+    matched += size;
+    remaining -= size;
+  }
+
+  if (matched === order.size_matched) return order;
+
+  console.log(`[Paper] Order ${order.id} matched ${matched.toFixed(4)}/${order.original_size.toFixed(4)}`);
+
+  return db.paper.updateOrder(order.id, {
+    size_matched: matched,
+    status: remaining <= FILL_DUST ? 'MATCHED' : 'LIVE'
+  });
+}
+
+/**
+ * Shape a stored order like a CLOB OpenOrder
+ */
+function toClobOrder(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    asset_id: row.token_id,
+    market: '',
+    side: row.side,
+    original_size: String(row.original_size),
+    size_matched: String(row.size_matched),
+    price: String(row.price),
+    outcome: '',
+    associate_trades: [],
+    order_type: row.order_type,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Shape a stored fill like a CLOB Trade (the simulator always takes liquidity)
+ */
+function toClobTrade(fill) {
+  return {
+    id: `${PAPER_ORDER_PREFIX}fill-${fill.id}`,
+    taker_order_id: fill.order_id,
+    market: '',
+    asset_id: fill.token_id,
+    side: fill.side,
+    size: String(fill.size),
+    price: String(fill.price),
+    fee_rate_bps: '0',
+    status: 'CONFIRMED',
+    match_time: fill.created_at,
+    maker_orders: [],
+    trader_side: 'TAKER'
+  };
+}
+
+/**
+ * Place a simulated limit order
+ * Takes whatever crosses immediately; GTC rests the remainder, FAK kills it
+ * and FOK is rejected unless it can fill completely
+ */
+async function placeOrder(params) {
+  const price = parseFloat(params.price);
+  const size = parseFloat(params.size);
+  const orderType = params.orderType || 'GTC';
+
+  if (params.side === 'BUY') {
+    const available = db.paper.getBalance() - getReservedBalance();
+    if (price * size > available) {
+      throw new Error(`not enough balance: paper balance $${available.toFixed(2)} < $${(price * size).toFixed(2)}`);
+    }
+  } else {
+    const available = db.paper.getPosition(params.tokenId) - getReservedShares(params.tokenId);
+    if (size > available + FILL_DUST) {
+      throw new Error(`not enough balance: paper position ${available.toFixed(4)} < ${size.toFixed(4)} shares`);
+    }
+  }
+
+  const book = await fetchOrderBook(params.tokenId);
+
+  // Immediate-or-cancel orders are rejected like on the CLOB when they cannot trade
+  if (orderType !== 'GTC') {
+    const available = getMatchableLevels({ side: params.side, price }, book)
+      .reduce((total, level) => total + level.size, 0);
+
+    if (orderType === 'FOK' && available < size - FILL_DUST) {
+      throw new Error("order couldn't be fully filled. FOK orders are fully filled or killed.");
+    }
+    if (orderType === 'FAK' && available <= FILL_DUST) {
+      throw new Error('no orders found to match with FAK order. FAK orders are partially filled or killed if no match is found.');
+    }
+  }
+
+  const order = db.paper.createOrder({
+    id: PAPER_ORDER_PREFIX + crypto.randomUUID(),
+    token_id: params.tokenId,
+    side: params.side,
+    price,
+    original_size: size,
+    order_type: orderType
+  });
+
+  let result = await matchOrder(order, book);
+
+  if (orderType !== 'GTC' && result.status === 'LIVE') {
+    result = db.paper.updateOrder(order.id, { status: 'CANCELED' });
+  }
+
+  console.log('[Paper] Order placed:', order.id);
+
+  return {
+    success: true,
+    errorMsg: '',
+    orderID: order.id,
+    status: result.status === 'LIVE' ? 'live' : 'matched'
+  };
+}
+
+/**
+ * Cancel a simulated order
+ */
+async function cancelOrder(orderId) {
+  const order = db.paper.getOrder(orderId);
+  if (!order || order.status !== 'LIVE') return false;
+
+  db.paper.updateOrder(orderId, { status: 'CANCELED' });
+  console.log('[Paper] Order cancelled:', orderId);
+  return true;
+}
+
+/**
+ * Cancel all simulated orders
+ */
+async function cancelAllOrders() {
+  db.paper.cancelAllOrders();
+  console.log('[Paper] All orders cancelled');
+  return true;
+}
+
+/**
+ * Get a simulated order, matching it against the latest book first
+ */
+async function getOrder(orderId) {
+  const order = db.paper.getOrder(orderId);
+  if (!order) return null;
+
+  return toClobOrder(await matchOrder(order));
+}
+
+/**
+ * Get resting simulated orders, matching them against the latest books first
+ */
+async function getOpenOrders(params = {}) {
+  const orders = db.paper.getOpenOrders(params.asset_id || null);
+  const results = [];
+
+  for (const order of orders) {
+    const matched = await matchOrder(order);
+    if (matched.status === 'LIVE') {
+      results.push(toClobOrder(matched));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get simulated fills
+ */
+async function getTrades(params = {}) {
+  return db.paper.getFills(params.asset_id || null).map(toClobTrade);
+}
+
+/**
+ * Get the virtual USDC balance
+ */
+async function getBalance() {
+  const balance = db.paper.getBalance();
+  return { balance, allowance: balance };
+}
+
+/**
+ * Credit the virtual balance (settlement payouts)
+ */
+function credit(amount) {
+  return db.paper.adjustBalance(amount);
+}
+
+/**
+ * Remove tokens from the simulated holdings (complete sets merged)
+ */
+function debitTokens(tokenId, size) {
+  return db.paper.adjustPosition(tokenId, -size);
+}
+
+/**
+ * Zero the simulated holdings of resolved tokens (paid out at settlement)
+ */
+function clearTokens(tokenIds) {
+  for (const tokenId of tokenIds) {
+    db.paper.clearPosition(tokenId);
+  }
+}
+
+module.exports = {
+  isPaperOrder,
+  placeOrder,
+  cancelOrder,
+  cancelAllOrders,
+  getOrder,
+  getOpenOrders,
+  getTrades,
+  getBalance,
+  credit,
+  debitTokens,
+  clearTokens
+};
@@ -1,19 +1,124 @@
 /**
  * Polymarket CLOB Client Wrapper
  * Wraps @polymarket/clob-client with error handling and logging
+ * Order and balance calls are routed to the paper simulator in paper mode
  */
 
-const { ClobClient, Side, OrderType } = require('@polymarket/clob-client');
+const { ClobClient, Side, OrderType, createL2Headers } = require('@polymarket/clob-client');
 const { Wallet } = require('ethers');
 const config = require('../config');
+const db = require('../database');
+const paperSimulator = require('./paper-simulator');
+const healthMonitor = require('./health-monitor');
+const requestScheduler = require('./request-scheduler');
+const orderLog = require('./order-log');
 
 let client = null;
+let publicClient = null;
+let apiCreds = null;
+let signer = null;
 
-// Market cache to avoid rate limits (60 req/10sec)
+// Market listing cache, so repeated scans do not page through the full listing
 let marketsCache = [];
 let marketsCacheTime = 0;
 const MARKETS_CACHE_TTL = 120000; // 2 minute cache
 
+// Order constraints per token: tokenId -> { tickSize, minSize, negRisk, fetchedAt }
+// Tick sizes change as prices near 0 or 1; the market stream reports changes via setTickSize
+const orderConstraints = new Map();
+const ORDER_CONSTRAINTS_TTL = 10 * 60 * 1000;
+
+// Order sizes are accepted to 2 decimals
+const SIZE_DECIMALS = 2;
+
+// CLOB requests by HTTP method and path -> scheduler budget, lane and whether a 5xx may be retried
+// Paths without an entry only draw on the host budget
+const CLOB_ROUTES = [
+  { method: 'get', path: /^\/book$/, endpoint: 'clob:book', lane: 'data' },
+  { method: 'post', path: /^\/books$/, endpoint: 'clob:books', lane: 'data' },
+  { method: 'get', path: /^\/(sampling-)?(simplified-)?markets(\/|$)/, endpoint: 'clob:markets', lane: 'background' },
+  { method: 'get', path: /^\/(tick-size|neg-risk|fee-rate)$/, endpoint: 'clob:market-info', lane: 'data' },
+  { method: 'post', path: /^\/orders?$/, endpoint: 'clob:post-order', lane: 'order', idempotent: false },
+  { method: 'del', path: /^\/(orders?|cancel-market-orders)$/, endpoint: 'clob:cancel', lane: 'order' },
+  { method: 'del', path: /^\/cancel-all$/, endpoint: 'clob:cancel-all', lane: 'order' },
+  { method: 'get', path: /^\/data\/orders?(\/|$)/, endpoint: 'clob:orders', lane: 'account' },
+  { method: 'get', path: /^\/data\/trades$/, endpoint: 'clob:trades', lane: 'account' },
+  { path: /^\/balance-allowance(\/|$)/, endpoint: 'clob:balance', lane: 'account' },
+  { path: /^\/auth\//, endpoint: 'clob', lane: 'account' }
+];
+
+/**
+ * Scheduler options for a CLOB request
+ */
+function getClobRoute(method, url) {
+  const path = new URL(url).pathname;
+  const route = CLOB_ROUTES.find(r => (!r.method || r.method === method) && r.path.test(path));
+
+  return {
+    endpoint: route?.endpoint || 'clob',
+    lane: route?.lane || 'data',
+    idempotent: route?.idempotent ?? true
+  };
+}
+
+const HTTP_METHODS = { get: 'GET', post: 'POST', del: 'DELETE' };
+
+/**
+ * Fresh L2 auth headers for a request whose signed headers were built before it was queued
+ * The client signs the request path and the JSON body with a timestamp, so
+ * they are signed again the same way for each attempt. Other requests (public,
+ * or L1-signed key derivation) are sent as they are
+ */
+async function resignHeaders(clobClient, method, url, options) {
+  const headers = options?.headers;
+  if (!headers?.POLY_API_KEY || !clobClient.creds) return options;
+
+  const timestamp = clobClient.useServerTime ? await clobClient.getServerTime() : undefined;
+  const fresh = await createL2Headers(clobClient.signer, clobClient.creds, {
+    method: HTTP_METHODS[method],
+    requestPath: new URL(url).pathname,
+    body: options.data !== undefined ? JSON.stringify(options.data) : undefined
+  }, timestamp);
+
+  return { ...options, headers: { ...headers, ...fresh } };
+}
+
+/**
+ * Route every HTTP request of a CLOB client through the request scheduler and
+ * report the latency and outcome of each attempt to the health monitor
+ * The client's methods all send through its get/post/del, so wrapping those
+ * covers the lookups createOrder makes internally as well. The client builds
+ * its auth headers before calling them, so they are re-signed at each attempt
+ * rather than sent stale after queueing or a retry backoff. HTTP errors come
+ * back as { error, status } rather than being thrown; a 404 is a missing book
+ * or market, not an unhealthy API
+ */
+function instrument(clobClient) {
+  for (const method of ['get', 'post', 'del']) {
+    const send = clobClient[method].bind(clobClient);
+
+    clobClient[method] = (url, options) => {
+      const route = getClobRoute(method, url);
+
+      return requestScheduler.schedule(async () => {
+        const startedAt = Date.now();
+        try {
+          const response = await send(url, await resignHeaders(clobClient, method, url, options));
+          const failed = Boolean(response?.error) && response.status !== 404;
+          healthMonitor.recordCall(route.endpoint, Date.now() - startedAt, { error: failed, status: response?.status });
+          return response;
+        } catch (error) {
+          const status = error.response?.status ?? error.status;
+          healthMonitor.recordCall(route.endpoint, Date.now() - startedAt, { error: status !== 404, status });
+          throw error;
+        }
+      }, route);
+    };
+  }
+
+  return clobClient;
+}
+
 /**
  * Initialize the Polymarket CLOB client
  */
@@ -24,7 +129,7 @@ async function initPolymarketClient() {
     throw new Error('POLY_PRIVATE_KEY is required');
   }
 
-  const signer = new Wallet(polymarket.privateKey);
+  signer = new Wallet(polymarket.privateKey);
 
   // Check if we have API credentials
   let creds = null;
@@ -43,15 +148,17 @@ async function initPolymarketClient() {
     console.log('[Polymarket] Created new API credentials');
   }
 
+  apiCreds = creds;
+
   // Create the main client
-  client = new ClobClient(
+  client = instrument(new ClobClient(
     polymarket.host,
     polymarket.chainId,
     signer,
     creds,
     polymarket.signatureType,
     polymarket.funderAddress || undefined
-  );
+  ));
 
   console.log('[Polymarket] Client initialized');
   return client;
@@ -65,8 +172,48 @@ function getClient() {
     throw new Error('Polymarket client not initialized. Call initPolymarketClient() first.');
   }
   return client;
-} 
- 
+}
+
+/**
+ * Get the L2 API credentials (for the authenticated user WebSocket channel)
+ */
+function getApiCreds() {
+  if (!apiCreds) {
+    throw new Error('Polymarket client not initialized. Call initPolymarketClient() first.');
+  }
+  return apiCreds;
+}
+
+/**
+ * Get the wallet signer (for on-chain transactions)
+ */
+function getSigner() {
+  if (!signer) {
+    throw new Error('Polymarket client not initialized. Call initPolymarketClient() first.');
+  }
+  return signer;
+}
+
+/**
+ * Get a client for public market data endpoints
+ * Falls back to an unauthenticated client when trading is not initialized
+ */
+function getReadClient() {
+  if (client) return client;
+
+  if (!publicClient) {
+    publicClient = instrument(new ClobClient(config.polymarket.host, config.polymarket.chainId));
+  }
+  return publicClient;
+}
+
+/**
+ * Check whether orders should go to the paper trading simulator
+ */
+function isPaperMode() {
+  return Boolean(db.settings.get()?.paper_mode);
+}
+
 /**
  * Get all markets with pagination (with caching to avoid rate limits)
  */
@@ -78,7 +225,7 @@ async function getAllMarkets() {
     return marketsCache;
   }
 
-  const c = getClient();
+  const c = getReadClient();
   let allMarkets = [];
   let cursor = null;
   let pageCount = 0;
@@ -88,15 +235,14 @@ async function getAllMarkets() {
   try {
     do {
       const response = await c.getMarkets(cursor);
+      if (response.error) {
+        throw Object.assign(new Error(`Failed to list markets: ${JSON.stringify(response.error)}`), { status: response.status });
+      }
+
       allMarkets = allMarkets.concat(response.data || []);
       cursor = response.next_cursor;
       pageCount++;
 
-      // Rate limit protection: wait 250ms between requests
-      if (cursor && cursor !== 'LTE=') {
-        await new Promise(resolve => setTimeout(resolve, 250));
-      }
-
       // Safety limit: max 150 pages
       if (pageCount >= 150) {
         console.log('[Polymarket] Reached page limit');
@@ -111,12 +257,10 @@ async function getAllMarkets() {
 
     return allMarkets;
   } catch (error) {
-    // On rate limit, return cached data
-    if (error.message?.includes('429') || error.message?.includes('Too Many')) {
-      console.log('[Polymarket] Rate limited, using cached markets');
-      if (marketsCache.length > 0) {
-        return marketsCache;
-      }
+    // Pages are paced and retried by the request scheduler; past that, fall back to stale data
+    if (marketsCache.length > 0) {
+      console.log(`[Polymarket] Listing markets failed (${error.message}), using cached markets`);
+      return marketsCache;
     }
     throw error;
   }
@@ -127,7 +271,7 @@ async function getAllMarkets() {
  * Returns empty order book if not found (404)
  */
 async function getOrderBook(tokenId) {
-  const c = getClient();
+  const c = getReadClient();
   try {
     return await c.getOrderBook(tokenId);
   } catch (error) {
@@ -139,11 +283,89 @@ async function getOrderBook(tokenId) {
   }
 }
 
+/**
+ * Get a token's tick size, minimum order size and neg-risk flag
+ * Read from its order book and cached; the trading client's own tick size and
+ * neg-risk caches are kept in step so createOrder validates against them
+ * @returns {Promise<{tickSize: string, minSize: number, negRisk: boolean}>}
+ */
+async function getOrderConstraints(tokenId) {
+  const cached = orderConstraints.get(tokenId);
+  if (cached && Date.now() - cached.fetchedAt < ORDER_CONSTRAINTS_TTL) {
+    return cached;
+  }
+
+  // The client returns { error, status } on HTTP errors; defaults must never be
+  // cached in place of the real constraints, so keep the last known ones or throw
+  const book = await getReadClient().getOrderBook(tokenId);
+  if (book?.error || !book?.tick_size) {
+    const reason = book?.error ? JSON.stringify(book.error) : 'no tick size in order book';
+    if (cached) {
+      console.warn(`[Polymarket] Order constraints for ${tokenId.substring(0, 10)}... not refreshed (${reason}), keeping cached`);
+      return cached;
+    }
+    throw Object.assign(new Error(`Failed to get order constraints: ${reason}`), { status: book?.status });
+  }
+
+  const constraints = {
+    tickSize: String(book.tick_size),
+    minSize: parseFloat(book.min_order_size) || 0,
+    negRisk: Boolean(book.neg_risk),
+    fetchedAt: Date.now()
+  };
+
+  orderConstraints.set(tokenId, constraints);
+  syncClientCaches(tokenId, constraints);
+
+  return constraints;
+}
+
+/**
+ * Record a tick size change for a token
+ */
+function setTickSize(tokenId, tickSize) {
+  const cached = orderConstraints.get(tokenId);
+  if (!cached || !tickSize) return;
+
+  cached.tickSize = String(tickSize);
+  syncClientCaches(tokenId, cached);
+  console.log(`[Polymarket] Tick size for ${tokenId.substring(0, 10)}... is now ${tickSize}`);
+}
+
+/**
+ * Copy a token's constraints into the trading client's caches
+ */
+function syncClientCaches(tokenId, constraints) {
+  if (!client) return;
+  client.tickSizes[tokenId] = constraints.tickSize;
+  client.negRisk[tokenId] = constraints.negRisk;
+}
+
+/**
+ * Round a price to a tick size: buys round down and sells round up, so the
+ * limit is never worse than the one computed
+ */
+function roundPrice(price, tickSize, side = 'BUY') {
+  const tick = parseFloat(tickSize);
+  const decimals = Math.max(0, -Math.floor(Math.log10(tick)));
+  const ticks = price / tick;
+  const rounded = side === 'BUY' ? Math.floor(ticks + 1e-9) : Math.ceil(ticks - 1e-9);
+  return parseFloat((rounded * tick).toFixed(decimals));
+}
+
+/**
+ * Round an order size down to the accepted precision
+ */
+function roundSize(size) {
+  const factor = 10 ** SIZE_DECIMALS;
+  return Math.floor(size * factor + 1e-9) / factor;
+}
+
 /**
  * Get order books for multiple tokens
  */
 async function getOrderBooks(params) {
-  const c = getClient();
+  const c = getReadClient();
   return await c.getOrderBooks(params);
 }
 
@@ -151,6 +373,10 @@ async function getOrderBooks(params) {
  * Get balance and allowance
  */
 async function getBalance() {
+  if (isPaperMode()) {
+    return await paperSimulator.getBalance();
+  }
+
   const c = getClient();
   try {
     const balance = await c.getBalanceAllowance({ asset_type: 'COLLATERAL' });
@@ -171,9 +397,29 @@ async function getBalance() {
  * @param {number} params.price - Price (0-1)
  * @param {number} params.size - Size in shares
  * @param {string} params.side - 'BUY' or 'SELL'
+ * @param {string} [params.orderType] - 'GTC' (default), 'FOK' or 'FAK'
+ * @param {string} [params.tickSize] - Market tick size (looked up when omitted)
+ * @param {boolean} [params.negRisk] - Neg-risk market flag (looked up when omitted)
+ * @param {number} [params.tradeId] - Trade the order belongs to, for the order log
+ * @param {string} [params.leg] - Leg of the trade ('YES', 'NO' or a basket outcome)
  */
 async function placeOrder(params) {
+  if (isPaperMode()) {
+    const order = orderLog.recordSubmission(params, true);
+    try {
+      const result = await paperSimulator.placeOrder(params);
+      orderLog.recordPlacement(order, result);
+      return result;
+    } catch (error) {
+      orderLog.recordRejection(order, error);
+      throw error;
+    }
+  }
+
   const c = getClient();
+  const constraints = params.tickSize && params.negRisk !== undefined
+    ? null
+    : await getOrderConstraints(params.tokenId);
 
   const userOrder = {
     tokenID: params.tokenId,
@@ -182,13 +428,31 @@ async function placeOrder(params) {
     side: params.side === 'BUY' ? Side.BUY : Side.SELL
   };
 
-  const options = { tickSize: '0.01' };
+  const options = {
+    tickSize: params.tickSize || constraints.tickSize,
+    negRisk: params.negRisk ?? constraints.negRisk
+  };
+  const orderType = OrderType[params.orderType] || OrderType.GTC;
+
+  const order = orderLog.recordSubmission({ ...params, ...options, orderType }, false);
+  let rejection = null;
 
   try {
-    const result = await c.createAndPostOrder(userOrder, options, OrderType.GTC);
+    const signedOrder = await c.createOrder(userOrder, options);
+    const result = await c.postOrder(signedOrder, orderType);
+
+    // The client returns HTTP errors instead of throwing
+    if (result.error) {
+      rejection = result;
+      const message = result.error.error || result.error;
+      throw new Error(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    orderLog.recordPlacement(order, result);
     console.log('[Polymarket] Order placed:', result.orderID || result);
     return result;
   } catch (error) {
+    orderLog.recordRejection(order, error, rejection);
     console.error('[Polymarket] Order failed:', error.message);
     throw error;
   }
@@ -196,14 +460,31 @@ async function placeOrder(params) {
 
 /**
  * Cancel a specific order
+ * @returns {Promise<boolean>} Whether the order was cancelled (false once filled or already cancelled)
  */
 async function cancelOrder(orderId) {
+  if (paperSimulator.isPaperOrder(orderId)) {
+    const cancelled = await paperSimulator.cancelOrder(orderId);
+    orderLog.recordCancel(orderId, cancelled, { cancelled });
+    return cancelled;
+  }
+
   const c = getClient();
   try {
-    await c.cancelOrder({ orderID: orderId });
+    // Answers { canceled: [ids], not_canceled: { id: reason } }, or { error, status }
+    const result = await c.cancelOrder({ orderID: orderId });
+    const cancelled = !result?.error && (result?.canceled || []).includes(orderId);
+    orderLog.recordCancel(orderId, cancelled, result);
+
+    if (!cancelled) {
+      console.error('[Polymarket] Cancel failed:', JSON.stringify(result?.error || result?.not_canceled));
+      return false;
+    }
+
     console.log('[Polymarket] Order cancelled:', orderId);
     return true;
   } catch (error) {
+    orderLog.recordCancel(orderId, false, { error: error.message });
     console.error('[Polymarket] Cancel failed:', error.message);
     return false;
   }
@@ -213,9 +494,20 @@ async function cancelOrder(orderId) {
  * Cancel all orders
  */
 async function cancelAllOrders() {
+  if (isPaperMode()) {
+    const cancelled = await paperSimulator.cancelAllOrders();
+    orderLog.recordCancelAll(true, null, { cancelled });
+    return cancelled;
+  }
+
   const c = getClient();
   try {
-    await c.cancelAll();
+    const result = await c.cancelAll();
+    if (result?.error) {
+      throw new Error(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+    }
+
+    orderLog.recordCancelAll(false, result?.canceled || [], result);
     console.log('[Polymarket] All orders cancelled');
     return true;
   } catch (error) {
@@ -228,6 +520,10 @@ async function cancelAllOrders() {
  * Get open orders
  */
 async function getOpenOrders(params = {}) {
+  if (isPaperMode()) {
+    return await paperSimulator.getOpenOrders(params);
+  }
+
   const c = getClient();
   try {
     const orders = await c.getOpenOrders(params);
@@ -242,6 +538,10 @@ async function getOpenOrders(params = {}) {
  * Get a specific order by ID
  */
 async function getOrder(orderId) {
+  if (paperSimulator.isPaperOrder(orderId)) {
+    return await paperSimulator.getOrder(orderId);
+  }
+
   const c = getClient();
   try {
     return await c.getOrder(orderId);
@@ -253,8 +553,14 @@ async function getOrder(orderId) {
 
 /**
  * Get trades
+ * @param {Object} params
+ * @param {string} [orderId] - Order the trades are read for; routes by its ID rather than the current mode
  */
-async function getTrades(params = {}) {
+async function getTrades(params = {}, orderId = null) {
+  if (orderId ? paperSimulator.isPaperOrder(orderId) : isPaperMode()) {
+    return await paperSimulator.getTrades(params);
+  }
+
   const c = getClient();
   try {
     return await c.getTrades(params);
@@ -264,11 +570,19 @@ async function getTrades(params = {}) {
   }
 }
 
+/**
+ * Check whether a token belongs to a neg-risk market
+ */
+async function getNegRisk(tokenId) {
+  const c = getReadClient();
+  return await c.getNegRisk(tokenId);
+}
+
 /**
  * Get market by condition ID
  */
 async function getMarket(conditionId) {
-  const c = getClient();
+  const c = getReadClient();
   try {
     return await c.getMarket(conditionId);
   } catch (error) {
@@ -280,9 +594,16 @@ async function getMarket(conditionId) {
 module.exports = {
   initPolymarketClient,
   getClient,
+  getApiCreds,
+  getSigner,
+  isPaperMode,
   getAllMarkets,
   getOrderBook,
   getOrderBooks,
+  getOrderConstraints,
+  setTickSize,
+  roundPrice,
+  roundSize,
   getBalance,
   placeOrder,
   cancelOrder,
@@ -290,6 +611,7 @@ module.exports = {
   getOpenOrders,
   getOrder,
   getTrades,
+  getNegRisk,
   getMarket,
   Side,
   OrderType
@@ -0,0 +1,236 @@
+/**
+ * Position Merger
+ * Merges complete YES+NO sets back into USDC through the Conditional Tokens
+ * contract instead of holding both legs until the market resolves
+ */
+
+const polyClient = require('./polymarket-client');
+const paperSimulator = require('./paper-simulator');
+const orderExecutor = require('./order-executor');
+const ctfWallet = require('./ctf-wallet');
+const db = require('../database');
+const config = require('../config');
+
+// Smallest set count worth a transaction
+const MIN_MERGE_SHARES = 0.01;
+
+// Share amounts below this are treated as zero (rounding dust)
+const SHARE_DUST = 0.0001;
+
+let mergeInterval = null;
+let isMerging = false; // Lock to prevent overlapping passes
+let listener = null; // { emitter, onTradeFilled } while running
+
+/**
+ * Complete sets a trade still holds (both legs, net of unwinds and earlier merges)
+ */
+function getMergeableShares(trade) {
+  const unwound = trade.unwound_shares || 0;
+  const yesHeld = (trade.yes_filled || 0) - (trade.unwound_leg === 'YES' ? unwound : 0);
+  const noHeld = (trade.no_filled || 0) - (trade.unwound_leg === 'NO' ? unwound : 0);
+
+  return Math.max(0, Math.min(yesHeld, noHeld) - (trade.merged_amount || 0));
+}
+
+/**
+ * Group mergeable trades by condition (live and paper positions merge separately)
+ */
+function getMergeGroups() {
+  const groups = new Map();
+
+  for (const trade of db.trades.getMergeable()) {
+    const shares = getMergeableShares(trade);
+    if (shares <= SHARE_DUST) continue;
+
+    const key = `${trade.market_id}:${trade.paper ? 'paper' : 'live'}`;
+    if (!groups.has(key)) {
+      groups.set(key, { conditionId: trade.market_id, paper: Boolean(trade.paper), trades: [], shares: 0 });
+    }
+
+    const group = groups.get(key);
+    group.trades.push({ trade, shares });
+    group.shares += shares;
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Merge a condition's complete sets on-chain
+ * Capped by the wallet's actual token balances, which may differ from our fills
+ * @returns {Promise<{merged: number, txHash: string}|null>}
+ */
+async function mergeLive(group) {
+  const { trade } = group.trades[0];
+  const balances = await ctfWallet.getBalances(trade.yes_token_id, trade.no_token_id);
+
+  const requested = ctfWallet.toUnits(group.shares);
+  const available = balances.yes.lt(balances.no) ? balances.yes : balances.no;
+  const amount = requested.lt(available) ? requested : available;
+
+  if (ctfWallet.fromUnits(amount) < MIN_MERGE_SHARES) {
+    console.log(`[Merger] ${group.conditionId}: wallet holds too few complete sets to merge`);
+    return null;
+  }
+
+  const negRisk = await polyClient.getNegRisk(trade.yes_token_id);
+  const txHash = await ctfWallet.mergePositions(group.conditionId, amount, negRisk);
+
+  return { merged: ctfWallet.fromUnits(amount), txHash };
+}
+
+/**
+ * Merge a paper condition: the sets pay $1 each into the virtual balance
+ */
+function mergePaper(group) {
+  const { trade } = group.trades[0];
+  const merged = ctfWallet.fromUnits(ctfWallet.toUnits(group.shares));
+  paperSimulator.debitTokens(trade.yes_token_id, merged);
+  paperSimulator.debitTokens(trade.no_token_id, merged);
+  paperSimulator.credit(merged);
+  return { merged, txHash: null };
+}
+
+/**
+ * Record a merge on a trade
+ * Trades with nothing left to resolve close out with realized P&L
+ */
+function recordMerge(trade, shares, txHash, emitter) {
+  const mergedAmount = (trade.merged_amount || 0) + shares;
+  let updatedTrade = db.trades.update(trade.id, {
+    merged_amount: mergedAmount,
+    merge_tx_hash: txHash || undefined,
+    merged_at: new Date().toISOString()
+  });
+
+  const unwound = trade.unwound_shares || 0;
+  const yesLeft = (trade.yes_filled || 0) - (trade.unwound_leg === 'YES' ? unwound : 0) - mergedAmount;
+  const noLeft = (trade.no_filled || 0) - (trade.unwound_leg === 'NO' ? unwound : 0) - mergedAmount;
+
+  // Leftover single-leg shares still wait for resolution
+  if (yesLeft > SHARE_DUST || noLeft > SHARE_DUST) {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'info',
+      message: `Merged ${shares.toFixed(4)} sets of trade ${trade.id}, remainder held to resolution`,
+      data: { trade_id: trade.id, merged: shares, tx_hash: txHash }
+    });
+    return updatedTrade;
+  }
+
+  const { invested, returned, gross, settlementCost, profit } = orderExecutor.calculateSettlementPnL(updatedTrade, null);
+
+  updatedTrade = db.trades.update(trade.id, {
+    status: 'merged',
+    actual_profit: profit,
+    gross_profit: gross,
+    settlement_cost: settlementCost,
+    settled_at: new Date().toISOString()
+  });
+
+  const today = new Date().toISOString().split('T')[0];
+  db.pnl.recordSettlement(today, { invested: invested + settlementCost, returned, profit }, trade.paper);
+
+  db.alerts.create({
+    type: 'settlement',
+    severity: profit >= 0 ? 'info' : 'warning',
+    message: `Trade merged: ${mergedAmount.toFixed(4)} sets redeemed for USDC, Profit: $${profit.toFixed(4)} (gross $${gross.toFixed(4)})`,
+    data: { trade_id: trade.id, merged: mergedAmount, tx_hash: txHash, profit, gross, invested, returned }
+  });
+
+  if (emitter) {
+    emitter.emit('trade:merged', { trade: updatedTrade, profit });
+  }
+
+  return updatedTrade;
+}
+
+/**
+ * Merge one condition and spread the merged sets over its trades, oldest first
+ */
+async function mergeGroup(group, emitter) {
+  const result = group.paper ? mergePaper(group) : await mergeLive(group);
+  if (!result) return null;
+
+  console.log(`[Merger] Merged ${result.merged.toFixed(4)} sets in ${group.conditionId}${result.txHash ? ` (tx ${result.txHash})` : ''}`);
+
+  let remaining = result.merged;
+  for (const { trade, shares } of group.trades) {
+    if (remaining <= SHARE_DUST) break;
+
+    const allocated = Math.min(shares, remaining);
+    remaining -= allocated;
+    recordMerge(trade, allocated, result.txHash, emitter);
+  }
+
+  return result;
+}
+
+/**
+ * Merge every condition where filled trades hold complete sets
+ */
+async function mergePositions(emitter) {
+  if (isMerging) return;
+
+  isMerging = true;
+
+  try {
+    for (const group of getMergeGroups()) {
+      if (group.shares < MIN_MERGE_SHARES) continue;
+
+      try {
+        await mergeGroup(group, emitter);
+      } catch (error) {
+        console.error(`[Merger] Error merging ${group.conditionId}:`, error.message);
+        db.alerts.create({
+          type: 'error',
+          severity: 'error',
+          message: `Merge failed for ${group.conditionId}: ${error.message}`,
+          data: { market_id: group.conditionId, shares: group.shares, trade_ids: group.trades.map(t => t.trade.id) }
+        });
+      }
+    }
+  } catch (error) {
+    console.error('[Merger] Error in merge loop:', error.message);
+  } finally {
+    isMerging = false;
+  }
+}
+
+/**
+ * Start the merge loop (also runs as soon as a trade fills)
+ */
+function startMerger(emitter) {
+  const interval = config.ctf.mergeIntervalMs;
+
+  console.log(`[Merger] Starting position merger (interval: ${interval}ms)`);
+
+  mergeInterval = setInterval(() => mergePositions(emitter), interval);
+
+  const onTradeFilled = () => mergePositions(emitter);
+  emitter.on('trade:filled', onTradeFilled);
+  listener = { emitter, onTradeFilled };
+}
+
+/**
+ * Stop the merge loop
+ */
+function stopMerger() {
+  if (mergeInterval) {
+    clearInterval(mergeInterval);
+    mergeInterval = null;
+    console.log('[Merger] Position merger stopped');
+  }
+
+  if (listener) {
+    listener.emitter.off('trade:filled', listener.onTradeFilled);
+    listener = null;
+  }
+}
+
+module.exports = {
+  mergePositions,
+  getMergeableShares,
+  startMerger,
+  stopMerger
+};
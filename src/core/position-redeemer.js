@@ -0,0 +1,232 @@
+/**
+ * Position Redeemer
+ * Redeems winning outcome tokens for USDC once a settled market's
+ * resolution is reported on-chain
+ *
+ * Conditions come from settled trades and from a scan of the holding wallet's
+ * redeemable positions, which picks up tokens no settled trade accounts for
+ * (trades lost from the database, manual trades, leftovers after a redemption).
+ * Balances and payouts are always read on-chain before redeeming.
+ */
+
+const polyClient = require('./polymarket-client');
+const orderExecutor = require('./order-executor');
+const ctfWallet = require('./ctf-wallet');
+const dataApi = require('./data-api');
+const db = require('../database');
+const config = require('../config');
+
+// USDC amounts below this are not worth a transaction
+const MIN_REDEEM_USDC = 0.01;
+
+let redeemInterval = null;
+let isRedeeming = false; // Lock to prevent overlapping passes
+const failedConditions = new Set(); // Alert once per condition until it succeeds
+
+/**
+ * Group the positions of settled, unredeemed live trades by condition
+ * Pair trades hold one condition; basket trades hold one per leg
+ */
+function getRedeemGroups() {
+  const groups = new Map();
+
+  for (const trade of db.trades.getUnredeemed()) {
+    for (const position of orderExecutor.getPositions(trade)) {
+      if (!groups.has(position.conditionId)) {
+        groups.set(position.conditionId, {
+          conditionId: position.conditionId,
+          yesTokenId: position.yesTokenId,
+          noTokenId: position.noTokenId,
+          claims: []
+        });
+      }
+      groups.get(position.conditionId).claims.push({ trade, position });
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Redeemable conditions in the holding wallet that no trade accounts for
+ * Conditions still held by open or unsettled trades are left to them, so
+ * their redemption is credited to the trade once it settles
+ * @param {Set<string>} claimed - Condition IDs already grouped from settled trades
+ */
+async function getWalletGroups(claimed) {
+  const held = new Set(claimed);
+  for (const trade of db.trades.getHolding().filter(t => !t.paper)) {
+    for (const position of orderExecutor.getPositions(trade)) {
+      held.add(position.conditionId);
+    }
+  }
+
+  const groups = new Map();
+  for (const position of await dataApi.getPositions(ctfWallet.getHolder(), { redeemable: true })) {
+    if (!position.conditionId || held.has(position.conditionId) || groups.has(position.conditionId)) continue;
+
+    const isYes = Number(position.outcomeIndex) === 0;
+    groups.set(position.conditionId, {
+      conditionId: position.conditionId,
+      yesTokenId: isYes ? position.asset : position.oppositeAsset,
+      noTokenId: isYes ? position.oppositeAsset : position.asset,
+      claims: []
+    });
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Redeem one condition's outstanding tokens
+ * The USDC is split over the claims by each one's winning shares
+ * @returns {Promise<{amount: number, txHash: string|null, allocations: number[]}|null>} null while the resolution is not reported on-chain
+ */
+async function redeemCondition(group) {
+  const { conditionId } = group;
+
+  const payouts = await ctfWallet.getPayouts(conditionId);
+  if (!payouts) return null;
+
+  const weights = group.claims.map(({ position }) => position.yes * payouts[0] + position.no * payouts[1]);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const allocate = (amount) => weights.map((w, i) =>
+    totalWeight > 0 ? amount * w / totalWeight : (i === 0 ? amount : 0)
+  );
+
+  const balances = await ctfWallet.getBalances(group.yesTokenId, group.noTokenId);
+  const amount =
+    ctfWallet.fromUnits(balances.yes) * payouts[0] +
+    ctfWallet.fromUnits(balances.no) * payouts[1];
+
+  // Only losing tokens (or nothing) left: close the positions out without a transaction
+  if (amount < MIN_REDEEM_USDC) {
+    console.log(`[Redeemer] ${conditionId}: nothing to redeem`);
+    return { amount: 0, txHash: null, allocations: allocate(0) };
+  }
+
+  const negRisk = await polyClient.getNegRisk(group.yesTokenId || group.noTokenId);
+  const txHash = await ctfWallet.redeemPositions(conditionId, [balances.yes, balances.no], negRisk);
+
+  const today = new Date().toISOString().split('T')[0];
+  db.pnl.recordReturned(today, amount);
+
+  console.log(`[Redeemer] Redeemed $${amount.toFixed(4)} in ${conditionId} (tx ${txHash})`);
+
+  db.alerts.create({
+    type: 'settlement',
+    severity: 'info',
+    message: `Redeemed $${amount.toFixed(4)} USDC from resolved market`,
+    data: { market_id: conditionId, amount, tx_hash: txHash, trade_ids: group.claims.map(c => c.trade.id) }
+  });
+
+  return { amount, txHash, allocations: allocate(amount) };
+}
+
+/**
+ * Record redeemed USDC on the trades
+ * A trade is closed out once every condition it holds has been redeemed
+ */
+function recordRedemptions(results) {
+  const redeemedAt = new Date().toISOString();
+
+  for (const { trade, amount, txHash, complete } of results.values()) {
+    db.trades.update(trade.id, {
+      redeemed_amount: (trade.redeemed_amount || 0) + amount,
+      redeem_tx_hash: txHash || undefined,
+      redeemed_at: complete ? redeemedAt : undefined
+    });
+  }
+}
+
+/**
+ * Redeem every settled condition whose resolution is reported on-chain
+ */
+async function redeemPositions() {
+  if (isRedeeming) return;
+
+  isRedeeming = true;
+
+  try {
+    const results = new Map();
+    const resultFor = (trade) => {
+      if (!results.has(trade.id)) {
+        results.set(trade.id, { trade, amount: 0, txHash: null, complete: true });
+      }
+      return results.get(trade.id);
+    };
+
+    const groups = getRedeemGroups();
+
+    try {
+      groups.push(...await getWalletGroups(new Set(groups.map(g => g.conditionId))));
+    } catch (error) {
+      console.error('[Redeemer] Error scanning wallet positions:', error.message);
+    }
+
+    for (const group of groups) {
+      let redemption = null;
+
+      try {
+        redemption = await redeemCondition(group);
+        failedConditions.delete(group.conditionId);
+      } catch (error) {
+        console.error(`[Redeemer] Error redeeming ${group.conditionId}:`, error.message);
+
+        if (!failedConditions.has(group.conditionId)) {
+          failedConditions.add(group.conditionId);
+          db.alerts.create({
+            type: 'error',
+            severity: 'error',
+            message: `Redemption failed for ${group.conditionId}: ${error.message}`,
+            data: { market_id: group.conditionId, trade_ids: group.claims.map(c => c.trade.id) }
+          });
+        }
+      }
+
+      group.claims.forEach(({ trade }, i) => {
+        const result = resultFor(trade);
+        if (!redemption) {
+          result.complete = false;
+          return;
+        }
+        result.amount += redemption.allocations[i];
+        result.txHash = redemption.txHash || result.txHash;
+      });
+    }
+
+    recordRedemptions(results);
+  } catch (error) {
+    console.error('[Redeemer] Error in redemption loop:', error.message);
+  } finally {
+    isRedeeming = false;
+  }
+}
+
+/**
+ * Start the redemption loop
+ */
+function startRedeemer() {
+  const interval = config.ctf.redeemIntervalMs;
+
+  console.log(`[Redeemer] Starting position redeemer (interval: ${interval}ms)`);
+
+  redeemInterval = setInterval(() => redeemPositions(), interval);
+}
+
+/**
+ * Stop the redemption loop
+ */
+function stopRedeemer() {
+  if (redeemInterval) {
+    clearInterval(redeemInterval);
+    redeemInterval = null;
+    console.log('[Redeemer] Position redeemer stopped');
+  }
+}
+
+module.exports = {
+  redeemPositions,
+  startRedeemer,
+  stopRedeemer
+};
@@ -0,0 +1,255 @@
+/**
+ * Position Tracker
+ * Aggregates the fills of every trade still holding outcome tokens into net
+ * inventory per token with its average cost, marks it to market from the
+ * current books and records the unrealized P&L in today's daily P&L row, along
+ * with the intraday high-water mark the drawdown limit is measured from.
+ * Live and paper unrealized P&L go to their own rows (daily_pnl and
+ * paper_daily_pnl), so paper marks never move the live drawdown
+ */
+
+const polyClient = require('./polymarket-client');
+const marketData = require('./market-data');
+const orderExecutor = require('./order-executor');
+const db = require('../database');
+const config = require('../config');
+
+// Share amounts below this are treated as zero (rounding dust)
+const SHARE_DUST = 0.0001;
+
+// Trade events that change inventory
+const TRADE_EVENTS = ['trade:filled', 'trade:partial', 'trade:settled', 'trade:merged', 'trade:cancelled'];
+
+let refreshInterval = null;
+let refreshTimer = null;
+let isRefreshing = false; // Lock to prevent overlapping passes
+let listener = null; // { emitter, onTradeEvent } while running
+
+/**
+ * Net inventory per outcome token, live and paper held separately
+ * Average cost is the fill-weighted cost per share, fees included
+ * @returns {Array<Object>} Positions without marks
+ */
+function aggregateInventory(trades) {
+  const inventory = new Map();
+
+  for (const trade of trades) {
+    const paper = trade.paper ? 1 : 0;
+
+    for (const position of orderExecutor.getPositions(trade)) {
+      const holdings = [
+        ['YES', position.yesTokenId, position.yes, position.yesCost],
+        ['NO', position.noTokenId, position.no, position.noCost]
+      ];
+
+      for (const [outcome, tokenId, shares, costPerShare] of holdings) {
+        if (!tokenId || shares <= SHARE_DUST) continue;
+
+        const key = `${tokenId}:${paper}`;
+        if (!inventory.has(key)) {
+          const market = db.markets.getByConditionId(position.conditionId);
+          inventory.set(key, {
+            token_id: tokenId,
+            paper,
+            condition_id: position.conditionId,
+            outcome,
+            asset: market?.asset || null,
+            market_question: market?.question || trade.market_question,
+            shares: 0,
+            cost_basis: 0,
+            trade_count: 0
+          });
+        }
+
+        const entry = inventory.get(key);
+        entry.shares += shares;
+        entry.cost_basis += shares * (costPerShare || 0);
+        entry.trade_count++;
+      }
+    }
+  }
+
+  return [...inventory.values()].map(entry => ({
+    ...entry,
+    avg_cost: entry.cost_basis / entry.shares
+  }));
+}
+
+/**
+ * Mark price of a token: the book mid, or the best bid when no one is offering
+ * @returns {Promise<number|null>} null when nobody is bidding
+ */
+async function getMarkPrice(tokenId) {
+  const book = marketData.getBook(tokenId) || await polyClient.getOrderBook(tokenId);
+
+  const bids = (book?.bids || []).map(level => parseFloat(level.price));
+  const asks = (book?.asks || []).map(level => parseFloat(level.price));
+  if (bids.length === 0) return null;
+
+  const bestBid = Math.max(...bids);
+  return asks.length > 0 ? (bestBid + Math.min(...asks)) / 2 : bestBid;
+}
+
+/**
+ * Rebuild the positions table and today's unrealized P&L
+ * Positions whose book has no bids keep their previous mark
+ */
+async function refreshPositions(emitter) {
+  if (isRefreshing) return;
+  isRefreshing = true;
+
+  try {
+    const previous = new Map(db.positions.getAll().map(p => [`${p.token_id}:${p.paper}`, p]));
+    const positions = aggregateInventory(db.trades.getHolding());
+    const unrealized = [0, 0]; // By paper flag
+
+    for (const position of positions) {
+      let mark = null;
+      try {
+        mark = await getMarkPrice(position.token_id);
+      } catch (error) {
+        console.error(`[Positions] Error marking ${position.token_id}:`, error.message);
+      }
+
+      if (mark !== null) {
+        position.mark_price = mark;
+        position.marked_at = new Date().toISOString();
+      } else {
+        const prior = previous.get(`${position.token_id}:${position.paper}`);
+        position.mark_price = prior?.mark_price ?? null;
+        position.marked_at = prior?.marked_at ?? null;
+      }
+
+      if (position.mark_price !== null) {
+        position.market_value = position.shares * position.mark_price;
+        position.unrealized_pnl = position.market_value - position.cost_basis;
+        unrealized[position.paper] += position.unrealized_pnl;
+      }
+    }
+
+    db.positions.replaceAll(positions);
+
+    const today = new Date().toISOString().split('T')[0];
+    db.pnl.recordMark(today, unrealized[0], false);
+    db.pnl.recordMark(today, unrealized[1], true);
+
+    if (emitter) {
+      emitter.emit('positions:update', getPositionSummary());
+    }
+  } catch (error) {
+    console.error('[Positions] Error refreshing positions:', error.message);
+  } finally {
+    isRefreshing = false;
+  }
+}
+
+/**
+ * Add a position to a running total
+ */
+function accumulate(groups, key, fields, position) {
+  if (!groups.has(key)) {
+    groups.set(key, {
+      ...fields,
+      yes_shares: 0,
+      no_shares: 0,
+      cost_basis: 0,
+      market_value: 0,
+      unrealized_pnl: 0
+    });
+  }
+
+  const group = groups.get(key);
+  group[position.outcome === 'YES' ? 'yes_shares' : 'no_shares'] += position.shares;
+  group.cost_basis += position.cost_basis || 0;
+  group.market_value += position.market_value || 0;
+  group.unrealized_pnl += position.unrealized_pnl || 0;
+}
+
+/**
+ * Stored positions with YES/NO inventory totalled per market and per asset
+ * @returns {{positions: Array, by_market: Array, by_asset: Array, totals: Object}}
+ */
+function getPositionSummary() {
+  const positions = db.positions.getAll();
+  const byMarket = new Map();
+  const byAsset = new Map();
+  const totals = new Map();
+
+  for (const position of positions) {
+    const paper = position.paper;
+    accumulate(byMarket, `${position.condition_id}:${paper}`, {
+      condition_id: position.condition_id,
+      market_question: position.market_question,
+      asset: position.asset,
+      paper
+    }, position);
+    accumulate(byAsset, `${position.asset}:${paper}`, { asset: position.asset, paper }, position);
+    accumulate(totals, paper, { paper }, position);
+  }
+
+  return {
+    positions,
+    by_market: [...byMarket.values()],
+    by_asset: [...byAsset.values()],
+    totals: [...totals.values()]
+  };
+}
+
+/**
+ * Refresh shortly after a trade event, coalescing bursts into one pass
+ */
+function scheduleRefresh(emitter) {
+  if (refreshTimer) return;
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshPositions(emitter);
+  }, config.positions.eventDelayMs);
+}
+
+/**
+ * Start the mark-to-market loop (also runs after fills, merges and settlements)
+ */
+function startTracker(emitter) {
+  const interval = config.positions.refreshIntervalMs;
+
+  console.log(`[Positions] Starting position tracker (interval: ${interval}ms)`);
+
+  refreshPositions(emitter);
+  refreshInterval = setInterval(() => refreshPositions(emitter), interval);
+
+  const onTradeEvent = () => scheduleRefresh(emitter);
+  for (const event of TRADE_EVENTS) {
+    emitter.on(event, onTradeEvent);
+  }
+  listener = { emitter, onTradeEvent };
+}
+
+/**
+ * Stop the mark-to-market loop
+ */
+function stopTracker() {
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+    console.log('[Positions] Position tracker stopped');
+  }
+
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+
+  if (listener) {
+    for (const event of TRADE_EVENTS) {
+      listener.emitter.off(event, listener.onTradeEvent);
+    }
+    listener = null;
+  }
+}
+
+module.exports = {
+  refreshPositions,
+  aggregateInventory,
+  getPositionSummary,
+  startTracker,
+  stopTracker
+};
@@ -0,0 +1,58 @@
+/**
+ * Binance Price Source
+ * Streams spot prices from Binance's public mini-ticker channel (one update
+ * per symbol per second, no authentication required)
+ */
+
+const { createConnection } = require('../ws-connection');
+
+/**
+ * Create a Binance source
+ * @param {Object} options
+ * @param {string} options.url - Combined stream endpoint
+ * @param {Object} options.symbols - Asset -> Binance symbol (BTC -> btcusdt)
+ * @returns {{start: Function, stop: Function}}
+ */
+function createSource(options) {
+  const assetsBySymbol = new Map(
+    Object.entries(options.symbols).map(([asset, symbol]) => [symbol.toUpperCase(), asset])
+  );
+  const streams = Object.values(options.symbols).map(symbol => `${symbol.toLowerCase()}@miniTicker`);
+
+  let connection = null;
+
+  return {
+    /**
+     * Connect and report each price as onPrice(asset, price, timestamp)
+     */
+    start(onPrice) {
+      connection = createConnection({
+        name: 'Binance',
+        url: `${options.url}?streams=${streams.join('/')}`,
+        pingMessage: null, // The server pings; ws answers with pongs
+        onOpen: () => {},
+        onMessage: (message) => {
+          const ticker = message.data;
+          if (ticker?.e !== '24hrMiniTicker') return;
+
+          const asset = assetsBySymbol.get(ticker.s);
+          const price = parseFloat(ticker.c);
+          if (asset && price > 0) {
+            onPrice(asset, price, ticker.E);
+          }
+        }
+      });
+
+      connection.connect();
+    },
+
+    stop() {
+      if (connection) {
+        connection.close();
+        connection = null;
+      }
+    }
+  };
+}
+
+module.exports = { createSource };
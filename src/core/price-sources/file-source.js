@@ -0,0 +1,105 @@
+/**
+ * File Price Source
+ * Replays recorded prices from a local file, for tests and paper sessions
+ * without an exchange connection. Each line is either JSON
+ * ({"timestamp": ..., "asset": "BTC", "price": 67000.5}) or CSV
+ * (timestamp,asset,price); timestamps are epoch ms or ISO strings.
+ * Records are replayed at their recorded spacing (divided by the speed) and
+ * stamped with the time they are replayed, so windows see them as live.
+ */
+
+const fs = require('fs');
+
+/**
+ * Parse a price file into records sorted by time
+ * Malformed JSON lines are skipped and logged rather than ending the replay
+ */
+function parseFile(path) {
+  const records = [];
+  const lines = fs.readFileSync(path, 'utf8').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+    if (!text || text.startsWith('#')) continue;
+
+    let record;
+    if (text.startsWith('{')) {
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        console.warn(`[FileSource] Skipping line ${i + 1} of ${path}: ${error.message}`);
+        continue;
+      }
+    } else {
+      const [timestamp, asset, price] = text.split(',').map(field => field.trim());
+      record = { timestamp, asset, price };
+    }
+
+    const time = /^\d+$/.test(String(record.timestamp))
+      ? parseInt(record.timestamp, 10)
+      : new Date(record.timestamp).getTime();
+    const price = parseFloat(record.price);
+
+    // Skips a CSV header row along with any other unparseable line
+    if (!Number.isFinite(time) || !(price > 0) || !record.asset) continue;
+
+    records.push({ time, asset: String(record.asset).toUpperCase(), price });
+  }
+
+  return records.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Create a file source
+ * @param {Object} options
+ * @param {string} options.file - Path to the price file
+ * @param {number} [options.speed=1] - Replay speed multiplier
+ * @returns {{start: Function, stop: Function}}
+ */
+function createSource(options) {
+  const speed = options.speed > 0 ? options.speed : 1;
+  let timer = null;
+
+  return {
+    /**
+     * Replay the file, reporting each price as onPrice(asset, price, timestamp)
+     */
+    start(onPrice) {
+      const records = parseFile(options.file);
+      if (records.length === 0) {
+        console.log(`[FileSource] No prices in ${options.file}`);
+        return;
+      }
+
+      console.log(`[FileSource] Replaying ${records.length} prices from ${options.file} (${speed}x)`);
+
+      const startedAt = Date.now();
+      const firstTime = records[0].time;
+      let index = 0;
+
+      const next = () => {
+        while (index < records.length && (records[index].time - firstTime) / speed <= Date.now() - startedAt) {
+          const record = records[index++];
+          onPrice(record.asset, record.price, Date.now());
+        }
+
+        if (index < records.length) {
+          const delay = (records[index].time - firstTime) / speed - (Date.now() - startedAt);
+          timer = setTimeout(next, Math.max(0, delay));
+        } else {
+          timer = null;
+          console.log('[FileSource] Replay finished');
+        }
+      };
+
+      next();
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createSource, parseFile };
@@ -0,0 +1,262 @@
+/**
+ * Reference Prices
+ * Spot prices of the underlying assets from a pluggable source (an exchange
+ * WebSocket, or a file replay for tests), the price at the open of each
+ * up/down window, and a model fair value for the window's outcomes
+ *
+ * Fair value of Up (the YES token) with zero drift and per-second volatility sigma:
+ *   P(close >= open) = N(ln(spot / open) / (sigma * sqrt(seconds left)))
+ */
+
+const binanceSource = require('./price-sources/binance-source');
+const fileSource = require('./price-sources/file-source');
+const config = require('../config');
+const db = require('../database');
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const latest = new Map();       // asset -> { price, timestamp }
+const history = new Map();      // asset -> [{ price, timestamp }] within the volatility lookback, oldest first
+const pendingOpens = new Map(); // conditionId -> { asset, startMs } for windows not yet open
+const opens = new Map();        // conditionId -> window_opens row
+
+let source = null;
+
+/**
+ * Parse a timestamp to epoch ms, or null
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 26.2.17, error below 1e-7)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = 0.3989422804014327 * Math.exp(-x * x / 2);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Record a window's open price
+ */
+function recordOpen(conditionId, asset, startMs, price, timestamp) {
+  const row = db.windowOpens.record({
+    condition_id: conditionId,
+    asset,
+    window_start: new Date(startMs).toISOString(),
+    open_price: price,
+    observed_at: new Date(timestamp).toISOString()
+  });
+  opens.set(conditionId, row);
+  console.log(`[ReferencePrices] ${asset} window open at ${price} (${conditionId})`);
+}
+
+/**
+ * Record a spot price (called by the source, or directly in tests)
+ * The first price at or after a window's start becomes its open
+ */
+function recordPrice(asset, price, timestamp = Date.now()) {
+  latest.set(asset, { price, timestamp });
+
+  // At most one sample per second for the volatility estimate
+  if (!history.has(asset)) history.set(asset, []);
+  const samples = history.get(asset);
+  const last = samples[samples.length - 1];
+  if (last && timestamp - last.timestamp < 1000) {
+    if (timestamp >= last.timestamp) last.price = price;
+  } else {
+    samples.push({ price, timestamp });
+  }
+  while (samples.length > 0 && samples[0].timestamp < timestamp - config.referencePrices.volLookbackMs) {
+    samples.shift();
+  }
+
+  for (const [conditionId, pending] of pendingOpens) {
+    if (pending.asset !== asset || timestamp < pending.startMs) continue;
+
+    pendingOpens.delete(conditionId);
+
+    if (timestamp - pending.startMs > config.referencePrices.openToleranceMs) {
+      console.log(`[ReferencePrices] No ${asset} price near the open of ${conditionId}, skipping its fair value`);
+      continue;
+    }
+
+    recordOpen(conditionId, asset, pending.startMs, price, timestamp);
+  }
+}
+
+/**
+ * Track the windows of the scanned markets so their open prices get recorded
+ * Windows that opened before tracking fall back to the price history
+ */
+function trackMarkets(markets) {
+  const tracked = new Set();
+  const { openToleranceMs } = config.referencePrices;
+
+  for (const market of markets) {
+    const startMs = parseTime(market.startDate);
+    if (!market.asset || startMs === null) continue;
+
+    const conditionId = market.conditionId;
+    tracked.add(conditionId);
+
+    if (opens.has(conditionId) || pendingOpens.has(conditionId)) continue;
+
+    const stored = db.windowOpens.get(conditionId);
+    if (stored) {
+      opens.set(conditionId, stored);
+    } else if (startMs > Date.now()) {
+      pendingOpens.set(conditionId, { asset: market.asset, startMs });
+    } else {
+      const sample = (history.get(market.asset) || [])
+        .find(s => s.timestamp >= startMs && s.timestamp - startMs <= openToleranceMs);
+      if (sample) {
+        recordOpen(conditionId, market.asset, startMs, sample.price, sample.timestamp);
+      }
+    }
+  }
+
+  // Forget windows that are no longer scanned
+  for (const conditionId of [...opens.keys(), ...pendingOpens.keys()]) {
+    if (!tracked.has(conditionId)) {
+      opens.delete(conditionId);
+      pendingOpens.delete(conditionId);
+    }
+  }
+}
+
+/**
+ * Latest spot price of an asset
+ * @returns {{price: number, timestamp: number}|null}
+ */
+function getSpot(asset) {
+  return latest.get(asset) || null;
+}
+
+/**
+ * Recorded open price of a market's window
+ */
+function getOpenPrice(conditionId) {
+  if (!opens.has(conditionId)) {
+    const stored = db.windowOpens.get(conditionId);
+    if (!stored) return null;
+    opens.set(conditionId, stored);
+  }
+  return opens.get(conditionId).open_price;
+}
+
+/**
+ * Realized volatility per sqrt(second) over the lookback
+ * Falls back to the configured annual volatility until there are enough samples
+ */
+function getVolatility(asset) {
+  const samples = history.get(asset) || [];
+
+  if (samples.length >= config.referencePrices.minVolSamples) {
+    let sumSquares = 0;
+    let elapsed = 0;
+
+    for (let i = 1; i < samples.length; i++) {
+      const r = Math.log(samples[i].price / samples[i - 1].price);
+      sumSquares += r * r;
+      elapsed += (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    }
+
+    if (elapsed > 0 && sumSquares > 0) {
+      return Math.sqrt(sumSquares / elapsed);
+    }
+  }
+
+  return config.referencePrices.defaultAnnualVol / Math.sqrt(SECONDS_PER_YEAR);
+}
+
+/**
+ * Model fair value of a market's Up (YES) and Down (NO) outcomes
+ * Before the window opens the open is unknown and spot is its best estimate, so YES is 0.5
+ * @param {Object} market - Scanner market (asset, startDate, endDate)
+ * @returns {{fair_yes: number, fair_no: number, spot: number, open_price: number|null, sigma: number, seconds_left: number}|null}
+ *   null without a fresh spot price or a recorded open
+ */
+function getFairValue(market, now = Date.now()) {
+  if (!market?.asset) return null;
+
+  const spot = latest.get(market.asset);
+  if (!spot || now - spot.timestamp > config.referencePrices.staleMs) return null;
+
+  const startMs = parseTime(market.startDate);
+  const endMs = parseTime(market.endDate);
+  if (endMs === null) return null;
+
+  const sigma = getVolatility(market.asset);
+  const secondsLeft = Math.max(0, (endMs - now) / 1000);
+
+  let fairYes = 0.5;
+  let openPrice = null;
+
+  if (startMs === null || now >= startMs) {
+    openPrice = getOpenPrice(market.conditionId);
+    if (openPrice === null) return null;
+
+    fairYes = secondsLeft > 0
+      ? normalCdf(Math.log(spot.price / openPrice) / (sigma * Math.sqrt(secondsLeft)))
+      : (spot.price >= openPrice ? 1 : 0);
+  }
+
+  return {
+    fair_yes: fairYes,
+    fair_no: 1 - fairYes,
+    spot: spot.price,
+    open_price: openPrice,
+    sigma,
+    seconds_left: secondsLeft
+  };
+}
+
+/**
+ * Start the configured price source
+ */
+function start() {
+  const options = config.referencePrices;
+
+  if (options.source === 'binance') {
+    source = binanceSource.createSource({ url: options.binanceUrl, symbols: options.symbols });
+  } else if (options.source === 'file' && options.file) {
+    source = fileSource.createSource({ file: options.file, speed: options.replaySpeed });
+  } else {
+    console.log(`[ReferencePrices] No price source (${options.source}${options.source === 'file' ? ', REFERENCE_PRICE_FILE not set' : ''})`);
+    return;
+  }
+
+  db.windowOpens.cleanup();
+
+  console.log(`[ReferencePrices] Starting ${options.source} price source`);
+  source.start(recordPrice);
+}
+
+/**
+ * Stop the price source
+ */
+function stop() {
+  if (source) {
+    source.stop();
+    source = null;
+    console.log('[ReferencePrices] Price source stopped');
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  recordPrice,
+  trackMarkets,
+  getSpot,
+  getOpenPrice,
+  getVolatility,
+  getFairValue,
+  normalCdf
+};
@@ -0,0 +1,274 @@
+/**
+ * Request Scheduler
+ * Every outbound CLOB and Gamma call is queued here and released against
+ * token buckets: one per endpoint plus one per host, sized to Polymarket's
+ * published limits. Queued calls wait in priority lanes so order placement and
+ * cancels go ahead of account reads, book reads and background listings.
+ * Calls answered with 429 or a 5xx are retried with jittered exponential backoff.
+ * Failures without an HTTP status (network errors, timeouts, or a CLOB
+ * { error } result with no status) are never retried: the call may have
+ * reached the server, and they are passed straight back to the caller.
+ * Each retry runs the call's function again, so anything it signs (CLOB auth
+ * headers) must be built inside it.
+ */
+
+const config = require('../config');
+
+// Highest priority first
+const LANES = ['order', 'account', 'data', 'background'];
+
+const queues = new Map(LANES.map(lane => [lane, []]));
+const buckets = new Map(); // name -> { tokens, capacity, ratePerMs, updatedAt }
+
+let pumpTimer = null;
+let inFlight = 0;
+
+const counters = {
+  dispatched: 0,
+  retries: 0,
+  rate_limited: 0,
+  server_errors: 0,
+  failed: 0,
+  peak_queued: 0,
+  total_wait_ms: 0,
+  max_wait_ms: 0
+};
+
+/**
+ * Get (or create) a bucket from its configured budget
+ * Endpoints without a budget only draw on their host's bucket
+ */
+function getBucket(name) {
+  if (!buckets.has(name)) {
+    const budget = config.requestScheduler.budgets[name];
+    if (!budget) return null;
+
+    buckets.set(name, {
+      tokens: budget.limit,
+      capacity: budget.limit,
+      ratePerMs: budget.limit / budget.intervalMs,
+      updatedAt: Date.now()
+    });
+  }
+  return buckets.get(name);
+}
+
+/**
+ * Refill a bucket for the time since it was last touched
+ */
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Milliseconds until every bucket of a request has a token (0 = ready)
+ */
+function waitTime(request, now) {
+  let wait = 0;
+  for (const bucket of request.buckets) {
+    refill(bucket, now);
+    if (bucket.tokens < 1) {
+      wait = Math.max(wait, Math.ceil((1 - bucket.tokens) / bucket.ratePerMs));
+    }
+  }
+  return wait;
+}
+
+/**
+ * HTTP status of a failed call, from a thrown error, a CLOB { error, status }
+ * result or a fetch Response
+ * @returns {number|null}
+ */
+function getFailureStatus(result, error) {
+  if (error) {
+    return error.status ?? error.response?.status ?? null;
+  }
+  if (result && typeof result.status === 'number' && (result.error !== undefined || result.ok === false)) {
+    return result.status;
+  }
+  return null;
+}
+
+/**
+ * Backoff before a retry: exponential, capped, with full jitter
+ */
+function backoffDelay(attempt) {
+  const { retryBaseMs, retryMaxMs } = config.requestScheduler;
+  const ceiling = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Total requests waiting across the lanes
+ */
+function queuedCount() {
+  let count = 0;
+  for (const queue of queues.values()) count += queue.length;
+  return count;
+}
+
+/**
+ * Run a released request; retryable failures go back into their lane after a backoff
+ */
+async function run(request) {
+  inFlight++;
+  counters.dispatched++;
+
+  const waited = Date.now() - request.queuedAt;
+  counters.total_wait_ms += waited;
+  counters.max_wait_ms = Math.max(counters.max_wait_ms, waited);
+
+  let result;
+  let error = null;
+  try {
+    result = await request.fn();
+  } catch (err) {
+    error = err;
+  } finally {
+    inFlight--;
+  }
+
+  const status = getFailureStatus(result, error);
+  if (status === 429) counters.rate_limited++;
+  if (status >= 500) counters.server_errors++;
+
+  // Orders may have reached the book on a 5xx, so only a 429 is safe to repeat for them
+  const retryable = status === 429 || (status >= 500 && request.idempotent);
+
+  if (retryable && request.attempt < config.requestScheduler.maxRetries) {
+    const delay = backoffDelay(request.attempt);
+    request.attempt++;
+    counters.retries++;
+
+    console.log(`[Requests] ${request.endpoint} returned ${status}, retry ${request.attempt} in ${delay}ms`);
+
+    setTimeout(() => {
+      request.queuedAt = Date.now();
+      queues.get(request.lane).push(request);
+      pump();
+    }, delay);
+    return;
+  }
+
+  // Out of retries
+  if (retryable) counters.failed++;
+
+  if (error) {
+    request.reject(error);
+  } else {
+    request.resolve(result);
+  }
+}
+
+/**
+ * Release every request whose buckets allow it, highest lane first
+ * A request held back only by its host's bucket holds back the lanes below
+ * it, so lower-priority traffic cannot use up the host budget ahead of it
+ */
+function pump() {
+  clearTimeout(pumpTimer);
+  pumpTimer = null;
+
+  const now = Date.now();
+  const blockedHosts = new Set();
+  let nextWait = Infinity;
+
+  for (const lane of LANES) {
+    const queue = queues.get(lane);
+
+    for (let i = 0; i < queue.length; i++) {
+      const request = queue[i];
+      if (blockedHosts.has(request.host)) continue;
+
+      const wait = waitTime(request, now);
+      if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        if (request.hostBucket && request.hostBucket.tokens < 1) {
+          blockedHosts.add(request.host);
+        }
+        continue;
+      }
+
+      for (const bucket of request.buckets) bucket.tokens -= 1;
+      queue.splice(i, 1);
+      i--;
+      run(request);
+    }
+  }
+
+  if (nextWait !== Infinity) {
+    pumpTimer = setTimeout(pump, nextWait);
+  }
+}
+
+/**
+ * Queue a call
+ * @param {Function} fn - Performs the request, returns a promise
+ * @param {Object} options
+ * @param {string} options.endpoint - Budget name, '<host>:<endpoint>' (e.g. 'clob:book')
+ * @param {string} [options.lane='data'] - 'order', 'account', 'data' or 'background'
+ * @param {boolean} [options.idempotent=true] - Whether a 5xx may be retried
+ * @returns {Promise<*>} The call's result; after the last retry, its last result or error
+ */
+function schedule(fn, options) {
+  const { endpoint, lane = 'data', idempotent = true } = options;
+  if (!queues.has(lane)) {
+    throw new Error(`Unknown request lane: ${lane}`);
+  }
+
+  const host = endpoint.split(':')[0];
+  const hostBucket = getBucket(host);
+  const requestBuckets = [getBucket(endpoint), hostBucket].filter(Boolean);
+
+  return new Promise((resolve, reject) => {
+    queues.get(lane).push({
+      fn,
+      endpoint,
+      host,
+      lane,
+      idempotent,
+      buckets: requestBuckets,
+      hostBucket,
+      attempt: 0,
+      queuedAt: Date.now(),
+      resolve,
+      reject
+    });
+
+    counters.peak_queued = Math.max(counters.peak_queued, queuedCount());
+    pump();
+  });
+}
+
+/**
+ * Queue depth per lane, throughput and throttling counters, and bucket levels
+ */
+function getMetrics() {
+  const now = Date.now();
+  const lanes = {};
+  for (const [lane, queue] of queues) {
+    lanes[lane] = queue.length;
+  }
+
+  const budgets = {};
+  for (const [name, bucket] of buckets) {
+    refill(bucket, now);
+    budgets[name] = { tokens: Math.floor(bucket.tokens), capacity: bucket.capacity };
+  }
+
+  return {
+    queued: queuedCount(),
+    lanes,
+    in_flight: inFlight,
+    ...counters,
+    avg_wait_ms: counters.dispatched > 0 ? counters.total_wait_ms / counters.dispatched : 0,
+    budgets
+  };
+}
+
+module.exports = {
+  LANES,
+  schedule,
+  getMetrics
+};
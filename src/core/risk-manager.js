@@ -4,56 +4,348 @@
  */
 
 const polyClient = require('./polymarket-client');
+const feeModel = require('./fee-model');
+const sizing = require('./sizing');
+const healthMonitor = require('./health-monitor');
 const db = require('../database');
+const config = require('../config');
+
+// strategy:market:limit -> time the rejection was last logged
+const loggedRejections = new Map();
+let lastRejectionCleanup = 0;
 
 /**
- * Pre-trade risk checks
+ * Net edge per share for an opportunity under the fee model
+ * Re-derived from the leg prices so pending and pre-fee opportunities are judged the same way
  */
-async function canTrade(opportunity) {
-  const settings = db.settings.get();
+function getNetSpread(opportunity, settings) {
+  if (opportunity.trade_type === 'basket') {
+    return getBasketNetSpread(opportunity, settings);
+  }
+  if (opportunity.trade_type === 'directional') {
+    return getDirectionalEdge(opportunity, settings);
+  }
+
+  const yesPrice = opportunity.yes_vwap ?? opportunity.yes_price;
+  const noPrice = opportunity.no_vwap ?? opportunity.no_price;
+  const shares = opportunity.shares ?? settings.position_size / (yesPrice + noPrice);
+  const feeRateBps = opportunity.fee_rate_bps ?? feeModel.getMarketFees(opportunity.market_id).takerBps;
+
+  const { net } = feeModel.pairProfit({ shares, yesPrice, noPrice, feeRateBps });
+  return net / shares;
+}
+
+/**
+ * Net edge per share for a multi-outcome basket (every leg bought at its VWAP)
+ */
+function getBasketNetSpread(opportunity, settings) {
+  const prices = opportunity.legs.map(leg => leg.vwap ?? leg.price);
+  const shares = opportunity.shares ?? settings.position_size / prices.reduce((total, p) => total + p, 0);
+  const feeRateBps = opportunity.fee_rate_bps ?? 0;
+  const payout = sizing.basketPayout(opportunity.basket_side, prices.length);
+
+  const { net } = feeModel.basketProfit({ shares, prices, payout, feeRateBps });
+  return net / shares;
+}
+
+/**
+ * Edge per share of a directional position over its model fair value, after
+ * fees and the redeem cost; -Infinity without a fair value
+ */
+function getDirectionalEdge(opportunity, settings) {
+  const key = (opportunity.direction || '').toLowerCase();
+  const fair = opportunity[`fair_${key}`];
+  const price = opportunity[`${key}_vwap`] ?? opportunity[`${key}_price`];
+  if (fair == null || price == null) return -Infinity;
+
+  const shares = opportunity.shares ?? settings.position_size / price;
+  const feeRateBps = opportunity.fee_rate_bps ?? feeModel.getMarketFees(opportunity.market_id).takerBps;
+
+  return fair - price - feeModel.tradeFee(1, price, feeRateBps) - feeModel.settlementCost() / shares;
+}
 
+/**
+ * Evaluate risk limits for an opportunity against an account state
+ * Pure function so the backtester can run it against simulated state
+ * @param {Object} opportunity
+ * @param {Object} settings - Settings row
+ * @param {Object} state - { dailyPnL, openPositions, balance }, plus the opportunity's
+ *   strategy row and its open exposure ({ strategy, strategyExposure }), the
+ *   current time ({ now }), the health monitor state ({ health }), the
+ *   intraday drawdown ({ drawdown }), the run of losing trades
+ *   ({ lossStreak: { count, lastLossAt } }), the open exposure in its market,
+ *   asset and window ({ exposure: { market, asset, window } }) and, for
+ *   directional positions, the open directional exposure in the window and
+ *   asset ({ directionalExposure: { window, asset } }) and the largest minimum
+ *   order size among its tokens ({ minOrderSize }) when checked live
+ *   Limits set to 0 in settings are off
+ * Market-making quotes (trade_type 'quote') are resting bids: they set their
+ * own edge and take no liquidity, so those two checks are skipped, and a quote
+ * on an open session (trade_id set) does not count as a new position
+ */
+function evaluateRiskLimits(opportunity, settings, state) {
   // Check 1: Kill switch
   if (settings.kill_switch) {
-    return { allowed: false, reason: 'Kill switch is active' };
+    return { allowed: false, limit: 'kill_switch', reason: 'Kill switch is active' };
   }
 
   // Check 2: Auto mode (if in manual mode, trades need approval)
   // This check is done at a higher level, not here
 
-  // Check 3: Daily loss limit
-  const todayPnL = db.pnl.getToday();
-  if (todayPnL && todayPnL.realized_pnl < -settings.daily_loss_limit) {
-    // Auto-activate kill switch
-    await activateKillSwitch('Daily loss limit exceeded', null);
-    return { allowed: false, reason: 'Daily loss limit exceeded' };
+  // Check 3: Trading paused by the health monitor (CLOB errors, latency or stale books)
+  if (state.health?.paused) {
+    return { allowed: false, limit: 'health_pause', reason: `Trading paused: ${state.health.reasons.join('; ')}` };
   }
 
-  // Check 4: Position limits
-  const openPositions = db.trades.countOpen();
-  if (openPositions >= settings.max_open_positions) {
-    return { allowed: false, reason: `Maximum open positions reached (${openPositions}/${settings.max_open_positions})` };
+  // Check 4: Daily loss limit
+  if (state.dailyPnL < -settings.daily_loss_limit) {
+    return { allowed: false, limit: 'daily_loss_limit', reason: 'Daily loss limit exceeded' };
   }
 
-  // Check 5: Balance check
-  const balance = await polyClient.getBalance();
-  if (balance.balance < settings.position_size) {
-    return { allowed: false, reason: `Insufficient balance: $${balance.balance.toFixed(2)} < $${settings.position_size}` };
+  // Check 5: Intraday drawdown from the high-water mark of realized plus unrealized P&L
+  if (state.drawdown != null && settings.max_drawdown > 0 && state.drawdown > settings.max_drawdown) {
+    return { allowed: false, limit: 'max_drawdown', reason: `Intraday drawdown $${state.drawdown.toFixed(2)} exceeds $${settings.max_drawdown}` };
   }
 
-  // Check 6: Profit threshold
-  if (opportunity.spread < settings.profit_threshold) {
-    return { allowed: false, reason: `Below profit threshold: ${(opportunity.spread * 100).toFixed(2)}% < ${(settings.profit_threshold * 100).toFixed(2)}%` };
+  // Check 6: Cooldown after a run of losing trades
+  if (state.lossStreak && settings.max_consecutive_losses > 0 && state.lossStreak.count >= settings.max_consecutive_losses) {
+    const cooldownEnds = new Date(state.lossStreak.lastLossAt).getTime() + settings.loss_cooldown_s * 1000;
+    const now = state.now ?? Date.now();
+    if (now < cooldownEnds) {
+      return { allowed: false, limit: 'loss_cooldown', reason: `${state.lossStreak.count} losing trades in a row, cooling down for ${Math.ceil((cooldownEnds - now) / 1000)}s` };
+    }
   }
 
-  // Check 7: Minimum liquidity (at least 2x position size on each side)
+  // Check 7: Position limits
+  if (!opportunity.trade_id && state.openPositions >= settings.max_open_positions) {
+    return { allowed: false, limit: 'max_open_positions', reason: `Maximum open positions reached (${state.openPositions}/${settings.max_open_positions})` };
+  }
+
+  // Check 8: Balance check
+  if (state.balance < settings.position_size) {
+    return { allowed: false, limit: 'balance', reason: `Insufficient balance: $${state.balance.toFixed(2)} < $${settings.position_size}` };
+  }
+
+  // Check 9: Profit threshold, net of fees and settlement costs
+  // Directional positions carry risk by design and only need an edge over fair value
+  if (opportunity.trade_type !== 'quote') {
+    const netSpread = getNetSpread(opportunity, settings);
+    if (opportunity.trade_type === 'directional') {
+      if (!(netSpread > 0)) {
+        return { allowed: false, limit: 'fair_value', reason: netSpread === -Infinity ? 'No fair value for the market' : `No edge over fair value after fees: ${(netSpread * 100).toFixed(2)}%` };
+      }
+    } else if (netSpread < settings.profit_threshold) {
+      return { allowed: false, limit: 'profit_threshold', reason: `Below profit threshold after fees: ${(netSpread * 100).toFixed(2)}% < ${(settings.profit_threshold * 100).toFixed(2)}%` };
+    }
+  }
+
+  // Check 10: Minimum liquidity (at least 2x position size on each side, or on every basket leg)
   const minLiquidity = settings.position_size * 2;
-  if (opportunity.yes_liquidity < minLiquidity || opportunity.no_liquidity < minLiquidity) {
-    return { allowed: false, reason: 'Insufficient liquidity' };
+  let liquidity = [opportunity.yes_liquidity, opportunity.no_liquidity];
+  if (opportunity.legs) {
+    liquidity = opportunity.legs.map(leg => leg.liquidity);
+  } else if (opportunity.trade_type === 'directional') {
+    liquidity = [opportunity[`${opportunity.direction.toLowerCase()}_liquidity`]];
+  } else if (opportunity.trade_type === 'quote') {
+    liquidity = [];
+  }
+  if (liquidity.some(l => l < minLiquidity)) {
+    return { allowed: false, limit: 'liquidity', reason: 'Insufficient liquidity' };
+  }
+
+  const cost = opportunity.shares != null ? opportunity.shares * opportunity.total_cost : settings.position_size;
+
+  // Check 11: Strategy enabled and within its risk budget
+  if (state.strategy) {
+    if (!state.strategy.enabled) {
+      return { allowed: false, limit: 'strategy_disabled', reason: `Strategy ${state.strategy.strategy_id} is disabled` };
+    }
+
+    if (state.strategyExposure + cost > state.strategy.risk_budget) {
+      return { allowed: false, limit: 'strategy_budget', reason: `Strategy risk budget exceeded: $${(state.strategyExposure + cost).toFixed(2)} > $${state.strategy.risk_budget}` };
+    }
+  }
+
+  // Check 12: Notional per market, per asset and per resolution window
+  if (state.exposure) {
+    const limits = [
+      ['market', 'max_market_notional', 'market_notional', 'this market'],
+      ['asset', 'max_asset_notional', 'asset_notional', 'this asset'],
+      ['window', 'max_window_notional', 'window_notional', 'this resolution window']
+    ];
+    for (const [scope, setting, limit, label] of limits) {
+      const total = state.exposure[scope] + cost;
+      if (settings[setting] > 0 && total > settings[setting]) {
+        return { allowed: false, limit, reason: `Exposure in ${label} would be $${total.toFixed(2)} > $${settings[setting]}` };
+      }
+    }
+  }
+
+  // Check 13: No new positions in the last seconds before the market window ends
+  if (state.now != null && opportunity.expires_at) {
+    const secondsLeft = (new Date(opportunity.expires_at).getTime() - state.now) / 1000;
+    if (secondsLeft < settings.entry_cutoff_s) {
+      return { allowed: false, limit: 'entry_cutoff', reason: `Market window ends in ${Math.max(0, secondsLeft).toFixed(0)}s (cutoff ${settings.entry_cutoff_s}s)` };
+    }
+  }
+
+  // Check 14: Directional exposure per market window and per asset (limits are strategy params)
+  if (opportunity.trade_type === 'directional' && state.directionalExposure) {
+    const params = state.strategy?.params || {};
+    const { window, asset } = state.directionalExposure;
+
+    if (params.max_window_exposure != null && window + cost > params.max_window_exposure) {
+      return { allowed: false, limit: 'window_exposure', reason: `Directional exposure in this window would be $${(window + cost).toFixed(2)} > $${params.max_window_exposure}` };
+    }
+    if (params.max_asset_exposure != null && asset + cost > params.max_asset_exposure) {
+      return { allowed: false, limit: 'asset_exposure', reason: `Directional exposure in this asset would be $${(asset + cost).toFixed(2)} > $${params.max_asset_exposure}` };
+    }
+  }
+
+  // Check 15: Order size, rounded to the accepted precision, at least the market minimum
+  if (state.minOrderSize != null) {
+    const shares = polyClient.roundSize(opportunity.shares ?? cost / (opportunity.total_cost ?? opportunity.yes_price + opportunity.no_price));
+    if (shares < state.minOrderSize) {
+      return { allowed: false, limit: 'min_order_size', reason: `Order size ${shares} is below the market minimum of ${state.minOrderSize} shares` };
+    }
   }
 
   return { allowed: true };
 }
 
+/**
+ * Tokens an opportunity would place orders on
+ */
+function getOrderTokenIds(opportunity) {
+  if (opportunity.legs) return opportunity.legs.map(leg => leg.token_id);
+  if (opportunity.trade_type === 'directional') {
+    return [opportunity[`${opportunity.direction.toLowerCase()}_token_id`]];
+  }
+  if (opportunity.trade_type === 'quote') {
+    return [opportunity.yes_token_id, opportunity.no_token_id].filter(Boolean);
+  }
+  return [opportunity.yes_token_id, opportunity.no_token_id];
+}
+
+/**
+ * Largest minimum order size among an opportunity's tokens
+ * null when the constraints cannot be fetched; the executor checks again before placing
+ */
+async function getMinOrderSize(opportunity) {
+  try {
+    let minSize = 0;
+    for (const tokenId of getOrderTokenIds(opportunity)) {
+      const constraints = await polyClient.getOrderConstraints(tokenId);
+      minSize = Math.max(minSize, constraints.minSize);
+    }
+    return minSize;
+  } catch (error) {
+    console.error('[RiskManager] Could not fetch order constraints:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Today's realized plus unrealized P&L against its intraday high-water mark
+ * Takes one mode's daily row (paper P&L is kept in its own table), so paper
+ * marks never count towards the live drawdown.
+ * The mark is raised by the position tracker; the current P&L counts towards it here as well
+ * @returns {{pnl: number, peak: number, drawdown: number}}
+ */
+function getDrawdown(todayPnL) {
+  const pnl = (todayPnL?.realized_pnl || 0) + (todayPnL?.unrealized_pnl || 0);
+  const peak = Math.max(todayPnL?.peak_pnl || 0, pnl);
+  return { pnl, peak, drawdown: peak - pnl };
+}
+
+/**
+ * Record a rejected opportunity with the limit that fired
+ * Streamed markets are re-evaluated on every book change, so the same
+ * rejection is logged at most once per logIntervalMs; old rows are pruned
+ * every cleanupIntervalMs
+ */
+function logRejection(opportunity, result) {
+  const strategyId = opportunity.strategy_id || 'arbitrage';
+  const key = `${strategyId}:${opportunity.market_id}:${result.limit}`;
+  const now = Date.now();
+  const { logIntervalMs, cleanupIntervalMs } = config.riskRejections;
+
+  if (now - (loggedRejections.get(key) || 0) < logIntervalMs) return;
+
+  // Entries past the interval no longer suppress anything
+  for (const [k, at] of loggedRejections) {
+    if (now - at >= logIntervalMs) loggedRejections.delete(k);
+  }
+  loggedRejections.set(key, now);
+
+  try {
+    if (now - lastRejectionCleanup >= cleanupIntervalMs) {
+      lastRejectionCleanup = now;
+      db.riskRejections.cleanup();
+    }
+
+    db.riskRejections.create({
+      strategy_id: strategyId,
+      market_id: opportunity.market_id,
+      market_question: opportunity.market_question,
+      trade_type: opportunity.trade_type || 'pair',
+      limit_name: result.limit,
+      reason: result.reason,
+      cost: opportunity.shares != null && opportunity.total_cost != null
+        ? opportunity.shares * opportunity.total_cost
+        : null
+    });
+  } catch (error) {
+    console.error('[RiskManager] Failed to log rejection:', error.message);
+  }
+}
+
+/**
+ * Pre-trade risk checks
+ * Rejections are logged with the limit that fired. P&L, open positions and
+ * exposure count only trades of the current mode, so paper trading never
+ * uses up live limits
+ */
+async function canTrade(opportunity) {
+  const settings = db.settings.get();
+  const paper = settings.paper_mode;
+  const todayPnL = db.pnl.getToday(paper);
+  const balance = await polyClient.getBalance();
+  const lossStreak = db.trades.getLossStreak(paper);
+
+  const strategyId = opportunity.strategy_id || 'arbitrage';
+
+  const result = evaluateRiskLimits(opportunity, settings, {
+    dailyPnL: todayPnL?.realized_pnl || 0,
+    openPositions: db.trades.countOpen(paper),
+    balance: balance.balance,
+    strategy: db.strategies.get(strategyId),
+    strategyExposure: db.trades.getOpenExposure(strategyId, paper),
+    now: Date.now(),
+    health: healthMonitor.getStatus(),
+    drawdown: getDrawdown(todayPnL).drawdown,
+    lossStreak: { count: lossStreak.count, lastLossAt: lossStreak.last_loss_at },
+    exposure: db.trades.getExposure(opportunity.market_id, paper),
+    directionalExposure: opportunity.trade_type === 'directional'
+      ? db.trades.getDirectionalExposure(opportunity.market_id, paper)
+      : null,
+    minOrderSize: await getMinOrderSize(opportunity)
+  });
+
+  if (!result.allowed) {
+    logRejection(opportunity, result);
+  }
+
+  if (result.limit === 'daily_loss_limit') {
+    // Auto-activate kill switch
+    await activateKillSwitch('Daily loss limit exceeded', null);
+  } else if (result.limit === 'max_drawdown') {
+    await activateKillSwitch('Intraday drawdown limit exceeded', null);
+  }
+
+  return result;
+}
+
 /**
  * Activate kill switch
  * Stops all trading and cancels all open orders
@@ -126,16 +418,27 @@ async function toggleKillSwitch(emitter) {
 }
 
 /**
- * Get current risk status
+ * Get current risk status (for the current mode, like canTrade)
  */
 async function getRiskStatus() {
   const settings = db.settings.get();
-  const todayPnL = db.pnl.getToday();
-  const openPositions = db.trades.countOpen();
+  const todayPnL = db.pnl.getToday(settings.paper_mode);
+  const openPositions = db.trades.countOpen(settings.paper_mode);
   const balance = await polyClient.getBalance();
 
   const dailyPnL = todayPnL?.realized_pnl || 0;
   const lossLimitRemaining = settings.daily_loss_limit + dailyPnL;
+  const { peak, drawdown } = getDrawdown(todayPnL);
+  const drawdownExceeded = settings.max_drawdown > 0 && drawdown > settings.max_drawdown;
+
+  const health = healthMonitor.getStatus();
+
+  const lossStreak = db.trades.getLossStreak(settings.paper_mode);
+  let cooldownUntil = null;
+  if (settings.max_consecutive_losses > 0 && lossStreak.count >= settings.max_consecutive_losses) {
+    const ends = new Date(lossStreak.last_loss_at).getTime() + settings.loss_cooldown_s * 1000;
+    if (ends > Date.now()) cooldownUntil = new Date(ends).toISOString();
+  }
 
   return {
     kill_switch: settings.kill_switch,
@@ -146,11 +449,22 @@ async function getRiskStatus() {
     daily_pnl: dailyPnL,
     daily_loss_limit: settings.daily_loss_limit,
     loss_limit_remaining: lossLimitRemaining,
+    unrealized_pnl: todayPnL?.unrealized_pnl || 0,
+    peak_pnl: peak,
+    drawdown,
+    max_drawdown: settings.max_drawdown,
+    loss_streak: lossStreak.count,
+    cooldown_until: cooldownUntil,
+    rejections_today: db.riskRejections.countByLimit(new Date().toISOString().split('T')[0]),
+    health,
     position_size: settings.position_size,
     can_trade: !settings.kill_switch &&
+               !health.paused &&
                openPositions < settings.max_open_positions &&
                balance.balance >= settings.position_size &&
-               lossLimitRemaining > 0
+               lossLimitRemaining > 0 &&
+               !drawdownExceeded &&
+               !cooldownUntil
   };
 }
 
@@ -169,6 +483,12 @@ async function checkRiskConditions(emitter) {
     return true;
   }
 
+  // Check intraday drawdown
+  if (status.max_drawdown > 0 && status.drawdown > status.max_drawdown) {
+    await activateKillSwitch('Intraday drawdown limit exceeded', emitter);
+    return true;
+  }
+
   // Check balance
   if (status.balance < status.position_size * 0.5) {
     await activateKillSwitch('Low balance warning', emitter);
@@ -179,6 +499,7 @@ async function checkRiskConditions(emitter) {
 }
 
 module.exports = {
+  evaluateRiskLimits,
   canTrade,
   activateKillSwitch,
   deactivateKillSwitch,
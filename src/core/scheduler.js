@@ -0,0 +1,231 @@
+/**
+ * Scheduler
+ * Keeps a timeline of the scanned market windows and moves each through its
+ * lifecycle: books are subscribed a lead time before the window opens,
+ * detection runs while it is open, new positions stop a cutoff before it
+ * ends, and after close the books are dropped and settlement is queued
+ *
+ * Phases: upcoming -> warming (subscribed) -> open (tradable) -> closing -> closed
+ */
+
+const marketData = require('./market-data');
+const settlementWatcher = require('./settlement-watcher');
+const config = require('../config');
+const db = require('../database');
+
+// conditionId -> { market, startMs, endMs, phase, removed, closedAt }
+const timeline = new Map();
+const detectListeners = [];
+
+let tickInterval = null;
+let emitter = null;
+let lastDetectAt = 0;
+
+/**
+ * Parse a timestamp to epoch ms, or null
+ */
+function parseTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Phase of a window at a point in time
+ * Windows without a known start are open until their end; without an end, indefinitely
+ */
+function getPhase(entry, settings, now) {
+  if (entry.removed) return 'closed';
+
+  if (entry.endMs !== null) {
+    if (now >= entry.endMs) return 'closed';
+    if (now >= entry.endMs - settings.entry_cutoff_s * 1000) return 'closing';
+  }
+
+  if (entry.startMs === null || now >= entry.startMs) return 'open';
+  if (now >= entry.startMs - settings.window_lead_s * 1000) return 'warming';
+  return 'upcoming';
+}
+
+/**
+ * Whether the books of a window in this phase are streamed
+ */
+function isSubscribedPhase(phase) {
+  return phase === 'warming' || phase === 'open' || phase === 'closing';
+}
+
+/**
+ * Markets whose books should be streamed
+ */
+function getSubscribedMarkets() {
+  return Array.from(timeline.values())
+    .filter(entry => isSubscribedPhase(entry.phase))
+    .map(entry => entry.market);
+}
+
+/**
+ * Markets in an open window, where strategies may open positions
+ */
+function getTradableMarkets() {
+  return Array.from(timeline.values())
+    .filter(entry => entry.phase === 'open')
+    .map(entry => entry.market);
+}
+
+/**
+ * Check whether a market is in an open window
+ */
+function isTradable(conditionId) {
+  return timeline.get(conditionId)?.phase === 'open';
+}
+
+/**
+ * Call the detection listeners
+ */
+function notifyDetect() {
+  for (const listener of detectListeners) {
+    Promise.resolve()
+      .then(() => listener())
+      .catch(error => console.error('[Scheduler] Detection listener error:', error.message));
+  }
+}
+
+/**
+ * Advance every window to its current phase and act on the transitions
+ */
+function tick() {
+  const settings = db.settings.get();
+  const now = Date.now();
+
+  let changed = false;
+  let subscriptionsChanged = false;
+  let opened = false;
+
+  for (const [conditionId, entry] of timeline) {
+    const phase = getPhase(entry, settings, now);
+
+    if (phase === entry.phase) {
+      // Closed windows stay on the timeline for a while for the dashboard
+      if (phase === 'closed' && now - entry.closedAt >= config.scheduler.closedRetentionMs) {
+        timeline.delete(conditionId);
+        changed = true;
+      }
+      continue;
+    }
+
+    if (isSubscribedPhase(phase) !== isSubscribedPhase(entry.phase)) {
+      subscriptionsChanged = true;
+    }
+
+    entry.phase = phase;
+    changed = true;
+
+    if (phase === 'open') {
+      opened = true;
+      console.log(`[Scheduler] Window open: ${entry.market.question?.substring(0, 50)}`);
+    } else if (phase === 'closed') {
+      entry.closedAt = now;
+      settlementWatcher.queueSettlement(conditionId);
+      console.log(`[Scheduler] Window closed: ${entry.market.question?.substring(0, 50)}`);
+    }
+  }
+
+  if (subscriptionsChanged && config.marketData.enabled) {
+    marketData.setMarkets(getSubscribedMarkets());
+  }
+
+  if (changed && emitter) {
+    emitter.emit('timeline:changed');
+  }
+
+  // Detect as soon as a window opens, then on a short cadence while any is open
+  const anyOpen = opened || Array.from(timeline.values()).some(entry => entry.phase === 'open');
+  if (opened || (anyOpen && now - lastDetectAt >= config.scheduler.detectionIntervalMs)) {
+    lastDetectAt = now;
+    notifyDetect();
+  }
+}
+
+/**
+ * Update the timeline from a market scan
+ * Markets missing from the scan before their end are treated as closed
+ */
+function setMarkets(markets) {
+  const scanned = new Set();
+
+  for (const market of markets) {
+    scanned.add(market.conditionId);
+
+    const startMs = parseTime(market.startDate);
+    const endMs = parseTime(market.endDate);
+    const entry = timeline.get(market.conditionId);
+
+    if (entry) {
+      Object.assign(entry, { market, startMs, endMs, removed: false });
+    } else {
+      timeline.set(market.conditionId, { market, startMs, endMs, phase: null, removed: false, closedAt: null });
+    }
+  }
+
+  for (const [conditionId, entry] of timeline) {
+    if (!scanned.has(conditionId)) entry.removed = true;
+  }
+
+  tick();
+}
+
+/**
+ * Register a listener called when strategies should run detection on the tradable markets
+ */
+function onDetect(listener) {
+  detectListeners.push(listener);
+}
+
+/**
+ * Upcoming, open and recently closed windows, soonest first
+ */
+function getTimeline() {
+  return Array.from(timeline.values())
+    .map(entry => ({
+      condition_id: entry.market.conditionId,
+      question: entry.market.question,
+      asset: entry.market.asset,
+      timeframe: entry.market.timeframe,
+      start_date: entry.startMs !== null ? new Date(entry.startMs).toISOString() : null,
+      end_date: entry.endMs !== null ? new Date(entry.endMs).toISOString() : null,
+      phase: entry.phase
+    }))
+    .sort((a, b) => (a.end_date || '').localeCompare(b.end_date || ''));
+}
+
+/**
+ * Start the lifecycle ticker
+ */
+function start(eventEmitter) {
+  emitter = eventEmitter;
+
+  console.log(`[Scheduler] Starting window scheduler (tick: ${config.scheduler.tickMs}ms)`);
+
+  tickInterval = setInterval(tick, config.scheduler.tickMs);
+}
+
+/**
+ * Stop the lifecycle ticker
+ */
+function stop() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+    console.log('[Scheduler] Window scheduler stopped');
+  }
+}
+
+module.exports = {
+  setMarkets,
+  getTradableMarkets,
+  isTradable,
+  onDetect,
+  getTimeline,
+  start,
+  stop
+};
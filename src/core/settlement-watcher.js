@@ -0,0 +1,253 @@
+/**
+ * Settlement Watcher
+ * Polls markets behind filled trades, detects resolution
+ * and books realized P&L from the actual fills
+ */
+
+const polyClient = require('./polymarket-client');
+const gammaApi = require('./gamma-api');
+const orderExecutor = require('./order-executor');
+const db = require('../database');
+const config = require('../config');
+
+let settlementInterval = null;
+let queueInterval = null;
+let isChecking = false; // Lock to prevent overlapping passes
+
+// Markets whose windows just closed, checked on a short schedule instead of
+// waiting for the next full pass: marketId -> { attempts, nextAt }
+const settlementQueue = new Map();
+
+/**
+ * Parse a Gamma array field (sent as a JSON-encoded string)
+ */
+function parseArrayField(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Detect the winning token of a resolved market
+ * Returns null while the market is open or awaiting resolution
+ */
+async function getResolution(marketId) {
+  // The CLOB market payload flags the winning token directly
+  try {
+    const market = await polyClient.getMarket(marketId);
+    const winner = market?.tokens?.find(t => t.winner === true);
+    if (winner) {
+      return { winningTokenId: winner.token_id, source: 'clob' };
+    }
+  } catch (error) {
+    // Client not initialized (view-only) - fall back to Gamma
+  }
+
+  const market = await gammaApi.getMarket(marketId);
+  if (!market || !market.closed) return null;
+
+  // Resolved markets settle at exactly 1 for the winning outcome
+  const prices = parseArrayField(market.outcomePrices);
+  const tokenIds = parseArrayField(market.clobTokenIds);
+  const index = prices.findIndex(p => parseFloat(p) === 1);
+
+  if (index === -1 || !tokenIds[index]) return null;
+
+  return { winningTokenId: tokenIds[index], source: 'gamma' };
+}
+
+/**
+ * Map the winning token to the trade's outcome
+ */
+function getWinner(trade, resolution) {
+  if (resolution.winningTokenId === trade.yes_token_id) return 'YES';
+  if (resolution.winningTokenId === trade.no_token_id) return 'NO';
+  return null;
+}
+
+/**
+ * Markets each unsettled trade is waiting on (one per pair, one per basket leg)
+ */
+function getTradeMarketIds(trade) {
+  if (trade.trade_type === 'basket') {
+    return db.tradeLegs.getByTrade(trade.id).map(leg => leg.condition_id);
+  }
+  return [trade.market_id];
+}
+
+/**
+ * Check every unsettled trade's market and settle the resolved ones
+ * @param {Set<string>} [marketIds] - Only check trades waiting on these markets
+ */
+async function checkSettlements(emitter, marketIds = null) {
+  if (isChecking) return;
+
+  isChecking = true;
+
+  try {
+    let trades = db.trades.getUnsettled();
+    if (marketIds) {
+      trades = trades.filter(trade => getTradeMarketIds(trade).some(id => marketIds.has(id)));
+    }
+
+    // Group by market so each market is only fetched once
+    const byMarket = new Map();
+    const baskets = [];
+    for (const trade of trades) {
+      if (trade.trade_type === 'basket') {
+        baskets.push(trade);
+        continue;
+      }
+      if (!byMarket.has(trade.market_id)) byMarket.set(trade.market_id, []);
+      byMarket.get(trade.market_id).push(trade);
+    }
+
+    const resolutions = new Map();
+    const resolve = async (marketId) => {
+      if (!resolutions.has(marketId)) resolutions.set(marketId, await getResolution(marketId));
+      return resolutions.get(marketId);
+    };
+
+    for (const trade of baskets) {
+      try {
+        await settleBasket(trade, resolve, emitter);
+      } catch (error) {
+        console.error(`[Settlement] Error settling basket ${trade.id}:`, error.message);
+      }
+    }
+
+    for (const [marketId, marketTrades] of byMarket) {
+      const resolution = await resolve(marketId);
+      if (!resolution) continue;
+
+      console.log(`[Settlement] Market resolved: ${marketId} (winning token ${resolution.winningTokenId})`);
+
+      for (const trade of marketTrades) {
+        try {
+          await settleTrade(trade, resolution, emitter);
+        } catch (error) {
+          console.error(`[Settlement] Error settling trade ${trade.id}:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Settlement] Error in settlement loop:', error.message);
+  } finally {
+    isChecking = false;
+  }
+}
+
+/**
+ * Settle a single trade against a market resolution
+ */
+async function settleTrade(trade, resolution, emitter) {
+  const winner = getWinner(trade, resolution);
+  if (!winner) {
+    console.error(`[Settlement] Trade ${trade.id} does not hold the winning token`);
+    return null;
+  }
+
+  // Pick up any last fills on a partially filled trade before booking P&L
+  let current = trade;
+  if (trade.status === 'partial') {
+    await orderExecutor.checkOrderStatus(trade, emitter);
+    current = db.trades.getById(trade.id);
+  }
+
+  return await orderExecutor.processSettlement(current, winner, emitter);
+}
+
+/**
+ * Settle a basket trade once every leg's market has resolved
+ * @param {Function} resolve - Cached getResolution for this pass
+ */
+async function settleBasket(trade, resolve, emitter) {
+  const legs = db.tradeLegs.getByTrade(trade.id);
+  const winningTokenIds = new Set();
+
+  for (const leg of legs) {
+    const resolution = await resolve(leg.condition_id);
+    if (!resolution) return null;
+    winningTokenIds.add(resolution.winningTokenId);
+  }
+
+  console.log(`[Settlement] Basket resolved: trade ${trade.id} (${trade.market_question})`);
+
+  return await orderExecutor.processBasketSettlement(trade, winningTokenIds, emitter);
+}
+
+/**
+ * Queue a settlement check for a market whose window has closed
+ * Only markets with unsettled trades are queued
+ */
+function queueSettlement(marketId) {
+  const waiting = db.trades.getUnsettled().some(trade => getTradeMarketIds(trade).includes(marketId));
+  if (!waiting) return;
+
+  settlementQueue.set(marketId, { attempts: 0, nextAt: Date.now() + config.scheduler.settlementDelayMs });
+  console.log(`[Settlement] Queued settlement check for ${marketId}`);
+}
+
+/**
+ * Check the queued markets that are due, backing off on the ones still unresolved
+ * Markets are dropped once settled or after the last attempt (the regular pass still covers them)
+ */
+async function checkQueued(emitter) {
+  if (isChecking) return;
+
+  const now = Date.now();
+  const due = Array.from(settlementQueue).filter(([, entry]) => entry.nextAt <= now).map(([id]) => id);
+  if (due.length === 0) return;
+
+  await checkSettlements(emitter, new Set(due));
+
+  const waiting = new Set(db.trades.getUnsettled().flatMap(getTradeMarketIds));
+  const { settlementRetryMs, settlementMaxAttempts } = config.scheduler;
+
+  for (const marketId of due) {
+    const entry = settlementQueue.get(marketId);
+    entry.attempts++;
+
+    if (!waiting.has(marketId) || entry.attempts >= settlementMaxAttempts) {
+      settlementQueue.delete(marketId);
+    } else {
+      entry.nextAt = Date.now() + settlementRetryMs * entry.attempts;
+    }
+  }
+}
+
+/**
+ * Start the settlement loop and the queue for closed windows
+ */
+function startSettlementWatcher(emitter) {
+  const interval = config.defaults.settlementIntervalMs;
+
+  console.log(`[Settlement] Starting settlement watcher (interval: ${interval}ms)`);
+
+  settlementInterval = setInterval(() => checkSettlements(emitter), interval);
+  queueInterval = setInterval(() => checkQueued(emitter), config.scheduler.settlementQueueIntervalMs);
+}
+
+/**
+ * Stop the settlement loop
+ */
+function stopSettlementWatcher() {
+  if (settlementInterval) {
+    clearInterval(settlementInterval);
+    settlementInterval = null;
+    clearInterval(queueInterval);
+    queueInterval = null;
+    console.log('[Settlement] Settlement watcher stopped');
+  }
+}
+
+module.exports = {
+  checkSettlements,
+  getResolution,
+  queueSettlement,
+  startSettlementWatcher,
+  stopSettlementWatcher
+};
@@ -0,0 +1,224 @@
+/**
+ * Sizing
+ * Sizes YES+NO pairs and multi-outcome baskets by walking the ask ladders
+ * together instead of pricing the whole position at the top of book, and
+ * single-outcome positions against a model fair value
+ */
+
+const feeModel = require('./fee-model');
+
+// Share amounts below this are treated as zero (rounding dust)
+const SIZE_DUST = 0.0001;
+
+/**
+ * Parse an ask ladder into numeric levels, best (lowest) first
+ */
+function parseAsks(asks) {
+  return (asks || [])
+    .map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) }))
+    .filter(l => l.price > 0 && l.size > 0)
+    .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Size a basket: equal share counts of one token per ladder
+ * Buys one level-combination segment at a time. Each segment's marginal cost
+ * is the sum of its level prices plus fees; the walk stops at the largest size
+ * whose average basket cost still leaves profitThreshold per share below the
+ * payout, when a segment would cost the payout or more, or when maxCost is spent.
+ * @param {Array<Array>} ladders - Ask levels ({ price, size }) per token
+ * @param {Object} options
+ * @param {number} options.profitThreshold - Minimum edge per share after fees
+ * @param {number} [options.maxCost] - Budget in USDC (fees included)
+ * @param {number} [options.feeRateBps] - Taker fee base rate
+ * @param {number} [options.payout] - Guaranteed payout per share of the basket
+ * @returns {Object|null} null when not even the first share clears the threshold
+ */
+function sizeBasket(ladders, options) {
+  const books = ladders.map(parseAsks);
+  const { profitThreshold, maxCost = Infinity, feeRateBps = 0, payout = 1 } = options;
+  const maxAvgCost = payout - profitThreshold;
+
+  const index = books.map(() => 0);
+  const left = books.map(book => book[0]?.size || 0);
+
+  let shares = 0;
+  const notional = books.map(() => 0);
+  let fees = 0;
+  let limits = books.map(() => null);
+  const curve = [];
+
+  while (books.length > 0 && books.every((book, k) => index[k] < book.length)) {
+    const prices = books.map((book, k) => book[index[k]].price);
+    const segmentFee = prices.reduce((total, price) => total + feeModel.tradeFee(1, price, feeRateBps), 0);
+    const marginal = prices.reduce((total, price) => total + price, 0) + segmentFee;
+    const cost = notional.reduce((total, n) => total + n, 0) + fees;
+
+    // Baskets that cost the payout or more lose money on their own, even if the average still clears
+    if (marginal >= payout) break;
+
+    const available = Math.min(...left);
+    let step = available;
+
+    // Largest step that keeps (cost + marginal * step) / (shares + step) <= maxAvgCost
+    if (marginal > maxAvgCost) {
+      step = Math.min(step, (maxAvgCost * shares - cost) / (marginal - maxAvgCost));
+    }
+    step = Math.min(step, (maxCost - cost) / marginal);
+
+    if (step <= SIZE_DUST) break;
+
+    shares += step;
+    prices.forEach((price, k) => {
+      notional[k] += step * price;
+      left[k] -= step;
+    });
+    fees += step * segmentFee;
+    limits = prices;
+
+    curve.push({
+      shares,
+      prices,
+      marginal_cost: marginal,
+      avg_cost: (notional.reduce((total, n) => total + n, 0) + fees) / shares
+    });
+
+    // Stopped inside a segment by the threshold or the budget
+    if (step < available - SIZE_DUST) break;
+
+    books.forEach((book, k) => {
+      if (left[k] <= SIZE_DUST) left[k] = book[++index[k]]?.size || 0;
+    });
+  }
+
+  if (shares <= SIZE_DUST) return null;
+
+  const totalCost = notional.reduce((total, n) => total + n, 0) + fees;
+
+  return {
+    shares,
+    vwaps: notional.map(n => n / shares),
+    limits,
+    fees,
+    total_cost: totalCost,
+    avg_cost: totalCost / shares,
+    expected_profit: shares * payout - totalCost,
+    curve
+  };
+}
+
+/**
+ * Size a pair trade against the YES and NO ask ladders
+ * A YES+NO pair is a two-token basket that pays $1
+ * @param {Array} yesAsks - YES ask levels ({ price, size })
+ * @param {Array} noAsks - NO ask levels ({ price, size })
+ * @param {Object} options - See sizeBasket
+ * @returns {Object|null} null when not even the first share clears the threshold
+ */
+function sizePair(yesAsks, noAsks, options) {
+  const size = sizeBasket([yesAsks, noAsks], { ...options, payout: 1 });
+  if (!size) return null;
+
+  return {
+    shares: size.shares,
+    yes_vwap: size.vwaps[0],
+    no_vwap: size.vwaps[1],
+    yes_limit: size.limits[0],
+    no_limit: size.limits[1],
+    fees: size.fees,
+    total_cost: size.total_cost,
+    avg_cost: size.avg_cost,
+    expected_profit: size.expected_profit,
+    curve: size.curve.map(point => ({
+      shares: point.shares,
+      yes_price: point.prices[0],
+      no_price: point.prices[1],
+      marginal_cost: point.marginal_cost,
+      avg_cost: point.avg_cost
+    }))
+  };
+}
+
+/**
+ * Size a single-outcome buy against its model fair value
+ * Walks the ask ladder while each level, fees included, costs at most the
+ * fair value minus minEdge, stopping when maxCost is spent
+ * @param {Array} asks - Ask levels ({ price, size })
+ * @param {Object} options
+ * @param {number} options.fair - Model probability that the outcome pays $1
+ * @param {number} options.minEdge - Minimum edge per share below fair value, after fees
+ * @param {number} [options.maxCost] - Budget in USDC (fees included)
+ * @param {number} [options.feeRateBps] - Taker fee base rate
+ * @returns {Object|null} null when not even the best ask clears the edge
+ */
+function sizeDirectional(asks, options) {
+  const { fair, minEdge, maxCost = Infinity, feeRateBps = 0 } = options;
+  const maxPrice = fair - minEdge;
+
+  let shares = 0;
+  let notional = 0;
+  let fees = 0;
+  let limit = null;
+  const curve = [];
+
+  for (const level of parseAsks(asks)) {
+    const marginal = level.price + feeModel.tradeFee(1, level.price, feeRateBps);
+    if (marginal > maxPrice) break;
+
+    const step = Math.min(level.size, (maxCost - notional - fees) / marginal);
+    if (step <= SIZE_DUST) break;
+
+    shares += step;
+    notional += step * level.price;
+    fees += step * (marginal - level.price);
+    limit = level.price;
+
+    curve.push({ shares, price: level.price, marginal_cost: marginal, avg_cost: (notional + fees) / shares });
+
+    if (step < level.size - SIZE_DUST) break;
+  }
+
+  if (shares <= SIZE_DUST) return null;
+
+  const totalCost = notional + fees;
+
+  return {
+    shares,
+    vwap: notional / shares,
+    limit,
+    fees,
+    total_cost: totalCost,
+    avg_cost: totalCost / shares,
+    expected_profit: shares * fair - totalCost,
+    curve
+  };
+}
+
+/**
+ * Kelly fraction of bankroll for buying an outcome at a price
+ * A share costs price and pays 1 with probability fair: f* = (fair - price) / (1 - price)
+ */
+function kellyFraction(fair, price) {
+  if (price >= 1 || fair <= price) return 0;
+  return (fair - price) / (1 - price);
+}
+
+/**
+ * Guaranteed payout per share of a neg-risk basket
+ * Exactly one outcome resolves YES: a YES on every outcome pays $1,
+ * a NO on every outcome pays $1 on all but one leg
+ * @param {string} side - Token bought on every leg ('YES' or 'NO')
+ * @param {number} legCount - Number of outcomes
+ */
+function basketPayout(side, legCount) {
+  return side === 'NO' ? legCount - 1 : 1;
+}
+
+module.exports = {
+  parseAsks,
+  sizePair,
+  sizeBasket,
+  sizeDirectional,
+  kellyFraction,
+  basketPayout
+};
@@ -0,0 +1,208 @@
+/**
+ * User Channel
+ * Listens on the authenticated CLOB user WebSocket for order and trade
+ * updates on our orders and applies them to trades as they happen
+ */
+
+const { createConnection } = require('./ws-connection');
+const polyClient = require('./polymarket-client');
+const orderExecutor = require('./order-executor');
+const orderReconciler = require('./order-reconciler');
+const db = require('../database');
+const config = require('../config');
+
+// Coalesce bursts of messages for the same trade into one refresh
+const REFRESH_DELAY_MS = 200;
+
+const ACTIVE_STATUSES = ['pending', 'placed', 'partial'];
+
+const refreshTimers = new Map();
+let connection = null;
+let emitter = null;
+let isConnected = false;
+
+/**
+ * Find the trade and leg an order ID belongs to
+ */
+function findTrade(orderId) {
+  if (!orderId) return null;
+
+  const trade = db.trades.getByOrderId(orderId);
+  if (!trade) return null;
+
+  return { trade, leg: trade.yes_order_id === orderId ? 'YES' : 'NO' };
+}
+
+/**
+ * Create an alert and push it to the dashboard
+ */
+function raiseAlert(alert) {
+  const created = db.alerts.create(alert);
+  if (emitter) {
+    emitter.emit('alert:new', created);
+  }
+}
+
+/**
+ * Refresh a trade's fill state from its orders
+ * Reuses the reconciler's per-trade check so fills, average prices and
+ * status transitions are computed in one place
+ */
+function scheduleRefresh(tradeId) {
+  if (refreshTimers.has(tradeId)) return;
+
+  const timer = setTimeout(async () => {
+    refreshTimers.delete(tradeId);
+
+    const trade = db.trades.getById(tradeId);
+    if (!trade || !ACTIVE_STATUSES.includes(trade.status)) return;
+
+    try {
+      await orderExecutor.checkOrderStatus(trade, emitter);
+    } catch (error) {
+      console.error(`[UserChannel] Error updating trade ${tradeId}:`, error.message);
+    }
+  }, REFRESH_DELAY_MS);
+
+  refreshTimers.set(tradeId, timer);
+}
+
+/**
+ * Handle an order event (PLACEMENT, UPDATE or CANCELLATION)
+ */
+function handleOrderMessage(message) {
+  const match = findTrade(message.id);
+  if (!match) return;
+
+  // The market maker replaces its quotes routinely and reads their fills itself
+  if (match.trade.status === 'quoting') return;
+
+  if (message.type === 'CANCELLATION') {
+    raiseAlert({
+      type: 'trade',
+      severity: 'warning',
+      message: `Order cancelled: ${match.leg} leg of trade #${match.trade.id} (${parseFloat(message.size_matched || 0).toFixed(2)} filled)`,
+      data: { trade_id: match.trade.id, order_id: message.id, leg: match.leg }
+    });
+  }
+
+  scheduleRefresh(match.trade.id);
+}
+
+/**
+ * Handle a trade (match) event
+ * Our order can be the taker or one of the makers
+ */
+function handleTradeMessage(message) {
+  // Fill state changes on the initial match; MINED/CONFIRMED only track settlement on chain
+  if (message.status !== 'MATCHED' && message.status !== 'FAILED') return;
+
+  const fills = [{ orderId: message.taker_order_id, size: message.size, price: message.price }];
+  for (const maker of message.maker_orders || []) {
+    fills.push({ orderId: maker.order_id, size: maker.matched_amount, price: maker.price });
+  }
+
+  for (const fill of fills) {
+    const match = findTrade(fill.orderId);
+    if (!match) continue;
+
+    if (message.status === 'FAILED') {
+      raiseAlert({
+        type: 'error',
+        severity: 'error',
+        message: `Match failed on chain: ${match.leg} leg of trade #${match.trade.id}`,
+        data: { trade_id: match.trade.id, order_id: fill.orderId, match_id: message.id }
+      });
+    } else {
+      raiseAlert({
+        type: 'trade',
+        severity: 'info',
+        message: `Fill: ${match.leg} ${parseFloat(fill.size).toFixed(2)} @ ${parseFloat(fill.price).toFixed(3)} (trade #${match.trade.id})`,
+        data: { trade_id: match.trade.id, order_id: fill.orderId, size: fill.size, price: fill.price }
+      });
+    }
+
+    scheduleRefresh(match.trade.id);
+  }
+}
+
+/**
+ * Handle a user channel message (a single event or an array of events)
+ */
+function handleMessage(message) {
+  if (Array.isArray(message)) {
+    message.forEach(handleMessage);
+    return;
+  }
+
+  if (message.event_type === 'order') {
+    handleOrderMessage(message);
+  } else if (message.event_type === 'trade') {
+    handleTradeMessage(message);
+  }
+}
+
+/**
+ * Connect to the user channel
+ * Requires the API credentials derived in initPolymarketClient
+ */
+function start(eventEmitter) {
+  emitter = eventEmitter;
+  const creds = polyClient.getApiCreds();
+
+  connection = createConnection({
+    name: 'UserChannel',
+    url: `${config.polymarket.wsHost}/user`,
+    onOpen: (isReconnect) => {
+      isConnected = true;
+
+      connection.send({
+        auth: { apiKey: creds.key, secret: creds.secret, passphrase: creds.passphrase },
+        markets: [],
+        type: 'user'
+      });
+
+      // Catch up on anything that happened while we were disconnected
+      if (isReconnect) {
+        console.log('[UserChannel] Running catch-up sweep');
+        orderReconciler.reconcileTrades(emitter);
+      }
+    },
+    onMessage: handleMessage,
+    onClose: () => {
+      if (!isConnected) return;
+      isConnected = false;
+
+      raiseAlert({
+        type: 'system',
+        severity: 'warning',
+        message: 'User channel disconnected - reconnecting'
+      });
+    }
+  });
+
+  connection.connect();
+}
+
+/**
+ * Disconnect from the user channel
+ */
+function stop() {
+  for (const timer of refreshTimers.values()) {
+    clearTimeout(timer);
+  }
+  refreshTimers.clear();
+
+  if (connection) {
+    connection.close();
+    connection = null;
+    isConnected = false;
+    console.log('[UserChannel] Listener stopped');
+  }
+}
+
+module.exports = {
+  start,
+  stop,
+  handleMessage
+};
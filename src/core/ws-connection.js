@@ -0,0 +1,141 @@
+/**
+ * WebSocket Connection
+ * Reconnecting WebSocket with keepalive pings and exponential backoff
+ * Shared by the CLOB market and user channel subscribers and the exchange price feeds
+ */
+
+const WebSocket = require('ws');
+
+const PING_INTERVAL_MS = 10000; // CLOB drops connections without a PING every ~10s
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Create a reconnecting connection
+ * @param {Object} options
+ * @param {string} options.name - Log prefix
+ * @param {string} options.url - WebSocket URL
+ * @param {Function} options.onOpen - Called on every (re)connect, with isReconnect
+ * @param {Function} options.onMessage - Called with each parsed JSON message
+ * @param {Function} [options.onClose] - Called when the socket drops
+ * @param {string|null} [options.pingMessage] - Keepalive text ('PING' for the CLOB), null for none
+ */
+function createConnection(options) {
+  const { name, url, onOpen, onMessage, onClose, pingMessage = 'PING' } = options;
+
+  let socket = null;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  let backoffMs = MIN_BACKOFF_MS;
+  let lastMessageAt = null; // Last message or PONG, to tell a quiet channel from a dead one
+  let hasConnected = false;
+  let stopped = true;
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+
+    // Jitter keeps many clients from reconnecting in lockstep
+    const delay = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+    console.log(`[${name}] Reconnecting in ${delay}ms`);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+
+    backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+  }
+
+  function open() {
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      console.log(`[${name}] Connected`);
+      backoffMs = MIN_BACKOFF_MS;
+
+      if (pingMessage) {
+        pingTimer = setInterval(() => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(pingMessage);
+        }, PING_INTERVAL_MS);
+      }
+
+      const isReconnect = hasConnected;
+      hasConnected = true;
+
+      try {
+        onOpen(isReconnect);
+      } catch (error) {
+        console.error(`[${name}] Error in open handler:`, error.message);
+      }
+    });
+
+    socket.on('message', (raw) => {
+      lastMessageAt = Date.now();
+      const text = raw.toString();
+      if (text === 'PONG') return;
+
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        console.error(`[${name}] Unparseable message:`, text.substring(0, 100));
+        return;
+      }
+
+      try {
+        onMessage(message);
+      } catch (error) {
+        console.error(`[${name}] Error handling message:`, error.message);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error(`[${name}] Socket error:`, error.message);
+    });
+
+    socket.on('close', () => {
+      clearInterval(pingTimer);
+      pingTimer = null;
+
+      if (!stopped) {
+        console.log(`[${name}] Disconnected`);
+        if (onClose) onClose();
+        scheduleReconnect();
+      }
+    });
+  }
+
+  return {
+    connect() {
+      if (!stopped) return;
+      stopped = false;
+      open();
+    },
+
+    send(payload) {
+      if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify(payload));
+      return true;
+    },
+
+    isOpen() {
+      return Boolean(socket && socket.readyState === WebSocket.OPEN);
+    },
+
+    getLastMessageAt() {
+      return lastMessageAt;
+    },
+
+    close() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      clearInterval(pingTimer);
+      pingTimer = null;
+      if (socket) socket.close();
+      socket = null;
+    }
+  };
+}
+
+module.exports = { createConnection };
@@ -10,6 +10,67 @@ const config = require('../config');
 
 let db = null;
 
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS does not
+// alter existing tables, so older databases get them via ALTER TABLE.
+const COLUMN_MIGRATIONS = [
+  { table: 'trades', column: 'shares', definition: 'REAL' },
+  { table: 'trades', column: 'yes_filled', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'no_filled', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'yes_avg_price', definition: 'REAL' },
+  { table: 'trades', column: 'no_avg_price', definition: 'REAL' },
+  { table: 'trades', column: 'filled_at', definition: 'DATETIME' },
+  { table: 'trades', column: 'yes_fees', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'no_fees', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'paper', definition: 'INTEGER DEFAULT 0' },
+  { table: 'trades', column: 'execution_log', definition: 'TEXT' },
+  { table: 'trades', column: 'unwound_leg', definition: 'TEXT' },
+  { table: 'trades', column: 'unwound_shares', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'unwind_proceeds', definition: 'REAL DEFAULT 0' },
+  { table: 'pending_approvals', column: 'total_cost', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'shares', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'yes_vwap', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'no_vwap', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'cost_curve', definition: 'TEXT' },
+  { table: 'pending_approvals', column: 'gross_profit', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'fee_rate_bps', definition: 'REAL' },
+  { table: 'trades', column: 'gross_profit', definition: 'REAL' },
+  { table: 'trades', column: 'settlement_cost', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'merged_amount', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'merge_tx_hash', definition: 'TEXT' },
+  { table: 'trades', column: 'merged_at', definition: 'DATETIME' },
+  { table: 'trades', column: 'redeemed_amount', definition: 'REAL DEFAULT 0' },
+  { table: 'trades', column: 'redeem_tx_hash', definition: 'TEXT' },
+  { table: 'trades', column: 'redeemed_at', definition: 'DATETIME' },
+  { table: 'trades', column: 'trade_type', definition: "TEXT DEFAULT 'pair'" },
+  { table: 'trades', column: 'basket_side', definition: 'TEXT' },
+  { table: 'pending_approvals', column: 'trade_type', definition: "TEXT DEFAULT 'pair'" },
+  { table: 'pending_approvals', column: 'basket_side', definition: 'TEXT' },
+  { table: 'pending_approvals', column: 'legs', definition: 'TEXT' },
+  { table: 'paper_orders', column: 'order_type', definition: "TEXT DEFAULT 'GTC'" },
+  { table: 'settings', column: 'paper_mode', definition: 'INTEGER DEFAULT 0' },
+  { table: 'settings', column: 'execution_mode', definition: "TEXT DEFAULT 'paired'" },
+  { table: 'settings', column: 'leg_timeout_ms', definition: 'INTEGER DEFAULT 3000' },
+  { table: 'settings', column: 'max_pair_cost', definition: 'REAL DEFAULT 1.0' },
+  { table: 'trades', column: 'strategy_id', definition: "TEXT DEFAULT 'arbitrage'" },
+  { table: 'pending_approvals', column: 'strategy_id', definition: "TEXT DEFAULT 'arbitrage'" },
+  { table: 'settings', column: 'active_timeframes', definition: `TEXT DEFAULT '["15m"]'` },
+  { table: 'settings', column: 'window_lead_s', definition: 'INTEGER DEFAULT 60' },
+  { table: 'settings', column: 'entry_cutoff_s', definition: 'INTEGER DEFAULT 60' },
+  { table: 'pending_approvals', column: 'fair_yes', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'fair_no', definition: 'REAL' },
+  { table: 'pending_approvals', column: 'reference_price', definition: 'REAL' },
+  { table: 'trades', column: 'direction', definition: 'TEXT' },
+  { table: 'pending_approvals', column: 'direction', definition: 'TEXT' },
+  { table: 'settings', column: 'max_market_notional', definition: 'REAL DEFAULT 25.0' },
+  { table: 'settings', column: 'max_asset_notional', definition: 'REAL DEFAULT 100.0' },
+  { table: 'settings', column: 'max_window_notional', definition: 'REAL DEFAULT 100.0' },
+  { table: 'settings', column: 'max_drawdown', definition: 'REAL DEFAULT 50.0' },
+  { table: 'settings', column: 'max_consecutive_losses', definition: 'INTEGER DEFAULT 5' },
+  { table: 'settings', column: 'loss_cooldown_s', definition: 'INTEGER DEFAULT 900' },
+  { table: 'daily_pnl', column: 'peak_pnl', definition: 'REAL DEFAULT 0' },
+  { table: 'markets', column: 'neg_risk', definition: 'INTEGER DEFAULT 0' }
+];
+
 /**
  * Initialize the database connection and create tables
  */
@@ -27,11 +88,25 @@ function initDatabase() {
   const schemaPath = path.join(__dirname, 'schema.sql');
   const schema = fs.readFileSync(schemaPath, 'utf8');
   db.exec(schema);
+  runMigrations();
 
   console.log('[Database] Initialized at', config.database.path);
   return db;
 }
 
+/**
+ * Add any missing columns to existing tables
+ */
+function runMigrations() {
+  for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`[Database] Added column ${table}.${column}`);
+    }
+  }
+}
+
 /**
  * Get database instance
  */
@@ -49,8 +124,10 @@ const settingsRepo = {
     const row = getDb().prepare('SELECT * FROM settings WHERE id = 1').get();
     if (row) {
       row.active_currencies = JSON.parse(row.active_currencies || '[]');
+      row.active_timeframes = JSON.parse(row.active_timeframes || '[]');
       row.auto_mode = Boolean(row.auto_mode);
       row.kill_switch = Boolean(row.kill_switch);
+      row.paper_mode = Boolean(row.paper_mode);
     }
     return row;
   },
@@ -87,10 +164,62 @@ const settingsRepo = {
       fields.push('active_currencies = ?');
       values.push(JSON.stringify(settings.active_currencies));
     }
+    if (settings.active_timeframes !== undefined) {
+      fields.push('active_timeframes = ?');
+      values.push(JSON.stringify(settings.active_timeframes));
+    }
     if (settings.scan_interval_ms !== undefined) {
       fields.push('scan_interval_ms = ?');
       values.push(settings.scan_interval_ms);
     }
+    if (settings.paper_mode !== undefined) {
+      fields.push('paper_mode = ?');
+      values.push(settings.paper_mode ? 1 : 0);
+    }
+    if (settings.execution_mode !== undefined) {
+      fields.push('execution_mode = ?');
+      values.push(settings.execution_mode);
+    }
+    if (settings.leg_timeout_ms !== undefined) {
+      fields.push('leg_timeout_ms = ?');
+      values.push(settings.leg_timeout_ms);
+    }
+    if (settings.max_pair_cost !== undefined) {
+      fields.push('max_pair_cost = ?');
+      values.push(settings.max_pair_cost);
+    }
+    if (settings.window_lead_s !== undefined) {
+      fields.push('window_lead_s = ?');
+      values.push(settings.window_lead_s);
+    }
+    if (settings.entry_cutoff_s !== undefined) {
+      fields.push('entry_cutoff_s = ?');
+      values.push(settings.entry_cutoff_s);
+    }
+    if (settings.max_market_notional !== undefined) {
+      fields.push('max_market_notional = ?');
+      values.push(settings.max_market_notional);
+    }
+    if (settings.max_asset_notional !== undefined) {
+      fields.push('max_asset_notional = ?');
+      values.push(settings.max_asset_notional);
+    }
+    if (settings.max_window_notional !== undefined) {
+      fields.push('max_window_notional = ?');
+      values.push(settings.max_window_notional);
+    }
+    if (settings.max_drawdown !== undefined) {
+      fields.push('max_drawdown = ?');
+      values.push(settings.max_drawdown);
+    }
+    if (settings.max_consecutive_losses !== undefined) {
+      fields.push('max_consecutive_losses = ?');
+      values.push(settings.max_consecutive_losses);
+    }
+    if (settings.loss_cooldown_s !== undefined) {
+      fields.push('loss_cooldown_s = ?');
+      values.push(settings.loss_cooldown_s);
+    }
 
     fields.push('updated_at = CURRENT_TIMESTAMP');
 
@@ -103,6 +232,73 @@ const settingsRepo = {
   }
 };
 
+// ==================== STRATEGY SETTINGS REPOSITORY ====================
+
+/**
+ * Parse a strategy_settings row
+ */
+function parseStrategy(row) {
+  if (!row) return row;
+  row.enabled = Boolean(row.enabled);
+  row.params = JSON.parse(row.params || '{}');
+  return row;
+}
+
+const strategiesRepo = {
+  /**
+   * Create a strategy's row on first registration; existing rows are left alone
+   */
+  ensure(strategyId, defaults = {}) {
+    getDb()
+      .prepare('INSERT OR IGNORE INTO strategy_settings (strategy_id, enabled, params) VALUES (?, ?, ?)')
+      .run(strategyId, defaults.enabled ? 1 : 0, JSON.stringify(defaults.params || {}));
+    return this.get(strategyId);
+  },
+
+  get(strategyId) {
+    return parseStrategy(
+      getDb().prepare('SELECT * FROM strategy_settings WHERE strategy_id = ?').get(strategyId)
+    );
+  },
+
+  getAll() {
+    return getDb()
+      .prepare('SELECT * FROM strategy_settings ORDER BY strategy_id ASC')
+      .all()
+      .map(parseStrategy);
+  },
+
+  /**
+   * Update a strategy's row; params are merged into the stored ones
+   */
+  update(strategyId, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.enabled !== undefined) {
+      fields.push('enabled = ?');
+      values.push(updates.enabled ? 1 : 0);
+    }
+    if (updates.risk_budget !== undefined) {
+      fields.push('risk_budget = ?');
+      values.push(updates.risk_budget);
+    }
+    if (updates.params !== undefined) {
+      fields.push('params = ?');
+      values.push(JSON.stringify({ ...this.get(strategyId)?.params, ...updates.params }));
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    if (fields.length > 1) {
+      values.push(strategyId);
+      getDb().prepare(`UPDATE strategy_settings SET ${fields.join(', ')} WHERE strategy_id = ?`).run(...values);
+    }
+
+    return this.get(strategyId);
+  }
+};
+
 // ==================== TRADES REPOSITORY ====================
 
 const tradesRepo = {
@@ -111,8 +307,9 @@ const tradesRepo = {
       INSERT INTO trades (
         market_id, market_question, yes_token_id, no_token_id,
         yes_order_id, no_order_id, yes_price, no_price,
-        total_cost, position_size, expected_profit, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        total_cost, position_size, shares, expected_profit, status, paper,
+        trade_type, basket_side, direction, strategy_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     const result = getDb().prepare(sql).run(
       trade.market_id,
@@ -125,8 +322,14 @@ const tradesRepo = {
       trade.no_price,
       trade.total_cost,
       trade.position_size,
+      trade.shares || null,
       trade.expected_profit,
-      trade.status || 'pending'
+      trade.status || 'pending',
+      trade.paper ? 1 : 0,
+      trade.trade_type || 'pair',
+      trade.basket_side || null,
+      trade.direction || null,
+      trade.strategy_id || 'arbitrage'
     );
     return this.getById(result.lastInsertRowid);
   },
@@ -155,6 +358,12 @@ const tradesRepo = {
     return this.getById(id);
   },
 
+  getByOrderId(orderId) {
+    return getDb()
+      .prepare('SELECT * FROM trades WHERE yes_order_id = ? OR no_order_id = ?')
+      .get(orderId, orderId);
+  },
+
   getAll(limit = 100, offset = 0) {
     return getDb()
       .prepare('SELECT * FROM trades ORDER BY created_at DESC LIMIT ? OFFSET ?')
@@ -163,56 +372,272 @@ const tradesRepo = {
 
   getActive() {
     return getDb()
-      .prepare("SELECT * FROM trades WHERE status IN ('pending', 'placed', 'partial') ORDER BY created_at DESC")
+      .prepare("SELECT * FROM trades WHERE status IN ('pending', 'executing', 'placed', 'partial') ORDER BY created_at DESC")
       .all();
   },
 
-  countOpen() {
+  /**
+   * Open trades of one mode (paper or live)
+   */
+  countOpen(paper = false) {
     const result = getDb()
-      .prepare("SELECT COUNT(*) as count FROM trades WHERE status IN ('pending', 'placed', 'partial')")
-      .get();
+      .prepare("SELECT COUNT(*) as count FROM trades WHERE status IN ('pending', 'executing', 'quoting', 'placed', 'partial', 'legged') AND paper = ?")
+      .get(paper ? 1 : 0);
     return result.count;
   },
 
+  /**
+   * Trades that may hold outcome tokens
+   */
+  getHolding() {
+    return getDb()
+      .prepare(`
+        SELECT * FROM trades
+        WHERE status IN ('executing', 'quoting', 'placed', 'partial', 'filled', 'legged')
+           OR (status IN ('cancelled', 'merged') AND (yes_filled > 0 OR no_filled > 0))
+        ORDER BY created_at ASC
+      `)
+      .all();
+  },
+
+  getUnsettled() {
+    return getDb()
+      .prepare(`
+        SELECT * FROM trades
+        WHERE status IN ('filled', 'partial', 'legged')
+           OR (status = 'cancelled' AND (yes_filled > 0 OR no_filled > 0))
+        ORDER BY created_at ASC
+      `)
+      .all();
+  },
+
   getByStatus(status) {
     return getDb()
       .prepare('SELECT * FROM trades WHERE status = ? ORDER BY created_at DESC')
       .all(status);
+  },
+
+  getMergeable() {
+    return getDb()
+      .prepare("SELECT * FROM trades WHERE status = 'filled' AND trade_type = 'pair' AND yes_filled > 0 AND no_filled > 0 ORDER BY created_at ASC")
+      .all();
+  },
+
+  /**
+   * Capital tied up in a strategy's open and unsettled trades of one mode
+   * Filled cost once anything has filled, otherwise the planned position size
+   */
+  getOpenExposure(strategyId, paper = false) {
+    const result = getDb()
+      .prepare(`
+        SELECT COALESCE(SUM(
+          CASE WHEN yes_filled > 0 OR no_filled > 0
+            THEN COALESCE(yes_filled * yes_avg_price, 0) + COALESCE(no_filled * no_avg_price, 0)
+            ELSE position_size
+          END
+        ), 0) as exposure
+        FROM trades
+        WHERE strategy_id = ? AND paper = ?
+          AND status IN ('pending', 'executing', 'quoting', 'placed', 'partial', 'filled', 'legged')
+      `)
+      .get(strategyId, paper ? 1 : 0);
+    return result.exposure;
+  },
+
+  /**
+   * Open directional exposure in one market window and across its asset's windows
+   * Measured like getOpenExposure (one mode); the asset comes from the market catalog
+   * @returns {{window: number, asset: number}}
+   */
+  getDirectionalExposure(marketId, paper = false) {
+    const exposure = `
+      CASE WHEN t.yes_filled > 0 OR t.no_filled > 0
+        THEN COALESCE(t.yes_filled * t.yes_avg_price, 0) + COALESCE(t.no_filled * t.no_avg_price, 0)
+        ELSE t.position_size
+      END
+    `;
+    return getDb()
+      .prepare(`
+        SELECT
+          COALESCE(SUM(CASE WHEN t.market_id = @marketId THEN ${exposure} ELSE 0 END), 0) as window,
+          COALESCE(SUM(CASE WHEN m.asset = (SELECT asset FROM markets WHERE condition_id = @marketId) THEN ${exposure} ELSE 0 END), 0) as asset
+        FROM trades t
+        LEFT JOIN markets m ON m.condition_id = t.market_id
+        WHERE t.trade_type = 'directional' AND t.paper = @paper
+          AND t.status IN ('pending', 'executing', 'placed', 'partial', 'filled', 'legged')
+      `)
+      .get({ marketId, paper: paper ? 1 : 0 });
+  },
+
+  /**
+   * Open exposure in a market, across its asset's markets and across every
+   * market resolving at the same time (its window)
+   * Measured like getOpenExposure (one mode) over all trade types; asset and window come from the market catalog
+   * @returns {{market: number, asset: number, window: number}}
+   */
+  getExposure(marketId, paper = false) {
+    const exposure = `
+      CASE WHEN t.yes_filled > 0 OR t.no_filled > 0
+        THEN COALESCE(t.yes_filled * t.yes_avg_price, 0) + COALESCE(t.no_filled * t.no_avg_price, 0)
+        ELSE t.position_size
+      END
+    `;
+    return getDb()
+      .prepare(`
+        SELECT
+          COALESCE(SUM(CASE WHEN t.market_id = @marketId THEN ${exposure} ELSE 0 END), 0) as market,
+          COALESCE(SUM(CASE WHEN m.asset = (SELECT asset FROM markets WHERE condition_id = @marketId) THEN ${exposure} ELSE 0 END), 0) as asset,
+          COALESCE(SUM(CASE WHEN m.end_date = (SELECT end_date FROM markets WHERE condition_id = @marketId) THEN ${exposure} ELSE 0 END), 0) as window
+        FROM trades t
+        LEFT JOIN markets m ON m.condition_id = t.market_id
+        WHERE t.paper = @paper
+          AND t.status IN ('pending', 'executing', 'quoting', 'placed', 'partial', 'filled', 'legged')
+      `)
+      .get({ marketId, paper: paper ? 1 : 0 });
+  },
+
+  /**
+   * Run of losing trades among the most recently closed out of one mode
+   * @returns {{count: number, last_loss_at: string|null}}
+   */
+  getLossStreak(paper = false) {
+    const recent = getDb()
+      .prepare(`
+        SELECT actual_profit, settled_at FROM trades
+        WHERE settled_at IS NOT NULL AND actual_profit IS NOT NULL AND paper = ?
+        ORDER BY settled_at DESC, id DESC
+        LIMIT 100
+      `)
+      .all(paper ? 1 : 0);
+
+    const streak = recent.findIndex(t => t.actual_profit >= 0);
+    return {
+      count: streak === -1 ? recent.length : streak,
+      last_loss_at: recent[0]?.actual_profit < 0 ? recent[0].settled_at : null
+    };
+  },
+
+  getUnredeemed() {
+    return getDb()
+      .prepare("SELECT * FROM trades WHERE status = 'settled' AND paper = 0 AND redeemed_at IS NULL ORDER BY created_at ASC")
+      .all();
+  }
+};
+
+// ==================== TRADE LEGS REPOSITORY ====================
+
+const tradeLegsRepo = {
+  create(leg) {
+    const sql = `
+      INSERT INTO trade_legs (
+        trade_id, leg_index, condition_id, outcome, side,
+        token_id, yes_token_id, no_token_id, price
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const result = getDb().prepare(sql).run(
+      leg.trade_id,
+      leg.leg_index,
+      leg.condition_id,
+      leg.outcome || null,
+      leg.side,
+      leg.token_id,
+      leg.yes_token_id || null,
+      leg.no_token_id || null,
+      leg.price
+    );
+    return this.getById(result.lastInsertRowid);
+  },
+
+  getById(id) {
+    return getDb().prepare('SELECT * FROM trade_legs WHERE id = ?').get(id);
+  },
+
+  getByTrade(tradeId) {
+    return getDb()
+      .prepare('SELECT * FROM trade_legs WHERE trade_id = ? ORDER BY leg_index ASC')
+      .all(tradeId);
+  },
+
+  update(id, updates) {
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    if (fields.length > 0) {
+      values.push(id);
+      getDb().prepare(`UPDATE trade_legs SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+    }
+
+    return this.getById(id);
   }
 };
 
 // ==================== PENDING APPROVALS REPOSITORY ====================
 
+/**
+ * Parse the JSON columns of a pending approval row
+ */
+function parsePending(row) {
+  if (row.cost_curve) row.cost_curve = JSON.parse(row.cost_curve);
+  if (row.legs) row.legs = JSON.parse(row.legs);
+  return row;
+}
+
 const pendingRepo = {
   create(opportunity) {
     const sql = `
       INSERT INTO pending_approvals (
         market_id, market_question, yes_token_id, no_token_id,
-        yes_price, no_price, spread, expected_profit, expires_at, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+        yes_price, no_price, spread, expected_profit,
+        total_cost, shares, yes_vwap, no_vwap, cost_curve, gross_profit, fee_rate_bps,
+        trade_type, basket_side, direction, legs, strategy_id, fair_yes, fair_no, reference_price, expires_at, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
     `;
     const result = getDb().prepare(sql).run(
       opportunity.market_id,
       opportunity.market_question,
-      opportunity.yes_token_id,
-      opportunity.no_token_id,
-      opportunity.yes_price,
-      opportunity.no_price,
+      opportunity.yes_token_id || '',
+      opportunity.no_token_id || '',
+      opportunity.yes_price ?? 0,
+      opportunity.no_price ?? 0,
       opportunity.spread,
       opportunity.expected_profit,
+      opportunity.total_cost ?? null,
+      opportunity.shares ?? null,
+      opportunity.yes_vwap ?? null,
+      opportunity.no_vwap ?? null,
+      opportunity.cost_curve ? JSON.stringify(opportunity.cost_curve) : null,
+      opportunity.gross_profit ?? null,
+      opportunity.fee_rate_bps ?? null,
+      opportunity.trade_type || 'pair',
+      opportunity.basket_side || null,
+      opportunity.direction || null,
+      opportunity.legs ? JSON.stringify(opportunity.legs) : null,
+      opportunity.strategy_id || 'arbitrage',
+      opportunity.fair_yes ?? null,
+      opportunity.fair_no ?? null,
+      opportunity.reference_price ?? null,
       opportunity.expires_at || null
     );
     return this.getById(result.lastInsertRowid);
   },
 
   getById(id) {
-    return getDb().prepare('SELECT * FROM pending_approvals WHERE id = ?').get(id);
+    const row = getDb().prepare('SELECT * FROM pending_approvals WHERE id = ?').get(id);
+    return row ? parsePending(row) : row;
   },
 
   getPending() {
-    return getDb()
+    const rows = getDb()
       .prepare("SELECT * FROM pending_approvals WHERE status = 'pending' ORDER BY created_at DESC")
       .all();
+    return rows.map(parsePending);
   },
 
   updateStatus(id, status) {
@@ -252,71 +677,608 @@ const snapshotsRepo = {
     );
   },
 
+  createDepth(capture) {
+    const sql = `
+      INSERT INTO order_book_depth (market_id, token_id, token_type, bids, asks)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    getDb().prepare(sql).run(
+      capture.market_id,
+      capture.token_id,
+      capture.token_type,
+      JSON.stringify(capture.bids),
+      JSON.stringify(capture.asks)
+    );
+  },
+
   getByMarket(marketId, limit = 100) {
     return getDb()
       .prepare('SELECT * FROM order_book_snapshots WHERE market_id = ? ORDER BY snapshot_at DESC LIMIT ?')
       .all(marketId, limit);
   },
 
+  /**
+   * Snapshots in a time range, oldest first, optionally of some markets only
+   * Returns an iterator so a long range is never held in memory at once; no
+   * other query can run on the connection until it is exhausted
+   */
+  getRange(startDate, endDate, marketIds = null) {
+    const markets = marketIds ? `AND market_id IN (${marketIds.map(() => '?').join(', ')})` : '';
+    return getDb()
+      .prepare(`SELECT * FROM order_book_snapshots WHERE snapshot_at BETWEEN ? AND ? ${markets} ORDER BY snapshot_at ASC, id ASC`)
+      .iterate(startDate, endDate, ...(marketIds || []));
+  },
+
+  /**
+   * Full-depth captures in a time range, like getRange
+   */
+  *getDepthRange(startDate, endDate, marketIds = null) {
+    const markets = marketIds ? `AND market_id IN (${marketIds.map(() => '?').join(', ')})` : '';
+    const rows = getDb()
+      .prepare(`SELECT * FROM order_book_depth WHERE captured_at BETWEEN ? AND ? ${markets} ORDER BY captured_at ASC, id ASC`)
+      .iterate(startDate, endDate, ...(marketIds || []));
+
+    for (const row of rows) {
+      row.bids = JSON.parse(row.bids);
+      row.asks = JSON.parse(row.asks);
+      yield row;
+    }
+  },
+
   cleanup(daysOld = 7) {
     getDb()
       .prepare(`DELETE FROM order_book_snapshots WHERE snapshot_at < datetime('now', '-${daysOld} days')`)
       .run();
+    getDb()
+      .prepare(`DELETE FROM order_book_depth WHERE captured_at < datetime('now', '-${daysOld} days')`)
+      .run();
+  }
+};
+
+// ==================== MARKET CATALOG REPOSITORY ====================
+
+const marketsRepo = {
+  /**
+   * Insert or refresh a catalog market
+   * Rows whose Gamma update timestamp is unchanged are left alone
+   * @returns {boolean} Whether the row was written
+   */
+  upsert(market) {
+    const sql = `
+      INSERT INTO markets (
+        condition_id, event_id, slug, question, asset, timeframe, up_down, neg_risk,
+        start_date, end_date, closed, payload, gamma_updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(condition_id) DO UPDATE SET
+        event_id = excluded.event_id,
+        slug = excluded.slug,
+        question = excluded.question,
+        asset = excluded.asset,
+        timeframe = excluded.timeframe,
+        up_down = excluded.up_down,
+        neg_risk = excluded.neg_risk,
+        start_date = excluded.start_date,
+        end_date = excluded.end_date,
+        closed = excluded.closed,
+        payload = excluded.payload,
+        gamma_updated_at = excluded.gamma_updated_at,
+        synced_at = CURRENT_TIMESTAMP
+      WHERE excluded.gamma_updated_at IS NULL
+        OR markets.gamma_updated_at IS NULL
+        OR excluded.gamma_updated_at != markets.gamma_updated_at
+        OR excluded.closed != markets.closed
+        OR excluded.neg_risk != markets.neg_risk
+    `;
+    const result = getDb().prepare(sql).run(
+      market.condition_id,
+      market.event_id,
+      market.slug,
+      market.question,
+      market.asset,
+      market.timeframe,
+      market.up_down ? 1 : 0,
+      market.neg_risk ? 1 : 0,
+      market.start_date,
+      market.end_date,
+      market.closed ? 1 : 0,
+      JSON.stringify(market.payload),
+      market.gamma_updated_at
+    );
+    return result.changes > 0;
+  },
+
+  getByConditionId(conditionId) {
+    const row = getDb().prepare('SELECT * FROM markets WHERE condition_id = ?').get(conditionId);
+    if (row) row.payload = JSON.parse(row.payload);
+    return row;
+  },
+
+  /**
+   * Open up/down markets for the given assets and timeframes, soonest end first
+   */
+  getTargets(assets, timeframes, now = new Date().toISOString()) {
+    if (assets.length === 0 || timeframes.length === 0) return [];
+
+    const sql = `
+      SELECT * FROM markets
+      WHERE asset IN (${assets.map(() => '?').join(', ')})
+        AND timeframe IN (${timeframes.map(() => '?').join(', ')})
+        AND end_date > ?
+        AND up_down = 1
+        AND closed = 0
+      ORDER BY end_date ASC
+    `;
+    return getDb().prepare(sql).all(...assets, ...timeframes, now).map(row => {
+      row.payload = JSON.parse(row.payload);
+      return row;
+    });
+  },
+
+  /**
+   * Open markets of neg-risk (multi-outcome) events for the given assets, any timeframe
+   * These are never up/down windows; the scanner groups them into baskets
+   */
+  getNegRisk(assets, now = new Date().toISOString()) {
+    if (assets.length === 0) return [];
+
+    const sql = `
+      SELECT * FROM markets
+      WHERE asset IN (${assets.map(() => '?').join(', ')})
+        AND end_date > ?
+        AND neg_risk = 1
+        AND closed = 0
+      ORDER BY end_date ASC
+    `;
+    return getDb().prepare(sql).all(...assets, now).map(row => {
+      row.payload = JSON.parse(row.payload);
+      return row;
+    });
+  },
+
+  /**
+   * Close open markets ending in [fromDate, toDate) that a full listing of the range did not return
+   */
+  closeMissing(seenIds, fromDate, toDate) {
+    const open = getDb()
+      .prepare('SELECT condition_id FROM markets WHERE closed = 0 AND end_date >= ? AND end_date < ?')
+      .all(fromDate, toDate);
+    const missing = open.map(row => row.condition_id).filter(id => !seenIds.has(id));
+
+    const close = getDb().prepare('UPDATE markets SET closed = 1, synced_at = CURRENT_TIMESTAMP WHERE condition_id = ?');
+    getDb().transaction(() => missing.forEach(id => close.run(id)))();
+
+    return missing.length;
+  },
+
+  cleanup(daysOld = 7) {
+    const cutoff = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000).toISOString();
+    getDb().prepare('DELETE FROM markets WHERE end_date < ?').run(cutoff);
+  }
+};
+
+// ==================== WINDOW OPEN PRICES REPOSITORY ====================
+
+const windowOpensRepo = {
+  /**
+   * Record a window's open price (the first one recorded wins)
+   */
+  record(open) {
+    getDb().prepare(`
+      INSERT OR IGNORE INTO window_opens (condition_id, asset, window_start, open_price, observed_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(open.condition_id, open.asset, open.window_start, open.open_price, open.observed_at);
+    return this.get(open.condition_id);
+  },
+
+  get(conditionId) {
+    return getDb().prepare('SELECT * FROM window_opens WHERE condition_id = ?').get(conditionId);
+  },
+
+  cleanup(daysOld = 7) {
+    getDb()
+      .prepare(`DELETE FROM window_opens WHERE created_at < datetime('now', '-${daysOld} days')`)
+      .run();
+  }
+};
+
+// ==================== POSITIONS REPOSITORY ====================
+
+const positionsRepo = {
+  /**
+   * Replace every position with a freshly aggregated set
+   */
+  replaceAll(positions) {
+    const insert = getDb().prepare(`
+      INSERT INTO positions (
+        token_id, paper, condition_id, outcome, asset, market_question,
+        shares, avg_cost, cost_basis, mark_price, market_value, unrealized_pnl, trade_count, marked_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    getDb().transaction(() => {
+      getDb().prepare('DELETE FROM positions').run();
+      for (const p of positions) {
+        insert.run(
+          p.token_id, p.paper ? 1 : 0, p.condition_id, p.outcome, p.asset || null, p.market_question || null,
+          p.shares, p.avg_cost, p.cost_basis, p.mark_price ?? null, p.market_value ?? null,
+          p.unrealized_pnl ?? null, p.trade_count, p.marked_at || null
+        );
+      }
+    })();
+  },
+
+  getAll() {
+    return getDb()
+      .prepare('SELECT * FROM positions ORDER BY paper ASC, asset ASC, condition_id ASC, outcome DESC')
+      .all();
+  }
+};
+
+// ==================== RISK REJECTIONS REPOSITORY ====================
+
+const riskRejectionsRepo = {
+  create(rejection) {
+    const result = getDb().prepare(`
+      INSERT INTO risk_rejections (strategy_id, market_id, market_question, trade_type, limit_name, reason, cost)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      rejection.strategy_id || null,
+      rejection.market_id || null,
+      rejection.market_question || null,
+      rejection.trade_type || null,
+      rejection.limit_name,
+      rejection.reason || null,
+      rejection.cost ?? null
+    );
+    return result.lastInsertRowid;
+  },
+
+  getRecent(limit = 100) {
+    return getDb()
+      .prepare('SELECT * FROM risk_rejections ORDER BY created_at DESC, id DESC LIMIT ?')
+      .all(limit);
+  },
+
+  /**
+   * Rejection counts per limit since a time
+   */
+  countByLimit(since) {
+    return getDb()
+      .prepare('SELECT limit_name, COUNT(*) as count FROM risk_rejections WHERE created_at >= ? GROUP BY limit_name ORDER BY count DESC')
+      .all(since);
+  },
+
+  cleanup(daysOld = 7) {
+    getDb()
+      .prepare(`DELETE FROM risk_rejections WHERE created_at < datetime('now', '-${daysOld} days')`)
+      .run();
+  }
+};
+
+// ==================== ORDERS REPOSITORY ====================
+
+const ordersRepo = {
+  create(order) {
+    const result = getDb().prepare(`
+      INSERT INTO orders (trade_id, leg, token_id, side, order_type, price, size, paper)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      order.trade_id ?? null,
+      order.leg || null,
+      order.token_id,
+      order.side,
+      order.order_type,
+      order.price,
+      order.size,
+      order.paper ? 1 : 0
+    );
+    return this.getById(result.lastInsertRowid);
+  },
+
+  getById(id) {
+    return getDb().prepare('SELECT * FROM orders WHERE id = ?').get(id);
+  },
+
+  getByOrderId(orderId) {
+    return getDb().prepare('SELECT * FROM orders WHERE order_id = ? ORDER BY id DESC LIMIT 1').get(orderId);
+  },
+
+  getByTrade(tradeId) {
+    return getDb().prepare('SELECT * FROM orders WHERE trade_id = ? ORDER BY id ASC').all(tradeId);
+  },
+
+  /**
+   * Orders still resting on the book
+   */
+  getOpen(paper) {
+    return getDb()
+      .prepare("SELECT * FROM orders WHERE state IN ('placed', 'partial') AND paper = ? ORDER BY id ASC")
+      .all(paper ? 1 : 0);
+  },
+
+  update(id, updates) {
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    getDb().prepare(`UPDATE orders SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+
+    return this.getById(id);
+  },
+
+  addEvent(event) {
+    getDb().prepare(`
+      INSERT INTO order_events (order_ref, event, from_state, to_state, filled, raw)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      event.order_ref,
+      event.event,
+      event.from_state || null,
+      event.to_state,
+      event.filled ?? null,
+      event.raw !== undefined ? JSON.stringify(event.raw) : null
+    );
+  },
+
+  /**
+   * Events of every order of a trade, in the order they happened
+   */
+  getTradeEvents(tradeId) {
+    const rows = getDb().prepare(`
+      SELECT e.*, o.order_id, o.leg, o.side, o.order_type
+      FROM order_events e
+      JOIN orders o ON o.id = e.order_ref
+      WHERE o.trade_id = ?
+      ORDER BY e.id ASC
+    `).all(tradeId);
+
+    for (const row of rows) {
+      if (row.raw) row.raw = JSON.parse(row.raw);
+    }
+    return rows;
   }
 };
 
 // ==================== DAILY P&L REPOSITORY ====================
 
+/**
+ * Paper trading keeps its own daily P&L so it never counts towards live risk limits
+ */
+function pnlTable(paper) {
+  return paper ? 'paper_daily_pnl' : 'daily_pnl';
+}
+
 const pnlRepo = {
-  getToday() {
+  getToday(paper = false) {
     const today = new Date().toISOString().split('T')[0];
-    return getDb().prepare('SELECT * FROM daily_pnl WHERE date = ?').get(today);
+    return getDb().prepare(`SELECT * FROM ${pnlTable(paper)} WHERE date = ?`).get(today);
   },
 
-  getRange(startDate, endDate) {
+  getRange(startDate, endDate, paper = false) {
     return getDb()
-      .prepare('SELECT * FROM daily_pnl WHERE date BETWEEN ? AND ? ORDER BY date DESC')
+      .prepare(`SELECT * FROM ${pnlTable(paper)} WHERE date BETWEEN ? AND ? ORDER BY date DESC`)
       .all(startDate, endDate);
   },
 
-  upsert(date, updates) {
-    const existing = getDb().prepare('SELECT * FROM daily_pnl WHERE date = ?').get(date);
+  upsert(date, updates, paper = false) {
+    const table = pnlTable(paper);
+    const existing = getDb().prepare(`SELECT * FROM ${table} WHERE date = ?`).get(date);
 
     if (existing) {
       const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
       const values = Object.values(updates);
       values.push(date);
-      getDb().prepare(`UPDATE daily_pnl SET ${fields} WHERE date = ?`).run(...values);
+      getDb().prepare(`UPDATE ${table} SET ${fields} WHERE date = ?`).run(...values);
     } else {
       const fields = ['date', ...Object.keys(updates)];
       const placeholders = fields.map(() => '?').join(', ');
       const values = [date, ...Object.values(updates)];
-      getDb().prepare(`INSERT INTO daily_pnl (${fields.join(', ')}) VALUES (${placeholders})`).run(...values);
+      getDb().prepare(`INSERT INTO ${table} (${fields.join(', ')}) VALUES (${placeholders})`).run(...values);
     }
 
-    return getDb().prepare('SELECT * FROM daily_pnl WHERE date = ?').get(date);
+    return getDb().prepare(`SELECT * FROM ${table} WHERE date = ?`).get(date);
   },
 
-  incrementTrades(date, profit) {
-    const existing = this.getToday();
+  /**
+   * Record the day's unrealized P&L and raise its high-water mark of
+   * realized plus unrealized P&L
+   */
+  recordMark(date, unrealized, paper = false) {
+    const table = pnlTable(paper);
+    const existing = getDb().prepare(`SELECT * FROM ${table} WHERE date = ?`).get(date);
     if (existing) {
       getDb().prepare(`
-        UPDATE daily_pnl SET
+        UPDATE ${table} SET
+          unrealized_pnl = ?,
+          peak_pnl = MAX(COALESCE(peak_pnl, 0), realized_pnl + ?)
+        WHERE date = ?
+      `).run(unrealized, unrealized, date);
+    } else {
+      this.upsert(date, { unrealized_pnl: unrealized, peak_pnl: Math.max(0, unrealized) }, paper);
+    }
+  },
+
+  recordReturned(date, amount, paper = false) {
+    const table = pnlTable(paper);
+    const existing = getDb().prepare(`SELECT * FROM ${table} WHERE date = ?`).get(date);
+    if (existing) {
+      getDb().prepare(`UPDATE ${table} SET total_returned = total_returned + ? WHERE date = ?`).run(amount, date);
+    } else {
+      this.upsert(date, { total_returned: amount }, paper);
+    }
+  },
+
+  recordSettlement(date, { invested, returned, profit }, paper = false) {
+    const table = pnlTable(paper);
+    const existing = getDb().prepare(`SELECT * FROM ${table} WHERE date = ?`).get(date);
+    if (existing) {
+      getDb().prepare(`
+        UPDATE ${table} SET
           total_trades = total_trades + 1,
           winning_trades = winning_trades + ?,
+          total_invested = total_invested + ?,
+          total_returned = total_returned + ?,
           realized_pnl = realized_pnl + ?
         WHERE date = ?
-      `).run(profit > 0 ? 1 : 0, profit, date);
+      `).run(profit > 0 ? 1 : 0, invested, returned, profit, date);
     } else {
       this.upsert(date, {
         total_trades: 1,
         winning_trades: profit > 0 ? 1 : 0,
+        total_invested: invested,
+        total_returned: returned,
         realized_pnl: profit
-      });
+      }, paper);
     }
   }
 };
 
+// ==================== PAPER TRADING REPOSITORY ====================
+
+const paperRepo = {
+  createOrder(order) {
+    const sql = `
+      INSERT INTO paper_orders (id, token_id, side, price, original_size, order_type)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    getDb().prepare(sql).run(
+      order.id,
+      order.token_id,
+      order.side,
+      order.price,
+      order.original_size,
+      order.order_type || 'GTC'
+    );
+    return this.getOrder(order.id);
+  },
+
+  getOrder(id) {
+    return getDb().prepare('SELECT * FROM paper_orders WHERE id = ?').get(id);
+  },
+
+  getOpenOrders(tokenId = null) {
+    if (tokenId) {
+      return getDb()
+        .prepare("SELECT * FROM paper_orders WHERE status = 'LIVE' AND token_id = ? ORDER BY created_at ASC")
+        .all(tokenId);
+    }
+    return getDb()
+      .prepare("SELECT * FROM paper_orders WHERE status = 'LIVE' ORDER BY created_at ASC")
+      .all();
+  },
+
+  updateOrder(id, updates) {
+    const fields = Object.keys(updates).map(k => `${k} = ?`);
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    getDb()
+      .prepare(`UPDATE paper_orders SET ${fields.join(', ')} WHERE id = ?`)
+      .run(...Object.values(updates), id);
+    return this.getOrder(id);
+  },
+
+  cancelAllOrders() {
+    getDb()
+      .prepare("UPDATE paper_orders SET status = 'CANCELED', updated_at = CURRENT_TIMESTAMP WHERE status = 'LIVE'")
+      .run();
+  },
+
+  addFill(fill) {
+    const sql = `
+      INSERT INTO paper_fills (order_id, token_id, side, price, size)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    getDb().prepare(sql).run(fill.order_id, fill.token_id, fill.side, fill.price, fill.size);
+  },
+
+  getFills(tokenId = null) {
+    if (tokenId) {
+      return getDb()
+        .prepare('SELECT * FROM paper_fills WHERE token_id = ? ORDER BY created_at ASC')
+        .all(tokenId);
+    }
+    return getDb().prepare('SELECT * FROM paper_fills ORDER BY created_at ASC').all();
+  },
+
+  getPosition(tokenId) {
+    const row = getDb().prepare('SELECT size FROM paper_positions WHERE token_id = ?').get(tokenId);
+    return row ? row.size : 0;
+  },
+
+  adjustPosition(tokenId, delta) {
+    const sql = `
+      INSERT INTO paper_positions (token_id, size) VALUES (?, ?)
+      ON CONFLICT(token_id) DO UPDATE SET
+        size = MAX(0, size + excluded.size),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    getDb().prepare(sql).run(tokenId, delta);
+    return this.getPosition(tokenId);
+  },
+
+  clearPosition(tokenId) {
+    getDb()
+      .prepare('UPDATE paper_positions SET size = 0, updated_at = CURRENT_TIMESTAMP WHERE token_id = ?')
+      .run(tokenId);
+  },
+
+  getBalance() {
+    return getDb().prepare('SELECT balance FROM paper_account WHERE id = 1').get().balance;
+  },
+
+  adjustBalance(delta) {
+    getDb()
+      .prepare('UPDATE paper_account SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1')
+      .run(delta);
+    return this.getBalance();
+  }
+};
+
+// ==================== BACKTESTS REPOSITORY ====================
+
+const backtestsRepo = {
+  create(run) {
+    const sql = `
+      INSERT INTO backtests (params, summary, results)
+      VALUES (?, ?, ?)
+    `;
+    const result = getDb().prepare(sql).run(
+      JSON.stringify(run.params),
+      JSON.stringify(run.summary),
+      JSON.stringify(run.results)
+    );
+    return this.getById(result.lastInsertRowid);
+  },
+
+  getById(id) {
+    const row = getDb().prepare('SELECT * FROM backtests WHERE id = ?').get(id);
+    if (row) {
+      row.params = JSON.parse(row.params);
+      row.summary = JSON.parse(row.summary);
+      row.results = JSON.parse(row.results);
+    }
+    return row;
+  },
+
+  getAll(limit = 20) {
+    const rows = getDb()
+      .prepare('SELECT id, params, summary, created_at FROM backtests ORDER BY created_at DESC, id DESC LIMIT ?')
+      .all(limit);
+    return rows.map(row => {
+      row.params = JSON.parse(row.params);
+      row.summary = JSON.parse(row.summary);
+      return row;
+    });
+  }
+};
+
 // ==================== ALERTS REPOSITORY ====================
 
 const alertsRepo = {
@@ -380,9 +1342,18 @@ module.exports = {
   initDatabase,
   getDb,
   settings: settingsRepo,
+  strategies: strategiesRepo,
   trades: tradesRepo,
+  tradeLegs: tradeLegsRepo,
   pending: pendingRepo,
   snapshots: snapshotsRepo,
+  markets: marketsRepo,
+  windowOpens: windowOpensRepo,
+  positions: positionsRepo,
+  riskRejections: riskRejectionsRepo,
+  orders: ordersRepo,
   pnl: pnlRepo,
+  paper: paperRepo,
+  backtests: backtestsRepo,
   alerts: alertsRepo
 };
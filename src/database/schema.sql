@@ -8,13 +8,35 @@ CREATE TABLE IF NOT EXISTS settings (
     daily_loss_limit REAL DEFAULT 50.0,
     max_open_positions INTEGER DEFAULT 10,
     active_currencies TEXT DEFAULT '["BTC","ETH"]',
+    active_timeframes TEXT DEFAULT '["15m"]',
     scan_interval_ms INTEGER DEFAULT 60000,
+    paper_mode INTEGER DEFAULT 0,
+    execution_mode TEXT DEFAULT 'paired',
+    leg_timeout_ms INTEGER DEFAULT 3000,
+    max_pair_cost REAL DEFAULT 1.0,
+    window_lead_s INTEGER DEFAULT 60,
+    entry_cutoff_s INTEGER DEFAULT 60,
+    max_market_notional REAL DEFAULT 25.0,
+    max_asset_notional REAL DEFAULT 100.0,
+    max_window_notional REAL DEFAULT 100.0,
+    max_drawdown REAL DEFAULT 50.0,
+    max_consecutive_losses INTEGER DEFAULT 5,
+    loss_cooldown_s INTEGER DEFAULT 900,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Initialize settings row if not exists
 INSERT OR IGNORE INTO settings (id) VALUES (1);
 
+-- Strategy settings (one row per registered strategy)
+CREATE TABLE IF NOT EXISTS strategy_settings (
+    strategy_id TEXT PRIMARY KEY,
+    enabled INTEGER DEFAULT 0,
+    risk_budget REAL DEFAULT 100.0,
+    params TEXT DEFAULT '{}',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Trades history
 CREATE TABLE IF NOT EXISTS trades (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -32,10 +54,57 @@ CREATE TABLE IF NOT EXISTS trades (
     status TEXT DEFAULT 'pending',
     settlement_result TEXT,
     actual_profit REAL,
+    shares REAL,
+    yes_filled REAL DEFAULT 0,
+    no_filled REAL DEFAULT 0,
+    yes_avg_price REAL,
+    no_avg_price REAL,
+    yes_fees REAL DEFAULT 0,
+    no_fees REAL DEFAULT 0,
+    filled_at DATETIME,
+    paper INTEGER DEFAULT 0,
+    execution_log TEXT,
+    unwound_leg TEXT,
+    unwound_shares REAL DEFAULT 0,
+    unwind_proceeds REAL DEFAULT 0,
+    gross_profit REAL,
+    settlement_cost REAL DEFAULT 0,
+    merged_amount REAL DEFAULT 0,
+    merge_tx_hash TEXT,
+    merged_at DATETIME,
+    redeemed_amount REAL DEFAULT 0,
+    redeem_tx_hash TEXT,
+    redeemed_at DATETIME,
+    trade_type TEXT DEFAULT 'pair',
+    basket_side TEXT,
+    direction TEXT,
+    strategy_id TEXT DEFAULT 'arbitrage',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     settled_at DATETIME
 );
 
+-- Legs of multi-outcome basket trades (one row per outcome token bought)
+CREATE TABLE IF NOT EXISTS trade_legs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trade_id INTEGER NOT NULL,
+    leg_index INTEGER NOT NULL,
+    condition_id TEXT NOT NULL,
+    outcome TEXT,
+    side TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    yes_token_id TEXT,
+    no_token_id TEXT,
+    price REAL NOT NULL,
+    order_id TEXT,
+    filled REAL DEFAULT 0,
+    avg_price REAL,
+    fees REAL DEFAULT 0,
+    unwound_shares REAL DEFAULT 0,
+    unwind_proceeds REAL DEFAULT 0,
+    settlement_result TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Pending approvals (for semi-auto mode)
 CREATE TABLE IF NOT EXISTS pending_approvals (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -47,6 +116,21 @@ CREATE TABLE IF NOT EXISTS pending_approvals (
     no_price REAL NOT NULL,
     spread REAL NOT NULL,
     expected_profit REAL NOT NULL,
+    total_cost REAL,
+    shares REAL,
+    yes_vwap REAL,
+    no_vwap REAL,
+    cost_curve TEXT,
+    gross_profit REAL,
+    fee_rate_bps REAL,
+    trade_type TEXT DEFAULT 'pair',
+    basket_side TEXT,
+    direction TEXT,
+    legs TEXT,
+    strategy_id TEXT DEFAULT 'arbitrage',
+    fair_yes REAL,
+    fair_no REAL,
+    reference_price REAL,
     expires_at DATETIME,
     status TEXT DEFAULT 'pending',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -66,6 +150,26 @@ CREATE TABLE IF NOT EXISTS order_book_snapshots (
     snapshot_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Full-depth order book captures (optional, for backtesting)
+CREATE TABLE IF NOT EXISTS order_book_depth (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    market_id TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    token_type TEXT NOT NULL,
+    bids TEXT NOT NULL,
+    asks TEXT NOT NULL,
+    captured_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Backtest runs
+CREATE TABLE IF NOT EXISTS backtests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    params TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    results TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Daily P&L tracking
 CREATE TABLE IF NOT EXISTS daily_pnl (
     date TEXT PRIMARY KEY,
@@ -74,7 +178,20 @@ CREATE TABLE IF NOT EXISTS daily_pnl (
     total_invested REAL DEFAULT 0,
     total_returned REAL DEFAULT 0,
     realized_pnl REAL DEFAULT 0,
-    unrealized_pnl REAL DEFAULT 0
+    unrealized_pnl REAL DEFAULT 0,
+    peak_pnl REAL DEFAULT 0
+);
+
+-- Daily P&L of paper trades, kept apart from the live figures that drive risk limits
+CREATE TABLE IF NOT EXISTS paper_daily_pnl (
+    date TEXT PRIMARY KEY,
+    total_trades INTEGER DEFAULT 0,
+    winning_trades INTEGER DEFAULT 0,
+    total_invested REAL DEFAULT 0,
+    total_returned REAL DEFAULT 0,
+    realized_pnl REAL DEFAULT 0,
+    unrealized_pnl REAL DEFAULT 0,
+    peak_pnl REAL DEFAULT 0
 );
 
 -- Alerts/notifications
@@ -88,11 +205,164 @@ CREATE TABLE IF NOT EXISTS alerts (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Paper trading: simulated orders resting against live order books
+CREATE TABLE IF NOT EXISTS paper_orders (
+    id TEXT PRIMARY KEY,
+    token_id TEXT NOT NULL,
+    side TEXT NOT NULL,
+    price REAL NOT NULL,
+    original_size REAL NOT NULL,
+    size_matched REAL DEFAULT 0,
+    order_type TEXT DEFAULT 'GTC',
+    status TEXT DEFAULT 'LIVE',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Paper trading: simulated fills
+CREATE TABLE IF NOT EXISTS paper_fills (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    side TEXT NOT NULL,
+    price REAL NOT NULL,
+    size REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Paper trading: virtual USDC balance (single row)
+CREATE TABLE IF NOT EXISTS paper_account (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    balance REAL DEFAULT 1000.0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO paper_account (id) VALUES (1);
+
+-- Paper trading: simulated token holdings (fills less merges and settlements)
+CREATE TABLE IF NOT EXISTS paper_positions (
+    token_id TEXT PRIMARY KEY,
+    size REAL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed holdings from fills recorded before positions were tracked
+INSERT OR IGNORE INTO paper_positions (token_id, size)
+SELECT token_id, SUM(CASE WHEN side = 'BUY' THEN size ELSE -size END) FROM paper_fills GROUP BY token_id;
+
+-- Market catalog synced from Gamma
+CREATE TABLE IF NOT EXISTS markets (
+    condition_id TEXT PRIMARY KEY,
+    event_id TEXT,
+    slug TEXT,
+    question TEXT,
+    asset TEXT,
+    timeframe TEXT,
+    up_down INTEGER DEFAULT 0,
+    neg_risk INTEGER DEFAULT 0,
+    start_date TEXT,
+    end_date TEXT,
+    closed INTEGER DEFAULT 0,
+    payload TEXT NOT NULL,
+    gamma_updated_at TEXT,
+    synced_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reference price at the open of each market window
+CREATE TABLE IF NOT EXISTS window_opens (
+    condition_id TEXT PRIMARY KEY,
+    asset TEXT NOT NULL,
+    window_start TEXT NOT NULL,
+    open_price REAL NOT NULL,
+    observed_at TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Net inventory per outcome token, marked to market (live and paper held separately)
+CREATE TABLE IF NOT EXISTS positions (
+    token_id TEXT NOT NULL,
+    paper INTEGER NOT NULL DEFAULT 0,
+    condition_id TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    asset TEXT,
+    market_question TEXT,
+    shares REAL NOT NULL,
+    avg_cost REAL,
+    cost_basis REAL,
+    mark_price REAL,
+    market_value REAL,
+    unrealized_pnl REAL,
+    trade_count INTEGER DEFAULT 0,
+    marked_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (token_id, paper)
+);
+
+-- Trades turned down by the risk checks, with the limit that fired
+CREATE TABLE IF NOT EXISTS risk_rejections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    strategy_id TEXT,
+    market_id TEXT,
+    market_question TEXT,
+    trade_type TEXT,
+    limit_name TEXT NOT NULL,
+    reason TEXT,
+    cost REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every order sent to the CLOB or the paper simulator, with its current state
+CREATE TABLE IF NOT EXISTS orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT,                -- Exchange order ID (none when rejected on submission)
+    trade_id INTEGER,
+    leg TEXT,
+    token_id TEXT NOT NULL,
+    side TEXT NOT NULL,
+    order_type TEXT NOT NULL,
+    price REAL NOT NULL,
+    size REAL NOT NULL,
+    state TEXT NOT NULL DEFAULT 'submitted', -- submitted, placed, partial, filled, cancelled, rejected
+    filled REAL DEFAULT 0,
+    avg_price REAL,
+    fees REAL DEFAULT 0,
+    error TEXT,
+    paper INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (trade_id) REFERENCES trades(id)
+);
+
+-- Order submissions, responses, fill updates and cancels with the raw API responses
+-- Millisecond timestamps: an order's events often fall within the same second
+CREATE TABLE IF NOT EXISTS order_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_ref INTEGER NOT NULL,   -- orders.id
+    event TEXT NOT NULL,          -- submitted, placed, rejected, update, cancelled, cancel_failed
+    from_state TEXT,
+    to_state TEXT NOT NULL,
+    filled REAL,
+    raw TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    FOREIGN KEY (order_ref) REFERENCES orders(id)
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_trades_market ON trades(market_id);
 CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
 CREATE INDEX IF NOT EXISTS idx_trades_created ON trades(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trade_legs_trade ON trade_legs(trade_id, leg_index);
 CREATE INDEX IF NOT EXISTS idx_pending_status ON pending_approvals(status);
 CREATE INDEX IF NOT EXISTS idx_pending_created ON pending_approvals(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_snapshots_market ON order_book_snapshots(market_id, snapshot_at DESC);
+CREATE INDEX IF NOT EXISTS idx_snapshots_time ON order_book_snapshots(snapshot_at);
+CREATE INDEX IF NOT EXISTS idx_depth_time ON order_book_depth(captured_at);
 CREATE INDEX IF NOT EXISTS idx_alerts_unread ON alerts(read, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_paper_orders_status ON paper_orders(status);
+CREATE INDEX IF NOT EXISTS idx_paper_fills_order ON paper_fills(order_id);
+CREATE INDEX IF NOT EXISTS idx_markets_target ON markets(asset, timeframe, end_date);
+CREATE INDEX IF NOT EXISTS idx_markets_end ON markets(end_date);
+CREATE INDEX IF NOT EXISTS idx_orders_order_id ON orders(order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_trade ON orders(trade_id);
+CREATE INDEX IF NOT EXISTS idx_orders_state ON orders(state);
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_ref);
@@ -13,9 +13,19 @@ const config = require('./config');
 const db = require('./database');
 const polyClient = require('./core/polymarket-client');
 const marketScanner = require('./core/market-scanner');
-const opportunityDetector = require('./core/opportunity-detector');
-const orderExecutor = require('./core/order-executor');
+const marketCatalog = require('./core/market-catalog');
+const scheduler = require('./core/scheduler');
+const referencePrices = require('./core/reference-prices');
 const riskManager = require('./core/risk-manager');
+const healthMonitor = require('./core/health-monitor');
+const orderReconciler = require('./core/order-reconciler');
+const settlementWatcher = require('./core/settlement-watcher');
+const marketData = require('./core/market-data');
+const userChannel = require('./core/user-channel');
+const positionMerger = require('./core/position-merger');
+const positionRedeemer = require('./core/position-redeemer');
+const positionTracker = require('./core/position-tracker');
+const strategies = require('./strategies');
 const { setupRoutes } = require('./api/routes');
 const { setupWebSocket } = require('./websocket');
 
@@ -25,9 +35,42 @@ const emitter = new EventEmitter();
 // Scanning interval reference
 let scanInterval = null;
 let isScanning = false; // Lock to prevent overlapping scans
+let isDetecting = false; // Lock to prevent overlapping strategy passes
+
+/**
+ * Hand the markets in an open window to the running strategies
+ * Runs after each scan and on the scheduler's cadence while windows are open
+ */
+async function runDetection() {
+  if (isDetecting || db.settings.get().kill_switch || healthMonitor.isPaused()) return;
+
+  isDetecting = true;
+
+  try {
+    await strategies.onMarkets(scheduler.getTradableMarkets());
+  } finally {
+    isDetecting = false;
+  }
+}
+
+/**
+ * When the streamed books of the tokens in an open window were last current, for the health monitor
+ * Measured from stream liveness, not book changes (see marketData.getBookFreshness).
+ * Tokens with no book yet on a live stream are left out: they are read over REST
+ * until their snapshot arrives. While the stream is down every token is counted.
+ */
+function getBookTimestamps() {
+  return scheduler.getTradableMarkets()
+    .flatMap(market => [market.yesTokenId, market.noTokenId])
+    .filter(Boolean)
+    .map(tokenId => ({ tokenId, timestamp: marketData.getBookFreshness(tokenId) }))
+    .filter(book => book.timestamp !== undefined);
+}
 
 /**
  * Main scanning loop
+ * Discovers markets and updates the window timeline, which keeps the book
+ * stream subscribed around each window, then runs detection
  */
 async function runScanningLoop() {
   // Prevent overlapping scans
@@ -53,54 +96,11 @@ async function runScanningLoop() {
     // Scan for target markets
     const markets = await marketScanner.scanMarkets();
 
-    if (markets.length === 0) {
-      return;
-    }
-
-    // Detect opportunities
-    const opportunities = await opportunityDetector.detectOpportunities(markets);
+    scheduler.setMarkets(markets);
+    referencePrices.trackMarkets(markets);
 
-    // Process each opportunity
-    for (const opportunity of opportunities) {
-      // Check if we already have this opportunity pending
-      const existing = db.pending.getPending().find(
-        p => p.market_id === opportunity.market_id
-      );
-
-      if (existing) {
-        continue; // Skip duplicate
-      }
-
-      // Risk check
-      const riskCheck = await riskManager.canTrade(opportunity);
-      if (!riskCheck.allowed) {
-        console.log(`[Scanner] Opportunity rejected: ${riskCheck.reason}`);
-        continue;
-      }
-
-      // Reload settings to check auto mode
-      const currentSettings = db.settings.get();
-
-      if (currentSettings.auto_mode) {
-        // Auto mode: execute immediately
-        console.log('[Scanner] Auto mode: executing trade');
-        await orderExecutor.executeTrade(opportunity, emitter);
-      } else {
-        // Manual mode: store for approval
-        console.log('[Scanner] Manual mode: storing opportunity for approval');
-        const pending = db.pending.create(opportunity);
-        emitter.emit('opportunity:new', pending);
-
-        // Create alert
-        const alert = db.alerts.create({
-          type: 'opportunity',
-          severity: 'info',
-          message: `New opportunity: ${opportunity.market_question?.substring(0, 50)}... (${(opportunity.spread * 100).toFixed(2)}% spread)`,
-          data: { opportunity_id: pending.id, spread: opportunity.spread }
-        });
-        emitter.emit('alert:new', alert);
-      }
-    }
+    // Strategies detect and trade on the markets in an open window
+    await runDetection();
 
     // Expire old pending approvals
     db.pending.expireOld();
@@ -164,6 +164,7 @@ async function main() {
     // Initialize database
     console.log('[Init] Initializing database...');
     db.initDatabase();
+    db.riskRejections.cleanup();
 
     // Initialize Polymarket client (optional - for trading)
     let balance = { balance: 0, allowance: 0 };
@@ -183,6 +184,11 @@ async function main() {
       console.log('[Init] Set credentials in .env to enable trading');
     }
 
+    if (db.settings.get().paper_mode) {
+      const paperBalance = await polyClient.getBalance();
+      console.log(`[Init] PAPER TRADING mode - orders are simulated (virtual balance: $${paperBalance.balance.toFixed(2)})`);
+    }
+
     // Create Express app
     const app = express();
     const server = http.createServer(app);
@@ -213,9 +219,58 @@ async function main() {
       console.log(`[Server] Dashboard running at http://localhost:${port}`);
     });
 
-    // Start scanning loop
+    // Start order book streaming (strategies react to book changes in open windows)
+    if (config.marketData.enabled) {
+      marketData.onBookChange((tokenId, market) => {
+        if (market && scheduler.isTradable(market.conditionId)) {
+          strategies.onMarketUpdate(market);
+        }
+      });
+      marketData.start(emitter);
+    }
+
+    // Pause trading on CLOB errors, rate limiting, latency or stale streamed books
+    healthMonitor.start(emitter, config.marketData.enabled ? getBookTimestamps : null);
+
+    // Stream underlying spot prices for window opens and fair values
+    referencePrices.start();
+
+    // Drive market windows through their lifecycle (subscriptions, detection, settlement)
+    scheduler.onDetect(runDetection);
+    scheduler.start(emitter);
+
+    // Fill the market catalog before the first scan, then keep it in sync
+    await marketCatalog.syncMarkets();
+    marketCatalog.startSync();
+
+    // Start the enabled strategies, then the scanning loop that feeds them
+    await strategies.startStrategies(emitter);
     startScanning();
 
+    // Start order reconciliation (fills and status transitions)
+    orderReconciler.startReconciler(emitter);
+
+    // Start settlement detection for resolved markets
+    settlementWatcher.startSettlementWatcher(emitter);
+
+    // Listen for our own order and trade events (real-time fills)
+    if (tradingEnabled) {
+      userChannel.start(emitter);
+    }
+
+    // Merge complete YES+NO sets back to USDC instead of waiting for resolution
+    if (tradingEnabled && config.ctf.autoMerge) {
+      positionMerger.startMerger(emitter);
+    }
+
+    // Redeem winning tokens once resolutions are reported on-chain
+    if (tradingEnabled) {
+      positionRedeemer.startRedeemer();
+    }
+
+    // Mark held outcome tokens to market for inventory and unrealized P&L
+    positionTracker.startTracker(emitter);
+
     // Handle settings changes to restart scanning with new interval
     emitter.on('settings:changed', (settings) => {
       if (settings.scan_interval_ms) {
@@ -228,6 +283,18 @@ async function main() {
     process.on('SIGINT', async () => {
       console.log('\n[Shutdown] Received SIGINT, shutting down...');
       stopScanning();
+      scheduler.stop();
+      healthMonitor.stop();
+      referencePrices.stop();
+      marketCatalog.stopSync();
+      marketData.stop();
+      userChannel.stop();
+      orderReconciler.stopReconciler();
+      settlementWatcher.stopSettlementWatcher();
+      positionMerger.stopMerger();
+      positionRedeemer.stopRedeemer();
+      positionTracker.stopTracker();
+      await strategies.stopStrategies();
 
       // Cancel all orders on shutdown (safety)
       const settings = db.settings.get();
@@ -242,6 +309,18 @@ async function main() {
     process.on('SIGTERM', async () => {
       console.log('\n[Shutdown] Received SIGTERM, shutting down...');
       stopScanning();
+      scheduler.stop();
+      healthMonitor.stop();
+      referencePrices.stop();
+      marketCatalog.stopSync();
+      marketData.stop();
+      userChannel.stop();
+      orderReconciler.stopReconciler();
+      settlementWatcher.stopSettlementWatcher();
+      positionMerger.stopMerger();
+      positionRedeemer.stopRedeemer();
+      positionTracker.stopTracker();
+      await strategies.stopStrategies();
       process.exit(0);
     });
 
@@ -0,0 +1,91 @@
+/**
+ * Arbitrage Strategy
+ * Takes both sides of a market when the asks sum below $1, and every outcome
+ * of a neg-risk event when its basket costs less than it pays out
+ * Sizing and thresholds come from the global settings (position size, profit threshold)
+ */
+
+const marketData = require('../core/market-data');
+const marketScanner = require('../core/market-scanner');
+const opportunityDetector = require('../core/opportunity-detector');
+const db = require('../database');
+const config = require('../config');
+
+// Pending detector runs for streamed book changes, per market or basket
+const evaluationTimers = new Map();
+
+/**
+ * Run an evaluation after a streamed book change
+ * Throttled per key so bursts of deltas trigger a single evaluation
+ */
+function throttleEvaluation(key, evaluate, ctx) {
+  if (evaluationTimers.has(key)) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    evaluationTimers.delete(key);
+
+    const settings = db.settings.get();
+    if (settings.kill_switch) return;
+
+    try {
+      const opportunity = evaluate();
+      if (opportunity) {
+        console.log(`[Detector] Opportunity found: ${opportunity.market_question?.substring(0, 50)}... spread: ${(opportunity.spread * 100).toFixed(2)}%`);
+        await ctx.submit(opportunity);
+      }
+    } catch (error) {
+      console.error('[Detector] Error evaluating streamed market:', error.message);
+    }
+  }, config.marketData.evaluateThrottleMs);
+
+  evaluationTimers.set(key, timer);
+}
+
+/**
+ * Run the detector for a market, and the basket it belongs to, after a streamed book change
+ */
+function onMarketUpdate(market, ctx) {
+  throttleEvaluation(market.conditionId, () => opportunityDetector.analyzeStreamedMarket(market), ctx);
+
+  const basket = marketScanner.getBasketForMarket(market.conditionId);
+  if (basket) {
+    throttleEvaluation(basket.basketId, () => opportunityDetector.analyzeStreamedBasket(basket), ctx);
+  }
+}
+
+/**
+ * Detect opportunities via REST when the stream is not live
+ * (while streaming, detection runs on book changes instead)
+ */
+async function onMarkets(markets, ctx) {
+  if (markets.length === 0 || marketData.isStreaming()) return;
+
+  const opportunities = await opportunityDetector.detectOpportunities(markets, marketScanner.getBaskets());
+
+  for (const opportunity of opportunities) {
+    await ctx.submit(opportunity);
+  }
+}
+
+/**
+ * Drop pending evaluations
+ */
+function shutdown() {
+  for (const timer of evaluationTimers.values()) {
+    clearTimeout(timer);
+  }
+  evaluationTimers.clear();
+}
+
+module.exports = {
+  id: 'arbitrage',
+  name: 'Arbitrage',
+  description: 'Buys both outcomes when their asks sum below $1 (pairs and neg-risk baskets)',
+  defaults: { enabled: true, params: {} },
+  paramSpecs: {},
+  onMarkets,
+  onMarketUpdate,
+  shutdown
+};
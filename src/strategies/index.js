@@ -0,0 +1,263 @@
+/**
+ * Strategies
+ * Registry and runner for the trading strategies. Enabled strategies run side
+ * by side on the same scans and book stream.
+ *
+ * A strategy module exports:
+ *   id, name, description
+ *   defaults           - { enabled, params } for its first strategy_settings row
+ *   paramSpecs         - { [param]: { label, step, percent } } for the settings form
+ *   timerIntervalMs    - how often onTimer runs (optional)
+ * and any of the hooks, each called with the strategy's context last:
+ *   start(ctx)                    - on startup, or when enabled
+ *   onMarkets(markets, ctx)       - after each market scan
+ *   onMarketUpdate(market, ctx)   - after a streamed book change
+ *   onFill(trade, ctx)            - when one of its trades fills or part-fills
+ *   onTimer(ctx)
+ *   shutdown(ctx)                 - on exit, or when disabled
+ */
+
+const orderExecutor = require('../core/order-executor');
+const riskManager = require('../core/risk-manager');
+const db = require('../database');
+const arbitrage = require('./arbitrage');
+const marketMaker = require('./market-maker');
+const mispricing = require('./mispricing');
+
+const STRATEGIES = [arbitrage, marketMaker, mispricing];
+
+// strategyId -> { strategy, ctx, timer }
+const running = new Map();
+// Markets with an opportunity currently being risk-checked or executed
+const inFlightMarkets = new Set();
+
+let emitter = null;
+
+/**
+ * Find a registered strategy by ID
+ */
+function getStrategy(strategyId) {
+  return STRATEGIES.find(s => s.id === strategyId) || null;
+}
+
+/**
+ * Handle an opportunity from a strategy: risk check, then execute or queue for approval
+ */
+async function submitOpportunity(strategy, opportunity) {
+  opportunity.strategy_id = strategy.id;
+
+  if (inFlightMarkets.has(opportunity.market_id)) {
+    return;
+  }
+
+  // Check if we already have this opportunity pending
+  const existing = db.pending.getPending().find(
+    p => p.market_id === opportunity.market_id
+  );
+
+  if (existing) {
+    return; // Skip duplicate
+  }
+
+  // Don't stack a new position on top of an active one in the same market
+  if (db.trades.getActive().some(t => t.market_id === opportunity.market_id)) {
+    return;
+  }
+
+  inFlightMarkets.add(opportunity.market_id);
+
+  try {
+    // Risk check
+    const riskCheck = await riskManager.canTrade(opportunity);
+    if (!riskCheck.allowed) {
+      console.log(`[Strategies] ${strategy.name} opportunity rejected: ${riskCheck.reason}`);
+      return;
+    }
+
+    // Reload settings to check auto mode
+    const currentSettings = db.settings.get();
+
+    if (currentSettings.auto_mode) {
+      // Auto mode: execute immediately
+      console.log(`[Strategies] Auto mode: executing ${strategy.name} trade`);
+      await orderExecutor.executeTrade(opportunity, emitter);
+    } else {
+      // Manual mode: store for approval
+      console.log(`[Strategies] Manual mode: storing ${strategy.name} opportunity for approval`);
+      const pending = db.pending.create(opportunity);
+      emitter.emit('opportunity:new', pending);
+
+      // Create alert
+      const alert = db.alerts.create({
+        type: 'opportunity',
+        severity: 'info',
+        message: `New opportunity: ${opportunity.market_question?.substring(0, 50)}... (${(opportunity.spread * 100).toFixed(2)}% spread)`,
+        data: { opportunity_id: pending.id, spread: opportunity.spread, strategy_id: strategy.id }
+      });
+      emitter.emit('alert:new', alert);
+    }
+  } finally {
+    inFlightMarkets.delete(opportunity.market_id);
+  }
+}
+
+/**
+ * Build the context handed to a strategy's hooks
+ */
+function createContext(strategy) {
+  return {
+    id: strategy.id,
+    emitter,
+    getConfig: () => db.strategies.get(strategy.id),
+    submit: (opportunity) => submitOpportunity(strategy, opportunity)
+  };
+}
+
+/**
+ * Call a hook on a running strategy, containing its errors
+ */
+async function callHook(entry, hook, ...args) {
+  if (typeof entry.strategy[hook] !== 'function') return;
+
+  try {
+    await entry.strategy[hook](...args, entry.ctx);
+  } catch (error) {
+    console.error(`[Strategies] ${entry.strategy.name} ${hook} error:`, error.message);
+  }
+}
+
+/**
+ * Start a strategy and its timer
+ */
+async function startStrategy(strategy) {
+  if (running.has(strategy.id)) return;
+
+  const entry = { strategy, ctx: createContext(strategy), timer: null };
+  running.set(strategy.id, entry);
+
+  console.log(`[Strategies] Starting ${strategy.name}`);
+  await callHook(entry, 'start');
+
+  if (strategy.timerIntervalMs) {
+    entry.timer = setInterval(() => callHook(entry, 'onTimer'), strategy.timerIntervalMs);
+  }
+}
+
+/**
+ * Stop a strategy and its timer
+ */
+async function stopStrategy(strategyId) {
+  const entry = running.get(strategyId);
+  if (!entry) return;
+
+  running.delete(strategyId);
+  if (entry.timer) {
+    clearInterval(entry.timer);
+  }
+
+  await callHook(entry, 'shutdown');
+  console.log(`[Strategies] Stopped ${entry.strategy.name}`);
+}
+
+/**
+ * Register the strategies' settings rows and start the enabled ones
+ * Fills on a strategy's trades are routed to its onFill hook
+ */
+async function startStrategies(eventEmitter) {
+  emitter = eventEmitter;
+
+  const onFill = (trade) => {
+    const entry = running.get(trade?.strategy_id);
+    if (entry) callHook(entry, 'onFill', trade);
+  };
+  emitter.on('trade:filled', onFill);
+  emitter.on('trade:partial', onFill);
+
+  for (const strategy of STRATEGIES) {
+    const row = db.strategies.ensure(strategy.id, strategy.defaults);
+    if (row.enabled) {
+      await startStrategy(strategy);
+    }
+  }
+}
+
+/**
+ * Stop every running strategy
+ */
+async function stopStrategies() {
+  for (const strategyId of [...running.keys()]) {
+    await stopStrategy(strategyId);
+  }
+}
+
+/**
+ * Pass a market scan to the running strategies
+ */
+async function onMarkets(markets) {
+  for (const entry of running.values()) {
+    await callHook(entry, 'onMarkets', markets);
+  }
+}
+
+/**
+ * Pass a streamed book change to the running strategies
+ */
+function onMarketUpdate(market) {
+  if (!market) return;
+
+  for (const entry of running.values()) {
+    callHook(entry, 'onMarketUpdate', market);
+  }
+}
+
+/**
+ * Update a strategy's settings row, starting or stopping it to match
+ */
+async function updateStrategy(strategyId, updates) {
+  const strategy = getStrategy(strategyId);
+  if (!strategy) return null;
+
+  const row = db.strategies.update(strategyId, updates);
+
+  if (row.enabled) {
+    await startStrategy(strategy);
+  } else {
+    await stopStrategy(strategyId);
+  }
+
+  return describe(strategy);
+}
+
+/**
+ * A strategy with its settings row, for the API
+ * Open exposure is for the current mode, as the risk budget is checked
+ */
+function describe(strategy) {
+  const row = db.strategies.get(strategy.id) || db.strategies.ensure(strategy.id, strategy.defaults);
+
+  return {
+    ...row,
+    name: strategy.name,
+    description: strategy.description,
+    param_specs: strategy.paramSpecs || {},
+    running: running.has(strategy.id),
+    open_exposure: db.trades.getOpenExposure(strategy.id, db.settings.get().paper_mode)
+  };
+}
+
+/**
+ * All registered strategies with their settings
+ */
+function getStrategies() {
+  return STRATEGIES.map(describe);
+}
+
+module.exports = {
+  startStrategies,
+  stopStrategies,
+  onMarkets,
+  onMarketUpdate,
+  updateStrategy,
+  getStrategies,
+  getStrategy
+};
@@ -0,0 +1,663 @@
+/**
+ * Market Making Strategy
+ * Two-sided quoting: rests bids on YES and NO so that the pair costs at most
+ * 1 minus a target edge, re-quoting as the books move
+ *
+ * Each quoted market is a session backed by one trade row in status 'quoting'.
+ * Quote fills accumulate into the trade's yes/no fill columns; when the session
+ * ends the trade becomes an ordinary pair position ('filled') that the merger
+ * and settlement watcher close out.
+ */
+
+const polyClient = require('../core/polymarket-client');
+const marketData = require('../core/market-data');
+const orderExecutor = require('../core/order-executor');
+const riskManager = require('../core/risk-manager');
+const healthMonitor = require('../core/health-monitor');
+const db = require('../database');
+const config = require('../config');
+
+// Remaining size below this is treated as fully filled (rounding dust)
+const FILL_DUST = 0.0001;
+
+// conditionId -> { market, trade, quotes: { yes, no }, log, busy, dirty, alerted, ending }
+const sessions = new Map();
+// Pending re-quotes for streamed book changes, per market
+const requoteTimers = new Map();
+
+const STRATEGY_ID = 'market_maker';
+
+let context = null;
+
+/**
+ * Round a price down (bids) or up to the tick size
+ */
+function roundToTick(price, tickSize, direction = 'down') {
+  const ticks = price / tickSize;
+  const rounded = direction === 'down' ? Math.floor(ticks + 1e-9) : Math.ceil(ticks - 1e-9);
+  return parseFloat((rounded * tickSize).toFixed(6));
+}
+
+/**
+ * Best price on one side of a book
+ * REST books are not ordered best-first, so take the max bid / min ask
+ */
+function bestPrice(levels, side) {
+  const prices = (levels || []).map(level => parseFloat(level.price));
+  if (prices.length === 0) return null;
+  return side === 'bids' ? Math.max(...prices) : Math.min(...prices);
+}
+
+/**
+ * Midpoint of a book, or the one side that has orders
+ */
+function getMid(book) {
+  const bid = bestPrice(book?.bids, 'bids');
+  const ask = bestPrice(book?.asks, 'asks');
+
+  if (bid != null && ask != null) return (bid + ask) / 2;
+  return bid ?? ask;
+}
+
+/**
+ * Compute the bid quotes for a market
+ * The pair's target cost (1 - edge) is split between the legs by their mids,
+ * then shifted away from the leg we already hold more of: fully skewed, the
+ * heavy leg bids a whole edge lower and the light leg a whole edge higher.
+ * The light leg never bids more than completes a pair at the target cost
+ * against the heavy leg's average price. Quotes never cross the ask, and the
+ * heavy leg stops quoting at the inventory cap.
+ * Pure function of its inputs
+ * @param {Object} yesBook
+ * @param {Object} noBook
+ * @param {{yes: number, no: number, yesAvgPrice: number, noAvgPrice: number}} inventory - Shares held and average price per leg
+ * @param {Object} params - Strategy params
+ * @returns {{yes: {price, size}|null, no: {price, size}|null}|null} null when a book has no prices
+ */
+function computeQuotes(yesBook, noBook, inventory, params) {
+  const yesMid = getMid(yesBook);
+  const noMid = getMid(noBook);
+  if (yesMid == null || noMid == null) return null;
+
+  const edge = params.target_edge;
+  const target = 1 - edge;
+  const imbalance = inventory.yes - inventory.no;
+  const skew = Math.max(-1, Math.min(1, imbalance / params.max_inventory)) * edge;
+
+  const yesShare = yesMid / (yesMid + noMid);
+  const legs = {
+    yes: {
+      book: yesBook,
+      fair: yesShare * target - skew,
+      cap: imbalance < 0 && inventory.noAvgPrice != null ? target - inventory.noAvgPrice : 1,
+      heavy: imbalance >= params.max_inventory
+    },
+    no: {
+      book: noBook,
+      fair: (1 - yesShare) * target + skew,
+      cap: imbalance > 0 && inventory.yesAvgPrice != null ? target - inventory.yesAvgPrice : 1,
+      heavy: -imbalance >= params.max_inventory
+    }
+  };
+
+  const quotes = {};
+  for (const [key, leg] of Object.entries(legs)) {
+    const tickSize = parseFloat(leg.book.tick_size) || config.marketMaker.defaultTickSize;
+    const bestAsk = bestPrice(leg.book.asks, 'asks');
+
+    let price = roundToTick(Math.min(leg.fair, leg.cap), tickSize);
+    if (bestAsk != null) {
+      price = Math.min(price, roundToTick(bestAsk - tickSize, tickSize));
+    }
+
+    quotes[key] = leg.heavy || price < tickSize || price > 1 - tickSize
+      ? null
+      : { price, size: params.quote_size };
+  }
+
+  return quotes;
+}
+
+// ==================== SESSIONS ====================
+
+/**
+ * Append a step to the session trade's execution_log
+ */
+function record(session, step, details) {
+  session.log.push({ step, at: new Date().toISOString(), ...details });
+  db.trades.update(session.trade.id, { execution_log: JSON.stringify(session.log) });
+}
+
+/**
+ * Describe quoting as an opportunity for the risk manager's limits
+ * @param {Object} market
+ * @param {string[]} keys - Legs to be quoted ('yes', 'no')
+ * @param {number} shares
+ * @param {number} cost - Price per share, or per pair when both legs are quoted
+ * @param {number|null} [tradeId] - The session's trade, when adding to an open session
+ */
+function quoteOpportunity(market, keys, shares, cost, tradeId = null) {
+  return {
+    trade_type: 'quote',
+    strategy_id: STRATEGY_ID,
+    trade_id: tradeId,
+    market_id: market.conditionId,
+    market_question: market.question,
+    yes_token_id: keys.includes('yes') ? market.yesTokenId : null,
+    no_token_id: keys.includes('no') ? market.noTokenId : null,
+    shares,
+    total_cost: cost,
+    expires_at: market.endDate
+  };
+}
+
+/**
+ * Start quoting a market
+ */
+function startSession(market, params) {
+  const edge = params.target_edge;
+  const settings = db.settings.get();
+
+  const trade = db.trades.create({
+    market_id: market.conditionId,
+    market_question: market.question,
+    yes_token_id: market.yesTokenId,
+    no_token_id: market.noTokenId,
+    yes_price: 0,
+    no_price: 0,
+    total_cost: 1 - edge,
+    position_size: params.quote_size * (1 - edge),
+    shares: params.quote_size,
+    expected_profit: params.quote_size * edge,
+    status: 'quoting',
+    paper: settings.paper_mode,
+    strategy_id: STRATEGY_ID
+  });
+
+  const session = { market, trade, quotes: { yes: null, no: null }, log: [], busy: false, dirty: false, alerted: false };
+  sessions.set(market.conditionId, session);
+
+  console.log(`[MarketMaker] Quoting ${market.question?.substring(0, 50)}... (trade ${trade.id})`);
+  record(session, 'start', { edge, size: params.quote_size, max_inventory: params.max_inventory });
+
+  context.emitter.emit('trade:created', trade);
+
+  return session;
+}
+
+/**
+ * Fold a quote's new fills into the session trade
+ */
+function applyFill(session, key, quote, fill) {
+  const delta = fill.filled - quote.filled;
+  if (delta <= FILL_DUST) return;
+
+  const trade = db.trades.getById(session.trade.id);
+  const held = trade[`${key}_filled`] || 0;
+  const newNotional = fill.filled * (fill.avgPrice || 0) - quote.filled * (quote.avgPrice || 0);
+  const filled = held + delta;
+
+  session.trade = db.trades.update(trade.id, {
+    [`${key}_filled`]: filled,
+    [`${key}_avg_price`]: (held * (trade[`${key}_avg_price`] || 0) + newNotional) / filled,
+    [`${key}_fees`]: (trade[`${key}_fees`] || 0) + fill.fees - quote.fees
+  });
+
+  Object.assign(quote, { filled: fill.filled, avgPrice: fill.avgPrice, fees: fill.fees });
+
+  console.log(`[MarketMaker] ${key.toUpperCase()} quote filled ${delta.toFixed(4)} @ ${quote.price} (trade ${trade.id})`);
+  record(session, 'fill', {
+    leg: key.toUpperCase(),
+    order_id: quote.orderId,
+    price: quote.price,
+    filled: quote.filled,
+    avg_price: quote.avgPrice,
+    fees: quote.fees
+  });
+
+  context.emitter.emit('trade:partial', session.trade);
+}
+
+/**
+ * Read fills on the session's live quotes, dropping quotes that are done
+ * A quote whose order can't be read stays tracked with its last known fill
+ * @returns {boolean} Whether every quote's fill was read
+ */
+async function refreshFills(session) {
+  let known = true;
+
+  for (const key of ['yes', 'no']) {
+    const quote = session.quotes[key];
+    if (!quote) continue;
+
+    const fill = await orderExecutor.getLegFill(quote.orderId, quote.filled, quote.avgPrice, quote.fees);
+    if (!fill) {
+      known = false;
+      continue;
+    }
+
+    applyFill(session, key, quote, fill);
+
+    if (fill.complete || fill.cancelled) {
+      session.quotes[key] = null;
+    }
+  }
+
+  return known;
+}
+
+/**
+ * Cancel a quote and pick up any fills that landed before the cancel
+ * The quote stays tracked, and this throws, unless the order is known to be
+ * off the book: cancelled by us, or already filled or cancelled
+ */
+async function cancelQuote(session, key) {
+  const quote = session.quotes[key];
+  if (!quote) return;
+
+  const cancelled = await polyClient.cancelOrder(quote.orderId);
+
+  const fill = await orderExecutor.getLegFill(quote.orderId, quote.filled, quote.avgPrice, quote.fees);
+  if (!fill) {
+    throw new Error(`Fill unknown for ${key.toUpperCase()} quote ${quote.orderId}`);
+  }
+
+  applyFill(session, key, quote, fill);
+
+  if (!cancelled && !fill.complete && !fill.cancelled) {
+    throw new Error(`Cancel failed for ${key.toUpperCase()} quote ${quote.orderId}`);
+  }
+
+  session.quotes[key] = null;
+}
+
+/**
+ * Place a bid quote on one leg
+ */
+async function placeQuote(session, key, target) {
+  const tokenId = key === 'yes' ? session.market.yesTokenId : session.market.noTokenId;
+
+  const order = await polyClient.placeOrder({
+    tokenId,
+    price: target.price,
+    size: target.size,
+    side: 'BUY',
+    orderType: 'GTC',
+    tradeId: session.trade.id,
+    leg: key.toUpperCase()
+  });
+
+  const orderId = order.orderID || order.order_id;
+  session.quotes[key] = { orderId, price: target.price, size: target.size, filled: 0, avgPrice: null, fees: 0 };
+
+  session.trade = db.trades.update(session.trade.id, {
+    [`${key}_order_id`]: orderId,
+    [`${key}_price`]: target.price
+  });
+
+  // Fills against the book at placement are picked up here rather than on the next pass;
+  // if the order can't be read yet the quote stays tracked for refreshFills
+  const fill = await orderExecutor.getLegFill(orderId, 0, null, 0);
+  if (fill) {
+    applyFill(session, key, session.quotes[key], fill);
+    if (fill.complete || fill.cancelled) session.quotes[key] = null;
+  }
+}
+
+/**
+ * Seconds until a market's quotes must be pulled
+ */
+function secondsToCutoff(market, params) {
+  if (!market.endDate) return Infinity;
+  return (new Date(market.endDate).getTime() - Date.now()) / 1000 - params.cancel_before_end_s;
+}
+
+/**
+ * Stop quoting a market: cancel its quotes and hand the position to settlement
+ * filled    - some inventory is held (merged and/or settled like a pair trade)
+ * cancelled - nothing was bought
+ * If a quote can't be confirmed off the book the session is kept, marked
+ * ending, and the teardown is retried on every refresh pass until it is
+ * @returns {boolean} Whether the session ended
+ */
+async function endSession(session, reason) {
+  session.ending = reason;
+  sessions.set(session.market.conditionId, session);
+
+  const failures = [];
+  for (const key of ['yes', 'no']) {
+    try {
+      await cancelQuote(session, key);
+    } catch (error) {
+      console.error(`[MarketMaker] Failed to pull ${key.toUpperCase()} quote:`, error.message);
+      failures.push(error.message);
+    }
+  }
+
+  if (failures.length > 0) {
+    // Alert once per session; the trade stays 'quoting' so a restart recovers it too
+    if (!session.endAlerted) {
+      session.endAlerted = true;
+      db.alerts.create({
+        type: 'error',
+        severity: 'warning',
+        message: `Market making could not pull its quotes (${reason}), retrying: ${failures.join('; ')}`,
+        data: { trade_id: session.trade.id, market_id: session.market.conditionId }
+      });
+    }
+    return false;
+  }
+
+  sessions.delete(session.market.conditionId);
+
+  const trade = db.trades.getById(session.trade.id);
+  const yesFilled = trade.yes_filled || 0;
+  const noFilled = trade.no_filled || 0;
+  const status = yesFilled > FILL_DUST || noFilled > FILL_DUST ? 'filled' : 'cancelled';
+
+  record(session, 'stop', { reason, yes_filled: yesFilled, no_filled: noFilled });
+
+  const updatedTrade = db.trades.update(trade.id, {
+    status,
+    filled_at: status === 'filled' ? new Date().toISOString() : undefined
+  });
+
+  console.log(`[MarketMaker] Stopped quoting trade ${trade.id} (${reason}): YES ${yesFilled.toFixed(4)}, NO ${noFilled.toFixed(4)}`);
+
+  if (status === 'filled') {
+    db.alerts.create({
+      type: 'trade',
+      severity: 'info',
+      message: `Market making ended (${reason}): ${yesFilled.toFixed(2)} YES / ${noFilled.toFixed(2)} NO in ${trade.market_question?.substring(0, 50)}...`,
+      data: { trade_id: trade.id, yes_filled: yesFilled, no_filled: noFilled }
+    });
+  }
+
+  context.emitter.emit(status === 'filled' ? 'trade:filled' : 'trade:cancelled', updatedTrade);
+  return true;
+}
+
+/**
+ * Bring a session's quotes in line with the current books
+ * Only legs whose price or size changed are cancelled and re-placed.
+ * Once the strategy's open exposure reaches its risk budget, quotes are
+ * pulled until fills are merged or settled. A quote is only (re-)placed when
+ * the risk limits allow the exposure it adds. Sessions end on the kill switch
+ * and while the health monitor has trading paused. Quotes are left as they
+ * are while a fill can't be read, since the inventory is unknown.
+ */
+async function updateQuotes(session) {
+  const fillsKnown = await refreshFills(session);
+
+  if (session.ending) {
+    await endSession(session, session.ending);
+    return;
+  }
+
+  const { params, risk_budget: riskBudget } = context.getConfig();
+
+  if (db.settings.get().kill_switch) {
+    await endSession(session, 'kill switch');
+    return;
+  }
+  if (healthMonitor.isPaused()) {
+    await endSession(session, 'health pause');
+    return;
+  }
+  if (secondsToCutoff(session.market, params) <= 0) {
+    await endSession(session, 'market ending');
+    return;
+  }
+  if (!fillsKnown) {
+    throw new Error('Quote fills could not be read; keeping quotes until they can');
+  }
+
+  const { market } = session;
+  const yesBook = marketData.getBook(market.yesTokenId) || await polyClient.getOrderBook(market.yesTokenId);
+  const noBook = marketData.getBook(market.noTokenId) || await polyClient.getOrderBook(market.noTokenId);
+
+  const { trade } = session;
+  const inventory = {
+    yes: trade.yes_filled || 0,
+    no: trade.no_filled || 0,
+    yesAvgPrice: trade.yes_avg_price,
+    noAvgPrice: trade.no_avg_price
+  };
+  const overBudget = db.trades.getOpenExposure(STRATEGY_ID, session.trade.paper) >= riskBudget;
+  const targets = (!overBudget && computeQuotes(yesBook, noBook, inventory, params)) || { yes: null, no: null };
+
+  for (const key of ['yes', 'no']) {
+    const quote = session.quotes[key];
+    const target = targets[key];
+
+    if (quote && target && quote.price === target.price && quote.size - quote.filled > FILL_DUST) {
+      continue; // Still quoting the right price
+    }
+
+    await cancelQuote(session, key);
+    if (!target) continue;
+
+    // Rejections are logged by canTrade
+    const risk = await riskManager.canTrade(
+      quoteOpportunity(market, [key], target.size, target.price, session.trade.id)
+    );
+    if (risk.allowed) {
+      await placeQuote(session, key, target);
+    }
+  }
+}
+
+/**
+ * Re-quote a market, coalescing calls that arrive while a pass is running
+ */
+async function requote(conditionId) {
+  const session = sessions.get(conditionId);
+  if (!session) return;
+
+  if (session.busy) {
+    session.dirty = true;
+    return;
+  }
+
+  session.busy = true;
+
+  try {
+    do {
+      session.dirty = false;
+      await updateQuotes(session);
+    } while (session.dirty && sessions.has(conditionId));
+  } catch (error) {
+    console.error(`[MarketMaker] Error quoting ${conditionId}:`, error.message);
+
+    // Alert once per session; quoting retries on the next book change or refresh
+    if (!session.alerted) {
+      session.alerted = true;
+      db.alerts.create({
+        type: 'error',
+        severity: 'error',
+        message: `Market making error: ${error.message}`,
+        data: { trade_id: session.trade.id, market_id: conditionId }
+      });
+    }
+  } finally {
+    session.busy = false;
+  }
+}
+
+/**
+ * Re-quote a market after a streamed book change
+ * Throttled per market so bursts of deltas trigger a single pass
+ */
+function onMarketUpdate(market) {
+  if (!sessions.has(market.conditionId) || requoteTimers.has(market.conditionId)) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    requoteTimers.delete(market.conditionId);
+    requote(market.conditionId);
+  }, config.marketData.evaluateThrottleMs);
+
+  requoteTimers.set(market.conditionId, timer);
+}
+
+/**
+ * Re-skew right after one of our trades fills
+ */
+function onFill(trade) {
+  requote(trade.market_id);
+}
+
+/**
+ * Poll fills and re-quote every session, so quotes keep updating when the
+ * books are quiet or the stream is down
+ */
+function onTimer() {
+  for (const conditionId of sessions.keys()) {
+    requote(conditionId);
+  }
+}
+
+/**
+ * Track the scanner's market list
+ * Starts sessions for new markets while risk limits and the strategy's budget
+ * allow, each passing the risk manager's limits for its market first, and ends
+ * sessions for markets that are no longer listed
+ */
+async function onMarkets(markets, ctx) {
+  const settings = db.settings.get();
+  const { params, risk_budget: riskBudget } = ctx.getConfig();
+  const listed = new Set(markets.map(m => m.conditionId));
+
+  for (const session of [...sessions.values()]) {
+    if (!listed.has(session.market.conditionId)) {
+      if (session.busy) {
+        // The running pass ends it once it's done with the quotes
+        session.ending = 'market delisted';
+        session.dirty = true;
+        continue;
+      }
+      await endSession(session, 'market delisted');
+    }
+  }
+
+  if (settings.kill_switch) return;
+
+  const candidates = markets.filter(m =>
+    !sessions.has(m.conditionId) && !m.closed && secondsToCutoff(m, params) > 0
+  );
+  if (candidates.length === 0) return;
+
+  const risk = await riskManager.getRiskStatus();
+  const sessionCost = params.quote_size * (1 - params.target_edge);
+  let openPositions = risk.open_positions;
+  let exposure = db.trades.getOpenExposure(STRATEGY_ID, settings.paper_mode);
+
+  for (const market of candidates) {
+    if (!risk.can_trade || openPositions >= settings.max_open_positions) break;
+    if (exposure + sessionCost > riskBudget) break;
+
+    const result = await riskManager.canTrade(
+      quoteOpportunity(market, ['yes', 'no'], params.quote_size, 1 - params.target_edge)
+    );
+    if (!result.allowed) continue;
+
+    startSession(market, params);
+    openPositions++;
+    exposure += sessionCost;
+    await requote(market.conditionId);
+  }
+}
+
+/**
+ * Close out sessions left in 'quoting' by a previous run
+ * Their quotes are cancelled; fills after the last recorded one are read back
+ * from each quote's own fill entries in the execution_log
+ */
+async function recoverSessions() {
+  for (const trade of db.trades.getByStatus('quoting')) {
+    const log = JSON.parse(trade.execution_log || '[]');
+    const session = { market: { conditionId: trade.market_id }, trade, quotes: { yes: null, no: null }, log, busy: false, dirty: false, alerted: false };
+
+    for (const key of ['yes', 'no']) {
+      const orderId = trade[`${key}_order_id`];
+      if (!orderId) continue;
+
+      const last = [...log].reverse().find(s => s.step === 'fill' && s.order_id === orderId);
+      session.quotes[key] = {
+        orderId,
+        price: trade[`${key}_price`],
+        filled: last?.filled || 0,
+        avgPrice: last?.avg_price ?? null,
+        fees: last?.fees || 0
+      };
+    }
+
+    console.log(`[MarketMaker] Closing out quoting session from a previous run (trade ${trade.id})`);
+    await endSession(session, 'restart');
+  }
+}
+
+/**
+ * Start quoting: close out anything left over from a previous run first
+ */
+async function start(ctx) {
+  context = ctx;
+  await recoverSessions();
+}
+
+/**
+ * Stop quoting every market
+ */
+async function shutdown() {
+  for (const timer of requoteTimers.values()) {
+    clearTimeout(timer);
+  }
+  requoteTimers.clear();
+
+  for (const session of [...sessions.values()]) {
+    await endSession(session, 'strategy stopped');
+  }
+}
+
+/**
+ * Markets currently being quoted, for the dashboard
+ */
+function getSessions() {
+  return [...sessions.values()].map(s => ({
+    market_id: s.market.conditionId,
+    market_question: s.market.question,
+    trade_id: s.trade.id,
+    yes_quote: s.quotes.yes ? { price: s.quotes.yes.price, size: s.quotes.yes.size, filled: s.quotes.yes.filled } : null,
+    no_quote: s.quotes.no ? { price: s.quotes.no.price, size: s.quotes.no.size, filled: s.quotes.no.filled } : null,
+    yes_inventory: s.trade.yes_filled || 0,
+    no_inventory: s.trade.no_filled || 0
+  }));
+}
+
+module.exports = {
+  id: STRATEGY_ID,
+  name: 'Market Making',
+  description: 'Rests bids on both outcomes below $1 minus an edge, skewed by inventory',
+  defaults: {
+    enabled: false,
+    params: { target_edge: 0.02, quote_size: 10, max_inventory: 50, cancel_before_end_s: 60 }
+  },
+  paramSpecs: {
+    target_edge: { label: 'Quote Edge (%)', step: 0.1, percent: true },
+    quote_size: { label: 'Quote Size (shares)', step: 1 },
+    max_inventory: { label: 'Max Inventory Imbalance (shares)', step: 1 },
+    cancel_before_end_s: { label: 'Pull Quotes Before End (s)', step: 1 }
+  },
+  timerIntervalMs: config.marketMaker.refreshIntervalMs,
+  start,
+  onMarkets,
+  onMarketUpdate,
+  onFill,
+  onTimer,
+  shutdown,
+  computeQuotes,
+  roundToTick,
+  requote,
+  getSessions
+};
@@ -0,0 +1,230 @@
+/**
+ * Mispricing Strategy
+ * Buys the single outcome of an up/down market that the book offers below its
+ * model fair value (from the reference price feed) by more than an edge.
+ * Unlike the arbitrage pair the position is held at risk to resolution, so
+ * orders are sized by fractional Kelly on the available balance and capped by
+ * the position size, the strategy's budget and its per-window and per-asset
+ * exposure limits.
+ */
+
+const polyClient = require('../core/polymarket-client');
+const marketData = require('../core/market-data');
+const referencePrices = require('../core/reference-prices');
+const opportunityDetector = require('../core/opportunity-detector');
+const sizing = require('../core/sizing');
+const feeModel = require('../core/fee-model');
+const db = require('../database');
+const config = require('../config');
+
+const STRATEGY_ID = 'mispricing';
+
+// Pending evaluations for streamed book changes, per market
+const evaluationTimers = new Map();
+
+/**
+ * Lowest ask of a book
+ * REST books are not ordered best-first, so the ladder is sorted rather than read from the top
+ */
+function getBestAsk(book) {
+  return sizing.parseAsks(book?.asks)[0]?.price ?? null;
+}
+
+/**
+ * Evaluate both outcomes of a market against their fair values
+ * Each side is sized by walking its asks up to fair value minus the edge, with
+ * a budget of the Kelly stake capped by limits.maxCost; the side with the
+ * larger expected profit is returned
+ * Pure function of its inputs
+ * @param {Object} market - Scanner market
+ * @param {Object} yesBook
+ * @param {Object} noBook
+ * @param {Object} fairValue - referencePrices.getFairValue result
+ * @param {Object} params - Strategy params (min_edge, kelly_fraction)
+ * @param {{balance: number, maxCost: number}} limits
+ * @returns {Object|null} Directional opportunity, or null when no side clears the edge
+ */
+function evaluateMispricing(market, yesBook, noBook, fairValue, params, limits) {
+  const fees = feeModel.getMarketFees(market);
+  const settlementCost = feeModel.settlementCost();
+  let best = null;
+
+  const sides = [
+    { side: 'YES', book: yesBook, fair: fairValue.fair_yes },
+    { side: 'NO', book: noBook, fair: fairValue.fair_no }
+  ];
+
+  for (const { side, book, fair } of sides) {
+    const bestAsk = getBestAsk(book);
+    if (!bestAsk) continue;
+
+    // Kelly stake at the all-in price of the best ask
+    const kelly = sizing.kellyFraction(fair, bestAsk + feeModel.tradeFee(1, bestAsk, fees.takerBps));
+    const maxCost = Math.min(limits.maxCost, params.kelly_fraction * kelly * limits.balance);
+
+    const size = sizing.sizeDirectional(book.asks, {
+      fair,
+      minEdge: params.min_edge,
+      maxCost,
+      feeRateBps: fees.takerBps
+    });
+    if (!size) continue;
+
+    const expectedProfit = size.expected_profit - settlementCost;
+    const edge = expectedProfit / size.shares;
+    if (edge < params.min_edge) continue; // Redeem cost eats the edge
+    if (best && best.expected_profit >= expectedProfit) continue;
+
+    const key = side.toLowerCase();
+
+    best = {
+      trade_type: 'directional',
+      direction: side,
+      market_id: market.conditionId,
+      market_question: market.question,
+      yes_token_id: market.yesTokenId,
+      no_token_id: market.noTokenId,
+      [`${key}_price`]: size.limit,
+      [`${key}_vwap`]: size.vwap,
+      [`${key}_liquidity`]: opportunityDetector.calculateLiquidity(book.asks),
+      shares: size.shares,
+      total_cost: size.avg_cost,
+      spread: edge,
+      gross_profit: size.shares * (fair - size.vwap),
+      fees: size.fees,
+      settlement_cost: settlementCost,
+      fee_rate_bps: fees.takerBps,
+      expected_profit: expectedProfit,
+      cost_curve: size.curve,
+      kelly_fraction: kelly,
+      fair_yes: fairValue.fair_yes,
+      fair_no: fairValue.fair_no,
+      reference_price: fairValue.spot,
+      open_price: fairValue.open_price,
+      expires_at: market.endDate
+    };
+  }
+
+  return best;
+}
+
+/**
+ * Get YES and NO order books, preferring the live stream over REST
+ */
+async function getBooks(market) {
+  const yesBook = marketData.getBook(market.yesTokenId);
+  const noBook = marketData.getBook(market.noTokenId);
+
+  if (yesBook && noBook) {
+    return [yesBook, noBook];
+  }
+
+  return await Promise.all([
+    polyClient.getOrderBook(market.yesTokenId),
+    polyClient.getOrderBook(market.noTokenId)
+  ]);
+}
+
+/**
+ * Look for a mispriced outcome in a market and submit it
+ */
+async function evaluate(market, ctx) {
+  const settings = db.settings.get();
+  if (settings.kill_switch) return;
+
+  // No open price yet means no view on the outcome
+  const fairValue = referencePrices.getFairValue(market);
+  if (!fairValue || fairValue.open_price == null) return;
+
+  const { params, risk_budget: riskBudget } = ctx.getConfig();
+  const [yesBook, noBook] = await getBooks(market);
+
+  // Nothing to size unless a best ask is below fair value minus the edge
+  const cheap = [[yesBook, fairValue.fair_yes], [noBook, fairValue.fair_no]].some(([book, fair]) => {
+    const bestAsk = getBestAsk(book);
+    return bestAsk != null && bestAsk <= fair - params.min_edge;
+  });
+  if (!cheap) return;
+
+  const exposure = db.trades.getDirectionalExposure(market.conditionId, settings.paper_mode);
+  const maxCost = Math.min(
+    settings.position_size,
+    riskBudget - db.trades.getOpenExposure(STRATEGY_ID, settings.paper_mode),
+    params.max_window_exposure - exposure.window,
+    params.max_asset_exposure - exposure.asset
+  );
+  if (maxCost <= 0) return;
+
+  const balance = await polyClient.getBalance();
+  const opportunity = evaluateMispricing(market, yesBook, noBook, fairValue, params, {
+    balance: balance.balance,
+    maxCost
+  });
+
+  if (opportunity) {
+    const key = opportunity.direction.toLowerCase();
+    console.log(`[Mispricing] ${opportunity.direction} below fair value: ${market.question?.substring(0, 50)}... ask ${opportunity[`${key}_vwap`].toFixed(3)} vs fair ${opportunity[`fair_${key}`].toFixed(3)}`);
+    await ctx.submit(opportunity);
+  }
+}
+
+/**
+ * Re-evaluate a market after a streamed book change
+ * Throttled per market so bursts of deltas trigger a single evaluation
+ */
+function onMarketUpdate(market, ctx) {
+  if (evaluationTimers.has(market.conditionId)) return;
+
+  const timer = setTimeout(() => {
+    evaluationTimers.delete(market.conditionId);
+    evaluate(market, ctx).catch(error =>
+      console.error('[Mispricing] Error evaluating streamed market:', error.message)
+    );
+  }, config.marketData.evaluateThrottleMs);
+
+  evaluationTimers.set(market.conditionId, timer);
+}
+
+/**
+ * Evaluate every tradable market on the detection cadence
+ * Fair values move with the spot price even when the books are quiet
+ */
+async function onMarkets(markets, ctx) {
+  for (const market of markets) {
+    try {
+      await evaluate(market, ctx);
+    } catch (error) {
+      console.error(`[Mispricing] Error evaluating market ${market.conditionId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Drop pending evaluations
+ */
+function shutdown() {
+  for (const timer of evaluationTimers.values()) {
+    clearTimeout(timer);
+  }
+  evaluationTimers.clear();
+}
+
+module.exports = {
+  id: STRATEGY_ID,
+  name: 'Mispricing',
+  description: 'Buys the outcome of an up/down market priced below its model fair value, sized by fractional Kelly',
+  defaults: {
+    enabled: false,
+    params: { min_edge: 0.05, kelly_fraction: 0.25, max_window_exposure: 20, max_asset_exposure: 50 }
+  },
+  paramSpecs: {
+    min_edge: { label: 'Min Edge vs Fair (%)', step: 0.5, percent: true },
+    kelly_fraction: { label: 'Kelly Fraction (%)', step: 5, percent: true },
+    max_window_exposure: { label: 'Max Exposure per Window ($)', step: 1 },
+    max_asset_exposure: { label: 'Max Exposure per Asset ($)', step: 1 }
+  },
+  onMarkets,
+  onMarketUpdate,
+  shutdown,
+  evaluateMispricing
+};
@@ -143,10 +143,19 @@ function setupEmitterForwarding(io, emitter) {
     io.emit('trade:settled', data);
   });
 
+  emitter.on('trade:merged', (data) => {
+    io.emit('trade:merged', data);
+  });
+
   emitter.on('trade:cancelled', (data) => {
     io.emit('trade:cancelled', data);
   });
 
+  // Inventory marked to market
+  emitter.on('positions:update', (data) => {
+    io.emit('positions:update', data);
+  });
+
   // Order book updates
   emitter.on('orderbook:update', (data) => {
     io.emit('orderbook:update', data);
@@ -162,6 +171,20 @@ function setupEmitterForwarding(io, emitter) {
     io.emit('alert:new', data);
   });
 
+  // Market window timeline changes
+  emitter.on('timeline:changed', () => {
+    io.emit('timeline:changed');
+  });
+
+  // Health monitor pauses and resumes
+  emitter.on('health:paused', (data) => {
+    io.emit('health:paused', data);
+  });
+
+  emitter.on('health:resumed', (data) => {
+    io.emit('health:resumed', data);
+  });
+
   // Settings changes
   emitter.on('settings:changed', (data) => {
     io.emit('settings:changed', data);